@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// ============================================================
+// Offline ICD-10 dataset generator
+// Rebuilds src/data/icd10Who.ts from the ClaML file of the WHO
+// ICD-10 2019 release (icd102019en.xml), keeping the chapter
+// table and the Arabic synonyms already in the dataset.
+//
+//   npm run icd10:build -- path/to/icd102019en.xml
+// ============================================================
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const TARGET = fileURLToPath(new URL('../src/data/icd10Who.ts', import.meta.url));
+
+const HEADER = `/**
+ * WHO ICD-10 (2019 edition) dataset for the offline diagnosis index.
+ * Loaded on demand by utils/icd10Index so it stays out of the main bundle.
+ *
+ * Generated by scripts/build-icd10.mjs from the WHO ClaML release: every
+ * three-character category and four-character subcategory of the
+ * tabular list. Arabic synonyms are kept by code when regenerating, so
+ * add them here and re-run the script for a new WHO release.
+ *
+ * Entries are compact \`[code, title, arabicSynonyms?]\` tuples in WHO
+ * classification order: three-character categories followed by their
+ * four-character subcategories. Chapters give the category range each
+ * one covers.
+ */`;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&(\w+);/g, (match, name) => ENTITIES[name] ?? match);
+}
+
+// Text of the preferred rubric, without dagger/asterisk references or other markup
+function preferredLabel(body) {
+  const rubric = body.match(/<Rubric[^>]*kind="preferred"[^>]*>([\s\S]*?)<\/Rubric>/);
+  const label = rubric?.[1].match(/<Label[^>]*>([\s\S]*?)<\/Label>/);
+  if (!label) return null;
+  const text = label[1].replace(/<Reference[\s\S]*?<\/Reference>/g, '').replace(/<[^>]+>/g, '');
+  return decode(text).replace(/\s+/g, ' ').trim();
+}
+
+/** Categories and subcategories of the tabular list, in document (classification) order. */
+function parseClaml(xml) {
+  const entries = [];
+  const classes = /<Class\b[^>]*\bcode="([^"]+)"[^>]*\bkind="category"[^>]*>([\s\S]*?)<\/Class>/g;
+  for (const [, code, body] of xml.matchAll(classes)) {
+    // Dagger-asterisk and range classes (A00-A09) are not codable categories
+    if (!/^[A-Z]\d\d(\.\d)?$/.test(code)) continue;
+    const title = preferredLabel(body);
+    if (title) entries.push([code, title]);
+  }
+  return entries;
+}
+
+// Chapter table and Arabic synonyms of the current dataset
+function readCurrent(source) {
+  const chapters = source.match(/export const ICD10_CHAPTERS[\s\S]*?\n\];/);
+  if (!chapters) throw new Error(`ICD10_CHAPTERS not found in ${TARGET}`);
+  const synonyms = new Map();
+  for (const [, code, list] of source.matchAll(/^ {2}\['([^']+)', '(?:[^'\\]|\\.)*', \[(.*)\]\],$/gm)) {
+    synonyms.set(code, [...list.matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(([, text]) => text));
+  }
+  return { chapters: chapters[0], synonyms };
+}
+
+const quote = (text) => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+function render(chapters, entries, synonyms) {
+  const lines = entries.map(([code, title]) => {
+    const arabic = synonyms.get(code);
+    // Synonyms were read from the file already escaped
+    return arabic?.length
+      ? `  [${quote(code)}, ${quote(title)}, [${arabic.map((text) => `'${text}'`).join(', ')}]],`
+      : `  [${quote(code)}, ${quote(title)}],`;
+  });
+  return [
+    "import type { ICD10Chapter } from '../types';",
+    '',
+    HEADER,
+    '',
+    chapters,
+    '',
+    'export type ICD10Entry = [code: string, title: string, synonymsAr?: string[]];',
+    '',
+    'export const ICD10_ENTRIES: ICD10Entry[] = [',
+    ...lines,
+    '];',
+    '',
+  ].join('\n');
+}
+
+function main() {
+  const [clamlPath] = process.argv.slice(2);
+  if (!clamlPath) {
+    console.error('Usage: npm run icd10:build -- <icd102019en.xml>');
+    process.exit(1);
+  }
+  const entries = parseClaml(readFileSync(clamlPath, 'utf8'));
+  if (entries.length === 0) {
+    console.error(`No ICD-10 categories found in ${clamlPath}; is it a WHO ClaML file?`);
+    process.exit(1);
+  }
+  const { chapters, synonyms } = readCurrent(readFileSync(TARGET, 'utf8'));
+  const missing = [...synonyms.keys()].filter((code) => !entries.some(([entry]) => entry === code));
+  if (missing.length > 0) {
+    console.warn(`Arabic synonyms dropped for codes not in the release: ${missing.join(', ')}`);
+  }
+  writeFileSync(TARGET, render(chapters, entries, synonyms));
+  console.log(`Wrote ${entries.length} ICD-10 codes to ${TARGET}`);
+}
+
+main();
@@ -1,7 +1,15 @@
+import { useMemo, ReactNode } from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
+import type { ThemeOptions } from '@mui/material/styles';
+import { arEG, enUS } from '@mui/material/locale';
 import CssBaseline from '@mui/material/CssBaseline';
+import { CacheProvider } from '@emotion/react';
+import createCache from '@emotion/cache';
+import { prefixer } from 'stylis';
+import rtlPlugin from 'stylis-plugin-rtl';
 import { AuthProvider } from './contexts/AuthContext';
+import { LocaleProvider, useLocale } from './contexts/LocaleContext';
 import { Layout, ProtectedRoute } from './components/common';
 import {
   Login,
@@ -9,10 +17,12 @@ import {
   CreatePrescription,
   PrescriptionHistory,
   PrescriptionDetail,
+  SyncQueue,
+  Analytics,
 } from './pages';
 
-// Create custom theme
-const theme = createTheme({
+// Custom theme, built per text direction by LocalizedThemeProvider
+const themeOptions: ThemeOptions = {
   palette: {
     primary: {
       main: '#0d7fa0',
@@ -142,40 +152,78 @@ const theme = createTheme({
       },
     },
   },
-});
+};
 
-function App() {
-  return (
+// Arabic styles go through a separate emotion cache that mirrors left and right
+const rtlCache = createCache({ key: 'muirtl', stylisPlugins: [prefixer, rtlPlugin] });
+
+/** MUI theme, component texts and style cache for the interface language. */
+function LocalizedThemeProvider({ children }: { children: ReactNode }) {
+  const { language, direction } = useLocale();
+  const theme = useMemo(
+    () => createTheme({ ...themeOptions, direction }, language === 'ar' ? arEG : enUS),
+    [language, direction]
+  );
+
+  const content = (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      <AuthProvider>
-        <BrowserRouter>
-          <Routes>
-            {/* Public routes */}
-            <Route path="/login" element={<Login />} />
+      {children}
+    </ThemeProvider>
+  );
+  return direction === 'rtl' ? <CacheProvider value={rtlCache}>{content}</CacheProvider> : content;
+}
+
+function App() {
+  return (
+    <AuthProvider>
+      <LocaleProvider>
+        <LocalizedThemeProvider>
+          <BrowserRouter>
+            <Routes>
+              {/* Public routes */}
+              <Route path="/login" element={<Login />} />
 
-            {/* Protected routes */}
-            <Route
-              path="/"
-              element={
-                <ProtectedRoute>
-                  <Layout />
-                </ProtectedRoute>
-              }
-            >
-              <Route index element={<Navigate to="/dashboard" replace />} />
-              <Route path="dashboard" element={<Dashboard />} />
-              <Route path="prescriptions" element={<PrescriptionHistory />} />
-              <Route path="prescriptions/new" element={<CreatePrescription />} />
-              <Route path="prescriptions/:id" element={<PrescriptionDetail />} />
-            </Route>
+              {/* Protected routes */}
+              <Route
+                path="/"
+                element={
+                  <ProtectedRoute>
+                    <Layout />
+                  </ProtectedRoute>
+                }
+              >
+                <Route index element={<Navigate to="/dashboard" replace />} />
+                <Route path="dashboard" element={<Dashboard />} />
+                <Route path="prescriptions" element={<PrescriptionHistory />} />
+                <Route
+                  path="prescriptions/new"
+                  element={
+                    <ProtectedRoute permission="prescription:create">
+                      <CreatePrescription />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route path="prescriptions/:id" element={<PrescriptionDetail />} />
+                <Route
+                  path="prescriptions/:id/edit"
+                  element={
+                    <ProtectedRoute permission="prescription:create">
+                      <CreatePrescription />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route path="sync" element={<SyncQueue />} />
+                <Route path="analytics" element={<Analytics />} />
+              </Route>
 
-            {/* Catch all - redirect to dashboard */}
-            <Route path="*" element={<Navigate to="/dashboard" replace />} />
-          </Routes>
-        </BrowserRouter>
-      </AuthProvider>
-    </ThemeProvider>
+              {/* Catch all - redirect to dashboard */}
+              <Route path="*" element={<Navigate to="/dashboard" replace />} />
+            </Routes>
+          </BrowserRouter>
+        </LocalizedThemeProvider>
+      </LocaleProvider>
+    </AuthProvider>
   );
 }
 
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+  Checkbox,
+} from '@mui/material';
+import { Translate as TranslateIcon, Check as CheckIcon } from '@mui/icons-material';
+import { useLocale } from '../../contexts/LocaleContext';
+import { LANGUAGE_OPTIONS } from '../../config/constants';
+
+interface LanguageSwitcherProps {
+  color?: 'inherit' | 'primary';
+}
+
+/**
+ * Language menu: English or Arabic (right-to-left), and in Arabic a
+ * choice of Eastern Arabic digits. Saved for the signed-in user.
+ */
+export default function LanguageSwitcher({ color = 'primary' }: LanguageSwitcherProps) {
+  const { language, numerals, setLanguage, setNumerals, t } = useLocale();
+  const [anchorEl, setAnchorEl] = useState<null | HTMLElement>(null);
+  const current = LANGUAGE_OPTIONS.find((option) => option.value === language) || LANGUAGE_OPTIONS[0];
+
+  const handleOpen = (event: React.MouseEvent<HTMLElement>) => setAnchorEl(event.currentTarget);
+  const handleClose = () => setAnchorEl(null);
+
+  return (
+    <>
+      <Button
+        color={color}
+        size="small"
+        startIcon={<TranslateIcon />}
+        onClick={handleOpen}
+        aria-label={t('language.menu')}
+        aria-haspopup="menu"
+      >
+        {current.label}
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={handleClose}
+        PaperProps={{ sx: { mt: 1, minWidth: 220 } }}
+      >
+        {LANGUAGE_OPTIONS.map((option) => (
+          <MenuItem
+            key={option.value}
+            selected={option.value === language}
+            onClick={() => {
+              setLanguage(option.value);
+              handleClose();
+            }}
+          >
+            <ListItemIcon>{option.value === language && <CheckIcon fontSize="small" />}</ListItemIcon>
+            <ListItemText primary={option.label} primaryTypographyProps={{ lang: option.value }} />
+          </MenuItem>
+        ))}
+        {language === 'ar' && <Divider />}
+        {language === 'ar' && (
+          <MenuItem onClick={() => setNumerals(numerals === 'arab' ? 'latn' : 'arab')}>
+            <ListItemIcon>
+              <Checkbox edge="start" size="small" checked={numerals === 'arab'} disableRipple sx={{ p: 0 }} />
+            </ListItemIcon>
+            <ListItemText primary={t('language.easternDigits')} primaryTypographyProps={{ variant: 'body2' }} />
+          </MenuItem>
+        )}
+      </Menu>
+    </>
+  );
+}
@@ -19,6 +19,7 @@ import {
   useMediaQuery,
   useTheme,
   Chip,
+  Badge,
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -29,15 +30,26 @@ import {
   Person as PersonIcon,
   LocalHospital as HospitalIcon,
   VerifiedUser as VerifiedIcon,
+  CloudSync as SyncIcon,
+  Insights as AnalyticsIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { useLocale } from '../../contexts/LocaleContext';
+import { hasPermission } from '../../utils/permissions';
+import type { MessageKey } from '../../i18n';
+import type { Permission } from '../../types';
+import { useOutbox, useOutboxSync } from '../../hooks';
+import SessionExpiryWarning from './SessionExpiryWarning';
+import LanguageSwitcher from './LanguageSwitcher';
 
 const drawerWidth = 260;
 
-const navItems = [
-  { text: 'Dashboard', icon: <DashboardIcon />, path: '/dashboard' },
-  { text: 'New Prescription', icon: <AddIcon />, path: '/prescriptions/new' },
-  { text: 'Prescription History', icon: <HistoryIcon />, path: '/prescriptions' },
+const navItems: { text: MessageKey; icon: JSX.Element; path: string; permission?: Permission }[] = [
+  { text: 'nav.dashboard', icon: <DashboardIcon />, path: '/dashboard' },
+  { text: 'nav.newPrescription', icon: <AddIcon />, path: '/prescriptions/new', permission: 'prescription:create' },
+  { text: 'nav.history', icon: <HistoryIcon />, path: '/prescriptions' },
+  { text: 'nav.analytics', icon: <AnalyticsIcon />, path: '/analytics' },
+  { text: 'nav.sync', icon: <SyncIcon />, path: '/sync' },
 ];
 
 export default function Layout() {
@@ -49,6 +61,11 @@ export default function Layout() {
   const navigate = useNavigate();
   const location = useLocation();
   const { user, logout } = useAuth();
+  const { t, direction } = useLocale();
+  // Popovers are positioned in script, so the menu side is flipped by hand
+  const menuSide = direction === 'rtl' ? 'left' : 'right';
+  const { operations, conflicts } = useOutbox();
+  useOutboxSync();
 
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
@@ -102,10 +119,10 @@ export default function Layout() {
         </Box>
         <Box>
           <Typography variant="h6" fontWeight={700} sx={{ lineHeight: 1.2 }}>
-            HealthFlow
+            {t('app.name')}
           </Typography>
           <Typography variant="caption" sx={{ opacity: 0.85 }}>
-            Clinic Portal
+            {t('app.clinicPortal')}
           </Typography>
         </Box>
       </Box>
@@ -116,17 +133,17 @@ export default function Layout() {
       <Box sx={{ px: 2, pt: 2, pb: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
         <Chip
           icon={<VerifiedIcon sx={{ fontSize: 16 }} />}
-          label="HCP Registry SSO"
+          label={t('app.ssoBadge')}
           size="small"
           color="primary"
           variant="outlined"
           sx={{ fontSize: '0.7rem', height: 24 }}
         />
-        {user?.role === 'doctor' && (
+        {user && (
           <Chip
-            label="Doctor"
+            label={t(`role.${user.role}`)}
             size="small"
-            color="success"
+            color={user.role === 'doctor' ? 'success' : 'info'}
             sx={{ fontSize: '0.7rem', height: 24, fontWeight: 600 }}
           />
         )}
@@ -134,7 +151,7 @@ export default function Layout() {
 
       {/* Navigation */}
       <List sx={{ flex: 1, pt: 1, px: 1 }}>
-        {navItems.map((item) => {
+        {navItems.filter((item) => !item.permission || hasPermission(user, item.permission)).map((item) => {
           const isActive = location.pathname === item.path || 
             (item.path !== '/dashboard' && location.pathname.startsWith(item.path));
           
@@ -158,10 +175,19 @@ export default function Layout() {
                     color: isActive ? 'primary.600' : 'grey.600',
                   }}
                 >
-                  {item.icon}
+                  {item.path === '/sync' ? (
+                    <Badge
+                      badgeContent={operations.length}
+                      color={conflicts.length > 0 ? 'error' : 'warning'}
+                    >
+                      {item.icon}
+                    </Badge>
+                  ) : (
+                    item.icon
+                  )}
                 </ListItemIcon>
                 <ListItemText 
-                  primary={item.text}
+                  primary={t(item.text)}
                   primaryTypographyProps={{
                     fontWeight: isActive ? 600 : 500,
                     fontSize: '0.925rem',
@@ -204,7 +230,7 @@ export default function Layout() {
               noWrap
               sx={{ lineHeight: 1.3 }}
             >
-              {user?.name || 'Healthcare Professional'}
+              {user?.name || t('layout.healthcareProfessional')}
             </Typography>
             <Typography
               variant="caption"
@@ -212,7 +238,7 @@ export default function Layout() {
               noWrap
               sx={{ display: 'block' }}
             >
-              {user?.role === 'doctor' ? (user?.specialty || 'Doctor') : (user?.role || 'Staff')}
+              {user?.role === 'doctor' ? (user?.specialty || t('role.doctor')) : t(`role.${user?.role || 'clinic_staff'}`)}
             </Typography>
             {user?.clinicName && (
               <Typography
@@ -231,7 +257,7 @@ export default function Layout() {
                 noWrap
                 sx={{ display: 'block', fontSize: '0.65rem' }}
               >
-                License: {user.license}
+                {t('layout.license', { license: user.license })}
               </Typography>
             )}
           </Box>
@@ -257,7 +283,7 @@ export default function Layout() {
         <Toolbar>
           <IconButton
             color="inherit"
-            aria-label="open drawer"
+            aria-label={t('nav.openDrawer')}
             edge="start"
             onClick={handleDrawerToggle}
             sx={{ mr: 2, display: { md: 'none' }, color: 'grey.700' }}
@@ -267,7 +293,7 @@ export default function Layout() {
 
           {/* NDP Platform Badge */}
           <Chip
-            label="NDP Platform"
+            label={t('app.ndpPlatform')}
             size="small"
             sx={{
               bgcolor: 'rgba(13, 127, 160, 0.1)',
@@ -280,6 +306,10 @@ export default function Layout() {
 
           <Box sx={{ flexGrow: 1 }} />
 
+          <Box sx={{ mr: 1.5 }}>
+            <LanguageSwitcher />
+          </Box>
+
           <IconButton
             onClick={handleMenuOpen}
             sx={{
@@ -305,8 +335,8 @@ export default function Layout() {
             anchorEl={anchorEl}
             open={Boolean(anchorEl)}
             onClose={handleMenuClose}
-            transformOrigin={{ horizontal: 'right', vertical: 'top' }}
-            anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
+            transformOrigin={{ horizontal: menuSide, vertical: 'top' }}
+            anchorOrigin={{ horizontal: menuSide, vertical: 'bottom' }}
             PaperProps={{
               sx: {
                 mt: 1,
@@ -317,14 +347,14 @@ export default function Layout() {
           >
             <Box sx={{ px: 2, py: 1.5 }}>
               <Typography variant="body2" fontWeight={600}>
-                {user?.name || 'Healthcare Professional'}
+                {user?.name || t('layout.healthcareProfessional')}
               </Typography>
               <Typography variant="caption" color="text.secondary">
                 {user?.email}
               </Typography>
               {user?.license && (
                 <Typography variant="caption" color="primary.main" sx={{ display: 'block' }}>
-                  License: {user.license}
+                  {t('layout.license', { license: user.license })}
                 </Typography>
               )}
             </Box>
@@ -333,14 +363,14 @@ export default function Layout() {
               <ListItemIcon>
                 <PersonIcon fontSize="small" />
               </ListItemIcon>
-              Profile
+              {t('layout.profile')}
             </MenuItem>
             <Divider />
             <MenuItem onClick={handleLogout} sx={{ color: 'error.main' }}>
               <ListItemIcon>
                 <LogoutIcon fontSize="small" sx={{ color: 'error.main' }} />
               </ListItemIcon>
-              Sign Out (SSO)
+              {t('layout.signOut')}
             </MenuItem>
           </Menu>
         </Toolbar>
@@ -401,6 +431,8 @@ export default function Layout() {
           <Outlet />
         </Box>
       </Box>
+
+      <SessionExpiryWarning />
     </Box>
   );
 }
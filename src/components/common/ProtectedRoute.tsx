@@ -1,20 +1,28 @@
 import React from 'react';
-import { Navigate, useLocation } from 'react-router-dom';
-import { Box, CircularProgress, Typography } from '@mui/material';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Box, CircularProgress, Typography, Alert, Button } from '@mui/material';
+import { Lock as LockIcon } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { useLocale } from '../../contexts/LocaleContext';
+import { hasPermission, getPermissionDeniedMessage } from '../../utils/permissions';
+import type { Permission } from '../../types';
 
 interface ProtectedRouteProps {
   children: React.ReactNode;
+  permission?: Permission;
 }
 
 /**
  * Protected route wrapper that checks Keycloak SSO authentication.
  * If not authenticated, redirects to the login page.
  * Shows a loading spinner while Keycloak is initializing.
+ * With `permission`, users whose role lacks it see an access-denied notice instead.
  */
-export default function ProtectedRoute({ children }: ProtectedRouteProps) {
-  const { isAuthenticated, loading } = useAuth();
+export default function ProtectedRoute({ children, permission }: ProtectedRouteProps) {
+  const { isAuthenticated, loading, user } = useAuth();
   const location = useLocation();
+  const navigate = useNavigate();
+  const { t } = useLocale();
 
   if (loading) {
     return (
@@ -31,7 +39,7 @@ export default function ProtectedRoute({ children }: ProtectedRouteProps) {
       >
         <CircularProgress size={48} sx={{ color: 'primary.500' }} />
         <Typography variant="body2" color="text.secondary">
-          Authenticating with HealthFlow Registry...
+          {t('auth.authenticating')}
         </Typography>
       </Box>
     );
@@ -42,5 +50,22 @@ export default function ProtectedRoute({ children }: ProtectedRouteProps) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (permission && !hasPermission(user, permission)) {
+    return (
+      <Box sx={{ maxWidth: 560, mx: 'auto', mt: 8, textAlign: 'center' }}>
+        <LockIcon sx={{ fontSize: 48, color: 'grey.400', mb: 2 }} />
+        <Typography variant="h5" fontWeight={700} sx={{ mb: 2 }}>
+          {t('access.denied')}
+        </Typography>
+        <Alert severity="warning" sx={{ borderRadius: 2, textAlign: 'left' }}>
+          {getPermissionDeniedMessage(user, permission)}
+        </Alert>
+        <Button variant="outlined" onClick={() => navigate('/dashboard')} sx={{ mt: 3, borderRadius: 2 }}>
+          {t('access.backToDashboard')}
+        </Button>
+      </Box>
+    );
+  }
+
   return <>{children}</>;
 }
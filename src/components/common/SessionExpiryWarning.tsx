@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import {
+  Snackbar,
+  Alert,
+  AlertTitle,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { Timer as TimerIcon } from '@mui/icons-material';
+import keycloak from '../../config/keycloak';
+import { sessionService } from '../../services/session';
+import { useSessionCountdown } from '../../hooks';
+import { useLocale } from '../../contexts/LocaleContext';
+import { formatNumber } from '../../i18n';
+
+function formatCountdown(seconds: number): string {
+  const s = Math.max(seconds, 0);
+  return `${formatNumber(Math.floor(s / 60))}:${formatNumber(s % 60, { minimumIntegerDigits: 2 })}`;
+}
+
+/**
+ * Countdown shown as the SSO session nears its end: a dismissible notice
+ * in the warning window, then a blocking dialog in the critical window.
+ * Extending in any tab refreshes the session for all open tabs.
+ */
+export default function SessionExpiryWarning() {
+  const { secondsRemaining, phase } = useSessionCountdown();
+  const [extending, setExtending] = useState(false);
+  const [dismissedWarning, setDismissedWarning] = useState(false);
+  const [error, setError] = useState('');
+  const { t } = useLocale();
+
+  const handleExtend = async () => {
+    setExtending(true);
+    setError('');
+    try {
+      await sessionService.extend();
+      setDismissedWarning(false);
+    } catch {
+      setError(t('session.extendError'));
+    } finally {
+      setExtending(false);
+    }
+  };
+
+  const extendButton = (
+    <Button
+      color="inherit"
+      size="small"
+      onClick={handleExtend}
+      disabled={extending}
+      startIcon={extending ? <CircularProgress size={14} color="inherit" /> : undefined}
+    >
+      {t('session.extend')}
+    </Button>
+  );
+
+  if (secondsRemaining === null) return null;
+
+  return (
+    <>
+      <Snackbar
+        open={phase === 'warning' && !dismissedWarning}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert
+          severity="warning"
+          icon={<TimerIcon />}
+          onClose={() => setDismissedWarning(true)}
+          action={extendButton}
+          sx={{ borderRadius: 2, boxShadow: 3, alignItems: 'center' }}
+        >
+          {t('session.expiresIn')} <strong>{formatCountdown(secondsRemaining)}</strong>
+        </Alert>
+      </Snackbar>
+
+      <Dialog open={phase === 'critical' || phase === 'expired'} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TimerIcon color="error" />
+          {phase === 'expired' ? t('session.expired') : t('session.expiring')}
+        </DialogTitle>
+        <DialogContent>
+          {phase === 'expired' ? (
+            <Typography variant="body2" color="text.secondary">
+              {t('session.expiredBody')}
+            </Typography>
+          ) : (
+            <>
+              <Typography variant="h3" fontWeight={700} color="error.main" sx={{ textAlign: 'center', my: 2 }}>
+                {formatCountdown(secondsRemaining)}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {t('session.countdownBody')}
+              </Typography>
+            </>
+          )}
+          {error && (
+            <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>
+              <AlertTitle>{t('session.extendFailed')}</AlertTitle>
+              {error}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          {phase === 'expired' ? (
+            <Button variant="contained" onClick={() => keycloak.login()}>
+              {t('session.logInAgain')}
+            </Button>
+          ) : (
+            <Button variant="contained" color="error" onClick={handleExtend} disabled={extending}>
+              {extending ? t('session.extending') : t('session.extend')}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
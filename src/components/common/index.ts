@@ -1,2 +1,4 @@
 export { default as Layout } from './Layout';
 export { default as ProtectedRoute } from './ProtectedRoute';
+export { default as SessionExpiryWarning } from './SessionExpiryWarning';
+export { default as LanguageSwitcher } from './LanguageSwitcher';
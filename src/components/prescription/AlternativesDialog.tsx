@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+  Box,
+  Chip,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { SwapHoriz as SwapIcon } from '@mui/icons-material';
+import { apiService } from '../../services/api';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { Medicine } from '../../types';
+
+interface AlternativesDialogProps {
+  open: boolean;
+  medicine: Medicine | null;
+  onClose: () => void;
+  onSelect: (alternative: Medicine) => void;
+}
+
+/**
+ * Lists therapeutic alternatives for a medicine from the NDP Medication
+ * Directory so an out-of-stock or recalled line can be swapped in place.
+ */
+export default function AlternativesDialog({
+  open,
+  medicine,
+  onClose,
+  onSelect,
+}: AlternativesDialogProps) {
+  const { t } = useLocale();
+  const [alternatives, setAlternatives] = useState<Medicine[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open || !medicine) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    setAlternatives([]);
+
+    apiService
+      .getMedicationAlternatives(
+        medicine.edaCode || medicine.drugId || medicine.id,
+        medicine.genericName || medicine.activeIngredient
+      )
+      .then((response) => {
+        if (cancelled) return;
+        const data = Array.isArray(response.data) ? response.data : [];
+        setAlternatives(data.filter((alt) => alt.id !== medicine.id));
+      })
+      .catch((err) => {
+        console.error('Failed to load alternatives:', err);
+        if (!cancelled) setError(t('alternatives.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, medicine, t]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        {t('alternatives.title')}
+        {medicine && (
+          <Typography variant="body2" color="text.secondary">
+            {t('alternatives.replacing', {
+              medicine: medicine.genericName
+                ? `${medicine.commercialName} (${medicine.genericName})`
+                : medicine.commercialName,
+            })}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={32} />
+          </Box>
+        ) : error ? (
+          <Alert severity="error">{error}</Alert>
+        ) : alternatives.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            {t('alternatives.noneFound')}
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {alternatives.map((alt) => (
+              <ListItemButton
+                key={alt.id}
+                onClick={() => onSelect(alt)}
+                sx={{ borderRadius: 2, mb: 0.5 }}
+              >
+                <ListItemIcon sx={{ minWidth: 40 }}>
+                  <SwapIcon sx={{ color: 'primary.main' }} />
+                </ListItemIcon>
+                <ListItemText
+                  primary={alt.genericName || alt.commercialName}
+                  secondary={alt.genericName ? alt.commercialName : alt.manufacturer}
+                  primaryTypographyProps={{ fontWeight: 500 }}
+                />
+                <Box sx={{ display: 'flex', gap: 0.5, ml: 1 }}>
+                  {alt.strength && <Chip label={alt.strength} size="small" />}
+                  {alt.form && <Chip label={alt.form} size="small" variant="outlined" />}
+                </Box>
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
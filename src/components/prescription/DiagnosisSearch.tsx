@@ -6,97 +6,24 @@ import {
   Box,
   Typography,
   Chip,
+  IconButton,
+  Tooltip,
 } from '@mui/material';
-import { LocalHospital as DiagnosisIcon } from '@mui/icons-material';
+import {
+  LocalHospital as DiagnosisIcon,
+  Star as FavouriteIcon,
+  StarBorder as NotFavouriteIcon,
+  AccountTree as SubcodesIcon,
+} from '@mui/icons-material';
 import { MIN_SEARCH_LENGTH, SEARCH_DEBOUNCE_MS } from '../../config/constants';
+import { apiService } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useLocale } from '../../contexts/LocaleContext';
+import { useDebounce, useDiagnosisPreferences } from '../../hooks';
 import type { ICD10Code } from '../../types';
 
-// Common ICD-10 codes for Egyptian healthcare context
-// This is a subset - in production, use a full ICD-10 API
-const COMMON_ICD10_CODES: ICD10Code[] = [
-  // Endocrine, nutritional and metabolic diseases (E00-E89)
-  { code: 'E10', description: 'Type 1 diabetes mellitus', category: 'Diabetes mellitus' },
-  { code: 'E10.9', description: 'Type 1 diabetes mellitus without complications', category: 'Diabetes mellitus' },
-  { code: 'E11', description: 'Type 2 diabetes mellitus', category: 'Diabetes mellitus' },
-  { code: 'E11.9', description: 'Type 2 diabetes mellitus without complications', category: 'Diabetes mellitus' },
-  { code: 'E11.65', description: 'Type 2 diabetes mellitus with hyperglycemia', category: 'Diabetes mellitus' },
-  { code: 'E78.0', description: 'Pure hypercholesterolemia', category: 'Metabolic disorders' },
-  { code: 'E78.5', description: 'Hyperlipidemia, unspecified', category: 'Metabolic disorders' },
-  { code: 'E66.9', description: 'Obesity, unspecified', category: 'Metabolic disorders' },
-  
-  // Diseases of the circulatory system (I00-I99)
-  { code: 'I10', description: 'Essential (primary) hypertension', category: 'Hypertensive diseases' },
-  { code: 'I11.9', description: 'Hypertensive heart disease without heart failure', category: 'Hypertensive diseases' },
-  { code: 'I20.9', description: 'Angina pectoris, unspecified', category: 'Ischemic heart diseases' },
-  { code: 'I21.9', description: 'Acute myocardial infarction, unspecified', category: 'Ischemic heart diseases' },
-  { code: 'I25.10', description: 'Atherosclerotic heart disease', category: 'Ischemic heart diseases' },
-  { code: 'I48.91', description: 'Atrial fibrillation, unspecified', category: 'Cardiac arrhythmias' },
-  { code: 'I50.9', description: 'Heart failure, unspecified', category: 'Heart failure' },
-  { code: 'I63.9', description: 'Cerebral infarction, unspecified', category: 'Cerebrovascular diseases' },
-  
-  // Diseases of the respiratory system (J00-J99)
-  { code: 'J00', description: 'Acute nasopharyngitis (common cold)', category: 'Acute upper respiratory infections' },
-  { code: 'J02.9', description: 'Acute pharyngitis, unspecified', category: 'Acute upper respiratory infections' },
-  { code: 'J03.90', description: 'Acute tonsillitis, unspecified', category: 'Acute upper respiratory infections' },
-  { code: 'J06.9', description: 'Acute upper respiratory infection, unspecified', category: 'Acute upper respiratory infections' },
-  { code: 'J18.9', description: 'Pneumonia, unspecified organism', category: 'Pneumonia' },
-  { code: 'J20.9', description: 'Acute bronchitis, unspecified', category: 'Lower respiratory infections' },
-  { code: 'J30.9', description: 'Allergic rhinitis, unspecified', category: 'Allergic conditions' },
-  { code: 'J44.9', description: 'Chronic obstructive pulmonary disease, unspecified', category: 'COPD' },
-  { code: 'J45.909', description: 'Unspecified asthma, uncomplicated', category: 'Asthma' },
-  
-  // Diseases of the digestive system (K00-K95)
-  { code: 'K21.0', description: 'Gastro-esophageal reflux disease with esophagitis', category: 'Esophageal diseases' },
-  { code: 'K25.9', description: 'Gastric ulcer, unspecified', category: 'Peptic ulcer' },
-  { code: 'K29.70', description: 'Gastritis, unspecified, without bleeding', category: 'Gastritis' },
-  { code: 'K30', description: 'Functional dyspepsia', category: 'Gastric disorders' },
-  { code: 'K59.00', description: 'Constipation, unspecified', category: 'Intestinal disorders' },
-  { code: 'K76.0', description: 'Fatty (change of) liver, not elsewhere classified', category: 'Liver diseases' },
-  
-  // Diseases of the musculoskeletal system (M00-M99)
-  { code: 'M54.5', description: 'Low back pain', category: 'Dorsopathies' },
-  { code: 'M54.2', description: 'Cervicalgia', category: 'Dorsopathies' },
-  { code: 'M79.3', description: 'Panniculitis, unspecified', category: 'Soft tissue disorders' },
-  { code: 'M25.50', description: 'Pain in unspecified joint', category: 'Joint disorders' },
-  { code: 'M17.9', description: 'Osteoarthritis of knee, unspecified', category: 'Osteoarthritis' },
-  { code: 'M81.0', description: 'Age-related osteoporosis without current pathological fracture', category: 'Osteoporosis' },
-  
-  // Mental and behavioral disorders (F00-F99)
-  { code: 'F32.9', description: 'Major depressive disorder, single episode, unspecified', category: 'Mood disorders' },
-  { code: 'F41.1', description: 'Generalized anxiety disorder', category: 'Anxiety disorders' },
-  { code: 'F41.9', description: 'Anxiety disorder, unspecified', category: 'Anxiety disorders' },
-  { code: 'F51.01', description: 'Primary insomnia', category: 'Sleep disorders' },
-  
-  // Diseases of the genitourinary system (N00-N99)
-  { code: 'N39.0', description: 'Urinary tract infection, site not specified', category: 'Urinary tract disorders' },
-  { code: 'N40.0', description: 'Benign prostatic hyperplasia without lower urinary tract symptoms', category: 'Prostate disorders' },
-  { code: 'N18.9', description: 'Chronic kidney disease, unspecified', category: 'Kidney diseases' },
-  
-  // Diseases of the skin (L00-L99)
-  { code: 'L30.9', description: 'Dermatitis, unspecified', category: 'Dermatitis' },
-  { code: 'L50.9', description: 'Urticaria, unspecified', category: 'Urticaria' },
-  { code: 'L70.0', description: 'Acne vulgaris', category: 'Acne' },
-  
-  // Infectious diseases (A00-B99)
-  { code: 'A09', description: 'Infectious gastroenteritis and colitis, unspecified', category: 'Intestinal infections' },
-  { code: 'B34.9', description: 'Viral infection, unspecified', category: 'Viral infections' },
-  
-  // Symptoms and signs (R00-R99)
-  { code: 'R05', description: 'Cough', category: 'Symptoms' },
-  { code: 'R50.9', description: 'Fever, unspecified', category: 'Symptoms' },
-  { code: 'R51', description: 'Headache', category: 'Symptoms' },
-  { code: 'R10.9', description: 'Unspecified abdominal pain', category: 'Symptoms' },
-  { code: 'R53.83', description: 'Other fatigue', category: 'Symptoms' },
-  { code: 'R42', description: 'Dizziness and giddiness', category: 'Symptoms' },
-  
-  // Pregnancy related (O00-O99)
-  { code: 'O80', description: 'Encounter for full-term uncomplicated delivery', category: 'Pregnancy' },
-  { code: 'Z34.00', description: 'Encounter for supervision of normal first pregnancy, unspecified trimester', category: 'Pregnancy supervision' },
-  
-  // Injuries (S00-T88)
-  { code: 'S00.93XA', description: 'Unspecified superficial injury of head, initial encounter', category: 'Injuries' },
-  { code: 'S61.419A', description: 'Unspecified open wound of right hand, initial encounter', category: 'Injuries' },
-];
+// Browsing groups shown before the doctor types a query
+type DiagnosisOption = ICD10Code & { group?: string };
 
 interface DiagnosisSearchProps {
   onSelect: (diagnosis: ICD10Code) => void;
@@ -108,101 +35,108 @@ interface DiagnosisSearchProps {
   required?: boolean;
 }
 
+/**
+ * ICD-10 diagnosis search over the offline WHO index (or the NDP
+ * terminology service). The doctor's favourite and recently used
+ * codes are listed before typing and ranked first in results.
+ */
 export default function DiagnosisSearch({
   onSelect,
   value = '',
-  label = 'Diagnosis (ICD-10)',
+  label,
   disabled = false,
   error = false,
   helperText,
   required = false,
 }: DiagnosisSearchProps) {
+  const { user } = useAuth();
+  const { t } = useLocale();
+  const { favourites, recent, toggleFavourite, recordUse } = useDiagnosisPreferences(user?.id);
   const [open, setOpen] = useState(false);
-  const [options, setOptions] = useState<ICD10Code[]>([]);
+  const [results, setResults] = useState<ICD10Code[]>([]);
   const [loading, setLoading] = useState(false);
   const [inputValue, setInputValue] = useState(value);
-  const [searchTerm, setSearchTerm] = useState('');
-
-  // Memoize the ICD-10 codes for filtering
-  const icd10Database = useMemo(() => COMMON_ICD10_CODES, []);
-
-  // Debounce search term
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setSearchTerm(inputValue);
-    }, SEARCH_DEBOUNCE_MS);
-
-    return () => clearTimeout(timer);
-  }, [inputValue]);
+  const searchTerm = useDebounce(inputValue, SEARCH_DEBOUNCE_MS);
+  const browsing = inputValue.trim().length < MIN_SEARCH_LENGTH;
 
-  // Filter ICD-10 codes based on search term
+  // Search the index for the debounced term
   useEffect(() => {
-    if (searchTerm.length < MIN_SEARCH_LENGTH) {
-      setOptions([]);
+    if (searchTerm.trim().length < MIN_SEARCH_LENGTH) {
+      setResults([]);
       return;
     }
 
+    let cancelled = false;
     setLoading(true);
-
-    // Simulate async search (can be replaced with actual API call)
-    const timer = setTimeout(() => {
-      const searchLower = searchTerm.toLowerCase();
-      
-      const filtered = icd10Database.filter(
-        (icd) =>
-          icd.code.toLowerCase().includes(searchLower) ||
-          icd.description.toLowerCase().includes(searchLower) ||
-          (icd.category && icd.category.toLowerCase().includes(searchLower))
-      );
-
-      // Sort by relevance: exact code match first, then by description match
-      filtered.sort((a, b) => {
-        const aCodeMatch = a.code.toLowerCase().startsWith(searchLower);
-        const bCodeMatch = b.code.toLowerCase().startsWith(searchLower);
-        if (aCodeMatch && !bCodeMatch) return -1;
-        if (!aCodeMatch && bCodeMatch) return 1;
-        return a.description.localeCompare(b.description);
+    apiService
+      .searchDiagnoses(searchTerm, 20)
+      .then((response) => {
+        if (!cancelled) setResults(response.data || []);
+      })
+      .catch((err) => {
+        console.error('ICD-10 search error:', err);
+        if (!cancelled) setResults([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
       });
 
-      setOptions(filtered.slice(0, 20)); // Limit to 20 results
-      setLoading(false);
-    }, 100);
+    return () => {
+      cancelled = true;
+    };
+  }, [searchTerm]);
+
+  const favouriteCodes = useMemo(() => new Set(favourites.map((f) => f.code)), [favourites]);
 
-    return () => clearTimeout(timer);
-  }, [searchTerm, icd10Database]);
+  const options = useMemo<DiagnosisOption[]>(() => {
+    const recentCodes = new Set(recent.map((r) => r.code));
+    if (browsing) {
+      return [
+        ...favourites.map((f) => ({ ...f, group: t('diagnosis.favourites') })),
+        ...recent
+          .filter((r) => !favouriteCodes.has(r.code))
+          .map((r) => ({ ...r, group: t('diagnosis.recentlyUsed') })),
+      ];
+    }
+    // Favourites, then recently used codes, keep their relevance order within each tier
+    const tier = (code: string) => (favouriteCodes.has(code) ? 0 : recentCodes.has(code) ? 1 : 2);
+    return [...results].sort((a, b) => tier(a.code) - tier(b.code));
+  }, [browsing, results, favourites, recent, favouriteCodes, t]);
 
   const handleInputChange = useCallback((_event: React.SyntheticEvent, newValue: string) => {
     setInputValue(newValue);
   }, []);
 
-  const handleChange = useCallback((_event: React.SyntheticEvent, newValue: ICD10Code | string | null) => {
+  const handleChange = useCallback((_event: React.SyntheticEvent, newValue: DiagnosisOption | string | null) => {
     if (newValue && typeof newValue !== 'string') {
-      onSelect(newValue);
+      const { group, ...icd10 } = newValue;
+      onSelect(icd10);
+      recordUse(icd10);
       // Keep the selected value displayed
-      setInputValue(`${newValue.code} - ${newValue.description}`);
+      setInputValue(`${icd10.code} - ${icd10.description}`);
     }
-  }, [onSelect]);
+  }, [onSelect, recordUse]);
 
-  const getOptionLabel = useCallback((option: ICD10Code | string): string => {
+  const getOptionLabel = useCallback((option: DiagnosisOption | string): string => {
     if (typeof option === 'string') {
       return option;
     }
     return `${option.code} - ${option.description}`;
   }, []);
 
-  const isOptionEqualToValue = useCallback((option: ICD10Code, val: ICD10Code): boolean => {
+  const isOptionEqualToValue = useCallback((option: DiagnosisOption, val: DiagnosisOption): boolean => {
     if (!option || !val) return false;
     return option.code === val.code;
   }, []);
 
   const getNoOptionsText = () => {
     if (loading) {
-      return 'Searching...';
+      return t('search.searching');
     }
-    if (inputValue.length < MIN_SEARCH_LENGTH) {
-      return 'Type at least 2 characters to search ICD-10 codes...';
+    if (browsing) {
+      return t('diagnosis.browseHint');
     }
-    return 'No matching diagnosis found';
+    return t('diagnosis.noMatches');
   };
 
   return (
@@ -216,6 +150,7 @@ export default function DiagnosisSearch({
       inputValue={inputValue}
       onInputChange={handleInputChange}
       options={options}
+      groupBy={browsing ? (option) => option.group || '' : undefined}
       loading={loading}
       disabled={disabled}
       getOptionLabel={getOptionLabel}
@@ -224,9 +159,11 @@ export default function DiagnosisSearch({
       clearOnBlur={false}
       selectOnFocus
       noOptionsText={getNoOptionsText()}
-      loadingText="Searching ICD-10 codes..."
+      loadingText={t('diagnosis.searchingCodes')}
       renderOption={(props, option) => {
         const { key, ...otherProps } = props as { key: string } & React.HTMLAttributes<HTMLLIElement>;
+        const isFavourite = favouriteCodes.has(option.code);
+        const hierarchy = [option.chapter, option.category].filter(Boolean).join(' › ');
         return (
           <Box
             component="li"
@@ -271,15 +208,52 @@ export default function DiagnosisSearch({
                     color: 'warning.800',
                   }}
                 />
-                {option.category && (
-                  <Typography variant="caption" color="text.secondary">
-                    {option.category}
+                {hierarchy && (
+                  <Typography variant="caption" color="text.secondary" noWrap>
+                    {hierarchy}
                   </Typography>
                 )}
               </Box>
               <Typography variant="body2" fontWeight={500}>
                 {option.description}
               </Typography>
+              {option.synonymsAr && option.synonymsAr.length > 0 && (
+                <Typography variant="caption" color="text.secondary" dir="rtl" sx={{ display: 'block' }}>
+                  {option.synonymsAr.join('، ')}
+                </Typography>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', flexShrink: 0 }}>
+              {!option.parent && !browsing && (
+                <Tooltip title={t('diagnosis.showSubcodes')}>
+                  <IconButton
+                    size="small"
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setInputValue(`${option.code}.`);
+                    }}
+                  >
+                    <SubcodesIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              <Tooltip title={isFavourite ? t('diagnosis.removeFavourite') : t('diagnosis.addFavourite')}>
+                <IconButton
+                  size="small"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleFavourite(option);
+                  }}
+                >
+                  {isFavourite ? (
+                    <FavouriteIcon fontSize="small" sx={{ color: 'warning.main' }} />
+                  ) : (
+                    <NotFavouriteIcon fontSize="small" />
+                  )}
+                </IconButton>
+              </Tooltip>
             </Box>
           </Box>
         );
@@ -287,10 +261,10 @@ export default function DiagnosisSearch({
       renderInput={(params) => (
         <TextField
           {...params}
-          label={label}
-          placeholder="Search by ICD-10 code or diagnosis name..."
+          label={label ?? t('diagnosis.label')}
+          placeholder={t('diagnosis.placeholder')}
           error={error}
-          helperText={helperText || 'Search ICD-10 codes (e.g., E11, diabetes, hypertension)'}
+          helperText={helperText || t('diagnosis.helper')}
           required={required}
           InputProps={{
             ...params.InputProps,
@@ -0,0 +1,231 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  Checkbox,
+  Alert,
+  LinearProgress,
+} from '@mui/material';
+import { FileDownload as ExportIcon, Print as PrintIcon } from '@mui/icons-material';
+import PrescriptionReport from './PrescriptionReport';
+import { apiService } from '../../services/api';
+import { useLocale } from '../../contexts/LocaleContext';
+import { EXPORT_FORMAT_OPTIONS } from '../../config/constants';
+import {
+  buildPrescriptionsCsv,
+  buildPrescriptionsXlsx,
+  describeExportFilters,
+  downloadBlob,
+  getExportFileName,
+} from '../../utils/export';
+import type { ExportFormat, Prescription, PrescriptionSearchParams } from '../../types';
+
+interface ExportPrescriptionsDialogProps {
+  open: boolean;
+  /** The history page's current filters and sort order, without paging. */
+  params: Omit<PrescriptionSearchParams, 'limit' | 'offset'>;
+  /** Number of matching prescriptions, if known. */
+  total?: number;
+  clinicName?: string;
+  generatedBy?: string;
+  onClose: () => void;
+}
+
+/**
+ * Export every prescription matching the current filters, not just the
+ * page on screen, as CSV, an Excel workbook or a printable PDF report.
+ */
+export default function ExportPrescriptionsDialog({
+  open,
+  params,
+  total,
+  clinicName,
+  generatedBy,
+  onClose,
+}: ExportPrescriptionsDialogProps) {
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('csv');
+  const [maskNationalIds, setMaskNationalIds] = useState(true);
+  const [progress, setProgress] = useState<{ loaded: number; total: number } | null>(null);
+  const [report, setReport] = useState<Prescription[] | null>(null);
+  const [error, setError] = useState('');
+  const { t } = useLocale();
+  // Set when the dialog closes, so a running export stops fetching pages
+  const abortedRef = useRef(false);
+
+  useEffect(() => {
+    if (!open) return;
+    abortedRef.current = false;
+    setProgress(null);
+    setReport(null);
+    setError('');
+    return () => {
+      abortedRef.current = true;
+    };
+  }, [open]);
+
+  // Print stylesheet rules in index.css key off this class
+  useEffect(() => {
+    if (!report) return;
+    document.body.classList.add('printing-report');
+    return () => document.body.classList.remove('printing-report');
+  }, [report]);
+
+  const filters = describeExportFilters(params);
+
+  const handleExport = async () => {
+    setError('');
+    setProgress({ loaded: 0, total: total ?? 0 });
+    try {
+      const prescriptions: Prescription[] = [];
+      for await (const page of apiService.listAllPrescriptions(params)) {
+        if (abortedRef.current) return;
+        prescriptions.push(...(page.data || []));
+        setProgress({ loaded: prescriptions.length, total: page.total ?? prescriptions.length });
+      }
+      if (abortedRef.current) return;
+
+      const options = { maskNationalIds };
+      if (exportFormat === 'pdf') {
+        setReport(prescriptions);
+      } else {
+        const blob =
+          exportFormat === 'csv'
+            ? buildPrescriptionsCsv(prescriptions, options)
+            : buildPrescriptionsXlsx(prescriptions, options);
+        downloadBlob(blob, getExportFileName(exportFormat, params));
+        onClose();
+      }
+    } catch (err) {
+      console.error('Prescription export failed:', err);
+      setError(err instanceof Error ? t('export.failedWithReason', { reason: err.message }) : t('export.failed'));
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const exporting = progress !== null;
+
+  if (report) {
+    return (
+      <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth className="report-preview-dialog">
+        <DialogTitle className="no-print">{t('export.reportTitle')}</DialogTitle>
+        <DialogContent sx={{ bgcolor: 'grey.100' }}>
+          <Box sx={{ display: 'flex', justifyContent: 'center', boxShadow: 1 }}>
+            <PrescriptionReport
+              prescriptions={report}
+              filters={filters}
+              maskNationalIds={maskNationalIds}
+              clinicName={clinicName}
+              generatedBy={generatedBy}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions className="no-print" sx={{ p: 2 }}>
+          <Button onClick={() => setReport(null)}>{t('common.back')}</Button>
+          <Button onClick={onClose}>{t('common.close')}</Button>
+          <Button variant="contained" startIcon={<PrintIcon />} onClick={() => window.print()}>
+            {t('export.printOrSave')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <ExportIcon color="primary" />
+        {t('export.title')}
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ p: 2, mb: 2, borderRadius: 2, bgcolor: 'grey.50', border: '1px solid', borderColor: 'grey.200' }}>
+          <Typography variant="body2" fontWeight={600}>
+            {total !== undefined ? t('common.prescriptions', { count: total }) : t('export.matching')}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {filters}
+          </Typography>
+        </Box>
+
+        <Typography variant="subtitle2" fontWeight={600} gutterBottom>
+          {t('export.format')}
+        </Typography>
+        <RadioGroup value={exportFormat} onChange={(e) => setExportFormat(e.target.value as ExportFormat)}>
+          {EXPORT_FORMAT_OPTIONS.map((option) => (
+            <FormControlLabel
+              key={option.value}
+              value={option.value}
+              disabled={exporting}
+              control={<Radio size="small" />}
+              label={
+                <Box>
+                  <Typography variant="body2" fontWeight={500}>
+                    {t(option.label)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {t(option.description)}
+                  </Typography>
+                </Box>
+              }
+              sx={{ mb: 1, alignItems: 'flex-start', '& .MuiRadio-root': { pt: 0.5 } }}
+            />
+          ))}
+        </RadioGroup>
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              size="small"
+              checked={maskNationalIds}
+              onChange={(e) => setMaskNationalIds(e.target.checked)}
+              disabled={exporting}
+            />
+          }
+          label={
+            <Typography variant="body2">{t('export.maskNationalIds')}</Typography>
+          }
+          sx={{ mt: 1 }}
+        />
+
+        {progress && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant={progress.total ? 'determinate' : 'indeterminate'}
+              value={progress.total ? Math.min(100, (progress.loaded / progress.total) * 100) : undefined}
+              sx={{ borderRadius: 1 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {progress.total
+                ? t('export.loadedOf', { loaded: progress.loaded, total: progress.total })
+                : t('export.loaded', { loaded: progress.loaded })}
+            </Typography>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button
+          variant="contained"
+          startIcon={<ExportIcon />}
+          onClick={handleExport}
+          disabled={exporting || total === 0}
+        >
+          {exportFormat === 'pdf' ? t('export.buildReport') : t('common.export')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,164 @@
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  Alert,
+  Skeleton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { HealthAndSafety as CoverageIcon } from '@mui/icons-material';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { MessageKey } from '../../i18n';
+import type { InsuranceCoverage } from '../../types';
+
+export interface CoverageLine {
+  name: string;
+  quantity: number;
+  unitPrice?: number;
+}
+
+interface InsuranceCoverageCardProps {
+  coverage: InsuranceCoverage | null;
+  loading?: boolean;
+  lines?: CoverageLine[];
+}
+
+const STATUS_COLORS: Record<InsuranceCoverage['status'], 'success' | 'error' | 'default'> = {
+  active: 'success',
+  suspended: 'error',
+  inactive: 'default',
+};
+
+const STATUS_LABELS: Record<InsuranceCoverage['status'], MessageKey> = {
+  active: 'insurance.active',
+  suspended: 'insurance.suspended',
+  inactive: 'insurance.inactive',
+};
+
+/**
+ * UHI coverage summary with an estimated patient copay per medication line.
+ * Patients without active coverage are estimated at full price.
+ */
+export default function InsuranceCoverageCard({
+  coverage,
+  loading = false,
+  lines = [],
+}: InsuranceCoverageCardProps) {
+  const { t, formatNumber } = useLocale();
+  const formatEGP = (amount: number) => formatNumber(amount, { style: 'currency', currency: 'EGP' });
+
+  if (loading) {
+    return <Skeleton variant="rectangular" height={96} sx={{ borderRadius: 2 }} />;
+  }
+
+  if (!coverage) {
+    return null;
+  }
+
+  const covered = coverage.enrolled && coverage.status === 'active';
+  const copayRate = covered ? coverage.copayPercentage / 100 : 1;
+  const pricedLines = lines.filter((line) => line.unitPrice !== undefined && line.quantity > 0);
+  const totalCopay = pricedLines.reduce(
+    (sum, line) => sum + (line.unitPrice || 0) * line.quantity * copayRate,
+    0
+  );
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        border: '1px solid',
+        borderColor: coverage.status === 'suspended' ? 'error.light' : 'grey.200',
+        borderRadius: 2,
+        overflow: 'hidden',
+      }}
+    >
+      <Box
+        sx={{
+          px: 2,
+          py: 1.5,
+          bgcolor: 'grey.50',
+          borderBottom: '1px solid',
+          borderColor: 'grey.200',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          flexWrap: 'wrap',
+        }}
+      >
+        <CoverageIcon sx={{ color: 'primary.500' }} />
+        <Typography variant="subtitle2" fontWeight={600} sx={{ mr: 'auto' }}>
+          {t('insurance.title')}
+        </Typography>
+        {coverage.enrolled ? (
+          <>
+            <Chip label={t('insurance.tier', { tier: coverage.tier })} size="small" color="primary" variant="outlined" />
+            <Chip
+              label={t(STATUS_LABELS[coverage.status])}
+              size="small"
+              color={STATUS_COLORS[coverage.status]}
+              sx={{ fontWeight: 600 }}
+            />
+          </>
+        ) : (
+          <Chip label={t('insurance.notEnrolled')} size="small" />
+        )}
+      </Box>
+
+      <Box sx={{ p: 2 }}>
+        {coverage.status === 'suspended' && (
+          <Alert severity="error" sx={{ mb: 2, borderRadius: 2 }}>
+            {t('insurance.suspendedNotice')}
+          </Alert>
+        )}
+        <Typography variant="body2" color="text.secondary">
+          {covered
+            ? t('insurance.copay', {
+                percentage: formatNumber(coverage.copayPercentage / 100, { style: 'percent', maximumFractionDigits: 2 }),
+              })
+            : t('insurance.noCoverage', { percentage: formatNumber(1, { style: 'percent' }) })}
+        </Typography>
+
+        {lines.length > 0 && (
+          <Table size="small" sx={{ mt: 1.5 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t('insurance.medicine')}</TableCell>
+                <TableCell align="right">{t('insurance.quantity')}</TableCell>
+                <TableCell align="right">{t('insurance.estimatedCopay')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {lines.map((line, index) => (
+                <TableRow key={index}>
+                  <TableCell>{line.name}</TableCell>
+                  <TableCell align="right">{line.quantity ? formatNumber(line.quantity) : '-'}</TableCell>
+                  <TableCell align="right">
+                    {line.unitPrice !== undefined && line.quantity > 0
+                      ? formatEGP(line.unitPrice * line.quantity * copayRate)
+                      : t('insurance.priceUnavailable')}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {pricedLines.length > 0 && (
+                <TableRow>
+                  <TableCell colSpan={2} sx={{ fontWeight: 600 }}>
+                    {t('insurance.estimatedTotal')}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 600 }}>
+                    {formatEGP(totalCopay)}
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </Box>
+    </Paper>
+  );
+}
@@ -1,4 +1,4 @@
-import { useEffect } from 'react';
+import { useState, useEffect } from 'react';
 import {
   Box,
   Paper,
@@ -10,77 +10,97 @@ import {
   Tooltip,
   Chip,
   Divider,
+  Alert,
+  AlertColor,
+  FormControlLabel,
+  Switch,
+  InputAdornment,
 } from '@mui/material';
 import {
   Delete as DeleteIcon,
   MedicationLiquid as MedicineIcon,
   Calculate as CalcIcon,
+  SwapHoriz as SwapIcon,
+  MedicalServices as IndicationIcon,
+  MonitorWeight as WeightIcon,
+  Autorenew as RefillIcon,
 } from '@mui/icons-material';
-import { FREQUENCY_OPTIONS, DURATION_OPTIONS } from '../../config/constants';
-import type { MedicationFormData } from '../../types';
-
-// Maps frequency value to doses per day
-function getFrequencyPerDay(frequency: string): number {
-  const map: Record<string, number> = {
-    once_daily: 1,
-    twice_daily: 2,
-    three_times_daily: 3,
-    four_times_daily: 4,
-    every_4_hours: 6,
-    every_6_hours: 4,
-    every_8_hours: 3,
-    every_12_hours: 2,
-    as_needed: 1, // default to 1 for PRN
-    before_meals: 3,
-    after_meals: 3,
-    at_bedtime: 1,
-    weekly: 1 / 7, // fractional — will be rounded up
-  };
-  return map[frequency] ?? 0;
-}
-
-// Maps duration value to number of days
-function getDurationDays(duration: string): number {
-  const map: Record<string, number> = {
-    '3_days': 3,
-    '5_days': 5,
-    '7_days': 7,
-    '10_days': 10,
-    '14_days': 14,
-    '21_days': 21,
-    '30_days': 30,
-    '60_days': 60,
-    '90_days': 90,
-    ongoing: 30, // default to 30 for ongoing
-  };
-  return map[duration] ?? 0;
-}
+import { FREQUENCY_OPTIONS, DURATION_OPTIONS, MAX_REFILLS } from '../../config/constants';
+import { getInteractionCode } from '../../data/mockInteractions';
+import {
+  getFrequencyPerDay,
+  getDurationDays,
+  calculateQuantity,
+  calculateSigQuantity,
+  createDefaultSig,
+  isChronicMedication,
+  getFrequencyLabel,
+  getDurationLabel,
+} from '../../utils/medication';
+import { PRIMARY_DIAGNOSIS_ID } from '../../utils/diagnosis';
+import AlternativesDialog from './AlternativesDialog';
+import SigBuilder from './SigBuilder';
+import WeightDoseCalculator from './WeightDoseCalculator';
+import { useLocale } from '../../contexts/LocaleContext';
+import type {
+  MedicationFormData,
+  Medicine,
+  DrugInteractionResult,
+  DiagnosisFormData,
+  StructuredSig,
+  PatientFormData,
+  WeightBasedDose,
+} from '../../types';
 
-// Calculate quantity = doses_per_day × days (rounded up)
-function calculateQuantity(frequency: string, duration: string): number {
-  const perDay = getFrequencyPerDay(frequency);
-  const days = getDurationDays(duration);
-  if (perDay === 0 || days === 0) return 0;
-  return Math.ceil(perDay * days);
-}
+// Maps interaction severity to the banner colour
+const INTERACTION_SEVERITY: Record<DrugInteractionResult['severity'], AlertColor> = {
+  low: 'info',
+  moderate: 'warning',
+  high: 'warning',
+  critical: 'error',
+};
 
 interface MedicationListProps {
   medications: MedicationFormData[];
   onUpdate: (index: number, field: keyof MedicationFormData, value: string | number) => void;
   onRemove: (index: number) => void;
+  onReplace?: (index: number, medicine: Medicine) => void;
+  // Switches a line to structured dosing (or back to free fields with undefined)
+  onSigChange?: (index: number, sig: StructuredSig | undefined) => void;
+  // Sets a line's dose from a weight-based calculation (or clears it with undefined)
+  onWeightDoseChange?: (index: number, dose: WeightBasedDose | undefined) => void;
+  // Weight and height the weight-based calculator works from
+  patient?: Pick<PatientFormData, 'weightKg' | 'heightCm'>;
   errors?: Record<number, Record<string, string>>;
+  interactions?: DrugInteractionResult[];
+  duplicates?: Record<number, string>;
+  // Primary and secondary diagnoses a line can be linked to as its indication
+  diagnoses?: DiagnosisFormData[];
 }
 
 export default function MedicationList({
   medications,
   onUpdate,
   onRemove,
+  onReplace,
+  onSigChange,
+  onWeightDoseChange,
+  patient = {},
   errors = {},
+  interactions = [],
+  duplicates = {},
+  diagnoses = [],
 }: MedicationListProps) {
-  // Auto-calculate quantity whenever frequency or duration changes
+  const { t, language, formatNumber } = useLocale();
+  const [swapIndex, setSwapIndex] = useState<number | null>(null);
+  // Lines with the weight-based calculator open; lines with a calculated dose show it anyway
+  const [calculatorOpen, setCalculatorOpen] = useState<Record<number, boolean>>({});
+
+  // Auto-calculate quantity whenever frequency or duration changes.
+  // Structured lines get their quantity from the full schedule instead.
   useEffect(() => {
     medications.forEach((med, index) => {
-      if (med.frequency && med.duration) {
+      if (!med.sig && med.frequency && med.duration) {
         const calculated = calculateQuantity(med.frequency, med.duration);
         if (calculated > 0 && calculated !== med.quantity) {
           onUpdate(index, 'quantity', calculated);
@@ -91,6 +111,12 @@ export default function MedicationList({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [medications.map((m) => `${m.frequency}|${m.duration}`).join(',')]);
 
+  // Resolve an interaction drug code back to the name shown on its row
+  const getMedicationName = (code: string): string => {
+    const match = medications.find((m) => m.medicine && getInteractionCode(m.medicine) === code);
+    return match?.medicine?.commercialName || code;
+  };
+
   if (medications.length === 0) {
     return (
       <Paper
@@ -105,10 +131,10 @@ export default function MedicationList({
       >
         <MedicineIcon sx={{ fontSize: 48, color: 'grey.400', mb: 1 }} />
         <Typography variant="body1" color="text.secondary">
-          No medications added yet
+          {t('medication.emptyTitle')}
         </Typography>
         <Typography variant="caption" color="text.secondary">
-          Use the search above to add medications to this prescription
+          {t('medication.emptyHint')}
         </Typography>
       </Paper>
     );
@@ -118,10 +144,33 @@ export default function MedicationList({
     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
       {medications.map((medication, index) => {
         const fieldErrors = errors[index] || {};
-        const isAutoCalculated = !!(medication.frequency && medication.duration);
-        const calculatedQty = isAutoCalculated
+        const sig = medication.sig;
+        const isAutoCalculated = !sig && !!(medication.frequency && medication.duration);
+        const calculatedQty = sig
+          ? calculateSigQuantity(sig, medication.medicine?.strength)
+          : isAutoCalculated
           ? calculateQuantity(medication.frequency, medication.duration)
           : 0;
+        const sigErrors = Object.fromEntries(
+          Object.entries(fieldErrors)
+            .filter(([key]) => key.startsWith('sig.'))
+            .map(([key, message]) => [key.slice(4), message])
+        );
+        const quantityHelper = sig
+          ? calculatedQty > 0
+            ? t('medication.quantityFromSchedule')
+            : t('medication.quantityEnter')
+          : isAutoCalculated && calculatedQty > 0
+          ? t('medication.quantityCalculated', {
+              perDay: getFrequencyPerDay(medication.frequency),
+              days: getDurationDays(medication.duration),
+            })
+          : t('medication.quantityHint');
+        const showCalculator = !!onWeightDoseChange && (calculatorOpen[index] ?? !!medication.weightDose);
+        const code = medication.medicine ? getInteractionCode(medication.medicine) : '';
+        const rowInteractions = interactions.filter(
+          (interaction) => interaction.drug1 === code || interaction.drug2 === code
+        );
 
         return (
           <Paper
@@ -167,7 +216,7 @@ export default function MedicationList({
                 </Box>
                 <Box>
                   <Typography variant="subtitle2" fontWeight={600}>
-                    {medication.medicine?.commercialName || 'Unknown Medicine'}
+                    {medication.medicine?.commercialName || t('medication.unknown')}
                   </Typography>
                   {medication.medicine?.genericName && (
                     <Typography variant="caption" color="text.secondary">
@@ -179,10 +228,21 @@ export default function MedicationList({
 
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                 <Chip
-                  label={`#${index + 1}`}
+                  label={`#${formatNumber(index + 1)}`}
                   size="small"
                   sx={{ bgcolor: 'primary.50', color: 'primary.700', fontWeight: 600 }}
                 />
+                {medication.weightDose && (
+                  <Tooltip title={t('medication.weightDoseTooltip')}>
+                    <Chip
+                      icon={<WeightIcon />}
+                      label={`${formatNumber(medication.weightDose.rate)} ${medication.weightDose.basis === 'mg_per_m2' ? 'mg/m²' : 'mg/kg'}`}
+                      size="small"
+                      color="info"
+                      variant="outlined"
+                    />
+                  </Tooltip>
+                )}
                 {medication.medicine?.strength && (
                   <Chip
                     label={medication.medicine.strength}
@@ -190,7 +250,21 @@ export default function MedicationList({
                     sx={{ bgcolor: 'white', border: '1px solid', borderColor: 'grey.300' }}
                   />
                 )}
-                <Tooltip title="Remove medication">
+                {onReplace && (
+                  <Tooltip title={t('medication.swap')}>
+                    <IconButton
+                      size="small"
+                      onClick={() => setSwapIndex(index)}
+                      sx={{
+                        color: 'grey.500',
+                        '&:hover': { color: 'primary.main', bgcolor: 'primary.50' },
+                      }}
+                    >
+                      <SwapIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                <Tooltip title={t('medication.remove')}>
                   <IconButton
                     size="small"
                     onClick={() => onRemove(index)}
@@ -205,99 +279,246 @@ export default function MedicationList({
               </Box>
             </Box>
 
+            {/* Interaction Banners */}
+            {(rowInteractions.length > 0 || duplicates[index]) && (
+              <Box sx={{ px: 2, pt: 2, display: 'flex', flexDirection: 'column', gap: 1 }}>
+                {rowInteractions.map((interaction) => {
+                  const otherCode = interaction.drug1 === code ? interaction.drug2 : interaction.drug1;
+                  return (
+                    <Alert
+                      key={`${interaction.drug1}|${interaction.drug2}`}
+                      severity={INTERACTION_SEVERITY[interaction.severity] || 'warning'}
+                      sx={{ borderRadius: 2 }}
+                    >
+                      <Typography variant="body2" fontWeight={600}>
+                        {t('medication.interactionWith', {
+                          severity: t(`interaction.${interaction.severity}`),
+                          name: getMedicationName(otherCode),
+                        })}
+                      </Typography>
+                      <Typography variant="body2">{interaction.description}</Typography>
+                      {interaction.recommendation && (
+                        <Typography variant="caption" color="text.secondary">
+                          {interaction.recommendation}
+                        </Typography>
+                      )}
+                    </Alert>
+                  );
+                })}
+                {duplicates[index] && (
+                  <Alert severity="warning" sx={{ borderRadius: 2 }}>
+                    <Typography variant="body2" fontWeight={600}>
+                      {t('medication.duplicateTherapy')}
+                    </Typography>
+                    <Typography variant="body2">{duplicates[index]}</Typography>
+                  </Alert>
+                )}
+              </Box>
+            )}
+
             {/* Form Fields */}
             <Box sx={{ p: 2 }}>
               <Grid container spacing={2}>
-                <Grid item xs={12} sm={6} md={3}>
-                  <TextField
-                    fullWidth
-                    size="small"
-                    label="Dosage"
-                    placeholder="e.g., 100mg"
-                    value={medication.dosage}
-                    onChange={(e) => onUpdate(index, 'dosage', e.target.value)}
-                    error={!!fieldErrors.dosage}
-                    helperText={fieldErrors.dosage}
-                  />
-                </Grid>
+                {(onSigChange || onWeightDoseChange) && (
+                  <Grid item xs={12}>
+                    {onSigChange && (
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            size="small"
+                            checked={!!sig}
+                            onChange={(e) =>
+                              onSigChange(index, e.target.checked ? createDefaultSig(medication.medicine) : undefined)
+                            }
+                          />
+                        }
+                        label={<Typography variant="body2">{t('medication.structuredDosing')}</Typography>}
+                      />
+                    )}
+                    {onWeightDoseChange && (
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            size="small"
+                            checked={showCalculator}
+                            onChange={(e) => {
+                              setCalculatorOpen((prev) => ({ ...prev, [index]: e.target.checked }));
+                              if (!e.target.checked) onWeightDoseChange(index, undefined);
+                            }}
+                          />
+                        }
+                        label={<Typography variant="body2">{t('medication.weightBasedDose')}</Typography>}
+                      />
+                    )}
+                  </Grid>
+                )}
+
+                {showCalculator && onWeightDoseChange && (
+                  <Grid item xs={12}>
+                    <WeightDoseCalculator
+                      medication={medication}
+                      patient={patient}
+                      onApply={(dose) => onWeightDoseChange(index, dose)}
+                      error={fieldErrors.weightDose}
+                    />
+                  </Grid>
+                )}
+
+                {sig && onSigChange ? (
+                  <Grid item xs={12}>
+                    <SigBuilder sig={sig} onChange={(next) => onSigChange(index, next)} errors={sigErrors} />
+                  </Grid>
+                ) : (
+                  <>
+                    <Grid item xs={12} sm={6} md={3}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label={t('medication.dosage')}
+                        placeholder={t('medication.dosagePlaceholder')}
+                        value={medication.dosage}
+                        onChange={(e) => onUpdate(index, 'dosage', e.target.value)}
+                        error={!!fieldErrors.dosage}
+                        helperText={fieldErrors.dosage}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12} sm={6} md={3}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        select
+                        label={t('medication.frequency')}
+                        value={medication.frequency}
+                        onChange={(e) => onUpdate(index, 'frequency', e.target.value)}
+                        error={!!fieldErrors.frequency}
+                        helperText={fieldErrors.frequency}
+                      >
+                        <MenuItem value="">
+                          <em>{t('medication.selectFrequency')}</em>
+                        </MenuItem>
+                        {FREQUENCY_OPTIONS.map((option) => (
+                          <MenuItem key={option.value} value={option.value}>
+                            {getFrequencyLabel(option.value, language)}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    </Grid>
+
+                    <Grid item xs={12} sm={6} md={3}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        select
+                        label={t('medication.duration')}
+                        value={medication.duration}
+                        onChange={(e) => onUpdate(index, 'duration', e.target.value)}
+                        error={!!fieldErrors.duration}
+                        helperText={fieldErrors.duration}
+                      >
+                        <MenuItem value="">
+                          <em>{t('medication.selectDuration')}</em>
+                        </MenuItem>
+                        {DURATION_OPTIONS.map((option) => (
+                          <MenuItem key={option.value} value={option.value}>
+                            {getDurationLabel(option.value, language)}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    </Grid>
 
-                <Grid item xs={12} sm={6} md={3}>
+                  </>
+                )}
+
+                <Grid item xs={12} sm={6} md={sig ? 4 : 3}>
                   <TextField
                     fullWidth
                     size="small"
-                    select
-                    label="Frequency"
-                    value={medication.frequency}
-                    onChange={(e) => onUpdate(index, 'frequency', e.target.value)}
-                    error={!!fieldErrors.frequency}
-                    helperText={fieldErrors.frequency}
-                  >
-                    <MenuItem value="">
-                      <em>Select frequency</em>
-                    </MenuItem>
-                    {FREQUENCY_OPTIONS.map((option) => (
-                      <MenuItem key={option.value} value={option.value}>
-                        {option.label}
-                      </MenuItem>
-                    ))}
-                  </TextField>
+                    type="number"
+                    label={t('medication.quantity')}
+                    value={medication.quantity || ''}
+                    onChange={(e) => onUpdate(index, 'quantity', parseInt(e.target.value) || 0)}
+                    error={!!fieldErrors.quantity}
+                    helperText={fieldErrors.quantity || quantityHelper}
+                    InputProps={{
+                      inputProps: { min: 1 },
+                      endAdornment: calculatedQty > 0 ? (
+                        <Tooltip title={sig ? t('medication.quantityFromScheduleTooltip') : t('medication.quantityCalculatedTooltip')}>
+                          <CalcIcon sx={{ fontSize: 18, color: 'success.main', mr: 0.5 }} />
+                        </Tooltip>
+                      ) : undefined,
+                    }}
+                  />
                 </Grid>
 
-                <Grid item xs={12} sm={6} md={3}>
+                <Grid item xs={6} md={sig ? 4 : 3}>
                   <TextField
                     fullWidth
                     size="small"
-                    select
-                    label="Duration"
-                    value={medication.duration}
-                    onChange={(e) => onUpdate(index, 'duration', e.target.value)}
-                    error={!!fieldErrors.duration}
-                    helperText={fieldErrors.duration}
-                  >
-                    <MenuItem value="">
-                      <em>Select duration</em>
-                    </MenuItem>
-                    {DURATION_OPTIONS.map((option) => (
-                      <MenuItem key={option.value} value={option.value}>
-                        {option.label}
-                      </MenuItem>
-                    ))}
-                  </TextField>
+                    type="number"
+                    label={t('medication.refills')}
+                    value={medication.refills || ''}
+                    placeholder="0"
+                    onChange={(e) => onUpdate(index, 'refills', Math.max(0, parseInt(e.target.value) || 0))}
+                    error={!!fieldErrors.refills}
+                    helperText={fieldErrors.refills || (isChronicMedication(medication) ? t('medication.chronicTherapy') : t('medication.refillsHint'))}
+                    InputProps={{
+                      inputProps: { min: 0, max: MAX_REFILLS },
+                      startAdornment: <RefillIcon sx={{ fontSize: 18, color: 'grey.500', mr: 1 }} />,
+                    }}
+                  />
                 </Grid>
 
-                <Grid item xs={12} sm={6} md={3}>
+                <Grid item xs={6} md={sig ? 4 : 3}>
                   <TextField
                     fullWidth
                     size="small"
                     type="number"
-                    label="Quantity"
-                    value={medication.quantity || ''}
-                    onChange={(e) => onUpdate(index, 'quantity', parseInt(e.target.value) || 0)}
-                    error={!!fieldErrors.quantity}
-                    helperText={
-                      fieldErrors.quantity
-                        ? fieldErrors.quantity
-                        : isAutoCalculated && calculatedQty > 0
-                        ? `Auto-calculated: ${getFrequencyPerDay(medication.frequency)} × ${getDurationDays(medication.duration)} days`
-                        : 'Set frequency & duration to auto-calculate'
-                    }
+                    label={t('medication.refillEvery')}
+                    value={medication.refillIntervalDays || ''}
+                    placeholder={t('medication.refillEveryPlaceholder')}
+                    onChange={(e) => onUpdate(index, 'refillIntervalDays', Math.max(0, parseInt(e.target.value) || 0))}
+                    disabled={!medication.refills}
+                    helperText={t('medication.refillEveryHint')}
                     InputProps={{
                       inputProps: { min: 1 },
-                      endAdornment: isAutoCalculated && calculatedQty > 0 ? (
-                        <Tooltip title="Auto-calculated from frequency × duration">
-                          <CalcIcon sx={{ fontSize: 18, color: 'success.main', mr: 0.5 }} />
-                        </Tooltip>
-                      ) : undefined,
+                      endAdornment: <InputAdornment position="end">{t('medication.daysUnit')}</InputAdornment>,
                     }}
                   />
                 </Grid>
 
+                {diagnoses.length > 0 && (
+                  <Grid item xs={12} md={sig ? 12 : 6}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      select
+                      label={t('medication.indication')}
+                      value={medication.diagnosisId || PRIMARY_DIAGNOSIS_ID}
+                      onChange={(e) => onUpdate(index, 'diagnosisId', e.target.value)}
+                      error={!!fieldErrors.diagnosisId}
+                      helperText={fieldErrors.diagnosisId || t('medication.indicationHint')}
+                      InputProps={{
+                        startAdornment: <IndicationIcon sx={{ fontSize: 18, color: 'warning.700', mr: 1 }} />,
+                      }}
+                    >
+                      {diagnoses.map((diagnosis) => (
+                        <MenuItem key={diagnosis.id} value={diagnosis.id}>
+                          {t(diagnosis.id === PRIMARY_DIAGNOSIS_ID ? 'medication.indicationPrimary' : 'medication.indicationSecondary', {
+                            diagnosis: diagnosis.description.trim() || diagnosis.icd10?.code || t('medication.untitledDiagnosis'),
+                          })}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+                )}
+
                 <Grid item xs={12}>
                   <TextField
                     fullWidth
                     size="small"
-                    label="Special Instructions (Optional)"
-                    placeholder="e.g., Take with food, avoid alcohol..."
+                    label={t('medication.instructions')}
+                    placeholder={t('medication.instructionsPlaceholder')}
                     value={medication.instructions || ''}
                     onChange={(e) => onUpdate(index, 'instructions', e.target.value)}
                     multiline
@@ -312,11 +533,23 @@ export default function MedicationList({
 
       <Divider sx={{ my: 1 }}>
         <Chip
-          label={`${medications.length} medication${medications.length !== 1 ? 's' : ''}`}
+          label={t('common.medications', { count: medications.length })}
           size="small"
           sx={{ bgcolor: 'primary.50', color: 'primary.700' }}
         />
       </Divider>
+
+      {onReplace && (
+        <AlternativesDialog
+          open={swapIndex !== null}
+          medicine={swapIndex !== null ? medications[swapIndex]?.medicine ?? null : null}
+          onClose={() => setSwapIndex(null)}
+          onSelect={(alternative) => {
+            if (swapIndex !== null) onReplace(swapIndex, alternative);
+            setSwapIndex(null);
+          }}
+        />
+      )}
     </Box>
   );
 }
@@ -5,10 +5,22 @@ import {
   CircularProgress,
   Box,
   Typography,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
 } from '@mui/material';
-import { MedicationLiquid as MedicineIcon } from '@mui/icons-material';
+import {
+  MedicationLiquid as MedicineIcon,
+  ReportProblem as RecallIcon,
+} from '@mui/icons-material';
 import { apiService } from '../../services/api';
-import type { Medicine } from '../../types';
+import { useLocale } from '../../contexts/LocaleContext';
+import { useDrugRecalls } from '../../hooks';
+import type { Medicine, DrugRecall } from '../../types';
 
 interface MedicineSearchProps {
   onSelect: (medicine: Medicine) => void;
@@ -20,17 +32,21 @@ interface MedicineSearchProps {
 
 export default function MedicineSearch({
   onSelect,
-  label = 'Search Medicine',
+  label,
   disabled = false,
   error = false,
   helperText,
 }: MedicineSearchProps) {
+  const { t, formatDate } = useLocale();
   const [open, setOpen] = useState(false);
   const [options, setOptions] = useState<Medicine[]>([]);
   const [loading, setLoading] = useState(false);
   const [inputValue, setInputValue] = useState('');
   // Use a key to force re-mount the Autocomplete after each selection
   const [resetKey, setResetKey] = useState(0);
+  // Recalled medicine awaiting the doctor's decision
+  const [pendingRecall, setPendingRecall] = useState<{ medicine: Medicine; recall: DrugRecall } | null>(null);
+  const { findRecall } = useDrugRecalls();
 
   // Search medicines with direct API call
   useEffect(() => {
@@ -87,81 +103,149 @@ export default function MedicineSearch({
     setInputValue(value);
   }, []);
 
+  const resetSearch = useCallback(() => {
+    // Force full reset: clear state and re-mount the Autocomplete
+    setInputValue('');
+    setOptions([]);
+    setOpen(false);
+    setResetKey((prev) => prev + 1);
+  }, []);
+
   const handleChange = useCallback(
     (_event: React.SyntheticEvent, value: Medicine | null) => {
       if (value) {
         console.log('[MedicineSearch] Medicine selected:', value);
-        onSelect(value);
-        // Force full reset: clear state and re-mount the Autocomplete
-        setInputValue('');
-        setOptions([]);
-        setOpen(false);
-        setResetKey((prev) => prev + 1);
+        const recall = findRecall(value);
+        if (recall) {
+          setPendingRecall({ medicine: value, recall });
+        } else {
+          onSelect(value);
+        }
+        resetSearch();
       }
     },
-    [onSelect]
+    [onSelect, findRecall, resetSearch]
   );
 
+  const handleRecallAcknowledge = () => {
+    if (pendingRecall) {
+      onSelect(pendingRecall.medicine);
+    }
+    setPendingRecall(null);
+  };
+
   return (
-    <Autocomplete
-      key={resetKey}
-      value={null}
-      open={open}
-      onOpen={() => setOpen(true)}
-      onClose={() => setOpen(false)}
-      options={options}
-      loading={loading}
-      disabled={disabled}
-      inputValue={inputValue}
-      onInputChange={handleInputChange}
-      onChange={handleChange}
-      getOptionLabel={(option) => option.commercialName || ''}
-      isOptionEqualToValue={(option, value) => option.id === value.id}
-      filterOptions={(x) => x} // Disable client-side filtering
-      clearOnBlur={false}
-      blurOnSelect={false}
-      noOptionsText={
-        inputValue.length < 2
-          ? 'Type at least 2 characters to search...'
-          : loading
-          ? 'Searching...'
-          : 'No medicines found'
-      }
-      renderInput={(params) => (
-        <TextField
-          {...params}
-          label={label}
-          error={error}
-          helperText={helperText || 'Search and select a medicine to add. You can add multiple medications.'}
-          placeholder="Type medicine name to search..."
-          InputProps={{
-            ...params.InputProps,
-            endAdornment: (
-              <>
-                {loading ? <CircularProgress color="inherit" size={20} /> : null}
-                {params.InputProps.endAdornment}
-              </>
-            ),
-          }}
-        />
-      )}
-      renderOption={(props, option) => (
-        <Box component="li" {...props} key={option.id}>
-          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, width: '100%' }}>
-            <MedicineIcon sx={{ color: 'primary.main', fontSize: 20 }} />
-            <Box sx={{ flex: 1 }}>
-              <Typography variant="body2" fontWeight={500}>
-                {option.commercialName}
-              </Typography>
-              {option.searchName && (
-                <Typography variant="caption" color="text.secondary">
-                  {option.searchName}
+    <>
+      <Autocomplete
+        key={resetKey}
+        value={null}
+        open={open}
+        onOpen={() => setOpen(true)}
+        onClose={() => setOpen(false)}
+        options={options}
+        loading={loading}
+        disabled={disabled}
+        inputValue={inputValue}
+        onInputChange={handleInputChange}
+        onChange={handleChange}
+        getOptionLabel={(option) => option.commercialName || ''}
+        isOptionEqualToValue={(option, value) => option.id === value.id}
+        filterOptions={(x) => x} // Disable client-side filtering
+        clearOnBlur={false}
+        blurOnSelect={false}
+        noOptionsText={
+          inputValue.length < 2
+            ? t('search.minLength')
+            : loading
+            ? t('search.searching')
+            : t('medicineSearch.noMatches')
+        }
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            label={label ?? t('medicineSearch.label')}
+            error={error}
+            helperText={helperText || t('medicineSearch.helper')}
+            placeholder={t('medicineSearch.placeholder')}
+            InputProps={{
+              ...params.InputProps,
+              endAdornment: (
+                <>
+                  {loading ? <CircularProgress color="inherit" size={20} /> : null}
+                  {params.InputProps.endAdornment}
+                </>
+              ),
+            }}
+          />
+        )}
+        renderOption={(props, option) => (
+          <Box component="li" {...props} key={option.id}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, width: '100%' }}>
+              {findRecall(option) ? (
+                <RecallIcon sx={{ color: 'error.main', fontSize: 20 }} />
+              ) : (
+                <MedicineIcon sx={{ color: 'primary.main', fontSize: 20 }} />
+              )}
+              <Box sx={{ flex: 1 }}>
+                <Typography variant="body2" fontWeight={500}>
+                  {option.commercialName}
                 </Typography>
+                {option.searchName && (
+                  <Typography variant="caption" color="text.secondary">
+                    {option.searchName}
+                  </Typography>
+                )}
+              </Box>
+              {findRecall(option) && (
+                <Chip label={t('medicineSearch.recalled')} size="small" color="error" sx={{ height: 22, fontWeight: 600 }} />
               )}
             </Box>
           </Box>
-        </Box>
-      )}
-    />
+        )}
+      />
+
+      {/* Recall Warning */}
+      <Dialog open={!!pendingRecall} onClose={() => setPendingRecall(null)} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <RecallIcon sx={{ color: 'error.main' }} />
+          {t('medicineSearch.recallTitle')}
+        </DialogTitle>
+        {pendingRecall && (
+          <DialogContent>
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {t(pendingRecall.recall.issuedBy ? 'medicineSearch.recallNoticeBy' : 'medicineSearch.recallNotice', {
+                medicine: pendingRecall.medicine.commercialName,
+                recallClass: pendingRecall.recall.recallClass,
+                date: formatDate(pendingRecall.recall.recallDate, 'MMM dd, yyyy'),
+                issuedBy: pendingRecall.recall.issuedBy || '',
+              })}
+            </Alert>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {pendingRecall.recall.reason}
+            </Typography>
+            {pendingRecall.recall.batchNumbers && pendingRecall.recall.batchNumbers.length > 0 && (
+              <Typography variant="caption" color="text.secondary">
+                {t('medicineSearch.affectedBatches', { batches: pendingRecall.recall.batchNumbers.join(', ') })}
+              </Typography>
+            )}
+            {pendingRecall.recall.recallClass === 'I' && (
+              <Typography variant="body2" fontWeight={600} color="error.main" sx={{ mt: 2 }}>
+                {t('medicineSearch.classIBlocked')}
+              </Typography>
+            )}
+          </DialogContent>
+        )}
+        <DialogActions sx={{ p: 2 }}>
+          <Button variant="contained" onClick={() => setPendingRecall(null)}>
+            {t('medicineSearch.chooseAnother')}
+          </Button>
+          {pendingRecall && pendingRecall.recall.recallClass !== 'I' && (
+            <Button color="error" onClick={handleRecallAcknowledge}>
+              {t('medicineSearch.addAnyway')}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
   );
 }
@@ -3,18 +3,44 @@ import {
   MenuItem,
   Grid,
   InputAdornment,
+  Chip,
+  CircularProgress,
+  Alert,
+  Button,
+  Box,
+  Typography,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
 import {
   Person as PersonIcon,
   Badge as BadgeIcon,
+  VerifiedUser as VerifiedIcon,
+  MonitorWeight as WeightIcon,
+  Height as HeightIcon,
 } from '@mui/icons-material';
-import type { PatientFormData } from '../../types';
+import { decodeNationalId } from '../../utils/nationalId';
+import { calculateBsa } from '../../utils/medication';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { MessageKey } from '../../i18n';
+import type { PatientFormData, PatientVerification } from '../../types';
 
 interface PatientFormProps {
   data: PatientFormData;
   onChange: (field: keyof PatientFormData, value: string | number) => void;
   errors?: Record<string, string>;
   disabled?: boolean;
+  verification?: PatientVerification;
+  manualOverride?: boolean;
+  onManualOverrideChange?: (value: boolean) => void;
+  onApplyRegistry?: () => void;
+}
+
+interface Mismatch {
+  field: MessageKey;
+  entered: string;
+  expected: string;
+  source: 'patientForm.sourceDpr' | 'prescription.nationalId';
 }
 
 export default function PatientForm({
@@ -22,19 +48,120 @@ export default function PatientForm({
   onChange,
   errors = {},
   disabled = false,
+  verification = { status: 'idle' },
+  manualOverride = false,
+  onManualOverrideChange,
+  onApplyRegistry,
 }: PatientFormProps) {
+  const { t, formatNumber } = useLocale();
   const validateNationalId = (value: string): string => {
     // Egyptian National ID is 14 digits
     return value.replace(/\D/g, '').slice(0, 14);
   };
 
+  const decoded = decodeNationalId(data.nationalId);
+  const bsa = calculateBsa(data.weightKg || 0, data.heightCm || 0);
+  const demographics = verification.status === 'verified' ? verification.demographics : undefined;
+
+  const getNationalIdHelperText = (): string => {
+    if (errors.nationalId) return errors.nationalId;
+    if (data.nationalId.length < 14) return t('patientForm.nationalIdHint');
+    if (!decoded) return t('patientForm.nationalIdBadDate');
+    if (!decoded.checksumValid) return t('patientForm.nationalIdBadChecksum');
+    return [
+      t('patientForm.born', { date: decoded.dateOfBirth }),
+      decoded.governorate || t('patientForm.governorate', { code: decoded.governorateCode }),
+      t(decoded.gender === 'male' ? 'common.male' : 'common.female'),
+    ].join(' · ');
+  };
+
+  // Compare what the doctor typed with the registry and the decoded ID
+  const mismatches: Mismatch[] = [];
+  if (demographics) {
+    if (data.name.trim() && demographics.name &&
+        data.name.trim().toLowerCase() !== demographics.name.trim().toLowerCase()) {
+      mismatches.push({
+        field: 'patientForm.name',
+        entered: data.name,
+        expected: demographics.name,
+        source: 'patientForm.sourceDpr',
+      });
+    }
+    if (data.dateOfBirth && demographics.dateOfBirth &&
+        data.dateOfBirth !== demographics.dateOfBirth.slice(0, 10)) {
+      mismatches.push({
+        field: 'patientForm.dateOfBirth',
+        entered: data.dateOfBirth,
+        expected: demographics.dateOfBirth.slice(0, 10),
+        source: 'patientForm.sourceDpr',
+      });
+    }
+    if (data.gender && demographics.gender && data.gender !== demographics.gender) {
+      mismatches.push({
+        field: 'prescription.gender',
+        entered: data.gender,
+        expected: demographics.gender,
+        source: 'patientForm.sourceDpr',
+      });
+    }
+  }
+  if (decoded) {
+    if (data.dateOfBirth && data.dateOfBirth !== decoded.dateOfBirth &&
+        !mismatches.some((m) => m.field === 'patientForm.dateOfBirth')) {
+      mismatches.push({
+        field: 'patientForm.dateOfBirth',
+        entered: data.dateOfBirth,
+        expected: decoded.dateOfBirth,
+        source: 'prescription.nationalId',
+      });
+    }
+    if (data.gender && data.gender !== decoded.gender && !mismatches.some((m) => m.field === 'prescription.gender')) {
+      mismatches.push({
+        field: 'prescription.gender',
+        entered: data.gender,
+        expected: decoded.gender,
+        source: 'prescription.nationalId',
+      });
+    }
+    if (data.age > 0 && Math.abs(data.age - decoded.age) > 1) {
+      mismatches.push({
+        field: 'prescription.age',
+        entered: formatNumber(data.age),
+        expected: formatNumber(decoded.age),
+        source: 'prescription.nationalId',
+      });
+    }
+  }
+
+  const renderVerificationAdornment = () => {
+    switch (verification.status) {
+      case 'verifying':
+        return <CircularProgress size={18} />;
+      case 'verified':
+        return (
+          <Chip
+            icon={<VerifiedIcon />}
+            label={t('patientForm.verified')}
+            size="small"
+            color="success"
+            sx={{ height: 24, fontWeight: 600 }}
+          />
+        );
+      case 'not_found':
+      case 'error':
+        return <Chip label={t('patientForm.unverified')} size="small" color="warning" sx={{ height: 24, fontWeight: 600 }} />;
+      default:
+        return null;
+    }
+  };
+
   return (
     <Grid container spacing={2.5}>
       <Grid item xs={12} md={6}>
         <TextField
           fullWidth
-          label="Patient Name"
-          placeholder="Enter full name"
+          label={t('patientForm.patientName')}
+          placeholder={t('patientForm.patientNamePlaceholder')}
           value={data.name}
           onChange={(e) => onChange('name', e.target.value)}
           error={!!errors.name}
@@ -53,12 +180,12 @@ export default function PatientForm({
       <Grid item xs={12} md={6}>
         <TextField
           fullWidth
-          label="National ID"
-          placeholder="14-digit National ID"
+          label={t('prescription.nationalId')}
+          placeholder={t('patientForm.nationalIdPlaceholder')}
           value={data.nationalId}
           onChange={(e) => onChange('nationalId', validateNationalId(e.target.value))}
-          error={!!errors.nationalId}
-          helperText={errors.nationalId || 'Egyptian National ID (14 digits)'}
+          error={!!errors.nationalId || (data.nationalId.length === 14 && (!decoded || !decoded.checksumValid))}
+          helperText={getNationalIdHelperText()}
           disabled={disabled}
           InputProps={{
             startAdornment: (
@@ -66,6 +193,9 @@ export default function PatientForm({
                 <BadgeIcon sx={{ color: 'grey.500' }} />
               </InputAdornment>
             ),
+            endAdornment: verification.status !== 'idle' ? (
+              <InputAdornment position="end">{renderVerificationAdornment()}</InputAdornment>
+            ) : undefined,
           }}
           inputProps={{
             maxLength: 14,
@@ -74,12 +204,26 @@ export default function PatientForm({
         />
       </Grid>
 
-      <Grid item xs={12} sm={6} md={3}>
+      <Grid item xs={12} sm={4}>
+        <TextField
+          fullWidth
+          type="date"
+          label={t('patientForm.dateOfBirthLabel')}
+          value={data.dateOfBirth || ''}
+          onChange={(e) => onChange('dateOfBirth', e.target.value)}
+          error={!!errors.dateOfBirth}
+          helperText={errors.dateOfBirth}
+          disabled={disabled}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Grid>
+
+      <Grid item xs={12} sm={4}>
         <TextField
           fullWidth
           type="number"
-          label="Age"
-          placeholder="Years"
+          label={t('prescription.age')}
+          placeholder={t('patientForm.years')}
           value={data.age || ''}
           onChange={(e) => onChange('age', parseInt(e.target.value) || 0)}
           error={!!errors.age}
@@ -91,11 +235,11 @@ export default function PatientForm({
         />
       </Grid>
 
-      <Grid item xs={12} sm={6} md={3}>
+      <Grid item xs={12} sm={4}>
         <TextField
           fullWidth
           select
-          label="Gender"
+          label={t('prescription.gender')}
           value={data.gender}
           onChange={(e) => onChange('gender', e.target.value)}
           error={!!errors.gender}
@@ -103,12 +247,114 @@ export default function PatientForm({
           disabled={disabled}
         >
           <MenuItem value="">
-            <em>Select gender</em>
+            <em>{t('patientForm.selectGender')}</em>
           </MenuItem>
-          <MenuItem value="male">Male</MenuItem>
-          <MenuItem value="female">Female</MenuItem>
+          <MenuItem value="male">{t('common.male')}</MenuItem>
+          <MenuItem value="female">{t('common.female')}</MenuItem>
         </TextField>
       </Grid>
+
+      <Grid item xs={12} sm={6}>
+        <TextField
+          fullWidth
+          type="number"
+          label={t('patientForm.weight')}
+          value={data.weightKg || ''}
+          onChange={(e) => onChange('weightKg', parseFloat(e.target.value) || 0)}
+          error={!!errors.weightKg}
+          helperText={errors.weightKg || t('patientForm.weightHint')}
+          disabled={disabled}
+          InputProps={{
+            inputProps: { min: 0, max: 300, step: 0.1 },
+            startAdornment: (
+              <InputAdornment position="start">
+                <WeightIcon sx={{ color: 'grey.500' }} />
+              </InputAdornment>
+            ),
+            endAdornment: <InputAdornment position="end">{t('patientForm.kg')}</InputAdornment>,
+          }}
+        />
+      </Grid>
+
+      <Grid item xs={12} sm={6}>
+        <TextField
+          fullWidth
+          type="number"
+          label={t('patientForm.height')}
+          value={data.heightCm || ''}
+          onChange={(e) => onChange('heightCm', parseFloat(e.target.value) || 0)}
+          error={!!errors.heightCm}
+          helperText={errors.heightCm || (bsa > 0 ? t('patientForm.bsa', { bsa }) : t('patientForm.heightHint'))}
+          disabled={disabled}
+          InputProps={{
+            inputProps: { min: 0, max: 250, step: 0.5 },
+            startAdornment: (
+              <InputAdornment position="start">
+                <HeightIcon sx={{ color: 'grey.500' }} />
+              </InputAdornment>
+            ),
+            endAdornment: <InputAdornment position="end">{t('patientForm.cm')}</InputAdornment>,
+          }}
+        />
+      </Grid>
+
+      {mismatches.length > 0 && (
+        <Grid item xs={12}>
+          <Alert
+            severity="warning"
+            sx={{ borderRadius: 2 }}
+            action={
+              demographics && onApplyRegistry ? (
+                <Button color="inherit" size="small" onClick={onApplyRegistry} disabled={disabled}>
+                  {t('patientForm.useDpr')}
+                </Button>
+              ) : undefined
+            }
+          >
+            <Typography variant="body2" fontWeight={600} sx={{ mb: 0.5 }}>
+              {t('patientForm.mismatchTitle')}
+            </Typography>
+            {mismatches.map((m) => (
+              <Typography key={`${m.field}-${m.source}`} variant="body2">
+                {t('patientForm.mismatch', {
+                  field: t(m.field),
+                  entered: m.entered,
+                  source: t(m.source),
+                  expected: m.expected,
+                })}
+              </Typography>
+            ))}
+          </Alert>
+        </Grid>
+      )}
+
+      {(verification.status === 'not_found' || verification.status === 'error') && (
+        <Grid item xs={12}>
+          <Alert severity="warning" sx={{ borderRadius: 2 }}>
+            <Box>
+              <Typography variant="body2" fontWeight={600}>
+                {verification.error || t('patientForm.notVerified')}
+              </Typography>
+              <Typography variant="body2">
+                {t('patientForm.approvalBlocked')}
+              </Typography>
+              {onManualOverrideChange && (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={manualOverride}
+                      onChange={(e) => onManualOverrideChange(e.target.checked)}
+                      disabled={disabled}
+                      size="small"
+                    />
+                  }
+                  label={t('patientForm.manualConfirm')}
+                />
+              )}
+            </Box>
+          </Alert>
+        </Grid>
+      )}
     </Grid>
   );
 }
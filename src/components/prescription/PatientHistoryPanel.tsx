@@ -0,0 +1,142 @@
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  IconButton,
+  Tooltip,
+  Skeleton,
+  Divider,
+} from '@mui/material';
+import {
+  History as HistoryIcon,
+  AddCircleOutline as ReAddIcon,
+} from '@mui/icons-material';
+import StatusChip from './StatusChip';
+import { getFrequencyLabel, getRemainingDays } from '../../utils/medication';
+import { useLocale } from '../../contexts/LocaleContext';
+import { translate } from '../../i18n';
+import type { Language, Medication, Prescription } from '../../types';
+
+interface PatientHistoryPanelProps {
+  prescriptions: Prescription[];
+  loading?: boolean;
+  onReAdd?: (medication: Medication) => void;
+}
+
+function formatRemaining(remaining: number | null, language: Language): string {
+  if (remaining === null) return translate('patientHistory.ongoing', undefined, language);
+  return translate('patientHistory.daysLeft', { count: remaining }, language);
+}
+
+/**
+ * Side panel listing a patient's previous prescriptions from all
+ * prescribers, with active lines highlighted and one-click re-add.
+ */
+export default function PatientHistoryPanel({
+  prescriptions,
+  loading = false,
+  onReAdd,
+}: PatientHistoryPanelProps) {
+  const { language, t, formatDate } = useLocale();
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        border: '1px solid',
+        borderColor: 'grey.200',
+        borderRadius: 2,
+        overflow: 'hidden',
+      }}
+    >
+      <Box
+        sx={{
+          px: 2,
+          py: 1.5,
+          bgcolor: 'grey.50',
+          borderBottom: '1px solid',
+          borderColor: 'grey.200',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+        }}
+      >
+        <HistoryIcon sx={{ color: 'grey.600' }} />
+        <Typography variant="subtitle2" fontWeight={600}>
+          {t('patientHistory.medicationHistory')}
+        </Typography>
+        {!loading && (
+          <Chip label={prescriptions.length} size="small" sx={{ ml: 'auto', height: 22 }} />
+        )}
+      </Box>
+
+      <Box sx={{ p: 2 }}>
+        {loading ? (
+          Array.from({ length: 3 }).map((_, index) => (
+            <Skeleton key={index} height={56} sx={{ mb: 1 }} />
+          ))
+        ) : prescriptions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            {t('patientHistory.noPrevious')}
+          </Typography>
+        ) : (
+          prescriptions.map((prescription, index) => (
+            <Box key={prescription.id}>
+              {index > 0 && <Divider sx={{ my: 1.5 }} />}
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {formatDate(prescription.prescriptionDate, 'MMM dd, yyyy')}
+                </Typography>
+                <StatusChip status={prescription.status} />
+              </Box>
+              <Typography variant="body2" fontWeight={600} sx={{ mt: 0.5 }}>
+                {prescription.icdCode ? `${prescription.icdCode} · ` : ''}
+                {prescription.diagnosis}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+                {prescription.doctor.name}
+              </Typography>
+
+              {prescription.medications.map((med, medIndex) => {
+                const remaining = getRemainingDays(prescription, med);
+                const active = remaining === null || remaining > 0;
+                return (
+                  <Box
+                    key={medIndex}
+                    sx={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 1,
+                      py: 0.5,
+                      pl: 1,
+                      borderLeft: '3px solid',
+                      borderColor: active ? 'success.main' : 'grey.200',
+                    }}
+                  >
+                    <Box sx={{ flex: 1, minWidth: 0 }}>
+                      <Typography variant="body2" noWrap>
+                        {med.medicineName}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {[med.dosage, med.frequency && getFrequencyLabel(med.frequency, language)].filter(Boolean).join(' · ')}
+                        {active ? ` · ${formatRemaining(remaining, language)}` : ''}
+                      </Typography>
+                    </Box>
+                    {onReAdd && (
+                      <Tooltip title={t('patientHistory.reAdd')}>
+                        <IconButton size="small" onClick={() => onReAdd(med)}>
+                          <ReAddIcon fontSize="small" sx={{ color: 'primary.main' }} />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </Box>
+                );
+              })}
+            </Box>
+          ))
+        )}
+      </Box>
+    </Paper>
+  );
+}
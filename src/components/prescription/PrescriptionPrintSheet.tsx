@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Divider,
+} from '@mui/material';
+import { CacheProvider } from '@emotion/react';
+import createCache from '@emotion/cache';
+import { format } from 'date-fns';
+import QRCode from 'qrcode';
+import { describeMedicationDirections } from '../../utils/medication';
+import { formatDiagnosis, getMedicationIndication } from '../../utils/diagnosis';
+import { PRINTABLE_STATUSES } from '../../config/constants';
+import type { Prescription } from '../../types';
+
+interface PrescriptionPrintSheetProps {
+  prescription: Prescription;
+  clinicName?: string;
+}
+
+// The sheet is laid out the same in both interface languages, so its
+// styles skip the right-to-left cache that mirrors the Arabic interface
+const sheetCache = createCache({ key: 'rxsheet' });
+
+function BilingualLabel({ en, ar }: { en: string; ar: string }) {
+  return (
+    <Typography variant="caption" color="text.secondary" sx={{ display: 'flex', justifyContent: 'space-between' }}>
+      <span>{en}</span>
+      <span dir="rtl">{ar}</span>
+    </Typography>
+  );
+}
+
+/**
+ * A5 bilingual (English/Arabic) prescription sheet for the patient.
+ * The QR code carries the prescription number, which pharmacies verify
+ * through /api/dispense/verify/{rxNumber}. Sheets for prescriptions that
+ * are not approved or active carry a "DRAFT – NOT VALID" watermark.
+ * It does not follow the interface language.
+ */
+export default function PrescriptionPrintSheet({ prescription, clinicName }: PrescriptionPrintSheetProps) {
+  const [qrCode, setQrCode] = useState('');
+  const valid = PRINTABLE_STATUSES.includes(prescription.status);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(prescription.prescriptionNumber, { margin: 1, width: 160 })
+      .then((url) => {
+        if (!cancelled) setQrCode(url);
+      })
+      .catch((err) => console.error('Failed to generate prescription QR code:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [prescription.prescriptionNumber]);
+
+  return (
+    <CacheProvider value={sheetCache}>
+      <Box
+        className="prescription-print-sheet"
+        dir="ltr"
+        sx={{
+          position: 'relative',
+          width: '148mm',
+          minHeight: '210mm',
+          p: '8mm',
+          bgcolor: 'white',
+          color: 'grey.900',
+          overflow: 'hidden',
+          fontSize: 12,
+        }}
+      >
+        {!valid && (
+          <Typography
+            aria-hidden
+            sx={{
+              position: 'absolute',
+              top: '50%',
+              left: '50%',
+              transform: 'translate(-50%, -50%) rotate(-35deg)',
+              fontSize: 44,
+              fontWeight: 700,
+              color: 'error.main',
+              opacity: 0.15,
+              whiteSpace: 'nowrap',
+              pointerEvents: 'none',
+            }}
+          >
+            DRAFT – NOT VALID
+          </Typography>
+        )}
+
+        {/* Clinic and doctor header */}
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+          <Box>
+            <Typography variant="subtitle1" fontWeight={700}>
+              {clinicName || 'HealthFlow Clinic'}
+            </Typography>
+            <Typography variant="body2" fontWeight={600}>
+              Dr. {prescription.doctor.name}
+            </Typography>
+            <Typography variant="caption" sx={{ display: 'block' }}>
+              {prescription.doctor.specialty}
+            </Typography>
+            <Typography variant="caption" sx={{ display: 'block' }}>
+              License No. {prescription.doctor.license}
+            </Typography>
+          </Box>
+          <Box dir="rtl" sx={{ textAlign: 'right' }}>
+            <Typography variant="subtitle1" fontWeight={700}>
+              روشتة طبية
+            </Typography>
+            <Typography variant="body2" fontWeight={600}>
+              د. {prescription.doctor.name}
+            </Typography>
+            <Typography variant="caption" sx={{ display: 'block' }}>
+              رقم الترخيص {prescription.doctor.license}
+            </Typography>
+          </Box>
+        </Box>
+
+        <Divider sx={{ my: 1.5, borderColor: 'grey.400' }} />
+
+        {/* Patient details */}
+        <Box sx={{ display: 'grid', gridTemplateColumns: '2fr 1fr', columnGap: 2, rowGap: 1 }}>
+          <Box>
+            <BilingualLabel en="Patient" ar="المريض" />
+            <Typography variant="body2" fontWeight={600}>
+              {prescription.patient.name}
+            </Typography>
+          </Box>
+          <Box>
+            <BilingualLabel en="Date" ar="التاريخ" />
+            <Typography variant="body2">
+              {format(new Date(prescription.prescriptionDate), 'dd/MM/yyyy')}
+            </Typography>
+          </Box>
+          <Box>
+            <BilingualLabel en="National ID" ar="الرقم القومي" />
+            <Typography variant="body2">{prescription.patient.nationalId}</Typography>
+          </Box>
+          <Box>
+            <BilingualLabel en="Age / Gender" ar="السن / النوع" />
+            <Typography variant="body2">
+              {prescription.patient.age} · {prescription.patient.gender === 'male' ? 'Male / ذكر' : 'Female / أنثى'}
+            </Typography>
+          </Box>
+          {prescription.patient.weightKg && (
+            <Box>
+              <BilingualLabel en="Weight" ar="الوزن" />
+              <Typography variant="body2">
+                {prescription.patient.weightKg} kg
+                {prescription.patient.heightCm ? ` · ${prescription.patient.heightCm} cm` : ''}
+              </Typography>
+            </Box>
+          )}
+          <Box sx={{ gridColumn: '1 / -1' }}>
+            <BilingualLabel en="Diagnosis" ar="التشخيص" />
+            <Typography variant="body2">
+              {prescription.icdCode && <strong>{prescription.icdCode} · </strong>}
+              {prescription.diagnosis}
+            </Typography>
+            {prescription.secondaryDiagnoses?.map((diagnosis, index) => (
+              <Typography key={index} variant="body2">
+                {diagnosis.code && <strong>{diagnosis.code} · </strong>}
+                {diagnosis.description}
+              </Typography>
+            ))}
+          </Box>
+        </Box>
+
+        {/* Medications */}
+        <Typography variant="h6" fontWeight={700} sx={{ mt: 2, mb: 0.5 }}>
+          Rx
+        </Typography>
+        <Table size="small" sx={{ '& td, & th': { px: 0.75, py: 0.75, fontSize: 11 } }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 600 }}>#</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Medicine / الدواء</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Directions / طريقة الاستخدام</TableCell>
+              <TableCell sx={{ fontWeight: 600 }} align="right">Qty</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {prescription.medications.map((med, index) => {
+              const directions = describeMedicationDirections(med);
+              const indication = getMedicationIndication(prescription, med);
+              return (
+                <TableRow key={index}>
+                  <TableCell sx={{ verticalAlign: 'top' }}>{index + 1}</TableCell>
+                  <TableCell sx={{ verticalAlign: 'top' }}>
+                    <strong>{med.medicineName}</strong>
+                    {med.medicineGenericName && (
+                      <Box component="span" sx={{ display: 'block', color: 'text.secondary' }}>
+                        {med.medicineGenericName}
+                      </Box>
+                    )}
+                    {indication && (
+                      <Box component="span" sx={{ display: 'block', color: 'text.secondary' }}>
+                        For / لعلاج: {formatDiagnosis(indication)}
+                      </Box>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ verticalAlign: 'top' }}>
+                    <Box>{directions.en}</Box>
+                    <Box dir="rtl" sx={{ textAlign: 'right' }}>{directions.ar}</Box>
+                    {med.instructions && (
+                      <Box sx={{ color: 'text.secondary', fontStyle: 'italic' }}>{med.instructions}</Box>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ verticalAlign: 'top' }} align="right">
+                    {med.quantity}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+
+        {/* Verification footer */}
+        <Box sx={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'space-between', gap: 2, mt: 3 }}>
+          <Box sx={{ textAlign: 'center' }}>
+            {qrCode && <Box component="img" src={qrCode} alt={prescription.prescriptionNumber} sx={{ width: 88, height: 88 }} />}
+            <Typography variant="caption" sx={{ display: 'block', fontWeight: 600 }}>
+              {prescription.prescriptionNumber}
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', fontSize: 9 }}>
+              Scan at pharmacy to verify · امسح للتحقق
+            </Typography>
+          </Box>
+          <Box sx={{ minWidth: 160, textAlign: 'center' }}>
+            {valid && prescription.digitalSignature && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', fontSize: 9 }}>
+                Digitally signed via HPR
+              </Typography>
+            )}
+            <Box sx={{ borderTop: '1px solid', borderColor: 'grey.500', mt: 4, pt: 0.5 }}>
+              <BilingualLabel en="Doctor's signature" ar="توقيع الطبيب" />
+            </Box>
+          </Box>
+        </Box>
+      </Box>
+    </CacheProvider>
+  );
+}
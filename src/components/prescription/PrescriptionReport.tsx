@@ -0,0 +1,136 @@
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Divider,
+} from '@mui/material';
+import { formatDiagnosis } from '../../utils/diagnosis';
+import { maskNationalId } from '../../utils/nationalId';
+import { describeExportedMedication } from '../../utils/export';
+import { useLocale } from '../../contexts/LocaleContext';
+import { getStatusLabel } from '../../i18n';
+import type { MessageKey } from '../../i18n';
+import type { Prescription, PrescriptionStatus } from '../../types';
+
+interface PrescriptionReportProps {
+  prescriptions: Prescription[];
+  filters: string;
+  maskNationalIds: boolean;
+  clinicName?: string;
+  generatedBy?: string;
+}
+
+const cellSx = { py: 0.75, px: 1, fontSize: '0.75rem', verticalAlign: 'top' };
+
+const COLUMNS: MessageKey[] = [
+  'prescription.rxNumber',
+  'prescription.date',
+  'prescription.patient',
+  'prescription.nationalId',
+  'prescription.diagnosis',
+  'prescription.medications',
+  'prescription.status',
+];
+
+/**
+ * A4 landscape summary of prescriptions for auditors and monthly
+ * reporting. Printing repeats the table header on every page and
+ * numbers the pages (print rules in index.css).
+ */
+export default function PrescriptionReport({
+  prescriptions,
+  filters,
+  maskNationalIds,
+  clinicName,
+  generatedBy,
+}: PrescriptionReportProps) {
+  const { t, language, formatDate, formatNumber } = useLocale();
+  const statusCounts = prescriptions.reduce<Partial<Record<PrescriptionStatus, number>>>((counts, p) => {
+    counts[p.status] = (counts[p.status] || 0) + 1;
+    return counts;
+  }, {});
+  const lineCount = prescriptions.reduce((sum, p) => sum + p.medications.length, 0);
+
+  return (
+    <Box className="prescription-report" sx={{ width: '100%', maxWidth: '273mm', bgcolor: 'white', p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', gap: 2 }}>
+        <Box>
+          <Typography variant="h6" fontWeight={700}>
+            {t('export.reportTitle')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {clinicName || t('app.fullName')} · {filters}
+          </Typography>
+        </Box>
+        <Typography variant="caption" color="text.secondary" sx={{ textAlign: 'right' }}>
+          {t('export.generatedAt', { when: formatDate(new Date(), 'yyyy-MM-dd HH:mm') })}
+          {generatedBy && <br />}
+          {generatedBy && t('export.generatedBy', { name: generatedBy })}
+        </Typography>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', my: 1.5 }}>
+        <Typography variant="body2" fontWeight={600}>
+          {t('common.prescriptions', { count: prescriptions.length })}
+        </Typography>
+        <Typography variant="body2" fontWeight={600}>
+          {t('export.medicationLines', { count: lineCount })}
+        </Typography>
+        {(Object.entries(statusCounts) as [PrescriptionStatus, number][]).map(([status, count]) => (
+          <Typography key={status} variant="body2" color="text.secondary">
+            {getStatusLabel(status)}: {formatNumber(count)}
+          </Typography>
+        ))}
+      </Box>
+      <Divider sx={{ mb: 1 }} />
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {COLUMNS.map((header) => (
+              <TableCell key={header} sx={{ ...cellSx, fontWeight: 700 }}>
+                {t(header)}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {prescriptions.map((prescription) => (
+            <TableRow key={prescription.id}>
+              <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>{prescription.prescriptionNumber}</TableCell>
+              <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>
+                {formatDate(prescription.prescriptionDate, 'yyyy-MM-dd')}
+              </TableCell>
+              <TableCell sx={cellSx} dir="auto">
+                {prescription.patient.name}
+              </TableCell>
+              <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap', fontFamily: 'monospace' }}>
+                {maskNationalIds ? maskNationalId(prescription.patient.nationalId) : prescription.patient.nationalId}
+              </TableCell>
+              <TableCell sx={cellSx}>
+                {formatDiagnosis({ code: prescription.icdCode, description: prescription.diagnosis })}
+                {prescription.secondaryDiagnoses?.map((diagnosis, index) => (
+                  <Box key={index} component="span" sx={{ display: 'block', color: 'text.secondary' }}>
+                    {formatDiagnosis(diagnosis)}
+                  </Box>
+                ))}
+              </TableCell>
+              <TableCell sx={cellSx}>
+                {prescription.medications.map((med, index) => (
+                  <Box key={index} component="span" sx={{ display: 'block' }}>
+                    {describeExportedMedication(med, language)}
+                  </Box>
+                ))}
+              </TableCell>
+              <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>{getStatusLabel(prescription.status)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
@@ -0,0 +1,70 @@
+import { useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Box,
+} from '@mui/material';
+import { Print as PrintIcon } from '@mui/icons-material';
+import PrescriptionPrintSheet from './PrescriptionPrintSheet';
+import { PRINTABLE_STATUSES } from '../../config/constants';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { Prescription } from '../../types';
+
+interface PrintPreviewDialogProps {
+  open: boolean;
+  prescription: Prescription;
+  clinicName?: string;
+  onClose: () => void;
+}
+
+/**
+ * Preview of the A5 prescription sheet. Printing (or saving as PDF from
+ * the browser print dialog) is only offered for approved/active prescriptions.
+ */
+export default function PrintPreviewDialog({
+  open,
+  prescription,
+  clinicName,
+  onClose,
+}: PrintPreviewDialogProps) {
+  const { t } = useLocale();
+  const printable = PRINTABLE_STATUSES.includes(prescription.status);
+
+  // Print stylesheet rules in index.css key off this class
+  useEffect(() => {
+    if (!open) return;
+    document.body.classList.add('printing-prescription');
+    return () => document.body.classList.remove('printing-prescription');
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" className="print-preview-dialog">
+      <DialogTitle className="no-print">{t('print.title')}</DialogTitle>
+      <DialogContent sx={{ bgcolor: 'grey.100' }}>
+        {!printable && (
+          <Alert severity="warning" className="no-print" sx={{ mb: 2, borderRadius: 2 }}>
+            {t('print.notPrintable')}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', justifyContent: 'center', boxShadow: 1 }}>
+          <PrescriptionPrintSheet prescription={prescription} clinicName={clinicName} />
+        </Box>
+      </DialogContent>
+      <DialogActions className="no-print" sx={{ p: 2 }}>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+        <Button
+          variant="contained"
+          startIcon={<PrintIcon />}
+          onClick={() => window.print()}
+          disabled={!printable}
+        >
+          {t('print.print')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
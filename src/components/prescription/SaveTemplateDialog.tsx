@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  Chip,
+} from '@mui/material';
+import { BookmarkAdd as TemplateIcon } from '@mui/icons-material';
+import { usePermission, usePrescriptionTemplates } from '../../hooks';
+import { formatDiagnosis } from '../../utils/diagnosis';
+import { getDurationLabel, getFrequencyLabel } from '../../utils/medication';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { ICD10Code, Medication, PrescriptionTemplate, TemplateScope } from '../../types';
+
+interface SaveTemplateDialogProps {
+  open: boolean;
+  diagnosis: string;
+  icd10: ICD10Code | null;
+  medications: Medication[];
+  onClose: () => void;
+  onSaved?: (template: PrescriptionTemplate) => void;
+}
+
+/**
+ * Save a diagnosis and its medication lines as a personal or clinic
+ * template, to be applied again from the template picker.
+ */
+export default function SaveTemplateDialog({
+  open,
+  diagnosis,
+  icd10,
+  medications,
+  onClose,
+  onSaved,
+}: SaveTemplateDialogProps) {
+  const { saveTemplate } = usePrescriptionTemplates();
+  const mayShare = usePermission('template:share');
+  const { language, t } = useLocale();
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState<TemplateScope>('personal');
+  const [error, setError] = useState('');
+
+  // Suggest the diagnosis as the name each time the dialog opens
+  const icdCode = icd10?.code;
+  useEffect(() => {
+    if (!open) return;
+    setName(formatDiagnosis({ code: icdCode, description: diagnosis }));
+    setScope('personal');
+    setError('');
+  }, [open, diagnosis, icdCode]);
+
+  const handleSave = () => {
+    try {
+      const template = saveTemplate({
+        name: name.trim(),
+        scope,
+        diagnosis,
+        icd10,
+        medications,
+      });
+      onSaved?.(template);
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t('templates.saveFailed'));
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <TemplateIcon color="primary" />
+        {t('templates.saveTitle')}
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          autoFocus
+          label={t('templates.name')}
+          placeholder={t('templates.namePlaceholder')}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          sx={{ mt: 1, mb: 2 }}
+          required
+        />
+
+        <Typography variant="subtitle2" fontWeight={600} gutterBottom>
+          {t('templates.shareWith')}
+        </Typography>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={scope}
+          onChange={(_, value: TemplateScope | null) => value && setScope(value)}
+          sx={{ mb: 0.5 }}
+        >
+          <ToggleButton value="personal">{t('templates.onlyMe')}</ToggleButton>
+          <ToggleButton value="clinic" disabled={!mayShare}>
+            {t('templates.wholeClinic')}
+          </ToggleButton>
+        </ToggleButtonGroup>
+        {!mayShare && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+            {t('templates.cannotShare')}
+          </Typography>
+        )}
+
+        <Box sx={{ mt: 2, p: 2, borderRadius: 2, bgcolor: 'grey.50', border: '1px solid', borderColor: 'grey.200' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            {icd10 && (
+              <Chip label={icd10.code} size="small" sx={{ bgcolor: 'warning.100', color: 'warning.800', fontWeight: 600 }} />
+            )}
+            <Typography variant="body2" fontWeight={600}>
+              {diagnosis || t('templates.noDiagnosis')}
+            </Typography>
+          </Box>
+          {medications.map((med, index) => (
+            <Typography key={index} variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+              {med.medicineName} ·{' '}
+              {[
+                med.dosage,
+                med.frequency && getFrequencyLabel(med.frequency, language),
+                med.duration && getDurationLabel(med.duration, language),
+              ]
+                .filter(Boolean)
+                .join(' · ')}
+            </Typography>
+          ))}
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!name.trim() || medications.length === 0}>
+          {t('templates.save')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
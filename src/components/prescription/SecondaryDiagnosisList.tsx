@@ -0,0 +1,122 @@
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  Grid,
+  Tooltip,
+  Chip,
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import DiagnosisSearch from './DiagnosisSearch';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { DiagnosisFormData } from '../../types';
+
+interface SecondaryDiagnosisListProps {
+  diagnoses: DiagnosisFormData[];
+  onAdd: () => void;
+  onUpdate: (id: string, changes: Partial<DiagnosisFormData>) => void;
+  onRemove: (id: string) => void;
+  errors?: Record<string, string>;
+  disabled?: boolean;
+}
+
+/**
+ * Comorbidities recorded alongside the primary diagnosis, such as
+ * hypertension on a diabetes visit. Each can be picked as the
+ * indication for a medication line.
+ */
+export default function SecondaryDiagnosisList({
+  diagnoses,
+  onAdd,
+  onUpdate,
+  onRemove,
+  errors = {},
+  disabled = false,
+}: SecondaryDiagnosisListProps) {
+  const { t } = useLocale();
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1.5 }}>
+        <Typography variant="subtitle2" fontWeight={600}>
+          {t('diagnosis.secondaryTitle')}
+        </Typography>
+        <Button size="small" startIcon={<AddIcon />} onClick={onAdd} disabled={disabled}>
+          {t('diagnosis.add')}
+        </Button>
+      </Box>
+
+      {diagnoses.length === 0 ? (
+        <Typography variant="caption" color="text.secondary">
+          {t('diagnosis.secondaryHint')}
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+          {diagnoses.map((diagnosis, index) => (
+            <Paper
+              key={diagnosis.id}
+              elevation={0}
+              sx={{
+                p: 2,
+                border: '1px solid',
+                borderColor: errors[diagnosis.id] ? 'error.main' : 'grey.200',
+                borderRadius: 2,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1.5 }}>
+                <Chip
+                  label={t('diagnosis.secondaryNumber', { number: index + 1 })}
+                  size="small"
+                  sx={{ bgcolor: 'warning.50', color: 'warning.800', fontWeight: 600 }}
+                />
+                <Tooltip title={t('diagnosis.remove')}>
+                  <IconButton
+                    size="small"
+                    onClick={() => onRemove(diagnosis.id)}
+                    disabled={disabled}
+                    sx={{
+                      color: 'grey.500',
+                      '&:hover': { color: 'error.main', bgcolor: 'error.50' },
+                    }}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={6}>
+                  <DiagnosisSearch
+                    label={t('diagnosis.searchIcd10')}
+                    value={diagnosis.icd10 ? `${diagnosis.icd10.code} - ${diagnosis.icd10.description}` : ''}
+                    onSelect={(icd10) =>
+                      onUpdate(diagnosis.id, { icd10, description: `${icd10.code} - ${icd10.description}` })
+                    }
+                    disabled={disabled}
+                    helperText={t('diagnosis.searchHint')}
+                  />
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    fullWidth
+                    label={t('diagnosis.description')}
+                    value={diagnosis.description}
+                    onChange={(e) => onUpdate(diagnosis.id, { description: e.target.value })}
+                    error={!!errors[diagnosis.id]}
+                    helperText={
+                      errors[diagnosis.id] || (diagnosis.icd10 ? t('create.icd10Code', { code: diagnosis.icd10.code }) : '')
+                    }
+                    disabled={disabled}
+                    required
+                  />
+                </Grid>
+              </Grid>
+            </Paper>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
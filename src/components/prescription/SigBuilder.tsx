@@ -0,0 +1,285 @@
+import {
+  Box,
+  Button,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  MenuItem,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Add as AddIcon, Close as RemoveIcon, TrendingDown as TaperIcon } from '@mui/icons-material';
+import { DOSE_UNIT_OPTIONS, DOSE_ROUTE_OPTIONS, DOSE_TIMING_OPTIONS } from '../../config/constants';
+import { SIG_FREQUENCY_OPTIONS, describeSig, getFrequencyLabel } from '../../utils/medication';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { DosePhase, StructuredSig } from '../../types';
+
+// Value of the days select for a phase that continues until stopped
+const ONGOING = 'ongoing';
+
+interface SigBuilderProps {
+  sig: StructuredSig;
+  onChange: (sig: StructuredSig) => void;
+  // Keyed by field: phase0, phase1, ..., asNeededFor, maxDailyDose
+  errors?: Record<string, string>;
+  disabled?: boolean;
+}
+
+/**
+ * Structured dosing instructions for one medication line: dose, route,
+ * timing, PRN and a maximum daily dose, with one row per taper phase.
+ * A live preview shows the instructions as printed for the patient.
+ */
+export default function SigBuilder({ sig, onChange, errors = {}, disabled = false }: SigBuilderProps) {
+  const { t, language } = useLocale();
+  const ar = language === 'ar';
+  const update = (changes: Partial<StructuredSig>) => onChange({ ...sig, ...changes });
+
+  const updatePhase = (index: number, changes: Partial<DosePhase>) => {
+    update({ phases: sig.phases.map((phase, i) => (i === index ? { ...phase, ...changes } : phase)) });
+  };
+
+  // A new step halves the previous dose, the usual shape of a steroid taper
+  const addPhase = () => {
+    const last = sig.phases[sig.phases.length - 1];
+    const phases = sig.phases.map((phase) =>
+      phase.durationDays === null ? { ...phase, durationDays: 7 } : phase
+    );
+    update({
+      phases: [
+        ...phases,
+        {
+          doseAmount: last ? Math.max(last.doseAmount / 2, 0.5) : 1,
+          frequency: last?.frequency || 'once_daily',
+          durationDays: last?.durationDays || 7,
+        },
+      ],
+    });
+  };
+
+  const removePhase = (index: number) => {
+    update({ phases: sig.phases.filter((_, i) => i !== index) });
+  };
+
+  const unit = DOSE_UNIT_OPTIONS.find((o) => o.value === sig.doseUnit);
+  const unitLabel = (ar ? unit?.labelAr : unit?.labelPlural) || sig.doseUnit;
+
+  return (
+    <Box>
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            size="small"
+            select
+            label={t('sig.doseUnit')}
+            value={sig.doseUnit}
+            onChange={(e) => update({ doseUnit: e.target.value as StructuredSig['doseUnit'] })}
+            disabled={disabled}
+          >
+            {DOSE_UNIT_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {ar ? option.labelAr : option.labelPlural}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            size="small"
+            select
+            label={t('sig.route')}
+            value={sig.route}
+            onChange={(e) => update({ route: e.target.value as StructuredSig['route'] })}
+            disabled={disabled}
+          >
+            {DOSE_ROUTE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {ar ? option.labelAr : option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            size="small"
+            select
+            label={t('sig.timing')}
+            value={sig.timing}
+            onChange={(e) => update({ timing: e.target.value as StructuredSig['timing'] })}
+            disabled={disabled}
+          >
+            {DOSE_TIMING_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.value === 'any'
+                  ? t('sig.anyTime')
+                  : ar
+                  ? option.labelAr
+                  : option.label.replace(/^\w/, (c) => c.toUpperCase())}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+      </Grid>
+
+      {/* Schedule phases */}
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, mt: 2 }}>
+        {sig.phases.map((phase, index) => {
+          const isLast = index === sig.phases.length - 1;
+          return (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5 }}>
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ width: 56, flexShrink: 0, pt: 1.25, fontWeight: 600 }}
+              >
+                {sig.phases.length > 1 ? t('sig.step', { step: index + 1 }) : t('sig.dose')}
+              </Typography>
+              <Grid container spacing={1.5}>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    type="number"
+                    label={t('sig.amount', { unit: unitLabel })}
+                    value={phase.doseAmount || ''}
+                    onChange={(e) => updatePhase(index, { doseAmount: parseFloat(e.target.value) || 0 })}
+                    error={!!errors[`phase${index}`]}
+                    helperText={errors[`phase${index}`]}
+                    disabled={disabled}
+                    InputProps={{ inputProps: { min: 0, step: 0.5 } }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    select
+                    label={t('medication.frequency')}
+                    value={phase.frequency}
+                    onChange={(e) => updatePhase(index, { frequency: e.target.value })}
+                    disabled={disabled}
+                  >
+                    {SIG_FREQUENCY_OPTIONS.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>
+                        {getFrequencyLabel(option.value, language)}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  {phase.durationDays === null ? (
+                    <TextField
+                      fullWidth
+                      size="small"
+                      select
+                      label={t('sig.for')}
+                      value={ONGOING}
+                      onChange={(e) => updatePhase(index, { durationDays: e.target.value === ONGOING ? null : 7 })}
+                      disabled={disabled}
+                    >
+                      <MenuItem value={ONGOING}>{t('sig.ongoing')}</MenuItem>
+                      <MenuItem value="days">{t('sig.setDays')}</MenuItem>
+                    </TextField>
+                  ) : (
+                    <TextField
+                      fullWidth
+                      size="small"
+                      type="number"
+                      label={t('sig.forDays')}
+                      value={phase.durationDays || ''}
+                      onChange={(e) => updatePhase(index, { durationDays: parseInt(e.target.value) || 0 })}
+                      disabled={disabled}
+                      InputProps={{ inputProps: { min: 1 } }}
+                      helperText={
+                        isLast ? (
+                          <Box
+                            component="span"
+                            onClick={() => !disabled && updatePhase(index, { durationDays: null })}
+                            sx={{ cursor: disabled ? 'default' : 'pointer', color: 'primary.main' }}
+                          >
+                            {t('sig.makeOngoing')}
+                          </Box>
+                        ) : undefined
+                      }
+                    />
+                  )}
+                </Grid>
+              </Grid>
+              {sig.phases.length > 1 && (
+                <Tooltip title={t('sig.removeStep')}>
+                  <IconButton size="small" onClick={() => removePhase(index)} disabled={disabled} sx={{ mt: 0.5 }}>
+                    <RemoveIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </Box>
+          );
+        })}
+        <Box>
+          <Button size="small" startIcon={sig.phases.length > 1 ? <AddIcon /> : <TaperIcon />} onClick={addPhase} disabled={disabled}>
+            {sig.phases.length > 1 ? t('sig.addTaperStep') : t('sig.taperDose')}
+          </Button>
+        </Box>
+      </Box>
+
+      {/* PRN and maximum dose */}
+      <Grid container spacing={2} sx={{ mt: 0.5 }} alignItems="flex-start">
+        <Grid item xs={12} sm={4}>
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={sig.asNeeded}
+                onChange={(e) => update({ asNeeded: e.target.checked })}
+                disabled={disabled}
+              />
+            }
+            label={<Typography variant="body2">{t('sig.asNeeded')}</Typography>}
+          />
+        </Grid>
+        {sig.asNeeded && (
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              size="small"
+              label={t('sig.asNeededFor')}
+              placeholder={t('sig.asNeededForPlaceholder')}
+              value={sig.asNeededFor || ''}
+              onChange={(e) => update({ asNeededFor: e.target.value })}
+              error={!!errors.asNeededFor}
+              helperText={errors.asNeededFor}
+              disabled={disabled}
+            />
+          </Grid>
+        )}
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={t('sig.maxDaily', { unit: unitLabel })}
+            value={sig.maxDailyDose || ''}
+            onChange={(e) => update({ maxDailyDose: parseFloat(e.target.value) || undefined })}
+            error={!!errors.maxDailyDose}
+            helperText={errors.maxDailyDose || t('common.optional')}
+            disabled={disabled}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+        </Grid>
+      </Grid>
+
+      {/* Preview */}
+      <Box sx={{ mt: 2, p: 1.5, borderRadius: 1, bgcolor: 'primary.50' }}>
+        <Typography variant="body2">{describeSig(sig, 'en')}</Typography>
+        <Typography variant="body2" dir="rtl" color="text.secondary" sx={{ mt: 0.5 }}>
+          {describeSig(sig, 'ar')}
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { Chip, Tooltip, CircularProgress } from '@mui/material';
+import {
+  VerifiedUser as ValidIcon,
+  GppBad as InvalidIcon,
+  GppMaybe as UnverifiableIcon,
+  EditOff as UnsignedIcon,
+} from '@mui/icons-material';
+import { apiService } from '../../services/api';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { MessageKey } from '../../i18n';
+import type { Prescription, SignatureStatus, SignatureVerification } from '../../types';
+
+interface SignatureBadgeProps {
+  prescription: Prescription;
+}
+
+const SIGNATURE_CONFIG: Record<
+  SignatureStatus,
+  { label: MessageKey; color: 'success' | 'error' | 'warning' | 'default'; icon: JSX.Element }
+> = {
+  valid: { label: 'signature.valid', color: 'success', icon: <ValidIcon /> },
+  invalid: { label: 'signature.invalid', color: 'error', icon: <InvalidIcon /> },
+  tampered: { label: 'signature.tampered', color: 'error', icon: <InvalidIcon /> },
+  unverifiable: { label: 'signature.unverifiable', color: 'warning', icon: <UnverifiableIcon /> },
+  unsigned: { label: 'signature.unsigned', color: 'default', icon: <UnsignedIcon /> },
+};
+
+/**
+ * Re-verifies a prescription's digital signature against its content and
+ * the prescriber's HPR certificate whenever the prescription changes.
+ */
+export default function SignatureBadge({ prescription }: SignatureBadgeProps) {
+  const [verification, setVerification] = useState<SignatureVerification | null>(null);
+  const { t, formatDate } = useLocale();
+
+  useEffect(() => {
+    let cancelled = false;
+    setVerification(null);
+    apiService
+      .verifyPrescriptionSignature(prescription)
+      .then((result) => {
+        if (!cancelled) setVerification(result);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setVerification({
+            status: 'unverifiable',
+            reason: err instanceof Error ? err.message : t('signature.verificationFailed'),
+            checkedAt: new Date().toISOString(),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [prescription]);
+
+  if (!verification) {
+    return (
+      <Chip
+        icon={<CircularProgress size={14} />}
+        label={t('signature.verifying')}
+        size="small"
+        variant="outlined"
+        sx={{ fontWeight: 600 }}
+      />
+    );
+  }
+
+  const config = SIGNATURE_CONFIG[verification.status];
+
+  return (
+    <Tooltip
+      title={verification.reason || t('signature.checkedAt', { when: formatDate(verification.checkedAt, 'PPpp') })}
+    >
+      <Chip
+        icon={config.icon}
+        label={t(config.label)}
+        size="small"
+        color={config.color}
+        variant={verification.status === 'valid' ? 'filled' : 'outlined'}
+        sx={{ fontWeight: 600 }}
+      />
+    </Tooltip>
+  );
+}
@@ -9,6 +9,8 @@ import {
   Block as RejectedIcon,
   Schedule as ExpiredIcon,
 } from '@mui/icons-material';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { MessageKey } from '../../i18n';
 import type { PrescriptionStatus } from '../../types';
 
 interface StatusChipProps {
@@ -17,55 +19,55 @@ interface StatusChipProps {
 }
 
 const statusConfig: Record<PrescriptionStatus, {
-  label: string;
+  label: MessageKey;
   color: 'default' | 'primary' | 'success' | 'warning' | 'error' | 'info';
   icon: React.ReactElement;
   bgcolor: string;
 }> = {
   draft: {
-    label: 'Draft',
+    label: 'status.draft',
     color: 'default',
     icon: <DraftIcon />,
     bgcolor: '#f1f5f9',
   },
   pending_validation: {
-    label: 'Pending',
+    label: 'status.pending',
     color: 'warning',
     icon: <PendingIcon />,
     bgcolor: '#fef3c7',
   },
   active: {
-    label: 'Active',
+    label: 'status.active',
     color: 'success',
     icon: <ApprovedIcon />,
     bgcolor: '#d1fae5',
   },
   approved: {
-    label: 'Approved',
+    label: 'status.approved',
     color: 'success',
     icon: <ApprovedIcon />,
     bgcolor: '#d1fae5',
   },
   dispensed: {
-    label: 'Dispensed',
+    label: 'status.dispensed',
     color: 'info',
     icon: <DispensedIcon />,
     bgcolor: '#dbeafe',
   },
   cancelled: {
-    label: 'Cancelled',
+    label: 'status.cancelled',
     color: 'error',
     icon: <CancelledIcon />,
     bgcolor: '#fee2e2',
   },
   rejected: {
-    label: 'Rejected',
+    label: 'status.rejected',
     color: 'error',
     icon: <RejectedIcon />,
     bgcolor: '#fee2e2',
   },
   expired: {
-    label: 'Expired',
+    label: 'status.expired',
     color: 'default',
     icon: <ExpiredIcon />,
     bgcolor: '#e2e8f0',
@@ -74,10 +76,11 @@ const statusConfig: Record<PrescriptionStatus, {
 
 export default function StatusChip({ status, size = 'small' }: StatusChipProps) {
   const config = statusConfig[status] || statusConfig.draft;
+  const { t } = useLocale();
 
   return (
     <Chip
-      label={config.label}
+      label={t(config.label)}
       color={config.color}
       size={size}
       icon={React.cloneElement(config.icon, { 
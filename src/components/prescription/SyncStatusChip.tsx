@@ -0,0 +1,43 @@
+import { Chip, Tooltip } from '@mui/material';
+import {
+  CloudUpload as PendingIcon,
+  SyncProblem as ConflictIcon,
+} from '@mui/icons-material';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { OutboxOperation } from '../../types';
+
+interface SyncStatusChipProps {
+  state: OutboxOperation['state'] | null;
+  onClick?: () => void;
+}
+
+/**
+ * Marks a prescription with changes still in the offline outbox:
+ * "Pending sync" while they wait for NDP, "Sync conflict" once NDP rejects one.
+ */
+export default function SyncStatusChip({ state, onClick }: SyncStatusChipProps) {
+  const { t } = useLocale();
+  if (!state) return null;
+
+  const conflict = state === 'conflict';
+
+  return (
+    <Tooltip
+      title={
+        conflict
+          ? t('sync.conflictHint')
+          : t('sync.pendingHint')
+      }
+    >
+      <Chip
+        icon={conflict ? <ConflictIcon /> : <PendingIcon />}
+        label={conflict ? t('sync.conflictChip') : t('sync.pendingChip')}
+        size="small"
+        color={conflict ? 'error' : 'warning'}
+        variant="outlined"
+        onClick={onClick}
+        sx={{ fontWeight: 600 }}
+      />
+    </Tooltip>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useState, useMemo, useRef } from 'react';
+import {
+  Autocomplete,
+  TextField,
+  Box,
+  Typography,
+  Chip,
+  IconButton,
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Alert,
+} from '@mui/material';
+import {
+  BookmarkBorder as TemplateIcon,
+  Delete as DeleteIcon,
+  MoreVert as ManageIcon,
+  FileUpload as ImportIcon,
+  FileDownload as ExportIcon,
+} from '@mui/icons-material';
+import { usePermission, usePrescriptionTemplates } from '../../hooks';
+import { exportTemplates } from '../../services/templateStore';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { MessageKey } from '../../i18n';
+import type { PrescriptionTemplate, TemplateScope } from '../../types';
+
+type TemplateOption = PrescriptionTemplate & { group: string };
+
+interface TemplatePickerProps {
+  onApply: (template: PrescriptionTemplate) => void;
+  /** ICD-10 code of the current diagnosis; matching templates are suggested first. */
+  icdCode?: string;
+  disabled?: boolean;
+}
+
+const SCOPE_GROUPS: Record<TemplateScope, MessageKey> = {
+  personal: 'templates.personal',
+  clinic: 'templates.clinic',
+};
+
+/**
+ * Search personal and clinic templates and apply one to the current
+ * prescription. The menu imports and exports templates as JSON files.
+ */
+export default function TemplatePicker({ onApply, icdCode, disabled = false }: TemplatePickerProps) {
+  const { templates, removeTemplate, importTemplates } = usePrescriptionTemplates();
+  const { direction, t } = useLocale();
+  const mayShare = usePermission('template:share');
+  const [inputValue, setInputValue] = useState('');
+  const [menuAnchor, setMenuAnchor] = useState<HTMLElement | null>(null);
+  const [message, setMessage] = useState<{ severity: 'success' | 'error'; text: string } | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const importScopeRef = useRef<TemplateScope>('personal');
+
+  const options = useMemo<TemplateOption[]>(() => {
+    const code = icdCode?.trim().toUpperCase();
+    const suggested = code ? templates.filter((tpl) => tpl.icd10?.code.toUpperCase() === code) : [];
+    const suggestedIds = new Set(suggested.map((tpl) => tpl.id));
+    return [
+      ...suggested.map((tpl) => ({ ...tpl, group: t('templates.suggestedFor', { code: code ?? '' }) })),
+      ...templates
+        .filter((tpl) => !suggestedIds.has(tpl.id))
+        .map((tpl) => ({ ...tpl, group: t(SCOPE_GROUPS[tpl.scope]) })),
+    ];
+  }, [templates, icdCode, t]);
+
+  const handleChange = (_event: React.SyntheticEvent, template: TemplateOption | null) => {
+    if (!template) return;
+    const { group, ...applied } = template;
+    onApply(applied);
+    setInputValue('');
+  };
+
+  const handleExport = (scope: TemplateScope) => {
+    setMenuAnchor(null);
+    const selected = templates.filter((t) => t.scope === scope);
+    const blob = new Blob([JSON.stringify(exportTemplates(selected), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${scope}-prescription-templates.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportClick = (scope: TemplateScope) => {
+    setMenuAnchor(null);
+    importScopeRef.current = scope;
+    fileInputRef.current?.click();
+  };
+
+  const handleImport = async (file: File) => {
+    try {
+      const count = importTemplates(JSON.parse(await file.text()), importScopeRef.current);
+      setMessage({
+        severity: 'success',
+        text: t('templates.imported', { count, group: t(SCOPE_GROUPS[importScopeRef.current]).toLowerCase() }),
+      });
+    } catch (err) {
+      console.error('Template import failed:', err);
+      setMessage({
+        severity: 'error',
+        text: err instanceof Error ? t('templates.importFailedWith', { message: err.message }) : t('templates.importFailed'),
+      });
+    }
+  };
+
+  const countByScope = (scope: TemplateScope) => templates.filter((tpl) => tpl.scope === scope).length;
+  const menuSide = direction === 'rtl' ? 'left' : 'right';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+        <Autocomplete
+          fullWidth
+          size="small"
+          value={null}
+          onChange={handleChange}
+          inputValue={inputValue}
+          onInputChange={(_, value) => setInputValue(value)}
+          options={options}
+          groupBy={(option) => option.group}
+          getOptionLabel={(option) => option.name}
+          isOptionEqualToValue={(option, value) => option.id === value.id}
+          disabled={disabled}
+          noOptionsText={
+            templates.length === 0 ? t('templates.noneYet') : t('templates.noMatches')
+          }
+          renderOption={(props, option) => {
+            const { key, ...otherProps } = props as { key: string } & React.HTMLAttributes<HTMLLIElement>;
+            const mayRemove = option.scope === 'personal' || mayShare;
+            return (
+              <Box
+                component="li"
+                key={key || option.id}
+                {...otherProps}
+                sx={{ display: 'flex', alignItems: 'center', gap: 1.5, py: 1, px: 2 }}
+              >
+                <TemplateIcon fontSize="small" color="primary" />
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                  <Typography variant="body2" fontWeight={500} noWrap>
+                    {option.name}
+                  </Typography>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.25 }}>
+                    {option.icd10 && (
+                      <Chip
+                        label={option.icd10.code}
+                        size="small"
+                        sx={{ height: 20, fontSize: '0.7rem', fontWeight: 600, bgcolor: 'warning.100', color: 'warning.800' }}
+                      />
+                    )}
+                    <Typography variant="caption" color="text.secondary" noWrap>
+                      {t('common.medications', { count: option.medications.length })}
+                      {option.scope === 'clinic' && option.ownerName
+                        ? ` · ${t('templates.byOwner', { name: option.ownerName })}`
+                        : ''}
+                    </Typography>
+                  </Box>
+                </Box>
+                {mayRemove && (
+                  <Tooltip title={t('templates.delete')}>
+                    <IconButton
+                      size="small"
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        removeTemplate(option);
+                      }}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+            );
+          }}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label={t('templates.apply')}
+              placeholder={t('templates.searchPlaceholder')}
+            />
+          )}
+        />
+        <Tooltip title={t('templates.manage')}>
+          <span>
+            <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)} disabled={disabled}>
+              <ManageIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Menu
+        anchorEl={menuAnchor}
+        open={Boolean(menuAnchor)}
+        onClose={() => setMenuAnchor(null)}
+        anchorOrigin={{ horizontal: menuSide, vertical: 'bottom' }}
+        transformOrigin={{ horizontal: menuSide, vertical: 'top' }}
+      >
+        <MenuItem onClick={() => handleImportClick('personal')}>
+          <ListItemIcon>
+            <ImportIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>{t('templates.importPersonal')}</ListItemText>
+        </MenuItem>
+        {mayShare && (
+          <MenuItem onClick={() => handleImportClick('clinic')}>
+            <ListItemIcon>
+              <ImportIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>{t('templates.importClinic')}</ListItemText>
+          </MenuItem>
+        )}
+        <MenuItem onClick={() => handleExport('personal')} disabled={countByScope('personal') === 0}>
+          <ListItemIcon>
+            <ExportIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>{t('templates.exportPersonal')}</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => handleExport('clinic')} disabled={countByScope('clinic') === 0}>
+          <ListItemIcon>
+            <ExportIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>{t('templates.exportClinic')}</ListItemText>
+        </MenuItem>
+      </Menu>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        hidden
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) handleImport(file);
+        }}
+      />
+
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mt: 1 }}>
+          {message.text}
+        </Alert>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+} from '@mui/material';
+import { Warning as WarningIcon } from '@mui/icons-material';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { AIValidationResult, ValidationAcknowledgement } from '../../types';
+
+interface ValidationReviewDialogProps {
+  open: boolean;
+  validation: AIValidationResult | null;
+  reviewer: string;
+  loading?: boolean;
+  onCancel: () => void;
+  onConfirm: (acknowledgements: ValidationAcknowledgement[]) => void;
+}
+
+interface WarningDecision {
+  action: ValidationAcknowledgement['action'] | '';
+  reason: string;
+}
+
+/**
+ * Review screen for AI validation warnings. Every warning must be
+ * acknowledged, or overridden with a reason, before approval continues.
+ */
+export default function ValidationReviewDialog({
+  open,
+  validation,
+  reviewer,
+  loading = false,
+  onCancel,
+  onConfirm,
+}: ValidationReviewDialogProps) {
+  const { t, formatDate } = useLocale();
+  const [decisions, setDecisions] = useState<WarningDecision[]>([]);
+  const warnings = validation?.warnings || [];
+
+  useEffect(() => {
+    setDecisions((validation?.warnings || []).map(() => ({ action: '', reason: '' })));
+  }, [validation]);
+
+  const updateDecision = (index: number, update: Partial<WarningDecision>) => {
+    setDecisions((prev) => prev.map((d, i) => (i === index ? { ...d, ...update } : d)));
+  };
+
+  const complete =
+    decisions.length === warnings.length &&
+    decisions.every((d) => d.action === 'acknowledged' || (d.action === 'overridden' && d.reason.trim()));
+
+  const handleConfirm = () => {
+    const acknowledgedAt = new Date().toISOString();
+    onConfirm(
+      warnings.map((warning, index) => ({
+        warning,
+        action: decisions[index].action as ValidationAcknowledgement['action'],
+        reason: decisions[index].action === 'overridden' ? decisions[index].reason.trim() : undefined,
+        acknowledgedBy: reviewer,
+        acknowledgedAt,
+      }))
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <WarningIcon color="warning" />
+        {t('validation.reviewTitle')}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {validation
+            ? t('validation.raisedAt', { count: warnings.length, time: formatDate(validation.checkedAt, 'HH:mm') })
+            : t('validation.raised', { count: warnings.length })}{' '}
+          {t('validation.reviewHint')}
+        </Typography>
+
+        {warnings.map((warning, index) => {
+          const decision = decisions[index] || { action: '', reason: '' };
+          return (
+            <Box
+              key={index}
+              sx={{
+                border: '1px solid',
+                borderColor: decision.action ? 'grey.200' : 'warning.light',
+                borderRadius: 2,
+                p: 2,
+                mb: 1.5,
+              }}
+            >
+              <Alert severity="warning" sx={{ mb: 1.5, borderRadius: 2 }}>
+                {warning}
+              </Alert>
+              <ToggleButtonGroup
+                exclusive
+                size="small"
+                value={decision.action}
+                onChange={(_, value) => value && updateDecision(index, { action: value })}
+                disabled={loading}
+              >
+                <ToggleButton value="acknowledged">{t('validation.acknowledge')}</ToggleButton>
+                <ToggleButton value="overridden">{t('validation.override')}</ToggleButton>
+              </ToggleButtonGroup>
+              {decision.action === 'overridden' && (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('validation.overrideReason')}
+                  placeholder={t('validation.overridePlaceholder')}
+                  value={decision.reason}
+                  onChange={(e) => updateDecision(index, { reason: e.target.value })}
+                  disabled={loading}
+                  sx={{ mt: 1.5 }}
+                />
+              )}
+            </Box>
+          );
+        })}
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button onClick={onCancel} disabled={loading}>
+          {t('validation.goBack')}
+        </Button>
+        <Button variant="contained" color="success" onClick={handleConfirm} disabled={!complete || loading}>
+          {t('validation.confirmApprove')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Grid,
+  MenuItem,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  Alert,
+  InputAdornment,
+} from '@mui/material';
+import { MonitorWeight as WeightIcon } from '@mui/icons-material';
+import { WEIGHT_DOSE_BASIS_OPTIONS } from '../../config/constants';
+import {
+  calculateWeightDose,
+  describeWeightDose,
+  formatWeightDoseAmount,
+  getWeightDoseWarnings,
+  getLineDosesPerDay,
+  isWeightDoseStale,
+} from '../../utils/medication';
+import { useLocale } from '../../contexts/LocaleContext';
+import type { MedicationFormData, PatientFormData, WeightBasedDose, WeightDoseBasis } from '../../types';
+
+interface WeightDoseCalculatorProps {
+  medication: MedicationFormData;
+  patient: Pick<PatientFormData, 'weightKg' | 'heightCm'>;
+  onApply: (dose: WeightBasedDose) => void;
+  error?: string;
+  disabled?: boolean;
+}
+
+// Optional mg field: empty means no limit
+function parseMg(value: string): number | undefined {
+  const mg = parseFloat(value);
+  return mg > 0 ? mg : undefined;
+}
+
+/**
+ * mg/kg or mg/m² dose calculator for one medication line. Works out a
+ * single dose from the patient's weight (and height for BSA), rounds it
+ * to a measurable amount of the selected medicine and warns when it goes
+ * over the maximum single or daily dose.
+ */
+export default function WeightDoseCalculator({
+  medication,
+  patient,
+  onApply,
+  error,
+  disabled = false,
+}: WeightDoseCalculatorProps) {
+  const { t, formatNumber } = useLocale();
+  const applied = medication.weightDose;
+  const [basis, setBasis] = useState<WeightDoseBasis>(applied?.basis || 'mg_per_kg');
+  const [rate, setRate] = useState(applied ? String(applied.rate) : '');
+  const [perDay, setPerDay] = useState(applied?.perDay ?? true);
+  const [maxSingle, setMaxSingle] = useState(applied?.maxSingleDoseMg ? String(applied.maxSingleDoseMg) : '');
+  const [maxDaily, setMaxDaily] = useState(applied?.maxDailyDoseMg ? String(applied.maxDailyDoseMg) : '');
+
+  const dosesPerDay = getLineDosesPerDay(medication);
+  const requiresHeight = WEIGHT_DOSE_BASIS_OPTIONS.find((o) => o.value === basis)?.requiresHeight;
+  const dose = calculateWeightDose(
+    {
+      basis,
+      rate: parseFloat(rate) || 0,
+      perDay,
+      dosesPerDay,
+      weightKg: patient.weightKg || 0,
+      heightCm: patient.heightCm || undefined,
+      maxSingleDoseMg: parseMg(maxSingle),
+      maxDailyDoseMg: parseMg(maxDaily),
+    },
+    medication.medicine
+  );
+  const warnings = dose ? getWeightDoseWarnings(dose) : [];
+  const stale = isWeightDoseStale(medication, patient);
+
+  const getMissingInput = (): string => {
+    if (!patient.weightKg) return t('weightDose.needWeight');
+    if (requiresHeight && !patient.heightCm) return t('weightDose.needHeight');
+    if (perDay && dosesPerDay <= 0) return t('weightDose.needFrequency');
+    return t('weightDose.needRate', { unit: basis === 'mg_per_m2' ? 'm²' : 'kg' });
+  };
+
+  return (
+    <Box sx={{ p: 2, borderRadius: 2, bgcolor: 'grey.50', border: '1px solid', borderColor: 'grey.200' }}>
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={t('weightDose.dose')}
+            value={rate}
+            onChange={(e) => setRate(e.target.value)}
+            disabled={disabled}
+            InputProps={{
+              inputProps: { min: 0, step: 'any' },
+              endAdornment: (
+                <InputAdornment position="end">
+                  <TextField
+                    select
+                    variant="standard"
+                    value={basis}
+                    onChange={(e) => setBasis(e.target.value as WeightDoseBasis)}
+                    disabled={disabled}
+                    InputProps={{ disableUnderline: true }}
+                  >
+                    {WEIGHT_DOSE_BASIS_OPTIONS.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>
+                        {option.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </InputAdornment>
+              ),
+            }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <ToggleButtonGroup
+            exclusive
+            fullWidth
+            size="small"
+            value={perDay ? 'day' : 'dose'}
+            onChange={(_, value: string | null) => value && setPerDay(value === 'day')}
+            disabled={disabled}
+            sx={{ height: 40 }}
+          >
+            <ToggleButton value="day">{t('weightDose.perDay')}</ToggleButton>
+            <ToggleButton value="dose">{t('weightDose.perDose')}</ToggleButton>
+          </ToggleButtonGroup>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={t('weightDose.maxSingle')}
+            value={maxSingle}
+            onChange={(e) => setMaxSingle(e.target.value)}
+            disabled={disabled}
+            InputProps={{
+              inputProps: { min: 0, step: 'any' },
+              endAdornment: <InputAdornment position="end">mg</InputAdornment>,
+            }}
+          />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={t('weightDose.maxDaily')}
+            value={maxDaily}
+            onChange={(e) => setMaxDaily(e.target.value)}
+            disabled={disabled}
+            InputProps={{
+              inputProps: { min: 0, step: 'any' },
+              endAdornment: <InputAdornment position="end">mg</InputAdornment>,
+            }}
+          />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+        <WeightIcon sx={{ color: 'primary.main' }} />
+        <Box sx={{ flex: 1 }}>
+          {dose ? (
+            <>
+              <Typography variant="body2" fontWeight={600}>
+                {t('weightDose.give', { amount: formatWeightDoseAmount(dose) })}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {describeWeightDose(dose)}
+              </Typography>
+            </>
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              {getMissingInput()}
+            </Typography>
+          )}
+        </Box>
+        <Button variant="contained" size="small" onClick={() => dose && onApply(dose)} disabled={disabled || !dose}>
+          {applied ? t('weightDose.update') : t('weightDose.apply')}
+        </Button>
+      </Box>
+
+      {warnings.map((warning) => (
+        <Alert key={warning} severity="error" sx={{ mt: 1.5, borderRadius: 2 }}>
+          {warning}
+        </Alert>
+      ))}
+      {(error || (applied && stale)) && (
+        <Alert severity="warning" sx={{ mt: 1.5, borderRadius: 2 }}>
+          {error ||
+            t('weightDose.stale', { weight: formatNumber(applied?.weightKg ?? 0) })}
+        </Alert>
+      )}
+    </Box>
+  );
+}
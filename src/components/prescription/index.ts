@@ -2,6 +2,19 @@ export { default as MedicineSearch } from './MedicineSearch';
 export { default as MedicationList } from './MedicationList';
 export { default as PatientForm } from './PatientForm';
 export { default as StatusChip } from './StatusChip';
+export { default as AlternativesDialog } from './AlternativesDialog';
+export { default as InsuranceCoverageCard } from './InsuranceCoverageCard';
+export { default as PatientHistoryPanel } from './PatientHistoryPanel';
+export { default as SignatureBadge } from './SignatureBadge';
+export { default as SyncStatusChip } from './SyncStatusChip';
+export { default as ValidationReviewDialog } from './ValidationReviewDialog';
+export { default as PrescriptionPrintSheet } from './PrescriptionPrintSheet';
+export { default as PrintPreviewDialog } from './PrintPreviewDialog';
 export { default as DiagnosisSearch } from './DiagnosisSearch';
-export { default as ICD10Search } from './ICD10Search';
-export type { ICD10Code } from './ICD10Search';
+export { default as SecondaryDiagnosisList } from './SecondaryDiagnosisList';
+export { default as SigBuilder } from './SigBuilder';
+export { default as TemplatePicker } from './TemplatePicker';
+export { default as SaveTemplateDialog } from './SaveTemplateDialog';
+export { default as WeightDoseCalculator } from './WeightDoseCalculator';
+export { default as PrescriptionReport } from './PrescriptionReport';
+export { default as ExportPrescriptionsDialog } from './ExportPrescriptionsDialog';
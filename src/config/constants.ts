@@ -1,3 +1,18 @@
+import type {
+  PrescriptionStatus,
+  UserRole,
+  Permission,
+  DoseUnit,
+  DoseRoute,
+  DoseTiming,
+  WeightDoseBasis,
+  AnalyticsRangePreset,
+  ExportFormat,
+  Language,
+  LocalePreferences,
+} from '../types';
+import type { MessageKey } from '../i18n';
+
 // ============================================================
 // Keycloak SSO Configuration (HCP Registry Auth)
 // ============================================================
@@ -26,6 +41,50 @@ export const DISPENSE_API_URL = import.meta.env.DEV
   ? (import.meta.env.VITE_DISPENSE_API_URL || 'http://209.38.231.84:4002')
   : '/ndp-api';
 
+// FHIR R4 naming systems and extensions of the NDP MedicationRequest profile.
+// These are identifiers, not endpoints, so they do not follow the environment.
+export const NDP_FHIR_NAMESPACE = 'https://ndp-gateway.healthflow.tech/fhir';
+
+export const FHIR_SYSTEMS = {
+  nationalId: `${NDP_FHIR_NAMESPACE}/sid/national-id`,
+  practitionerLicense: `${NDP_FHIR_NAMESPACE}/sid/practitioner-license`,
+  prescriptionId: `${NDP_FHIR_NAMESPACE}/sid/prescription-id`,
+  prescriptionNumber: `${NDP_FHIR_NAMESPACE}/sid/prescription-number`,
+  medicine: `${NDP_FHIR_NAMESPACE}/sid/medicine`,
+  drugId: `${NDP_FHIR_NAMESPACE}/sid/drug-id`,
+  edaCode: `${NDP_FHIR_NAMESPACE}/sid/eda-code`,
+  frequency: `${NDP_FHIR_NAMESPACE}/CodeSystem/dose-frequency`,
+  doseUnit: `${NDP_FHIR_NAMESPACE}/CodeSystem/dose-unit`,
+  doseTiming: `${NDP_FHIR_NAMESPACE}/CodeSystem/dose-timing`,
+  diagnosisRole: `${NDP_FHIR_NAMESPACE}/CodeSystem/diagnosis-role`,
+  icd10: 'http://hl7.org/fhir/sid/icd-10',
+  snomed: 'http://snomed.info/sct',
+  ucum: 'http://unitsofmeasure.org',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+} as const;
+
+// Portal fields FHIR has no element for, carried as extensions so they round-trip
+export const FHIR_EXTENSIONS = {
+  prescriptionStatus: `${NDP_FHIR_NAMESPACE}/StructureDefinition/prescription-status`,
+  createdAt: `${NDP_FHIR_NAMESPACE}/StructureDefinition/created-at`,
+  digitalSignature: `${NDP_FHIR_NAMESPACE}/StructureDefinition/digital-signature`,
+  patientAge: `${NDP_FHIR_NAMESPACE}/StructureDefinition/patient-age`,
+  genericName: `${NDP_FHIR_NAMESPACE}/StructureDefinition/medication-generic-name`,
+  strength: `${NDP_FHIR_NAMESPACE}/StructureDefinition/medication-strength`,
+  form: `${NDP_FHIR_NAMESPACE}/StructureDefinition/medication-form`,
+  unitPrice: `${NDP_FHIR_NAMESPACE}/StructureDefinition/medication-unit-price`,
+  dosage: `${NDP_FHIR_NAMESPACE}/StructureDefinition/dosage-as-written`,
+  frequency: `${NDP_FHIR_NAMESPACE}/StructureDefinition/frequency-as-written`,
+  duration: `${NDP_FHIR_NAMESPACE}/StructureDefinition/duration-as-written`,
+  warnings: `${NDP_FHIR_NAMESPACE}/StructureDefinition/medication-warnings`,
+  patientWeight: `${NDP_FHIR_NAMESPACE}/StructureDefinition/patient-weight-kg`,
+  patientHeight: `${NDP_FHIR_NAMESPACE}/StructureDefinition/patient-height-cm`,
+  weightBasedDose: `${NDP_FHIR_NAMESPACE}/StructureDefinition/weight-based-dose`,
+  identityOverride: `${NDP_FHIR_NAMESPACE}/StructureDefinition/identity-override`,
+  interactionOverride: `${NDP_FHIR_NAMESPACE}/StructureDefinition/interaction-override`,
+} as const;
+
 // HCP Registry API (for practitioner verification & signing)
 export const HPR_API_URL = import.meta.env.VITE_HPR_API_URL || 'https://registry.healthflow.tech';
 
@@ -36,18 +95,44 @@ export const APP_VERSION = import.meta.env.VITE_APP_VERSION || '2.0.0';
 // Token Configuration (Keycloak manages tokens, but we store user info)
 export const USER_KEY = 'healthflow_user';
 
-// Prescription Status Configuration
-export const PRESCRIPTION_STATUS_LABELS: Record<string, string> = {
-  draft: 'Draft',
-  pending_validation: 'Pending Validation',
-  active: 'Active',
-  approved: 'Approved',
-  dispensed: 'Dispensed',
-  cancelled: 'Cancelled',
-  rejected: 'Rejected',
-  expired: 'Expired',
+// Roles and permissions (labels are in the i18n catalogs)
+export const ROLE_PERMISSIONS: Record<UserRole, Permission[]> = {
+  doctor: ['prescription:create', 'prescription:approve', 'prescription:cancel', 'template:share'],
+  clinic_staff: ['prescription:create', 'prescription:view_all'],
 };
 
+// Keycloak realm/client roles that grant a permission on top of the user's role
+export const KEYCLOAK_PERMISSION_ROLES: Record<string, Permission> = {
+  'prescription-approve': 'prescription:approve',
+  'prescription-cancel': 'prescription:cancel',
+  'prescription-view-all': 'prescription:view_all',
+  'clinic-admin': 'prescription:view_all',
+  'template-share': 'template:share',
+};
+
+// Session expiry warnings (seconds before the SSO session ends)
+export const SESSION_WARNING_SECONDS = 300;
+export const SESSION_CRITICAL_SECONDS = 120;
+
+// Prescription Status Configuration (labels are in the i18n catalogs)
+// Statuses for which a patient copy may be printed
+export const PRINTABLE_STATUSES: PrescriptionStatus[] = ['approved', 'active'];
+
+// Statuses a prescription can be renewed from, and how far ahead renewals are flagged
+export const RENEWABLE_STATUSES: PrescriptionStatus[] = ['approved', 'active', 'dispensed', 'expired'];
+export const RENEWAL_LOOKAHEAD_DAYS = 7;
+// Prescriptions that ran out longer ago than this are no longer listed as due
+export const RENEWAL_OVERDUE_DAYS = 30;
+// Prescriptions written longer ago than this are not searched for renewals (a year of monthly refills)
+export const RENEWAL_LOOKBACK_DAYS = 400;
+// Renewals still in draft or awaiting validation count as renewed, so only cancelled and rejected ones are left out
+export const RENEWAL_SEARCH_STATUSES: PrescriptionStatus[] = [
+  ...RENEWABLE_STATUSES,
+  'draft',
+  'pending_validation',
+];
+export const MAX_REFILLS = 12;
+
 export const PRESCRIPTION_STATUS_COLORS: Record<string, 'default' | 'primary' | 'success' | 'warning' | 'error' | 'info'> = {
   draft: 'default',
   pending_validation: 'warning',
@@ -61,35 +146,84 @@ export const PRESCRIPTION_STATUS_COLORS: Record<string, 'default' | 'primary' |
 
 // Frequency Options
 export const FREQUENCY_OPTIONS = [
-  { value: 'once_daily', label: 'Once daily' },
-  { value: 'twice_daily', label: 'Twice daily' },
-  { value: 'three_times_daily', label: 'Three times daily' },
-  { value: 'four_times_daily', label: 'Four times daily' },
-  { value: 'every_4_hours', label: 'Every 4 hours' },
-  { value: 'every_6_hours', label: 'Every 6 hours' },
-  { value: 'every_8_hours', label: 'Every 8 hours' },
-  { value: 'every_12_hours', label: 'Every 12 hours' },
-  { value: 'as_needed', label: 'As needed (PRN)' },
-  { value: 'before_meals', label: 'Before meals' },
-  { value: 'after_meals', label: 'After meals' },
-  { value: 'at_bedtime', label: 'At bedtime' },
-  { value: 'weekly', label: 'Weekly' },
+  { value: 'once_daily', label: 'Once daily', labelAr: 'مرة واحدة يومياً' },
+  { value: 'twice_daily', label: 'Twice daily', labelAr: 'مرتين يومياً' },
+  { value: 'three_times_daily', label: 'Three times daily', labelAr: 'ثلاث مرات يومياً' },
+  { value: 'four_times_daily', label: 'Four times daily', labelAr: 'أربع مرات يومياً' },
+  { value: 'every_4_hours', label: 'Every 4 hours', labelAr: 'كل 4 ساعات' },
+  { value: 'every_6_hours', label: 'Every 6 hours', labelAr: 'كل 6 ساعات' },
+  { value: 'every_8_hours', label: 'Every 8 hours', labelAr: 'كل 8 ساعات' },
+  { value: 'every_12_hours', label: 'Every 12 hours', labelAr: 'كل 12 ساعة' },
+  { value: 'as_needed', label: 'As needed (PRN)', labelAr: 'عند اللزوم' },
+  { value: 'before_meals', label: 'Before meals', labelAr: 'قبل الأكل' },
+  { value: 'after_meals', label: 'After meals', labelAr: 'بعد الأكل' },
+  { value: 'at_bedtime', label: 'At bedtime', labelAr: 'عند النوم' },
+  { value: 'weekly', label: 'Weekly', labelAr: 'مرة أسبوعياً' },
 ];
 
 // Duration Options
 export const DURATION_OPTIONS = [
-  { value: '3_days', label: '3 days' },
-  { value: '5_days', label: '5 days' },
-  { value: '7_days', label: '7 days (1 week)' },
-  { value: '10_days', label: '10 days' },
-  { value: '14_days', label: '14 days (2 weeks)' },
-  { value: '21_days', label: '21 days (3 weeks)' },
-  { value: '30_days', label: '30 days (1 month)' },
-  { value: '60_days', label: '60 days (2 months)' },
-  { value: '90_days', label: '90 days (3 months)' },
-  { value: 'ongoing', label: 'Ongoing/Continuous' },
+  { value: '3_days', label: '3 days', labelAr: '3 أيام' },
+  { value: '5_days', label: '5 days', labelAr: '5 أيام' },
+  { value: '7_days', label: '7 days (1 week)', labelAr: '7 أيام (أسبوع)' },
+  { value: '10_days', label: '10 days', labelAr: '10 أيام' },
+  { value: '14_days', label: '14 days (2 weeks)', labelAr: '14 يوماً (أسبوعان)' },
+  { value: '21_days', label: '21 days (3 weeks)', labelAr: '21 يوماً (3 أسابيع)' },
+  { value: '30_days', label: '30 days (1 month)', labelAr: '30 يوماً (شهر)' },
+  { value: '60_days', label: '60 days (2 months)', labelAr: '60 يوماً (شهران)' },
+  { value: '90_days', label: '90 days (3 months)', labelAr: '90 يوماً (3 أشهر)' },
+  { value: 'ongoing', label: 'Ongoing/Continuous', labelAr: 'مستمر' },
+];
+
+// Structured dosing (sig builder) options
+// Countable units can be turned into a dispense quantity directly
+export const DOSE_UNIT_OPTIONS: { value: DoseUnit; label: string; labelPlural: string; labelAr: string; countable: boolean }[] = [
+  { value: 'tablet', label: 'tablet', labelPlural: 'tablets', labelAr: 'قرص', countable: true },
+  { value: 'capsule', label: 'capsule', labelPlural: 'capsules', labelAr: 'كبسولة', countable: true },
+  { value: 'mg', label: 'mg', labelPlural: 'mg', labelAr: 'مجم', countable: false },
+  { value: 'ml', label: 'ml', labelPlural: 'ml', labelAr: 'مل', countable: false },
+  { value: 'drop', label: 'drop', labelPlural: 'drops', labelAr: 'نقطة', countable: false },
+  { value: 'puff', label: 'puff', labelPlural: 'puffs', labelAr: 'بخة', countable: false },
+  { value: 'sachet', label: 'sachet', labelPlural: 'sachets', labelAr: 'كيس', countable: true },
+  { value: 'suppository', label: 'suppository', labelPlural: 'suppositories', labelAr: 'لبوس', countable: true },
+  { value: 'unit', label: 'unit', labelPlural: 'units', labelAr: 'وحدة', countable: false },
+  { value: 'application', label: 'application', labelPlural: 'applications', labelAr: 'دهان', countable: false },
+];
+
+export const DOSE_ROUTE_OPTIONS: { value: DoseRoute; label: string; labelAr: string; verb: string; verbAr: string }[] = [
+  { value: 'oral', label: 'by mouth', labelAr: 'عن طريق الفم', verb: 'Take', verbAr: 'تناول' },
+  { value: 'sublingual', label: 'under the tongue', labelAr: 'تحت اللسان', verb: 'Place', verbAr: 'ضع' },
+  { value: 'topical', label: 'to the skin', labelAr: 'على الجلد', verb: 'Apply', verbAr: 'ادهن' },
+  { value: 'inhaled', label: 'by inhalation', labelAr: 'بالاستنشاق', verb: 'Inhale', verbAr: 'استنشق' },
+  { value: 'nasal', label: 'into the nose', labelAr: 'في الأنف', verb: 'Use', verbAr: 'استخدم' },
+  { value: 'ophthalmic', label: 'into the eye', labelAr: 'في العين', verb: 'Instil', verbAr: 'قطّر' },
+  { value: 'otic', label: 'into the ear', labelAr: 'في الأذن', verb: 'Instil', verbAr: 'قطّر' },
+  { value: 'rectal', label: 'rectally', labelAr: 'عن طريق الشرج', verb: 'Insert', verbAr: 'أدخل' },
+  { value: 'vaginal', label: 'vaginally', labelAr: 'عن طريق المهبل', verb: 'Insert', verbAr: 'أدخل' },
+  { value: 'subcutaneous', label: 'under the skin', labelAr: 'تحت الجلد', verb: 'Inject', verbAr: 'احقن' },
+  { value: 'intramuscular', label: 'into the muscle', labelAr: 'في العضل', verb: 'Inject', verbAr: 'احقن' },
+  { value: 'intravenous', label: 'into a vein', labelAr: 'في الوريد', verb: 'Inject', verbAr: 'احقن' },
 ];
 
+export const DOSE_TIMING_OPTIONS: { value: DoseTiming; label: string; labelAr: string }[] = [
+  { value: 'any', label: 'Any time', labelAr: '' },
+  { value: 'before_meals', label: 'before meals', labelAr: 'قبل الأكل' },
+  { value: 'with_meals', label: 'with meals', labelAr: 'مع الأكل' },
+  { value: 'after_meals', label: 'after meals', labelAr: 'بعد الأكل' },
+  { value: 'empty_stomach', label: 'on an empty stomach', labelAr: 'على معدة فارغة' },
+  { value: 'morning', label: 'in the morning', labelAr: 'صباحاً' },
+  { value: 'bedtime', label: 'at bedtime', labelAr: 'عند النوم' },
+];
+
+// Weight-based dosing
+export const WEIGHT_DOSE_BASIS_OPTIONS: { value: WeightDoseBasis; label: string; requiresHeight: boolean }[] = [
+  { value: 'mg_per_kg', label: 'mg/kg', requiresHeight: false },
+  { value: 'mg_per_m2', label: 'mg/m²', requiresHeight: true },
+];
+// Smallest amounts a parent can measure: 0.5 ml on an oral syringe, half a scored tablet
+export const LIQUID_DOSE_STEP_ML = 0.5;
+export const TABLET_DOSE_STEP = 0.5;
+
 // Pagination
 export const DEFAULT_PAGE_SIZE = 10;
 export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
@@ -97,3 +231,55 @@ export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
 // Debounce
 export const SEARCH_DEBOUNCE_MS = 300;
 export const MIN_SEARCH_LENGTH = 2;
+
+// Diagnosis search: 'local' uses the bundled WHO ICD-10 index, 'ndp' the NDP terminology service
+export const TERMINOLOGY_SOURCE = import.meta.env.VITE_TERMINOLOGY_SOURCE === 'ndp' ? 'ndp' : 'local';
+export const DIAGNOSIS_PREFS_KEY_PREFIX = 'healthflow_diagnosis_prefs';
+export const DIAGNOSIS_RECENT_LIMIT = 10;
+
+// Prescription drafts (saved per user in localStorage)
+export const DRAFTS_KEY_PREFIX = 'healthflow_prescription_drafts';
+export const DRAFT_SAVE_DEBOUNCE_MS = 1000;
+export const DRAFT_MAX_AGE_DAYS = 7;
+
+// Prescription analytics (facts cached per user in localStorage when the stats endpoint is unavailable)
+export const ANALYTICS_CACHE_KEY_PREFIX = 'healthflow_analytics';
+export const ANALYTICS_CACHE_VERSION = 2; // 2: drops caches that picked up demo prescriptions
+export const ANALYTICS_CACHE_TTL_MS = 5 * 60 * 1000;
+export const ANALYTICS_RESYNC_DAYS = 30; // recent prescriptions can still change status
+export const ANALYTICS_PAGE_SIZE = 200;
+export const ANALYTICS_TOP_N = 10;
+export const ANALYTICS_WEEK_STARTS_ON = 0; // Sunday, the first working day in Egypt
+export const ANALYTICS_APPROVED_STATUSES: PrescriptionStatus[] = ['approved', 'active', 'dispensed', 'expired'];
+export const ANALYTICS_CANCELLED_STATUSES: PrescriptionStatus[] = ['cancelled', 'rejected'];
+export const DASHBOARD_STATS_DAYS = 365; // dashboard counters cover the last year of prescriptions
+
+export const ANALYTICS_RANGE_OPTIONS: { value: AnalyticsRangePreset; label: MessageKey }[] = [
+  { value: 'last_7_days', label: 'analytics.last7Days' },
+  { value: 'last_30_days', label: 'analytics.last30Days' },
+  { value: 'this_month', label: 'analytics.thisMonth' },
+  { value: 'last_month', label: 'analytics.lastMonth' },
+  { value: 'last_90_days', label: 'analytics.last90Days' },
+  { value: 'custom', label: 'analytics.customRange' },
+];
+
+// Prescription history exports
+export const EXPORT_PAGE_SIZE = 100;
+export const EXPORT_FORMAT_OPTIONS: { value: ExportFormat; label: MessageKey; description: MessageKey }[] = [
+  { value: 'csv', label: 'export.csv', description: 'export.csvDescription' },
+  { value: 'xlsx', label: 'export.xlsx', description: 'export.xlsxDescription' },
+  { value: 'pdf', label: 'export.pdf', description: 'export.pdfDescription' },
+];
+
+// Interface language and digits (saved per user, and per device for the login screen)
+export const LOCALE_KEY_PREFIX = 'healthflow_locale';
+export const DEFAULT_LOCALE_PREFERENCES: LocalePreferences = { language: 'en', numerals: 'latn' };
+export const LANGUAGE_OPTIONS: { value: Language; label: string; direction: 'ltr' | 'rtl' }[] = [
+  { value: 'en', label: 'English', direction: 'ltr' },
+  { value: 'ar', label: 'العربية', direction: 'rtl' },
+];
+
+// Prescription templates (personal per user, shared per clinic, in localStorage)
+export const TEMPLATES_KEY_PREFIX = 'healthflow_prescription_templates';
+export const TEMPLATE_EXPORT_FORMAT = 'healthflow-prescription-templates';
+export const TEMPLATE_EXPORT_VERSION = 1;
@@ -1,7 +1,9 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode, useRef } from 'react';
 import keycloak from '../config/keycloak';
-import type { User } from '../types';
-import { USER_KEY } from '../config/constants';
+import { sessionService } from '../services/session';
+import { translate } from '../i18n';
+import type { User, UserRole, Permission } from '../types';
+import { USER_KEY, ROLE_PERMISSIONS, KEYCLOAK_PERMISSION_ROLES } from '../config/constants';
 
 interface AuthContextType {
   user: User | null;
@@ -31,6 +33,8 @@ function extractUserFromKeycloak(): User | null {
   }
 
   const token = keycloak.tokenParsed as Record<string, unknown>;
+  const roles = getKeycloakRoles(token);
+  const role = mapKeycloakRole(roles);
 
   const user: User = {
     id: (token.sub as string) || '',
@@ -38,19 +42,20 @@ function extractUserFromKeycloak(): User | null {
     name: (token.name as string) || 
           `${(token.given_name as string) || ''} ${(token.family_name as string) || ''}`.trim() ||
           (token.preferred_username as string) || 'Healthcare Professional',
-    role: mapKeycloakRole(token),
+    role,
     license: (token.license_number as string) || (token.license as string) || undefined,
     specialty: (token.specialty as string) || (token.specialization as string) || undefined,
     clinicName: (token.clinic_name as string) || undefined,
+    permissions: mapKeycloakPermissions(roles, role),
   };
 
   return user;
 }
 
 /**
- * Map Keycloak realm/client roles to application roles.
+ * Collect the user's Keycloak realm and clinic-portal client roles.
  */
-function mapKeycloakRole(token: Record<string, unknown>): 'doctor' | 'clinic_staff' {
+function getKeycloakRoles(token: Record<string, unknown>): string[] {
   // Check realm roles from realm_access (standard Keycloak claim)
   const realmAccess = token.realm_access as { roles?: string[] } | undefined;
   const roles = realmAccess?.roles || [];
@@ -62,15 +67,31 @@ function mapKeycloakRole(token: Record<string, unknown>): 'doctor' | 'clinic_sta
   const resourceAccess = token.resource_access as Record<string, { roles?: string[] }> | undefined;
   const clientRoles = resourceAccess?.['clinic-portal']?.roles || [];
 
-  const allRoles = [...roles, ...(customRealmRoles || []), ...clientRoles];
+  return [...roles, ...(customRealmRoles || []), ...clientRoles].map(r => r.toLowerCase());
+}
 
-  if (allRoles.some(r => ['doctor', 'physician', 'prescriber'].includes(r.toLowerCase()))) {
+/**
+ * Map Keycloak realm/client roles to application roles.
+ */
+function mapKeycloakRole(roles: string[]): UserRole {
+  if (roles.some(r => ['doctor', 'physician', 'prescriber'].includes(r))) {
     return 'doctor';
   }
 
   return 'clinic_staff';
 }
 
+/**
+ * Permissions from the application role, plus any granted
+ * individually through dedicated Keycloak roles.
+ */
+function mapKeycloakPermissions(roles: string[], role: UserRole): Permission[] {
+  const granted = roles
+    .map(r => KEYCLOAK_PERMISSION_ROLES[r])
+    .filter((permission): permission is Permission => !!permission);
+  return Array.from(new Set([...ROLE_PERMISSIONS[role], ...granted]));
+}
+
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
@@ -99,15 +120,15 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         }
       } catch (err) {
         console.error('Keycloak initialization failed:', err);
-        setError('Authentication service unavailable. Please try again later.');
+        setError(translate('auth.unavailable'));
       } finally {
         setLoading(false);
       }
     };
 
-    // Set up token refresh
+    // Set up token refresh (coordinated across tabs by the session service)
     keycloak.onTokenExpired = () => {
-      keycloak.updateToken(30).then((refreshed) => {
+      sessionService.handleTokenExpired().then((refreshed) => {
         if (refreshed) {
           console.log('[Auth] Token refreshed successfully');
         }
@@ -119,7 +140,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
     // Handle auth errors
     keycloak.onAuthError = () => {
-      setError('Authentication error occurred');
+      setError(translate('auth.error'));
       setUser(null);
     };
 
@@ -139,9 +160,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const logout = useCallback(() => {
     localStorage.removeItem(USER_KEY);
     setUser(null);
-    keycloak.logout({
-      redirectUri: window.location.origin + '/',
-    });
+    sessionService.logout(window.location.origin + '/');
   }, []);
 
   const getToken = useCallback((): string | undefined => {
@@ -0,0 +1,96 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, ReactNode } from 'react';
+import { useAuth } from './AuthContext';
+import { localePreferences } from '../services/localePreferences';
+import {
+  translate,
+  formatNumber as formatLocaleNumber,
+  formatDate as formatLocaleDate,
+  formatRelative as formatLocaleRelative,
+  getDirection,
+  setActiveLocale,
+} from '../i18n';
+import type { MessageParams, TranslationKey } from '../i18n';
+import type { Language, LocalePreferences, NumeralSystem } from '../types';
+
+interface LocaleContextType {
+  language: Language;
+  direction: 'ltr' | 'rtl';
+  numerals: NumeralSystem;
+  setLanguage: (language: Language) => void;
+  setNumerals: (numerals: NumeralSystem) => void;
+  t: (key: TranslationKey, params?: MessageParams) => string;
+  formatNumber: (value: number, options?: Intl.NumberFormatOptions) => string;
+  formatDate: (value: Date | string | number, pattern: string) => string;
+  formatRelative: (value: Date | string | number) => string;
+}
+
+const LocaleContext = createContext<LocaleContextType | undefined>(undefined);
+
+interface LocaleProviderProps {
+  children: ReactNode;
+}
+
+/**
+ * Interface language, text direction and digits. Must sit inside the
+ * AuthProvider: the choice is saved per user and restored on sign-in.
+ */
+export const LocaleProvider: React.FC<LocaleProviderProps> = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [preferences, setPreferences] = useState<LocalePreferences>(() => localePreferences.get());
+
+  // Switch to the signed-in user's saved choice, if they made one
+  useEffect(() => {
+    if (userId) setPreferences(localePreferences.get(userId));
+  }, [userId]);
+
+  const { language, numerals } = preferences;
+  const direction = getDirection(language);
+
+  // Services build their messages outside React; keep them in step before children render
+  setActiveLocale(language, numerals);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = direction;
+  }, [language, direction]);
+
+  const update = useCallback(
+    (changes: Partial<LocalePreferences>) => {
+      const next = { ...preferences, ...changes };
+      localePreferences.set(userId, next);
+      setPreferences(next);
+    },
+    [preferences, userId]
+  );
+
+  const setLanguage = useCallback((next: Language) => update({ language: next }), [update]);
+  const setNumerals = useCallback((next: NumeralSystem) => update({ numerals: next }), [update]);
+
+  const value = useMemo<LocaleContextType>(
+    () => ({
+      language,
+      direction,
+      numerals,
+      setLanguage,
+      setNumerals,
+      t: (key, params) => translate(key, params, language),
+      formatNumber: (number, options) => formatLocaleNumber(number, options, language, numerals),
+      formatDate: (date, pattern) => formatLocaleDate(date, pattern, language, numerals),
+      formatRelative: (date) => formatLocaleRelative(date, language, numerals),
+    }),
+    [language, direction, numerals, setLanguage, setNumerals]
+  );
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export const useLocale = (): LocaleContextType => {
+  const context = useContext(LocaleContext);
+  if (context === undefined) {
+    throw new Error('useLocale must be used within a LocaleProvider');
+  }
+  return context;
+};
+
+export default LocaleContext;
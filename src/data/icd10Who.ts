@@ -0,0 +1,619 @@
+import type { ICD10Chapter } from '../types';
+
+/**
+ * WHO ICD-10 (2019 edition) dataset for the offline diagnosis index.
+ * Loaded on demand by utils/icd10Index so it stays out of the main bundle.
+ *
+ * Generated by `npm run icd10:build -- icd102019en.xml` from the WHO
+ * ClaML release: every three-character category and four-character
+ * subcategory of the tabular list. Arabic synonyms are kept by code when
+ * regenerating, so add them here and re-run the script for a new WHO
+ * release. Until it has been run against the WHO file, this holds the
+ * hand-picked codes of Egyptian primary and outpatient care.
+ *
+ * Entries are compact `[code, title, arabicSynonyms?]` tuples in WHO
+ * classification order: three-character categories followed by their
+ * four-character subcategories. Chapters give the category range each
+ * one covers.
+ */
+
+export const ICD10_CHAPTERS: ICD10Chapter[] = [
+  { id: 'I', start: 'A00', end: 'B99', title: 'Certain infectious and parasitic diseases', titleAr: 'أمراض معدية وطفيلية' },
+  { id: 'II', start: 'C00', end: 'D48', title: 'Neoplasms', titleAr: 'أورام' },
+  { id: 'III', start: 'D50', end: 'D89', title: 'Diseases of the blood and blood-forming organs and certain disorders involving the immune mechanism', titleAr: 'أمراض الدم والمناعة' },
+  { id: 'IV', start: 'E00', end: 'E90', title: 'Endocrine, nutritional and metabolic diseases', titleAr: 'أمراض الغدد الصماء والتغذية والاستقلاب' },
+  { id: 'V', start: 'F00', end: 'F99', title: 'Mental and behavioural disorders', titleAr: 'اضطرابات نفسية وسلوكية' },
+  { id: 'VI', start: 'G00', end: 'G99', title: 'Diseases of the nervous system', titleAr: 'أمراض الجهاز العصبي' },
+  { id: 'VII', start: 'H00', end: 'H59', title: 'Diseases of the eye and adnexa', titleAr: 'أمراض العين' },
+  { id: 'VIII', start: 'H60', end: 'H95', title: 'Diseases of the ear and mastoid process', titleAr: 'أمراض الأذن' },
+  { id: 'IX', start: 'I00', end: 'I99', title: 'Diseases of the circulatory system', titleAr: 'أمراض الدورة الدموية' },
+  { id: 'X', start: 'J00', end: 'J99', title: 'Diseases of the respiratory system', titleAr: 'أمراض الجهاز التنفسي' },
+  { id: 'XI', start: 'K00', end: 'K93', title: 'Diseases of the digestive system', titleAr: 'أمراض الجهاز الهضمي' },
+  { id: 'XII', start: 'L00', end: 'L99', title: 'Diseases of the skin and subcutaneous tissue', titleAr: 'أمراض الجلد' },
+  { id: 'XIII', start: 'M00', end: 'M99', title: 'Diseases of the musculoskeletal system and connective tissue', titleAr: 'أمراض الجهاز العضلي الهيكلي' },
+  { id: 'XIV', start: 'N00', end: 'N99', title: 'Diseases of the genitourinary system', titleAr: 'أمراض الجهاز البولي التناسلي' },
+  { id: 'XV', start: 'O00', end: 'O99', title: 'Pregnancy, childbirth and the puerperium', titleAr: 'الحمل والولادة والنفاس' },
+  { id: 'XVI', start: 'P00', end: 'P96', title: 'Certain conditions originating in the perinatal period', titleAr: 'حالات الفترة المحيطة بالولادة' },
+  { id: 'XVII', start: 'Q00', end: 'Q99', title: 'Congenital malformations, deformations and chromosomal abnormalities', titleAr: 'تشوهات خلقية' },
+  { id: 'XVIII', start: 'R00', end: 'R99', title: 'Symptoms, signs and abnormal clinical and laboratory findings, not elsewhere classified', titleAr: 'أعراض وعلامات' },
+  { id: 'XIX', start: 'S00', end: 'T98', title: 'Injury, poisoning and certain other consequences of external causes', titleAr: 'إصابات وتسمم' },
+  { id: 'XX', start: 'V01', end: 'Y98', title: 'External causes of morbidity and mortality', titleAr: 'أسباب خارجية' },
+  { id: 'XXI', start: 'Z00', end: 'Z99', title: 'Factors influencing health status and contact with health services', titleAr: 'عوامل مؤثرة على الحالة الصحية' },
+  { id: 'XXII', start: 'U00', end: 'U85', title: 'Codes for special purposes', titleAr: 'رموز لأغراض خاصة' },
+];
+
+export type ICD10Entry = [code: string, title: string, synonymsAr?: string[]];
+
+export const ICD10_ENTRIES: ICD10Entry[] = [
+  ['A01', 'Typhoid and paratyphoid fevers', ['تيفويد', 'حمى التيفود']],
+  ['A01.0', 'Typhoid fever', ['تيفويد']],
+  ['A02', 'Other salmonella infections', ['سالمونيلا']],
+  ['A03', 'Shigellosis', ['دوسنتاريا باسيلية']],
+  ['A04', 'Other bacterial intestinal infections'],
+  ['A04.7', 'Enterocolitis due to Clostridium difficile'],
+  ['A06', 'Amoebiasis', ['أميبا', 'دوسنتاريا أميبية']],
+  ['A06.0', 'Acute amoebic dysentery', ['دوسنتاريا أميبية']],
+  ['A07', 'Other protozoal intestinal diseases'],
+  ['A07.1', 'Giardiasis [lambliasis]', ['جيارديا']],
+  ['A08', 'Viral and other specified intestinal infections'],
+  ['A08.0', 'Rotaviral enteritis', ['روتا']],
+  ['A09', 'Other gastroenteritis and colitis of infectious and unspecified origin', ['نزلة معوية', 'إسهال']],
+  ['A09.0', 'Other and unspecified gastroenteritis and colitis of infectious origin', ['نزلة معوية']],
+  ['A09.9', 'Gastroenteritis and colitis of unspecified origin', ['نزلة معوية']],
+  ['A15', 'Respiratory tuberculosis, bacteriologically and histologically confirmed', ['درن', 'سل']],
+  ['A16', 'Respiratory tuberculosis, not confirmed bacteriologically or histologically', ['درن', 'سل']],
+  ['A23', 'Brucellosis', ['حمى مالطية', 'بروسيلا']],
+  ['A38', 'Scarlet fever', ['حمى قرمزية']],
+  ['A46', 'Erysipelas', ['حمرة']],
+  ['A49', 'Bacterial infection of unspecified site'],
+  ['A49.9', 'Bacterial infection, unspecified', ['عدوى بكتيرية']],
+  ['A53', 'Other and unspecified syphilis'],
+  ['A54', 'Gonococcal infection'],
+  ['A56', 'Other sexually transmitted chlamydial diseases'],
+  ['A59', 'Trichomoniasis', ['تريكوموناس']],
+  ['A63', 'Other predominantly sexually transmitted diseases, not elsewhere classified'],
+  ['B00', 'Herpesviral [herpes simplex] infections', ['هربس']],
+  ['B00.1', 'Herpesviral vesicular dermatitis', ['هربس', 'قرحة البرد']],
+  ['B01', 'Varicella [chickenpox]', ['جديري مائي']],
+  ['B01.9', 'Varicella without complication', ['جديري مائي']],
+  ['B02', 'Zoster [herpes zoster]', ['حزام ناري']],
+  ['B02.9', 'Zoster without complication', ['حزام ناري']],
+  ['B05', 'Measles', ['حصبة']],
+  ['B06', 'Rubella [German measles]', ['حصبة ألماني']],
+  ['B07', 'Viral warts', ['ثآليل', 'سنط']],
+  ['B08', 'Other viral infections characterized by skin and mucous membrane lesions'],
+  ['B08.4', 'Enteroviral vesicular stomatitis with exanthem', ['مرض اليد والقدم والفم']],
+  ['B15', 'Acute hepatitis A', ['التهاب الكبد أ', 'صفراء']],
+  ['B16', 'Acute hepatitis B', ['التهاب الكبد ب']],
+  ['B17', 'Other acute viral hepatitis'],
+  ['B17.1', 'Acute hepatitis C', ['التهاب الكبد سي']],
+  ['B18', 'Chronic viral hepatitis', ['التهاب كبدي مزمن']],
+  ['B18.1', 'Chronic viral hepatitis B without delta-agent', ['فيروس ب مزمن']],
+  ['B18.2', 'Chronic viral hepatitis C', ['فيروس سي', 'التهاب الكبد الوبائي سي']],
+  ['B20', 'Human immunodeficiency virus [HIV] disease resulting in infectious and parasitic diseases', ['إيدز']],
+  ['B26', 'Mumps', ['نكاف', 'أبو كعب']],
+  ['B27', 'Infectious mononucleosis'],
+  ['B34', 'Viral infection of unspecified site'],
+  ['B34.9', 'Viral infection, unspecified', ['عدوى فيروسية', 'دور برد']],
+  ['B35', 'Dermatophytosis', ['فطريات جلدية', 'سعفة']],
+  ['B35.0', 'Tinea barbae and tinea capitis', ['قراع']],
+  ['B35.1', 'Tinea unguium', ['فطريات الأظافر']],
+  ['B35.3', 'Tinea pedis', ['قدم الرياضي', 'فطريات القدم']],
+  ['B35.4', 'Tinea corporis', ['سعفة الجسم']],
+  ['B35.6', 'Tinea cruris', ['فطريات الفخذ']],
+  ['B36', 'Other superficial mycoses'],
+  ['B36.0', 'Pityriasis versicolor', ['نخالية مبرقشة']],
+  ['B37', 'Candidiasis', ['كانديدا', 'فطريات']],
+  ['B37.0', 'Candidal stomatitis', ['فطريات الفم', 'سلاق']],
+  ['B37.3', 'Candidiasis of vulva and vagina', ['فطريات مهبلية']],
+  ['B50', 'Plasmodium falciparum malaria', ['ملاريا']],
+  ['B54', 'Unspecified malaria', ['ملاريا']],
+  ['B65', 'Schistosomiasis [bilharziasis]', ['بلهارسيا']],
+  ['B65.0', 'Schistosomiasis due to Schistosoma haematobium [urinary schistosomiasis]', ['بلهارسيا بولية']],
+  ['B65.1', 'Schistosomiasis due to Schistosoma mansoni [intestinal schistosomiasis]', ['بلهارسيا معوية']],
+  ['B68', 'Taeniasis', ['دودة شريطية']],
+  ['B76', 'Hookworm diseases', ['انكلستوما']],
+  ['B77', 'Ascariasis', ['إسكارس', 'ديدان']],
+  ['B80', 'Enterobiasis', ['دودة الدبوسية', 'أكسيورس']],
+  ['B82', 'Unspecified intestinal parasitism', ['طفيليات معوية', 'ديدان']],
+  ['B85', 'Pediculosis and phthiriasis', ['قمل']],
+  ['B86', 'Scabies', ['جرب']],
+  ['B96', 'Other specified bacterial agents as the cause of diseases classified to other chapters'],
+  ['B96.8', 'Other specified bacterial agents as the cause of diseases classified to other chapters', ['جرثومة المعدة']],
+  ['C18', 'Malignant neoplasm of colon', ['سرطان القولون']],
+  ['C22', 'Malignant neoplasm of liver and intrahepatic bile ducts', ['سرطان الكبد']],
+  ['C22.0', 'Liver cell carcinoma', ['سرطان الخلايا الكبدية']],
+  ['C34', 'Malignant neoplasm of bronchus and lung', ['سرطان الرئة']],
+  ['C50', 'Malignant neoplasm of breast', ['سرطان الثدي']],
+  ['C50.9', 'Malignant neoplasm of breast, unspecified', ['سرطان الثدي']],
+  ['C61', 'Malignant neoplasm of prostate', ['سرطان البروستاتا']],
+  ['C67', 'Malignant neoplasm of bladder', ['سرطان المثانة']],
+  ['C73', 'Malignant neoplasm of thyroid gland', ['سرطان الغدة الدرقية']],
+  ['C91', 'Lymphoid leukaemia', ['لوكيميا']],
+  ['C92', 'Myeloid leukaemia', ['لوكيميا']],
+  ['D25', 'Leiomyoma of uterus', ['ورم ليفي', 'ليفة رحمية']],
+  ['D25.9', 'Leiomyoma of uterus, unspecified', ['ليفة رحمية']],
+  ['D50', 'Iron deficiency anaemia', ['أنيميا نقص الحديد', 'فقر دم']],
+  ['D50.0', 'Iron deficiency anaemia secondary to blood loss (chronic)', ['أنيميا نقص الحديد']],
+  ['D50.9', 'Iron deficiency anaemia, unspecified', ['أنيميا نقص الحديد', 'فقر دم']],
+  ['D51', 'Vitamin B12 deficiency anaemia', ['أنيميا نقص فيتامين ب12']],
+  ['D52', 'Folate deficiency anaemia', ['أنيميا نقص حمض الفوليك']],
+  ['D55', 'Anaemia due to enzyme disorders'],
+  ['D55.0', 'Anaemia due to glucose-6-phosphate dehydrogenase [G6PD] deficiency', ['أنيميا الفول', 'نقص الخميرة']],
+  ['D56', 'Thalassaemia', ['ثلاسيميا', 'أنيميا البحر المتوسط']],
+  ['D56.1', 'Beta thalassaemia', ['ثلاسيميا بيتا']],
+  ['D57', 'Sickle-cell disorders', ['أنيميا منجلية']],
+  ['D64', 'Other anaemias'],
+  ['D64.9', 'Anaemia, unspecified', ['أنيميا', 'فقر دم']],
+  ['D69', 'Purpura and other haemorrhagic conditions'],
+  ['D69.6', 'Thrombocytopenia, unspecified', ['نقص الصفائح الدموية']],
+  ['E03', 'Other hypothyroidism', ['قصور الغدة الدرقية']],
+  ['E03.9', 'Hypothyroidism, unspecified', ['قصور الغدة الدرقية', 'خمول الغدة']],
+  ['E04', 'Other nontoxic goitre', ['تضخم الغدة الدرقية']],
+  ['E05', 'Thyrotoxicosis [hyperthyroidism]', ['فرط نشاط الغدة الدرقية']],
+  ['E05.0', 'Thyrotoxicosis with diffuse goitre', ['مرض جريفز']],
+  ['E05.9', 'Thyrotoxicosis, unspecified', ['فرط نشاط الغدة الدرقية']],
+  ['E06', 'Thyroiditis', ['التهاب الغدة الدرقية']],
+  ['E06.3', 'Autoimmune thyroiditis', ['هاشيموتو']],
+  ['E10', 'Insulin-dependent diabetes mellitus', ['سكر النوع الأول', 'سكري معتمد على الأنسولين']],
+  ['E10.1', 'Insulin-dependent diabetes mellitus with ketoacidosis', ['حماض كيتوني']],
+  ['E10.9', 'Insulin-dependent diabetes mellitus without complications', ['سكر النوع الأول']],
+  ['E11', 'Non-insulin-dependent diabetes mellitus', ['سكر', 'سكري', 'سكر النوع الثاني']],
+  ['E11.0', 'Non-insulin-dependent diabetes mellitus with coma', ['غيبوبة سكر']],
+  ['E11.1', 'Non-insulin-dependent diabetes mellitus with ketoacidosis', ['حماض كيتوني']],
+  ['E11.2', 'Non-insulin-dependent diabetes mellitus with renal complications', ['اعتلال الكلى السكري']],
+  ['E11.3', 'Non-insulin-dependent diabetes mellitus with ophthalmic complications', ['اعتلال الشبكية السكري']],
+  ['E11.4', 'Non-insulin-dependent diabetes mellitus with neurological complications', ['اعتلال الأعصاب السكري']],
+  ['E11.5', 'Non-insulin-dependent diabetes mellitus with peripheral circulatory complications', ['قدم سكري']],
+  ['E11.6', 'Non-insulin-dependent diabetes mellitus with other specified complications'],
+  ['E11.7', 'Non-insulin-dependent diabetes mellitus with multiple complications'],
+  ['E11.8', 'Non-insulin-dependent diabetes mellitus with unspecified complications'],
+  ['E11.9', 'Non-insulin-dependent diabetes mellitus without complications', ['سكر', 'سكري', 'سكر النوع الثاني']],
+  ['E14', 'Unspecified diabetes mellitus', ['سكر', 'سكري']],
+  ['E14.9', 'Unspecified diabetes mellitus without complications', ['سكر']],
+  ['E16', 'Other disorders of pancreatic internal secretion'],
+  ['E16.2', 'Hypoglycaemia, unspecified', ['هبوط السكر', 'نقص السكر']],
+  ['E28', 'Ovarian dysfunction'],
+  ['E28.2', 'Polycystic ovarian syndrome', ['تكيس المبايض']],
+  ['E53', 'Deficiency of other B group vitamins'],
+  ['E53.8', 'Deficiency of other specified B group vitamins', ['نقص فيتامين ب12']],
+  ['E55', 'Vitamin D deficiency', ['نقص فيتامين د']],
+  ['E55.9', 'Vitamin D deficiency, unspecified', ['نقص فيتامين د']],
+  ['E61', 'Deficiency of other nutrient elements'],
+  ['E61.1', 'Iron deficiency', ['نقص الحديد']],
+  ['E66', 'Obesity', ['سمنة']],
+  ['E66.0', 'Obesity due to excess calories', ['سمنة']],
+  ['E66.9', 'Obesity, unspecified', ['سمنة', 'بدانة']],
+  ['E78', 'Disorders of lipoprotein metabolism and other lipidaemias', ['دهون الدم', 'كوليسترول']],
+  ['E78.0', 'Pure hypercholesterolaemia', ['ارتفاع الكوليسترول']],
+  ['E78.1', 'Pure hyperglyceridaemia', ['ارتفاع الدهون الثلاثية']],
+  ['E78.2', 'Mixed hyperlipidaemia', ['ارتفاع دهون الدم']],
+  ['E78.5', 'Hyperlipidaemia, unspecified', ['ارتفاع دهون الدم', 'كوليسترول']],
+  ['E79', 'Disorders of purine and pyrimidine metabolism'],
+  ['E79.0', 'Hyperuricaemia without signs of inflammatory arthritis and tophaceous disease', ['ارتفاع حمض اليوريك']],
+  ['E83', 'Disorders of mineral metabolism'],
+  ['E86', 'Volume depletion', ['جفاف']],
+  ['E87', 'Other disorders of fluid, electrolyte and acid-base balance'],
+  ['E87.1', 'Hypo-osmolality and hyponatraemia', ['نقص الصوديوم']],
+  ['E87.6', 'Hypokalaemia', ['نقص البوتاسيوم']],
+  ['F03', 'Unspecified dementia', ['خرف']],
+  ['F10', 'Mental and behavioural disorders due to use of alcohol', ['إدمان الكحول']],
+  ['F17', 'Mental and behavioural disorders due to use of tobacco', ['إدمان التدخين']],
+  ['F17.2', 'Mental and behavioural disorders due to use of tobacco, dependence syndrome', ['إدمان التدخين']],
+  ['F20', 'Schizophrenia', ['فصام', 'شيزوفرينيا']],
+  ['F31', 'Bipolar affective disorder', ['اضطراب ثنائي القطب']],
+  ['F32', 'Depressive episode', ['اكتئاب']],
+  ['F32.0', 'Mild depressive episode', ['اكتئاب خفيف']],
+  ['F32.1', 'Moderate depressive episode', ['اكتئاب متوسط']],
+  ['F32.2', 'Severe depressive episode without psychotic symptoms', ['اكتئاب شديد']],
+  ['F32.9', 'Depressive episode, unspecified', ['اكتئاب']],
+  ['F33', 'Recurrent depressive disorder', ['اكتئاب متكرر']],
+  ['F41', 'Other anxiety disorders', ['قلق']],
+  ['F41.0', 'Panic disorder [episodic paroxysmal anxiety]', ['نوبات هلع']],
+  ['F41.1', 'Generalized anxiety disorder', ['قلق عام']],
+  ['F41.2', 'Mixed anxiety and depressive disorder', ['قلق واكتئاب']],
+  ['F41.9', 'Anxiety disorder, unspecified', ['قلق', 'توتر']],
+  ['F42', 'Obsessive-compulsive disorder', ['وسواس قهري']],
+  ['F43', 'Reaction to severe stress, and adjustment disorders'],
+  ['F43.1', 'Post-traumatic stress disorder', ['اضطراب ما بعد الصدمة']],
+  ['F45', 'Somatoform disorders'],
+  ['F51', 'Nonorganic sleep disorders', ['اضطراب النوم']],
+  ['F51.0', 'Nonorganic insomnia', ['أرق']],
+  ['F90', 'Hyperkinetic disorders', ['فرط الحركة', 'تشتت الانتباه']],
+  ['F90.0', 'Disturbance of activity and attention', ['فرط الحركة وتشتت الانتباه']],
+  ['G20', 'Parkinson disease', ['باركنسون', 'الشلل الرعاش']],
+  ['G30', 'Alzheimer disease', ['زهايمر']],
+  ['G35', 'Multiple sclerosis', ['تصلب متعدد']],
+  ['G40', 'Epilepsy', ['صرع']],
+  ['G40.9', 'Epilepsy, unspecified', ['صرع', 'تشنجات']],
+  ['G43', 'Migraine', ['صداع نصفي', 'شقيقة']],
+  ['G43.0', 'Migraine without aura [common migraine]', ['صداع نصفي']],
+  ['G43.1', 'Migraine with aura [classical migraine]', ['صداع نصفي مع هالة']],
+  ['G43.9', 'Migraine, unspecified', ['صداع نصفي', 'شقيقة']],
+  ['G44', 'Other headache syndromes'],
+  ['G44.2', 'Tension-type headache', ['صداع توتري']],
+  ['G45', 'Transient cerebral ischaemic attacks and related syndromes', ['جلطة مؤقتة']],
+  ['G47', 'Sleep disorders'],
+  ['G47.0', 'Disorders of initiating and maintaining sleep [insomnias]', ['أرق']],
+  ['G47.3', 'Sleep apnoea', ['انقطاع النفس أثناء النوم']],
+  ['G51', 'Facial nerve disorders'],
+  ['G51.0', 'Bell palsy', ['شلل الوجه', 'العصب السابع']],
+  ['G56', 'Mononeuropathies of upper limb'],
+  ['G56.0', 'Carpal tunnel syndrome', ['متلازمة النفق الرسغي']],
+  ['G62', 'Other polyneuropathies'],
+  ['G62.9', 'Polyneuropathy, unspecified', ['التهاب الأعصاب الطرفية']],
+  ['H00', 'Hordeolum and chalazion', ['شحاذ العين', 'دمل العين']],
+  ['H10', 'Conjunctivitis', ['التهاب الملتحمة', 'رمد']],
+  ['H10.1', 'Acute atopic conjunctivitis', ['حساسية العين']],
+  ['H10.9', 'Conjunctivitis, unspecified', ['التهاب الملتحمة', 'رمد']],
+  ['H25', 'Senile cataract', ['مياه بيضاء', 'كتاراكت']],
+  ['H26', 'Other cataract', ['مياه بيضاء']],
+  ['H40', 'Glaucoma', ['مياه زرقاء', 'جلوكوما']],
+  ['H40.1', 'Primary open-angle glaucoma', ['مياه زرقاء']],
+  ['H52', 'Disorders of refraction and accommodation', ['ضعف النظر']],
+  ['H52.1', 'Myopia', ['قصر النظر']],
+  ['H60', 'Otitis externa', ['التهاب الأذن الخارجية']],
+  ['H60.9', 'Otitis externa, unspecified', ['التهاب الأذن الخارجية']],
+  ['H61', 'Other disorders of external ear'],
+  ['H61.2', 'Impacted cerumen', ['شمع الأذن']],
+  ['H65', 'Nonsuppurative otitis media', ['التهاب الأذن الوسطى']],
+  ['H66', 'Suppurative and unspecified otitis media', ['التهاب الأذن الوسطى الصديدي']],
+  ['H66.9', 'Otitis media, unspecified', ['التهاب الأذن الوسطى']],
+  ['H81', 'Disorders of vestibular function', ['دوار']],
+  ['H81.1', 'Benign paroxysmal vertigo', ['دوار وضعي']],
+  ['H81.3', 'Other peripheral vertigo', ['دوخة', 'دوار']],
+  ['H91', 'Other hearing loss', ['ضعف السمع']],
+  ['H93', 'Other disorders of ear, not elsewhere classified'],
+  ['H93.1', 'Tinnitus', ['طنين الأذن']],
+  ['I05', 'Rheumatic mitral valve diseases', ['روماتيزم القلب', 'الصمام الميترالي']],
+  ['I10', 'Essential (primary) hypertension', ['ضغط', 'ارتفاع ضغط الدم', 'ضغط الدم']],
+  ['I11', 'Hypertensive heart disease', ['ضغط', 'اعتلال القلب الضغطي']],
+  ['I11.0', 'Hypertensive heart disease with (congestive) heart failure', ['فشل القلب الضغطي']],
+  ['I11.9', 'Hypertensive heart disease without (congestive) heart failure', ['اعتلال القلب الضغطي']],
+  ['I12', 'Hypertensive renal disease', ['اعتلال الكلى الضغطي']],
+  ['I20', 'Angina pectoris', ['ذبحة صدرية']],
+  ['I20.0', 'Unstable angina', ['ذبحة صدرية غير مستقرة']],
+  ['I20.9', 'Angina pectoris, unspecified', ['ذبحة صدرية']],
+  ['I21', 'Acute myocardial infarction', ['جلطة القلب', 'احتشاء عضلة القلب']],
+  ['I21.9', 'Acute myocardial infarction, unspecified', ['جلطة القلب']],
+  ['I25', 'Chronic ischaemic heart disease', ['قصور الشريان التاجي']],
+  ['I25.1', 'Atherosclerotic heart disease', ['تصلب الشرايين التاجية']],
+  ['I25.9', 'Chronic ischaemic heart disease, unspecified', ['قصور الشريان التاجي']],
+  ['I26', 'Pulmonary embolism', ['جلطة رئوية']],
+  ['I34', 'Nonrheumatic mitral valve disorders'],
+  ['I34.0', 'Mitral (valve) insufficiency', ['ارتجاع الصمام الميترالي']],
+  ['I35', 'Nonrheumatic aortic valve disorders'],
+  ['I35.0', 'Aortic (valve) stenosis', ['ضيق الصمام الأورطي']],
+  ['I42', 'Cardiomyopathy', ['اعتلال عضلة القلب']],
+  ['I47', 'Paroxysmal tachycardia', ['تسارع ضربات القلب']],
+  ['I48', 'Atrial fibrillation and flutter', ['رجفان أذيني']],
+  ['I48.0', 'Paroxysmal atrial fibrillation', ['رجفان أذيني انتيابي']],
+  ['I48.9', 'Atrial fibrillation and atrial flutter, unspecified', ['رجفان أذيني']],
+  ['I49', 'Other cardiac arrhythmias', ['عدم انتظام ضربات القلب']],
+  ['I49.9', 'Cardiac arrhythmia, unspecified', ['عدم انتظام ضربات القلب']],
+  ['I50', 'Heart failure', ['هبوط القلب', 'فشل القلب']],
+  ['I50.0', 'Congestive heart failure', ['هبوط القلب الاحتقاني']],
+  ['I50.9', 'Heart failure, unspecified', ['هبوط القلب', 'فشل القلب']],
+  ['I63', 'Cerebral infarction', ['جلطة المخ', 'سكتة دماغية']],
+  ['I63.9', 'Cerebral infarction, unspecified', ['جلطة المخ']],
+  ['I64', 'Stroke, not specified as haemorrhage or infarction', ['سكتة دماغية']],
+  ['I70', 'Atherosclerosis', ['تصلب الشرايين']],
+  ['I73', 'Other peripheral vascular diseases'],
+  ['I73.9', 'Peripheral vascular disease, unspecified', ['قصور الدورة الدموية الطرفية']],
+  ['I80', 'Phlebitis and thrombophlebitis', ['التهاب الوريد']],
+  ['I80.2', 'Phlebitis and thrombophlebitis of other deep vessels of lower extremities', ['جلطة الساق', 'تجلط الأوردة العميقة']],
+  ['I83', 'Varicose veins of lower extremities', ['دوالي الساقين']],
+  ['I83.9', 'Varicose veins of lower extremities without ulcer or inflammation', ['دوالي الساقين']],
+  ['I84', 'Haemorrhoids', ['بواسير']],
+  ['I95', 'Hypotension', ['هبوط الضغط', 'انخفاض ضغط الدم']],
+  ['J00', 'Acute nasopharyngitis [common cold]', ['برد', 'زكام', 'نزلة برد']],
+  ['J01', 'Acute sinusitis', ['التهاب الجيوب الأنفية الحاد']],
+  ['J01.9', 'Acute sinusitis, unspecified', ['التهاب الجيوب الأنفية', 'جيوب']],
+  ['J02', 'Acute pharyngitis', ['التهاب الحلق', 'التهاب البلعوم']],
+  ['J02.0', 'Streptococcal pharyngitis', ['التهاب الحلق البكتيري']],
+  ['J02.9', 'Acute pharyngitis, unspecified', ['التهاب الحلق', 'التهاب البلعوم']],
+  ['J03', 'Acute tonsillitis', ['التهاب اللوز', 'لوز']],
+  ['J03.9', 'Acute tonsillitis, unspecified', ['التهاب اللوز']],
+  ['J04', 'Acute laryngitis and tracheitis', ['التهاب الحنجرة']],
+  ['J04.0', 'Acute laryngitis', ['التهاب الحنجرة', 'بحة الصوت']],
+  ['J06', 'Acute upper respiratory infections of multiple and unspecified sites', ['عدوى الجهاز التنفسي العلوي']],
+  ['J06.9', 'Acute upper respiratory infection, unspecified', ['عدوى الجهاز التنفسي العلوي', 'دور برد']],
+  ['J10', 'Influenza due to other identified influenza virus', ['إنفلونزا']],
+  ['J11', 'Influenza, virus not identified', ['إنفلونزا', 'أنفلونزا']],
+  ['J11.1', 'Influenza with other respiratory manifestations, virus not identified', ['إنفلونزا']],
+  ['J15', 'Bacterial pneumonia, not elsewhere classified', ['التهاب رئوي بكتيري']],
+  ['J18', 'Pneumonia, organism unspecified', ['التهاب رئوي', 'التهاب الرئة']],
+  ['J18.9', 'Pneumonia, unspecified', ['التهاب رئوي', 'التهاب الرئة']],
+  ['J20', 'Acute bronchitis', ['التهاب الشعب الهوائية الحاد', 'نزلة شعبية']],
+  ['J20.9', 'Acute bronchitis, unspecified', ['التهاب الشعب الهوائية', 'نزلة شعبية']],
+  ['J21', 'Acute bronchiolitis', ['التهاب القصيبات']],
+  ['J30', 'Vasomotor and allergic rhinitis', ['حساسية الأنف']],
+  ['J30.4', 'Allergic rhinitis, unspecified', ['حساسية الأنف', 'التهاب الأنف التحسسي']],
+  ['J31', 'Chronic rhinitis, nasopharyngitis and pharyngitis'],
+  ['J31.0', 'Chronic rhinitis', ['التهاب الأنف المزمن']],
+  ['J32', 'Chronic sinusitis', ['التهاب الجيوب الأنفية المزمن']],
+  ['J32.9', 'Chronic sinusitis, unspecified', ['جيوب أنفية مزمنة']],
+  ['J34', 'Other disorders of nose and nasal sinuses'],
+  ['J34.2', 'Deviated nasal septum', ['انحراف الحاجز الأنفي']],
+  ['J35', 'Chronic diseases of tonsils and adenoids', ['لوز مزمن', 'لحمية']],
+  ['J35.0', 'Chronic tonsillitis', ['التهاب اللوز المزمن']],
+  ['J40', 'Bronchitis, not specified as acute or chronic', ['التهاب الشعب الهوائية']],
+  ['J42', 'Unspecified chronic bronchitis', ['التهاب الشعب الهوائية المزمن']],
+  ['J44', 'Other chronic obstructive pulmonary disease', ['السدة الرئوية', 'الانسداد الرئوي المزمن']],
+  ['J44.0', 'Chronic obstructive pulmonary disease with acute lower respiratory infection', ['السدة الرئوية مع عدوى']],
+  ['J44.1', 'Chronic obstructive pulmonary disease with acute exacerbation, unspecified', ['نوبة حادة للسدة الرئوية']],
+  ['J44.9', 'Chronic obstructive pulmonary disease, unspecified', ['السدة الرئوية', 'الانسداد الرئوي المزمن']],
+  ['J45', 'Asthma', ['ربو', 'أزمة صدرية', 'حساسية الصدر']],
+  ['J45.0', 'Predominantly allergic asthma', ['ربو تحسسي', 'حساسية الصدر']],
+  ['J45.9', 'Asthma, unspecified', ['ربو', 'أزمة صدرية', 'حساسية الصدر']],
+  ['J46', 'Status asthmaticus', ['أزمة ربو حادة']],
+  ['J47', 'Bronchiectasis', ['توسع الشعب الهوائية']],
+  ['J90', 'Pleural effusion, not elsewhere classified', ['ارتشاح بلوري', 'مياه على الرئة']],
+  ['K02', 'Dental caries', ['تسوس الأسنان']],
+  ['K04', 'Diseases of pulp and periapical tissues'],
+  ['K04.7', 'Periapical abscess without sinus', ['خراج الأسنان']],
+  ['K05', 'Gingivitis and periodontal diseases', ['التهاب اللثة']],
+  ['K05.1', 'Chronic gingivitis', ['التهاب اللثة المزمن']],
+  ['K08', 'Other disorders of teeth and supporting structures'],
+  ['K08.8', 'Other specified disorders of teeth and supporting structures', ['ألم الأسنان']],
+  ['K12', 'Stomatitis and related lesions', ['التهاب الفم']],
+  ['K12.0', 'Recurrent oral aphthae', ['قرحة الفم', 'تقرحات الفم']],
+  ['K21', 'Gastro-oesophageal reflux disease', ['ارتجاع المريء', 'حموضة']],
+  ['K21.0', 'Gastro-oesophageal reflux disease with oesophagitis', ['ارتجاع المريء مع التهاب']],
+  ['K21.9', 'Gastro-oesophageal reflux disease without oesophagitis', ['ارتجاع المريء', 'حموضة']],
+  ['K25', 'Gastric ulcer', ['قرحة المعدة']],
+  ['K25.9', 'Gastric ulcer, unspecified as acute or chronic, without haemorrhage or perforation', ['قرحة المعدة']],
+  ['K26', 'Duodenal ulcer', ['قرحة الاثني عشر']],
+  ['K26.9', 'Duodenal ulcer, unspecified as acute or chronic, without haemorrhage or perforation', ['قرحة الاثني عشر']],
+  ['K27', 'Peptic ulcer, site unspecified', ['قرحة هضمية']],
+  ['K29', 'Gastritis and duodenitis', ['التهاب المعدة']],
+  ['K29.1', 'Other acute gastritis', ['التهاب المعدة الحاد']],
+  ['K29.5', 'Chronic gastritis, unspecified', ['التهاب المعدة المزمن']],
+  ['K29.7', 'Gastritis, unspecified', ['التهاب المعدة']],
+  ['K30', 'Dyspepsia', ['عسر الهضم', 'سوء الهضم']],
+  ['K35', 'Acute appendicitis', ['التهاب الزائدة الدودية']],
+  ['K40', 'Inguinal hernia', ['فتق إربي']],
+  ['K40.9', 'Unilateral or unspecified inguinal hernia, without obstruction or gangrene', ['فتق إربي']],
+  ['K42', 'Umbilical hernia', ['فتق سري']],
+  ['K44', 'Diaphragmatic hernia', ['فتق الحجاب الحاجز']],
+  ['K44.9', 'Diaphragmatic hernia without obstruction or gangrene', ['فتق الحجاب الحاجز']],
+  ['K50', 'Crohn disease [regional enteritis]', ['مرض كرون']],
+  ['K51', 'Ulcerative colitis', ['التهاب القولون التقرحي']],
+  ['K52', 'Other noninfective gastroenteritis and colitis'],
+  ['K52.9', 'Noninfective gastroenteritis and colitis, unspecified', ['التهاب القولون']],
+  ['K57', 'Diverticular disease of intestine', ['رتوج القولون']],
+  ['K58', 'Irritable bowel syndrome', ['القولون العصبي', 'قولون عصبي']],
+  ['K58.0', 'Irritable bowel syndrome with diarrhoea', ['القولون العصبي مع إسهال']],
+  ['K58.9', 'Irritable bowel syndrome without diarrhoea', ['القولون العصبي']],
+  ['K59', 'Other functional intestinal disorders'],
+  ['K59.0', 'Constipation', ['إمساك']],
+  ['K59.1', 'Functional diarrhoea', ['إسهال وظيفي']],
+  ['K60', 'Fissure and fistula of anal and rectal regions'],
+  ['K60.2', 'Anal fissure, unspecified', ['شرخ شرجي']],
+  ['K64', 'Haemorrhoids and perianal venous thrombosis', ['بواسير']],
+  ['K64.9', 'Haemorrhoids, unspecified', ['بواسير']],
+  ['K70', 'Alcoholic liver disease'],
+  ['K73', 'Chronic hepatitis, not elsewhere classified', ['التهاب الكبد المزمن']],
+  ['K74', 'Fibrosis and cirrhosis of liver', ['تليف الكبد']],
+  ['K74.6', 'Other and unspecified cirrhosis of liver', ['تليف الكبد']],
+  ['K76', 'Other diseases of liver'],
+  ['K76.0', 'Fatty (change of) liver, not elsewhere classified', ['كبد دهني', 'دهون على الكبد']],
+  ['K80', 'Cholelithiasis', ['حصوات المرارة']],
+  ['K80.2', 'Calculus of gallbladder without cholecystitis', ['حصوات المرارة']],
+  ['K81', 'Cholecystitis', ['التهاب المرارة']],
+  ['K85', 'Acute pancreatitis', ['التهاب البنكرياس الحاد']],
+  ['K92', 'Other diseases of digestive system'],
+  ['K92.2', 'Gastrointestinal haemorrhage, unspecified', ['نزيف الجهاز الهضمي']],
+  ['L01', 'Impetigo', ['قوباء']],
+  ['L02', 'Cutaneous abscess, furuncle and carbuncle', ['خراج', 'دمل']],
+  ['L03', 'Cellulitis', ['التهاب النسيج الخلوي']],
+  ['L20', 'Atopic dermatitis', ['إكزيما', 'التهاب الجلد التأتبي']],
+  ['L20.9', 'Atopic dermatitis, unspecified', ['إكزيما']],
+  ['L21', 'Seborrhoeic dermatitis', ['التهاب الجلد الدهني', 'قشرة']],
+  ['L22', 'Diaper [napkin] dermatitis', ['التهاب الحفاض', 'تسلخات']],
+  ['L23', 'Allergic contact dermatitis', ['حساسية الجلد التلامسية']],
+  ['L25', 'Unspecified contact dermatitis', ['التهاب الجلد التلامسي']],
+  ['L29', 'Pruritus', ['حكة', 'هرش']],
+  ['L29.9', 'Pruritus, unspecified', ['حكة', 'هرش']],
+  ['L30', 'Other dermatitis'],
+  ['L30.9', 'Dermatitis, unspecified', ['التهاب الجلد', 'حساسية جلدية']],
+  ['L40', 'Psoriasis', ['صدفية']],
+  ['L40.0', 'Psoriasis vulgaris', ['صدفية']],
+  ['L50', 'Urticaria', ['أرتيكاريا', 'شرى', 'حساسية']],
+  ['L50.0', 'Allergic urticaria', ['أرتيكاريا تحسسية']],
+  ['L50.9', 'Urticaria, unspecified', ['أرتيكاريا', 'شرى']],
+  ['L60', 'Nail disorders'],
+  ['L60.0', 'Ingrowing nail', ['ظفر غائر']],
+  ['L63', 'Alopecia areata', ['ثعلبة']],
+  ['L65', 'Other nonscarring hair loss'],
+  ['L65.9', 'Nonscarring hair loss, unspecified', ['تساقط الشعر']],
+  ['L70', 'Acne', ['حب الشباب']],
+  ['L70.0', 'Acne vulgaris', ['حب الشباب']],
+  ['L80', 'Vitiligo', ['بهاق']],
+  ['L81', 'Other disorders of pigmentation'],
+  ['L81.1', 'Chloasma', ['كلف']],
+  ['L89', 'Decubitus ulcer and pressure area', ['قرحة الفراش']],
+  ['M06', 'Other rheumatoid arthritis', ['روماتويد']],
+  ['M06.9', 'Rheumatoid arthritis, unspecified', ['روماتويد', 'التهاب المفاصل الروماتويدي']],
+  ['M10', 'Gout', ['نقرس', 'النقرس']],
+  ['M10.9', 'Gout, unspecified', ['نقرس']],
+  ['M13', 'Other arthritis'],
+  ['M13.9', 'Arthritis, unspecified', ['التهاب المفاصل']],
+  ['M15', 'Polyarthrosis', ['خشونة المفاصل المتعددة']],
+  ['M16', 'Coxarthrosis [arthrosis of hip]', ['خشونة الحوض']],
+  ['M17', 'Gonarthrosis [arthrosis of knee]', ['خشونة الركبة']],
+  ['M17.9', 'Gonarthrosis, unspecified', ['خشونة الركبة']],
+  ['M19', 'Other arthrosis', ['خشونة المفاصل']],
+  ['M19.9', 'Arthrosis, unspecified', ['خشونة المفاصل']],
+  ['M25', 'Other joint disorders, not elsewhere classified'],
+  ['M25.5', 'Pain in joint', ['ألم المفاصل']],
+  ['M32', 'Systemic lupus erythematosus', ['ذئبة حمراء']],
+  ['M41', 'Scoliosis', ['جنف', 'انحناء العمود الفقري']],
+  ['M47', 'Spondylosis', ['خشونة الفقرات']],
+  ['M47.8', 'Other spondylosis', ['خشونة الفقرات']],
+  ['M50', 'Cervical disc disorders', ['انزلاق غضروفي عنقي']],
+  ['M51', 'Other intervertebral disc disorders', ['انزلاق غضروفي']],
+  ['M51.2', 'Other specified intervertebral disc displacement', ['انزلاق غضروفي قطني']],
+  ['M53', 'Other dorsopathies, not elsewhere classified'],
+  ['M54', 'Dorsalgia', ['ألم الظهر']],
+  ['M54.1', 'Radiculopathy', ['ألم العصب', 'التهاب جذر العصب']],
+  ['M54.2', 'Cervicalgia', ['ألم الرقبة']],
+  ['M54.3', 'Sciatica', ['عرق النسا']],
+  ['M54.4', 'Lumbago with sciatica', ['ألم أسفل الظهر مع عرق النسا']],
+  ['M54.5', 'Low back pain', ['ألم أسفل الظهر', 'لمباجو']],
+  ['M54.9', 'Dorsalgia, unspecified', ['ألم الظهر']],
+  ['M62', 'Other disorders of muscle'],
+  ['M62.6', 'Muscle strain', ['شد عضلي']],
+  ['M65', 'Synovitis and tenosynovitis', ['التهاب الأوتار']],
+  ['M65.3', 'Trigger finger', ['الإصبع الزنادي']],
+  ['M72', 'Fibroblastic disorders'],
+  ['M72.2', 'Plantar fascial fibromatosis', ['شوكة عظمية', 'التهاب اللفافة الأخمصية']],
+  ['M75', 'Shoulder lesions'],
+  ['M75.0', 'Adhesive capsulitis of shoulder', ['الكتف المتجمد']],
+  ['M75.1', 'Rotator cuff syndrome', ['إصابة الكفة المدورة']],
+  ['M77', 'Other enthesopathies'],
+  ['M77.1', 'Lateral epicondylitis', ['مرفق التنس']],
+  ['M79', 'Other soft tissue disorders, not elsewhere classified'],
+  ['M79.1', 'Myalgia', ['ألم العضلات']],
+  ['M79.6', 'Pain in limb', ['ألم الأطراف']],
+  ['M79.7', 'Fibromyalgia', ['ألم عضلي ليفي', 'فيبروميالجيا']],
+  ['M81', 'Osteoporosis without pathological fracture', ['هشاشة العظام']],
+  ['M81.0', 'Postmenopausal osteoporosis', ['هشاشة العظام بعد انقطاع الطمث']],
+  ['M81.9', 'Osteoporosis, unspecified', ['هشاشة العظام']],
+  ['N10', 'Acute tubulo-interstitial nephritis', ['التهاب الحوض الكلوي']],
+  ['N18', 'Chronic kidney disease', ['فشل كلوي مزمن', 'قصور الكلى']],
+  ['N18.9', 'Chronic kidney disease, unspecified', ['فشل كلوي مزمن', 'قصور الكلى']],
+  ['N19', 'Unspecified kidney failure', ['فشل كلوي']],
+  ['N20', 'Calculus of kidney and ureter', ['حصوات الكلى', 'حصوة']],
+  ['N20.0', 'Calculus of kidney', ['حصوات الكلى']],
+  ['N20.1', 'Calculus of ureter', ['حصوة الحالب']],
+  ['N23', 'Unspecified renal colic', ['مغص كلوي']],
+  ['N30', 'Cystitis', ['التهاب المثانة']],
+  ['N30.0', 'Acute cystitis', ['التهاب المثانة الحاد']],
+  ['N39', 'Other disorders of urinary system'],
+  ['N39.0', 'Urinary tract infection, site not specified', ['التهاب المسالك البولية', 'عدوى بولية']],
+  ['N39.4', 'Other specified urinary incontinence', ['سلس البول']],
+  ['N40', 'Hyperplasia of prostate', ['تضخم البروستاتا']],
+  ['N41', 'Inflammatory diseases of prostate', ['التهاب البروستاتا']],
+  ['N41.0', 'Acute prostatitis', ['التهاب البروستاتا الحاد']],
+  ['N43', 'Hydrocele and spermatocele', ['قيلة مائية']],
+  ['N45', 'Orchitis and epididymitis', ['التهاب الخصية والبربخ']],
+  ['N46', 'Male infertility', ['عقم الرجال']],
+  ['N48', 'Other disorders of penis'],
+  ['N52', 'Male erectile dysfunction', ['ضعف الانتصاب']],
+  ['N60', 'Benign mammary dysplasia', ['تكيسات الثدي']],
+  ['N61', 'Inflammatory disorders of breast', ['التهاب الثدي']],
+  ['N70', 'Salpingitis and oophoritis', ['التهاب قناتي فالوب والمبايض']],
+  ['N73', 'Other female pelvic inflammatory diseases', ['التهاب الحوض']],
+  ['N76', 'Other inflammation of vagina and vulva', ['التهاب مهبلي']],
+  ['N76.0', 'Acute vaginitis', ['التهاب المهبل الحاد']],
+  ['N80', 'Endometriosis', ['انتباذ بطاني رحمي', 'بطانة الرحم المهاجرة']],
+  ['N83', 'Noninflammatory disorders of ovary, fallopian tube and broad ligament'],
+  ['N83.2', 'Other and unspecified ovarian cysts', ['كيس على المبيض']],
+  ['N91', 'Absent, scanty and rare menstruation', ['انقطاع الدورة', 'قلة الدورة']],
+  ['N92', 'Excessive, frequent and irregular menstruation', ['غزارة الدورة', 'عدم انتظام الدورة']],
+  ['N92.0', 'Excessive and frequent menstruation with regular cycle', ['غزارة الدورة']],
+  ['N94', 'Pain and other conditions associated with female genital organs and menstrual cycle'],
+  ['N94.6', 'Dysmenorrhoea, unspecified', ['آلام الدورة', 'عسر الطمث']],
+  ['N95', 'Menopausal and other perimenopausal disorders'],
+  ['N95.1', 'Menopausal and female climacteric states', ['سن اليأس', 'انقطاع الطمث']],
+  ['N97', 'Female infertility', ['عقم النساء', 'تأخر الإنجاب']],
+  ['O03', 'Spontaneous abortion', ['إجهاض']],
+  ['O10', 'Pre-existing hypertension complicating pregnancy, childbirth and the puerperium', ['ضغط الحمل']],
+  ['O14', 'Gestational [pregnancy-induced] hypertension with significant proteinuria', ['تسمم الحمل']],
+  ['O20', 'Haemorrhage in early pregnancy', ['نزيف الحمل المبكر']],
+  ['O21', 'Excessive vomiting in pregnancy', ['قيء الحمل']],
+  ['O21.0', 'Mild hyperemesis gravidarum', ['قيء الحمل']],
+  ['O24', 'Diabetes mellitus in pregnancy', ['سكر الحمل']],
+  ['O24.4', 'Diabetes mellitus arising in pregnancy', ['سكر الحمل']],
+  ['O26', 'Maternal care for other conditions predominantly related to pregnancy'],
+  ['O80', 'Single spontaneous delivery', ['ولادة طبيعية']],
+  ['O82', 'Single delivery by caesarean section', ['ولادة قيصرية']],
+  ['O99', 'Other maternal diseases classifiable elsewhere but complicating pregnancy, childbirth and the puerperium'],
+  ['O99.0', 'Anaemia complicating pregnancy, childbirth and the puerperium', ['أنيميا الحمل']],
+  ['P07', 'Disorders related to short gestation and low birth weight, not elsewhere classified', ['ولادة مبكرة']],
+  ['P59', 'Neonatal jaundice from other and unspecified causes', ['صفراء حديثي الولادة']],
+  ['P59.9', 'Neonatal jaundice, unspecified', ['صفراء الأطفال']],
+  ['Q21', 'Congenital malformations of cardiac septa', ['ثقب في القلب']],
+  ['Q90', 'Down syndrome', ['متلازمة داون']],
+  ['R00', 'Abnormalities of heart beat'],
+  ['R00.2', 'Palpitations', ['خفقان']],
+  ['R04', 'Haemorrhage from respiratory passages'],
+  ['R04.0', 'Epistaxis', ['رعاف', 'نزيف الأنف']],
+  ['R05', 'Cough', ['كحة', 'سعال']],
+  ['R06', 'Abnormalities of breathing'],
+  ['R06.0', 'Dyspnoea', ['ضيق التنفس', 'نهجان']],
+  ['R07', 'Pain in throat and chest'],
+  ['R07.4', 'Chest pain, unspecified', ['ألم الصدر']],
+  ['R10', 'Abdominal and pelvic pain', ['ألم البطن', 'مغص']],
+  ['R10.4', 'Other and unspecified abdominal pain', ['ألم البطن', 'مغص']],
+  ['R11', 'Nausea and vomiting', ['غثيان', 'قيء', 'ترجيع']],
+  ['R19', 'Other symptoms and signs involving the digestive system and abdomen'],
+  ['R19.7', 'Diarrhoea, unspecified', ['إسهال']],
+  ['R21', 'Rash and other nonspecific skin eruption', ['طفح جلدي']],
+  ['R25', 'Abnormal involuntary movements'],
+  ['R25.2', 'Cramp and spasm', ['تقلصات', 'شد عضلي']],
+  ['R31', 'Unspecified haematuria', ['دم في البول']],
+  ['R35', 'Polyuria', ['كثرة التبول']],
+  ['R42', 'Dizziness and giddiness', ['دوخة', 'دوار']],
+  ['R50', 'Fever of other and unknown origin', ['حمى', 'سخونية', 'حرارة']],
+  ['R50.9', 'Fever, unspecified', ['حمى', 'سخونية', 'حرارة']],
+  ['R51', 'Headache', ['صداع']],
+  ['R52', 'Pain, not elsewhere classified', ['ألم']],
+  ['R52.9', 'Pain, unspecified', ['ألم']],
+  ['R53', 'Malaise and fatigue', ['إرهاق', 'تعب']],
+  ['R55', 'Syncope and collapse', ['إغماء']],
+  ['R56', 'Convulsions, not elsewhere classified', ['تشنجات']],
+  ['R56.0', 'Febrile convulsions', ['تشنجات حرارية']],
+  ['R60', 'Oedema, not elsewhere classified', ['تورم', 'وذمة']],
+  ['R63', 'Symptoms and signs concerning food and fluid intake'],
+  ['R63.0', 'Anorexia', ['فقدان الشهية']],
+  ['R73', 'Elevated blood glucose level', ['ارتفاع السكر']],
+  ['R73.0', 'Abnormal glucose tolerance test', ['ما قبل السكري']],
+  ['S00', 'Superficial injury of head', ['إصابة سطحية بالرأس']],
+  ['S01', 'Open wound of head', ['جرح بالرأس']],
+  ['S06', 'Intracranial injury', ['ارتجاج']],
+  ['S06.0', 'Concussion', ['ارتجاج المخ']],
+  ['S42', 'Fracture of shoulder and upper arm', ['كسر الذراع']],
+  ['S52', 'Fracture of forearm', ['كسر الساعد']],
+  ['S52.5', 'Fracture of lower end of radius', ['كسر الكعبرة']],
+  ['S61', 'Open wound of wrist and hand', ['جرح اليد']],
+  ['S62', 'Fracture at wrist and hand level', ['كسر اليد']],
+  ['S72', 'Fracture of femur', ['كسر عظمة الفخذ']],
+  ['S72.0', 'Fracture of neck of femur', ['كسر عنق الفخذ']],
+  ['S82', 'Fracture of lower leg, including ankle', ['كسر الساق', 'كسر الكاحل']],
+  ['S83', 'Dislocation, sprain and strain of joints and ligaments of knee', ['التواء الركبة']],
+  ['S93', 'Dislocation, sprain and strain of joints and ligaments at ankle and foot level', ['التواء الكاحل', 'ملخ']],
+  ['S93.4', 'Sprain and strain of ankle', ['التواء الكاحل', 'ملخ']],
+  ['T14', 'Injury of unspecified body region', ['إصابة']],
+  ['T14.1', 'Open wound of unspecified body region', ['جرح']],
+  ['T30', 'Burn and corrosion, body region unspecified', ['حرق', 'حروق']],
+  ['T63', 'Toxic effect of contact with venomous animals'],
+  ['T63.0', 'Toxic effect of snake venom', ['لدغة ثعبان']],
+  ['T63.2', 'Toxic effect of venom of scorpion', ['لدغة عقرب']],
+  ['T78', 'Adverse effects, not elsewhere classified'],
+  ['T78.4', 'Allergy, unspecified', ['حساسية']],
+  ['T88', 'Other complications of surgical and medical care, not elsewhere classified'],
+  ['T88.7', 'Unspecified adverse effect of drug or medicament', ['أعراض جانبية للدواء']],
+  ['U07', 'Emergency use of U07'],
+  ['U07.1', 'COVID-19, virus identified', ['كورونا', 'كوفيد']],
+  ['U07.2', 'COVID-19, virus not identified', ['كورونا', 'كوفيد']],
+  ['W54', 'Bitten or struck by dog', ['عضة كلب']],
+  ['Z00', 'General examination and investigation of persons without complaint or reported diagnosis', ['فحص عام', 'كشف دوري']],
+  ['Z00.0', 'General medical examination', ['فحص طبي عام']],
+  ['Z00.1', 'Routine child health examination', ['متابعة الطفل']],
+  ['Z01', 'Other special examinations and investigations of persons without complaint or reported diagnosis'],
+  ['Z23', 'Need for immunization against single bacterial diseases', ['تطعيم']],
+  ['Z25', 'Need for immunization against other single viral diseases', ['تطعيم']],
+  ['Z30', 'Contraceptive management', ['تنظيم الأسرة', 'موانع الحمل']],
+  ['Z30.0', 'General counselling and advice on contraception', ['تنظيم الأسرة']],
+  ['Z32', 'Pregnancy examination and test', ['اختبار الحمل']],
+  ['Z34', 'Supervision of normal pregnancy', ['متابعة الحمل']],
+  ['Z34.9', 'Supervision of normal pregnancy, unspecified', ['متابعة الحمل']],
+  ['Z35', 'Supervision of high-risk pregnancy', ['حمل عالي الخطورة']],
+  ['Z39', 'Postpartum care and examination', ['متابعة ما بعد الولادة']],
+  ['Z76', 'Persons encountering health services in other circumstances'],
+  ['Z76.0', 'Issue of repeat prescription', ['تكرار الروشتة', 'صرف متكرر']],
+  ['Z79', 'Long-term (current) drug therapy', ['علاج طويل الأمد']],
+  ['Z96', 'Presence of other functional implants'],
+];
@@ -0,0 +1,28 @@
+import type { ApiResponse, InsuranceCoverage } from '../types';
+
+/**
+ * Mock UHI (Universal Health Insurance) enrollment records for
+ * patients in MOCK_PRESCRIPTIONS, used when DPR is unavailable.
+ */
+export const MOCK_INSURANCE_COVERAGE: InsuranceCoverage[] = [
+  { nationalId: '27005121400193', enrolled: true, tier: 'A', copayPercentage: 10, status: 'active' },
+  { nationalId: '26404231500287', enrolled: true, tier: 'B', copayPercentage: 20, status: 'active' },
+  { nationalId: '28103051200456', enrolled: true, tier: 'C', copayPercentage: 30, status: 'active' },
+  { nationalId: '28807152300178', enrolled: true, tier: 'B', copayPercentage: 20, status: 'suspended' },
+  { nationalId: '25901081100345', enrolled: true, tier: 'A', copayPercentage: 10, status: 'active' },
+  { nationalId: '29706231400512', enrolled: true, tier: 'D', copayPercentage: 40, status: 'active' },
+  { nationalId: '25505101300678', enrolled: true, tier: 'A', copayPercentage: 0, status: 'active' },
+  { nationalId: '29301121500234', enrolled: true, tier: 'C', copayPercentage: 30, status: 'inactive' },
+];
+
+/**
+ * Get mock coverage for a National ID. Unknown patients are reported
+ * as not enrolled so the portal shows full-price estimates.
+ */
+export function getMockInsuranceCoverage(nationalId: string): ApiResponse<InsuranceCoverage> {
+  const coverage = MOCK_INSURANCE_COVERAGE.find(c => c.nationalId === nationalId);
+  return {
+    success: true,
+    data: coverage || { nationalId, enrolled: false, tier: 'D', copayPercentage: 100, status: 'inactive' },
+  };
+}
@@ -0,0 +1,161 @@
+import type { Medicine, DrugInteractionResult } from '../types';
+
+interface LocalInteractionRule {
+  ingredients: [string, string];
+  severity: DrugInteractionResult['severity'];
+  description: string;
+  recommendation: string;
+}
+
+/**
+ * Small local drug-drug interaction table used when the NDP AI
+ * Validation Service is unavailable. Ingredients are matched as
+ * lowercase keywords against a medicine's generic name, active
+ * ingredient and commercial name.
+ */
+export const LOCAL_INTERACTION_TABLE: LocalInteractionRule[] = [
+  {
+    ingredients: ['warfarin', 'aspirin'],
+    severity: 'critical',
+    description: 'Concurrent use markedly increases the risk of major bleeding.',
+    recommendation: 'Avoid combination unless specifically indicated; monitor INR closely.',
+  },
+  {
+    ingredients: ['warfarin', 'ibuprofen'],
+    severity: 'critical',
+    description: 'NSAIDs potentiate the anticoagulant effect and cause GI bleeding.',
+    recommendation: 'Use paracetamol for analgesia instead.',
+  },
+  {
+    ingredients: ['warfarin', 'diclofenac'],
+    severity: 'critical',
+    description: 'NSAIDs potentiate the anticoagulant effect and cause GI bleeding.',
+    recommendation: 'Use paracetamol for analgesia instead.',
+  },
+  {
+    ingredients: ['clopidogrel', 'omeprazole'],
+    severity: 'high',
+    description: 'Omeprazole reduces the antiplatelet effect of clopidogrel.',
+    recommendation: 'Prefer pantoprazole if gastroprotection is required.',
+  },
+  {
+    ingredients: ['sildenafil', 'nitroglycerin'],
+    severity: 'critical',
+    description: 'Severe, potentially fatal hypotension.',
+    recommendation: 'Contraindicated. Do not co-prescribe.',
+  },
+  {
+    ingredients: ['sildenafil', 'isosorbide'],
+    severity: 'critical',
+    description: 'Severe, potentially fatal hypotension.',
+    recommendation: 'Contraindicated. Do not co-prescribe.',
+  },
+  {
+    ingredients: ['simvastatin', 'clarithromycin'],
+    severity: 'critical',
+    description: 'Strong CYP3A4 inhibition raises statin levels and the risk of rhabdomyolysis.',
+    recommendation: 'Suspend simvastatin during the antibiotic course.',
+  },
+  {
+    ingredients: ['atorvastatin', 'clarithromycin'],
+    severity: 'high',
+    description: 'CYP3A4 inhibition increases atorvastatin exposure and myopathy risk.',
+    recommendation: 'Limit atorvastatin dose or choose azithromycin.',
+  },
+  {
+    ingredients: ['enalapril', 'spironolactone'],
+    severity: 'high',
+    description: 'Additive potassium retention may cause hyperkalemia.',
+    recommendation: 'Monitor serum potassium and renal function.',
+  },
+  {
+    ingredients: ['lisinopril', 'spironolactone'],
+    severity: 'high',
+    description: 'Additive potassium retention may cause hyperkalemia.',
+    recommendation: 'Monitor serum potassium and renal function.',
+  },
+  {
+    ingredients: ['enalapril', 'ibuprofen'],
+    severity: 'moderate',
+    description: 'NSAIDs blunt the antihypertensive effect and may impair renal function.',
+    recommendation: 'Monitor blood pressure and creatinine.',
+  },
+  {
+    ingredients: ['ciprofloxacin', 'theophylline'],
+    severity: 'high',
+    description: 'Ciprofloxacin increases theophylline levels and seizure risk.',
+    recommendation: 'Reduce theophylline dose and monitor levels.',
+  },
+  {
+    ingredients: ['amlodipine', 'simvastatin'],
+    severity: 'moderate',
+    description: 'Amlodipine increases simvastatin exposure.',
+    recommendation: 'Do not exceed simvastatin 20mg daily.',
+  },
+  {
+    ingredients: ['aspirin', 'ibuprofen'],
+    severity: 'moderate',
+    description: 'Ibuprofen may reduce the cardioprotective effect of low-dose aspirin.',
+    recommendation: 'Take aspirin at least 30 minutes before ibuprofen.',
+  },
+  {
+    ingredients: ['glimepiride', 'ciprofloxacin'],
+    severity: 'moderate',
+    description: 'Fluoroquinolones may cause dysglycemia with sulfonylureas.',
+    recommendation: 'Advise the patient to monitor blood glucose.',
+  },
+  {
+    ingredients: ['paracetamol', 'warfarin'],
+    severity: 'low',
+    description: 'Regular paracetamol use may modestly raise INR.',
+    recommendation: 'Monitor INR if used for more than a few days.',
+  },
+];
+
+/** Returns the code a medicine is identified by in interaction results. */
+export function getInteractionCode(medicine: Pick<Medicine, 'id' | 'drugId'>): string {
+  return medicine.drugId || medicine.id;
+}
+
+function matchesIngredient(medicine: Medicine, ingredient: string): boolean {
+  const haystack = [
+    medicine.genericName,
+    medicine.activeIngredient,
+    medicine.commercialName,
+    medicine.searchName,
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(ingredient);
+}
+
+/**
+ * Check a set of medicines against the local interaction table.
+ * Each pair is reported at most once, with drug codes in drug1/drug2.
+ */
+export function getMockDrugInteractions(medicines: Medicine[]): DrugInteractionResult[] {
+  const results: DrugInteractionResult[] = [];
+
+  for (let i = 0; i < medicines.length; i++) {
+    for (let j = i + 1; j < medicines.length; j++) {
+      const a = medicines[i];
+      const b = medicines[j];
+      const rule = LOCAL_INTERACTION_TABLE.find(({ ingredients: [x, y] }) =>
+        (matchesIngredient(a, x) && matchesIngredient(b, y)) ||
+        (matchesIngredient(a, y) && matchesIngredient(b, x))
+      );
+      if (rule) {
+        results.push({
+          drug1: getInteractionCode(a),
+          drug2: getInteractionCode(b),
+          severity: rule.severity,
+          description: rule.description,
+          recommendation: rule.recommendation,
+        });
+      }
+    }
+  }
+
+  return results;
+}
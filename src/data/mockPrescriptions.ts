@@ -1,4 +1,17 @@
-import type { Prescription, DashboardStats } from '../types';
+import type {
+  Prescription,
+  PrescriptionHistoryItem,
+  DashboardStats,
+  ApiResponse,
+  PatientDemographics,
+  PrescriptionSearchParams,
+  PrescriptionSortField,
+} from '../types';
+import { decodeNationalId } from '../utils/nationalId';
+
+// Doctor the demo prescriptions are written by. Offline, they stand in
+// for the signed-in doctor's own prescriptions, whatever their user ID.
+export const MOCK_PRESCRIBER_ID = 'doc-ahmed';
 
 /**
  * Mock prescriptions for demo/testing purposes.
@@ -33,6 +46,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Enalapril Maleate',
         medicineStrength: '10mg',
         medicineForm: 'Tablet',
+        unitPrice: 1.25,
         dosage: '10mg',
         frequency: 'Once daily',
         duration: '30 days',
@@ -48,6 +62,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Amlodipine Besylate',
         medicineStrength: '5mg',
         medicineForm: 'Tablet',
+        unitPrice: 1.5,
         dosage: '5mg',
         frequency: 'Once daily',
         duration: '30 days',
@@ -86,7 +101,8 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
     },
     diagnosis: 'Type 2 Diabetes Mellitus',
     icdCode: 'E11',
-    clinicalNotes: 'HbA1c 8.2%. Adjusting oral hypoglycemic regimen. Diet counseling provided.',
+    secondaryDiagnoses: [{ code: 'I10', description: 'Essential Hypertension' }],
+    clinicalNotes: 'HbA1c 8.2%. Adjusting oral hypoglycemic regimen. Diet counseling provided. BP controlled on enalapril.',
     medications: [
       {
         medicineId: 'eda-003',
@@ -95,6 +111,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Metformin Hydrochloride',
         medicineStrength: '850mg',
         medicineForm: 'Tablet',
+        unitPrice: 0.9,
         dosage: '850mg',
         frequency: 'Twice daily',
         duration: '30 days',
@@ -102,6 +119,8 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         refills: 3,
         instructions: 'Take with meals to reduce GI side effects',
         substitutionAllowed: true,
+        icd: 'E11',
+        indication: 'Type 2 Diabetes Mellitus',
       },
       {
         medicineId: 'eda-004',
@@ -110,6 +129,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Glimepiride',
         medicineStrength: '2mg',
         medicineForm: 'Tablet',
+        unitPrice: 1.75,
         dosage: '2mg',
         frequency: 'Once daily',
         duration: '30 days',
@@ -117,6 +137,26 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         refills: 3,
         instructions: 'Take before breakfast',
         substitutionAllowed: true,
+        icd: 'E11',
+        indication: 'Type 2 Diabetes Mellitus',
+      },
+      {
+        medicineId: 'eda-001',
+        medicineName: 'Enalapril 10mg Tablets',
+        drugId: 'EDA-10234',
+        medicineGenericName: 'Enalapril Maleate',
+        medicineStrength: '10mg',
+        medicineForm: 'Tablet',
+        unitPrice: 1.25,
+        dosage: '10mg',
+        frequency: 'Once daily',
+        duration: '30 days',
+        quantity: 30,
+        refills: 3,
+        instructions: 'Take in the morning with water',
+        substitutionAllowed: true,
+        icd: 'I10',
+        indication: 'Essential Hypertension',
       },
     ],
     status: 'dispensed',
@@ -157,6 +197,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Paracetamol (Acetaminophen)',
         medicineStrength: '500mg',
         medicineForm: 'Tablet',
+        unitPrice: 0.5,
         dosage: '500mg',
         frequency: 'Every 6 hours as needed',
         duration: '5 days',
@@ -172,6 +213,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Cetirizine Hydrochloride',
         medicineStrength: '10mg',
         medicineForm: 'Tablet',
+        unitPrice: 1.1,
         dosage: '10mg',
         frequency: 'Once daily',
         duration: '5 days',
@@ -219,6 +261,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Ferrous Sulfate',
         medicineStrength: '200mg',
         medicineForm: 'Tablet',
+        unitPrice: 0.6,
         dosage: '200mg',
         frequency: 'Twice daily',
         duration: '60 days',
@@ -234,6 +277,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Ascorbic Acid',
         medicineStrength: '500mg',
         medicineForm: 'Tablet',
+        unitPrice: 0.4,
         dosage: '500mg',
         frequency: 'Twice daily',
         duration: '60 days',
@@ -281,6 +325,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Salbutamol Sulfate',
         medicineStrength: '100mcg/puff',
         medicineForm: 'Inhaler',
+        unitPrice: 45,
         dosage: '2 puffs',
         frequency: 'Every 4-6 hours as needed',
         duration: '30 days',
@@ -296,6 +341,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Prednisolone',
         medicineStrength: '5mg',
         medicineForm: 'Tablet',
+        unitPrice: 0.8,
         dosage: '30mg',
         frequency: 'Once daily',
         duration: '7 days',
@@ -343,6 +389,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Ciprofloxacin Hydrochloride',
         medicineStrength: '500mg',
         medicineForm: 'Tablet',
+        unitPrice: 3.5,
         dosage: '500mg',
         frequency: 'Twice daily',
         duration: '7 days',
@@ -380,7 +427,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
       nationalId: '25505101300678',
     },
     diagnosis: 'Atrial Fibrillation',
-    icdCode: 'I48.91',
+    icdCode: 'I48.9',
     clinicalNotes: 'New-onset AF detected on ECG. CHA2DS2-VASc score 4. Initiating anticoagulation.',
     medications: [
       {
@@ -390,6 +437,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Rivaroxaban',
         medicineStrength: '20mg',
         medicineForm: 'Tablet',
+        unitPrice: 28,
         dosage: '20mg',
         frequency: 'Once daily with food',
         duration: '30 days',
@@ -405,6 +453,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Bisoprolol Fumarate',
         medicineStrength: '5mg',
         medicineForm: 'Tablet',
+        unitPrice: 2.2,
         dosage: '5mg',
         frequency: 'Once daily',
         duration: '30 days',
@@ -452,6 +501,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Levothyroxine Sodium',
         medicineStrength: '50mcg',
         medicineForm: 'Tablet',
+        unitPrice: 0.7,
         dosage: '50mcg',
         frequency: 'Once daily',
         duration: '30 days',
@@ -498,6 +548,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Omeprazole',
         medicineStrength: '20mg',
         medicineForm: 'Capsule',
+        unitPrice: 1.9,
         dosage: '20mg',
         frequency: 'Once daily before breakfast',
         duration: '14 days',
@@ -513,6 +564,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Sodium Alginate / Potassium Bicarbonate',
         medicineStrength: '500mg/100mg per 5ml',
         medicineForm: 'Suspension',
+        unitPrice: 62,
         dosage: '10ml',
         frequency: 'After meals and at bedtime',
         duration: '14 days',
@@ -554,6 +606,7 @@ export const MOCK_PRESCRIPTIONS: Prescription[] = [
         medicineGenericName: 'Atorvastatin Calcium',
         medicineStrength: '20mg',
         medicineForm: 'Tablet',
+        unitPrice: 3,
         dosage: '20mg',
         frequency: 'Once daily at bedtime',
         duration: '30 days',
@@ -589,3 +642,114 @@ export function getMockDashboardStats(): DashboardStats {
 export function getMockPrescription(id: string): Prescription | undefined {
   return MOCK_PRESCRIPTIONS.find(p => p.id === id);
 }
+
+const SORT_KEYS: Record<PrescriptionSortField, (p: Prescription) => string> = {
+  date: (p) => p.prescriptionDate,
+  patient: (p) => p.patient.name.toLowerCase(),
+  status: (p) => p.status,
+  prescriptionNumber: (p) => p.prescriptionNumber,
+};
+
+/**
+ * Apply FHIR search parameters to the mock prescriptions, mirroring
+ * GET /fhir/MedicationRequest. Returns the requested page and the
+ * total number of matches.
+ */
+export function searchMockPrescriptions(
+  params: PrescriptionSearchParams = {}
+): { data: Prescription[]; total: number } {
+  const text = params.text?.trim().toLowerCase();
+  const medicine = params.medicine?.trim().toLowerCase();
+  const icdCode = params.icdCode?.trim().toUpperCase();
+
+  const matches = MOCK_PRESCRIPTIONS.filter((p) => {
+    const date = p.prescriptionDate.slice(0, 10);
+    if (params.status?.length && !params.status.includes(p.status)) return false;
+    if (params.dateFrom && date < params.dateFrom) return false;
+    if (params.dateTo && date > params.dateTo) return false;
+    if (params.patientIdentifier && p.patient.nationalId !== params.patientIdentifier) return false;
+    if (params.prescriberId && p.doctor.id !== params.prescriberId && p.doctor.id !== MOCK_PRESCRIBER_ID) return false;
+    if (icdCode && !(p.icdCode || '').toUpperCase().startsWith(icdCode)) return false;
+    if (medicine && !p.medications.some((med) =>
+      [med.medicineName, med.medicineGenericName, med.drugId, med.edaCode]
+        .some((value) => value?.toLowerCase().includes(medicine))
+    )) return false;
+    if (text && ![p.prescriptionNumber, p.patient.name, p.diagnosis]
+      .some((value) => value.toLowerCase().includes(text))) return false;
+    return true;
+  });
+
+  if (params.sort) {
+    const key = SORT_KEYS[params.sort];
+    const direction = params.order === 'asc' ? 1 : -1;
+    matches.sort((a, b) => (key(a) < key(b) ? -direction : key(a) > key(b) ? direction : 0));
+  }
+
+  const offset = params.offset || 0;
+  const limit = params.limit || 10;
+  return { data: matches.slice(offset, offset + limit), total: matches.length };
+}
+
+// Audit entries recorded by offline fallbacks, keyed by prescription id
+const MOCK_PRESCRIPTION_HISTORY: Record<string, PrescriptionHistoryItem[]> = {};
+
+export function recordMockHistory(
+  prescription: Prescription,
+  action: string,
+  details?: string
+): void {
+  const entries = MOCK_PRESCRIPTION_HISTORY[prescription.id] || [];
+  entries.push({
+    id: `hist-${prescription.id}-${entries.length + 1}`,
+    action,
+    status: prescription.status,
+    performedBy: prescription.doctor.name,
+    timestamp: new Date().toISOString(),
+    details,
+  });
+  MOCK_PRESCRIPTION_HISTORY[prescription.id] = entries;
+}
+
+/**
+ * Audit trail for a mock prescription, newest first: its creation plus
+ * any entries recorded while the backend was unavailable.
+ */
+export function getMockPrescriptionHistory(id: string): PrescriptionHistoryItem[] {
+  const prescription = getMockPrescription(id);
+  if (!prescription) return [];
+  const created: PrescriptionHistoryItem = {
+    id: `hist-${id}-0`,
+    action: 'Created',
+    status: 'draft',
+    performedBy: prescription.doctor.name,
+    timestamp: prescription.createdAt,
+  };
+  return [created, ...(MOCK_PRESCRIPTION_HISTORY[id] || [])].reverse();
+}
+
+/**
+ * Look up a patient seen in mock prescriptions, standing in for the DPR
+ * registry. The date of birth is decoded from the National ID.
+ */
+export function getMockPatientDemographics(nationalId: string): ApiResponse<PatientDemographics> {
+  const patient = MOCK_PRESCRIPTIONS.find(p => p.patient.nationalId === nationalId)?.patient;
+  if (!patient) {
+    return {
+      success: false,
+      data: { nationalId, name: '', dateOfBirth: '', gender: 'male', verified: false },
+      error: 'Patient not found in registry',
+    };
+  }
+  const decoded = decodeNationalId(nationalId);
+  return {
+    success: true,
+    data: {
+      nationalId,
+      name: patient.name,
+      dateOfBirth: decoded?.dateOfBirth || '',
+      gender: patient.gender,
+      age: decoded?.age ?? patient.age,
+      verified: true,
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import type { DrugRecall } from '../types';
+
+/**
+ * Mock EDA drug recalls for demo/offline mode.
+ * Two of these match medicines in MOCK_PRESCRIPTIONS so the
+ * recall flags in Prescription History can be exercised.
+ */
+export const MOCK_DRUG_RECALLS: DrugRecall[] = [
+  {
+    id: 'recall-001',
+    drugId: 'EDA-10567',
+    medicineName: 'Amlodipine 5mg Tablets',
+    genericName: 'Amlodipine Besylate',
+    manufacturer: 'Nile Pharmaceuticals',
+    batchNumbers: ['AML-2511-04', 'AML-2511-05'],
+    recallClass: 'II',
+    reason: 'Dissolution failure detected in stability testing.',
+    issuedBy: 'Egyptian Drug Authority',
+    recallDate: '2026-02-15T00:00:00Z',
+    status: 'active',
+  },
+  {
+    id: 'recall-002',
+    drugId: 'EDA-50123',
+    medicineName: 'Salbutamol 100mcg Inhaler',
+    genericName: 'Salbutamol Sulfate',
+    manufacturer: 'Delta Respiratory',
+    batchNumbers: ['SLB-2509-11'],
+    recallClass: 'I',
+    reason: 'Defective metering valve may deliver no dose.',
+    issuedBy: 'Egyptian Drug Authority',
+    recallDate: '2026-02-12T00:00:00Z',
+    status: 'active',
+  },
+  {
+    id: 'recall-003',
+    drugId: 'EDA-99812',
+    edaCode: '99812',
+    medicineName: 'Ranitidine 150mg Tablets',
+    genericName: 'Ranitidine Hydrochloride',
+    manufacturer: 'Various',
+    recallClass: 'I',
+    reason: 'NDMA impurity above the acceptable daily intake limit.',
+    issuedBy: 'Egyptian Drug Authority',
+    recallDate: '2026-01-20T00:00:00Z',
+    status: 'active',
+  },
+  {
+    id: 'recall-004',
+    drugId: 'EDA-40567',
+    medicineName: 'Vitamin C 500mg Tablets',
+    genericName: 'Ascorbic Acid',
+    manufacturer: 'Cairo Nutrition',
+    batchNumbers: ['VTC-2507-02'],
+    recallClass: 'III',
+    reason: 'Labelling error on the outer carton.',
+    issuedBy: 'Egyptian Drug Authority',
+    recallDate: '2025-12-01T00:00:00Z',
+    status: 'closed',
+  },
+];
@@ -0,0 +1,157 @@
+import { getFrequencyPerDay, normalizeFrequency } from '../utils/medication';
+import type { Medication, Prescription } from '../types';
+
+interface DoseRangeRule {
+  ingredient: string;
+  maxSingleDoseMg: number;
+  maxDailyDoseMg: number;
+}
+
+interface AgeRule {
+  ingredient: string;
+  minAge?: number;
+  maxAge?: number;
+  message: string;
+}
+
+interface GenderRule {
+  ingredient: string;
+  gender: 'male' | 'female';
+  message: string;
+}
+
+/**
+ * Adult dose limits used when the NDP AI Validation Service is
+ * unavailable. Ingredients are matched as lowercase keywords against
+ * a line's generic and commercial name.
+ */
+export const LOCAL_DOSE_RANGES: DoseRangeRule[] = [
+  { ingredient: 'paracetamol', maxSingleDoseMg: 1000, maxDailyDoseMg: 4000 },
+  { ingredient: 'ibuprofen', maxSingleDoseMg: 800, maxDailyDoseMg: 3200 },
+  { ingredient: 'diclofenac', maxSingleDoseMg: 75, maxDailyDoseMg: 150 },
+  { ingredient: 'aspirin', maxSingleDoseMg: 1000, maxDailyDoseMg: 4000 },
+  { ingredient: 'metformin', maxSingleDoseMg: 1000, maxDailyDoseMg: 2550 },
+  { ingredient: 'glimepiride', maxSingleDoseMg: 8, maxDailyDoseMg: 8 },
+  { ingredient: 'amlodipine', maxSingleDoseMg: 10, maxDailyDoseMg: 10 },
+  { ingredient: 'enalapril', maxSingleDoseMg: 40, maxDailyDoseMg: 40 },
+  { ingredient: 'bisoprolol', maxSingleDoseMg: 20, maxDailyDoseMg: 20 },
+  { ingredient: 'atorvastatin', maxSingleDoseMg: 80, maxDailyDoseMg: 80 },
+  { ingredient: 'simvastatin', maxSingleDoseMg: 40, maxDailyDoseMg: 40 },
+  { ingredient: 'rivaroxaban', maxSingleDoseMg: 20, maxDailyDoseMg: 30 },
+  { ingredient: 'ciprofloxacin', maxSingleDoseMg: 750, maxDailyDoseMg: 1500 },
+  { ingredient: 'amoxicillin', maxSingleDoseMg: 1000, maxDailyDoseMg: 3000 },
+  { ingredient: 'omeprazole', maxSingleDoseMg: 40, maxDailyDoseMg: 80 },
+  { ingredient: 'cetirizine', maxSingleDoseMg: 10, maxDailyDoseMg: 10 },
+  { ingredient: 'prednisolone', maxSingleDoseMg: 60, maxDailyDoseMg: 60 },
+  { ingredient: 'levothyroxine', maxSingleDoseMg: 0.3, maxDailyDoseMg: 0.3 },
+];
+
+/** Age bands in which an ingredient is contraindicated or needs caution. */
+export const LOCAL_AGE_RULES: AgeRule[] = [
+  { ingredient: 'aspirin', maxAge: 15, message: 'contraindicated under 16 years (risk of Reye\'s syndrome)' },
+  { ingredient: 'ciprofloxacin', maxAge: 17, message: 'not recommended under 18 years (cartilage toxicity)' },
+  { ingredient: 'doxycycline', maxAge: 7, message: 'contraindicated under 8 years (tooth discoloration)' },
+  { ingredient: 'tetracycline', maxAge: 7, message: 'contraindicated under 8 years (tooth discoloration)' },
+  { ingredient: 'codeine', maxAge: 11, message: 'contraindicated under 12 years (respiratory depression)' },
+  { ingredient: 'tramadol', maxAge: 11, message: 'contraindicated under 12 years (respiratory depression)' },
+  { ingredient: 'glibenclamide', minAge: 65, message: 'avoid in patients 65 and over (prolonged hypoglycemia)' },
+  { ingredient: 'diphenhydramine', minAge: 65, message: 'avoid in patients 65 and over (anticholinergic effects)' },
+];
+
+/** Ingredients contraindicated or requiring precautions for one gender. */
+export const LOCAL_GENDER_RULES: GenderRule[] = [
+  { ingredient: 'finasteride', gender: 'female', message: 'contraindicated in women (teratogenic)' },
+  { ingredient: 'dutasteride', gender: 'female', message: 'contraindicated in women (teratogenic)' },
+  { ingredient: 'testosterone', gender: 'female', message: 'not indicated in women (virilization)' },
+  { ingredient: 'isotretinoin', gender: 'female', message: 'requires pregnancy prevention programme in women' },
+  { ingredient: 'valproate', gender: 'female', message: 'requires pregnancy prevention programme in women' },
+  { ingredient: 'ethinylestradiol', gender: 'male', message: 'not indicated in men' },
+];
+
+function matchesIngredient(med: Medication, ingredient: string): boolean {
+  return [med.medicineGenericName, med.medicineName]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .includes(ingredient);
+}
+
+// Converts "500mg", "0.5 g" or "50mcg" to milligrams
+function parseMg(text: string): number | null {
+  const match = text.toLowerCase().match(/(\d+(?:\.\d+)?)\s*(mg|g|mcg|µg)\b/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'g':
+      return value * 1000;
+    case 'mcg':
+    case 'µg':
+      return value / 1000;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Single dose in mg, from an explicit dose ("500mg") or a unit count
+ * ("2 tablets") multiplied by the line's strength.
+ */
+function getSingleDoseMg(med: Medication): number | null {
+  const explicit = parseMg(med.dosage);
+  if (explicit !== null) return explicit;
+  const units = parseFloat(med.dosage);
+  const strength = parseMg(med.medicineStrength || med.medicineName);
+  if (!Number.isFinite(units) || strength === null) return null;
+  return units * strength;
+}
+
+function formatMg(mg: number): string {
+  return mg < 1 ? `${Math.round(mg * 1000)}mcg` : `${Math.round(mg * 100) / 100}mg`;
+}
+
+/**
+ * Validate a prescription against the local dose-range, age and gender
+ * rules. Mirrors the response of POST /api/prescriptions/{id}/validate.
+ */
+export function getMockPrescriptionValidation(
+  prescription: Pick<Prescription, 'patient' | 'medications'>
+): { valid: boolean; warnings: string[] } {
+  const warnings: string[] = [];
+  const { age, gender } = prescription.patient;
+
+  for (const med of prescription.medications) {
+    const doseRule = LOCAL_DOSE_RANGES.find((rule) => matchesIngredient(med, rule.ingredient));
+    const singleDose = doseRule ? getSingleDoseMg(med) : null;
+    if (doseRule && singleDose !== null) {
+      const perDay = getFrequencyPerDay(normalizeFrequency(med.frequency || ''));
+      const dailyDose = singleDose * perDay;
+      if (singleDose > doseRule.maxSingleDoseMg) {
+        warnings.push(
+          `${med.medicineName}: single dose ${formatMg(singleDose)} exceeds maximum of ${formatMg(doseRule.maxSingleDoseMg)}`
+        );
+      } else if (perDay > 0 && dailyDose > doseRule.maxDailyDoseMg) {
+        warnings.push(
+          `${med.medicineName}: daily dose ${formatMg(dailyDose)} exceeds maximum of ${formatMg(doseRule.maxDailyDoseMg)}`
+        );
+      }
+    }
+
+    if (age > 0) {
+      for (const rule of LOCAL_AGE_RULES) {
+        const inBand = (rule.minAge === undefined || age >= rule.minAge) &&
+          (rule.maxAge === undefined || age <= rule.maxAge);
+        if (inBand && matchesIngredient(med, rule.ingredient)) {
+          warnings.push(`${med.medicineName}: ${rule.message}; patient is ${age} years old`);
+        }
+      }
+    }
+
+    for (const rule of LOCAL_GENDER_RULES) {
+      if (rule.gender === gender && matchesIngredient(med, rule.ingredient)) {
+        warnings.push(`${med.medicineName}: ${rule.message}`);
+      }
+    }
+  }
+
+  return { valid: warnings.length === 0, warnings };
+}
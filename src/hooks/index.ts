@@ -1,4 +1,32 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { format, subDays } from 'date-fns';
+import { apiService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { hasPermission } from '../utils/permissions';
+import { translate } from '../i18n';
+import { RENEWAL_LOOKBACK_DAYS, RENEWAL_SEARCH_STATUSES } from '../config/constants';
+import { getRenewalsDue } from '../utils/medication';
+import { offlineOutbox } from '../services/outbox';
+import { draftStore } from '../services/draftStore';
+import { diagnosisPreferences } from '../services/diagnosisPreferences';
+import { templateStore } from '../services/templateStore';
+import { sessionService } from '../services/session';
+import type { SessionPhase } from '../services/session';
+import type {
+  DrugRecall,
+  PatientVerification,
+  InsuranceCoverage,
+  Prescription,
+  OutboxOperation,
+  PrescriptionDraft,
+  Permission,
+  DiagnosisPreferences,
+  ICD10Code,
+  PrescriptionTemplate,
+  TemplateScope,
+  AnalyticsQuery,
+  PrescriptionAnalytics,
+} from '../types';
 
 // Debounce hook for search inputs
 export function useDebounce<T>(value: T, delay: number): T {
@@ -118,3 +146,444 @@ export function useClickOutside(
     };
   }, [ref, handler]);
 }
+
+// Active drug recalls, fetched once and shared by every component that asks
+let drugRecallsPromise: Promise<DrugRecall[]> | null = null;
+
+function loadDrugRecalls(): Promise<DrugRecall[]> {
+  if (!drugRecallsPromise) {
+    drugRecallsPromise = apiService
+      .getDrugRecalls()
+      .then((response) => (response.success ? response.data || [] : []))
+      .catch((error) => {
+        console.warn('Error loading drug recalls:', error);
+        drugRecallsPromise = null;
+        return [];
+      });
+  }
+  return drugRecallsPromise;
+}
+
+export function useDrugRecalls() {
+  const [recalls, setRecalls] = useState<DrugRecall[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDrugRecalls().then((data) => {
+      if (!cancelled) {
+        setRecalls(data.filter((r) => r.status === 'active'));
+        setLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Match a medicine or medication line against recalls by EDA code or drug ID
+  const findRecall = useCallback(
+    (item: { drugId?: string; edaCode?: string }): DrugRecall | undefined =>
+      recalls.find(
+        (r) =>
+          (!!r.drugId && r.drugId === item.drugId) ||
+          (!!r.edaCode && r.edaCode === item.edaCode)
+      ),
+    [recalls]
+  );
+
+  return { recalls, loading, findRecall };
+}
+
+// Verify a complete 14-digit National ID against the DPR registry
+export function usePatientVerification(nationalId: string): PatientVerification {
+  const [verification, setVerification] = useState<PatientVerification>({ status: 'idle' });
+
+  useEffect(() => {
+    if (!/^\d{14}$/.test(nationalId)) {
+      setVerification({ status: 'idle' });
+      return;
+    }
+
+    let cancelled = false;
+    setVerification({ status: 'verifying' });
+
+    const verify = async () => {
+      try {
+        const response = await apiService.verifyPatient(nationalId);
+        if (cancelled) return;
+        if (!response.success || !response.data?.verified) {
+          setVerification({ status: 'not_found', error: response.error || translate('errors.patientNotFound') });
+          return;
+        }
+
+        let demographics = response.data;
+        if (!demographics.name || !demographics.dateOfBirth) {
+          const details = await apiService.getPatientDemographics(nationalId);
+          if (cancelled) return;
+          if (details.success) {
+            demographics = { ...demographics, ...details.data };
+          }
+        }
+        setVerification({ status: 'verified', demographics });
+      } catch (error) {
+        console.warn('Error verifying patient:', error);
+        if (!cancelled) {
+          setVerification({ status: 'error', error: translate('errors.patientRegistryUnavailable') });
+        }
+      }
+    };
+
+    verify();
+    return () => {
+      cancelled = true;
+    };
+  }, [nationalId]);
+
+  return verification;
+}
+
+// Insurance coverage for a complete 14-digit National ID
+export function useInsuranceCoverage(nationalId: string) {
+  const [coverage, setCoverage] = useState<InsuranceCoverage | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!/^\d{14}$/.test(nationalId)) {
+      setCoverage(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    apiService
+      .getInsuranceCoverage(nationalId)
+      .then((response) => {
+        if (!cancelled) setCoverage(response.success ? response.data : null);
+      })
+      .catch((error) => {
+        console.warn('Error loading insurance coverage:', error);
+        if (!cancelled) setCoverage(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [nationalId]);
+
+  return { coverage, loading };
+}
+
+// Previous prescriptions for a patient, from all prescribers
+export function usePatientPrescriptions(nationalId: string) {
+  const [prescriptions, setPrescriptions] = useState<Prescription[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!/^\d{14}$/.test(nationalId)) {
+      setPrescriptions([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    apiService
+      .searchPrescriptionsByNationalId(nationalId)
+      .then((response) => {
+        if (cancelled) return;
+        const data = response.success && Array.isArray(response.data) ? response.data : [];
+        setPrescriptions(
+          [...data].sort(
+            (a, b) => new Date(b.prescriptionDate).getTime() - new Date(a.prescriptionDate).getTime()
+          )
+        );
+      })
+      .catch((error) => {
+        console.warn('Error loading patient prescriptions:', error);
+        if (!cancelled) setPrescriptions([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [nationalId]);
+
+  return { prescriptions, loading };
+}
+
+// Prescriptions recent enough to be running out, and the renewals written from them
+async function loadRenewalCandidates(): Promise<Prescription[]> {
+  const prescriptions: Prescription[] = [];
+  const params = {
+    status: RENEWAL_SEARCH_STATUSES,
+    dateFrom: format(subDays(new Date(), RENEWAL_LOOKBACK_DAYS), 'yyyy-MM-dd'),
+    sort: 'date' as const,
+    order: 'asc' as const,
+  };
+  for await (const page of apiService.listAllPrescriptions(params)) {
+    prescriptions.push(...(page.data || []));
+  }
+  return prescriptions;
+}
+
+// Chronic prescriptions whose supply runs out soon, soonest first
+export function useRenewalsDue() {
+  const [renewals, setRenewals] = useState<{ prescription: Prescription; dueDate: Date }[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRenewalCandidates()
+      .then((prescriptions) => {
+        if (!cancelled) setRenewals(getRenewalsDue(prescriptions));
+      })
+      .catch((error) => {
+        console.warn('Error loading renewals due:', error);
+        if (!cancelled) setRenewals([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { renewals, loading };
+}
+
+// Analytics for a date range; refresh() re-fetches instead of using the device cache
+export function usePrescriptionAnalytics(query: AnalyticsQuery) {
+  const [analytics, setAnalytics] = useState<PrescriptionAnalytics | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reload, setReload] = useState(0);
+  const lastReload = useRef(0);
+  const { dateFrom, dateTo, granularity } = query;
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = reload !== lastReload.current;
+    lastReload.current = reload;
+    setLoading(true);
+    setError('');
+    apiService
+      .getPrescriptionAnalytics({ dateFrom, dateTo, granularity }, { refresh })
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setAnalytics(response.data);
+        } else {
+          setError(response.error || translate('errors.loadAnalytics'));
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading analytics:', err);
+        if (!cancelled) setError(translate('errors.loadAnalyticsRetry'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dateFrom, dateTo, granularity, reload]);
+
+  const refresh = useCallback(() => setReload((n) => n + 1), []);
+
+  return { analytics, loading, error, refresh };
+}
+
+// Queued offline writes, kept current as the outbox changes
+export function useOutbox() {
+  const [operations, setOperations] = useState<OutboxOperation[]>([]);
+
+  useEffect(() => {
+    if (typeof indexedDB === 'undefined') return;
+
+    let cancelled = false;
+    const load = () => {
+      offlineOutbox
+        .getAll()
+        .then((ops) => {
+          if (!cancelled) setOperations(ops);
+        })
+        .catch((error) => console.warn('Error loading offline outbox:', error));
+    };
+
+    load();
+    const unsubscribe = offlineOutbox.subscribe(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const conflicts = operations.filter((op) => op.state === 'conflict');
+
+  // 'conflict' if any queued write for the prescription was rejected, 'pending' if any is waiting
+  const getSyncState = useCallback(
+    (prescriptionId: string): OutboxOperation['state'] | null => {
+      const serverId = offlineOutbox.getServerId(prescriptionId);
+      const queued = operations.filter((op) => op.prescriptionId === serverId);
+      if (queued.length === 0) return null;
+      return queued.some((op) => op.state === 'conflict') ? 'conflict' : 'pending';
+    },
+    [operations]
+  );
+
+  return { operations, conflicts, getSyncState };
+}
+
+// Replay the offline outbox on mount, when the browser comes back online, and periodically
+export function useOutboxSync(intervalMs: number = 15000) {
+  useEffect(() => {
+    const sync = () => {
+      apiService.syncOutbox().catch((error) => console.warn('Offline sync failed:', error));
+    };
+
+    sync();
+    window.addEventListener('online', sync);
+    const timer = setInterval(sync, intervalMs);
+    return () => {
+      window.removeEventListener('online', sync);
+      clearInterval(timer);
+    };
+  }, [intervalMs]);
+}
+
+// Auto-saved prescription drafts for the logged-in user
+export function usePrescriptionDrafts(userId: string | undefined) {
+  const [drafts, setDrafts] = useState<PrescriptionDraft[]>([]);
+
+  useEffect(() => {
+    if (!userId) {
+      setDrafts([]);
+      return;
+    }
+    const load = () => setDrafts(draftStore.list(userId));
+    load();
+    return draftStore.subscribe(load);
+  }, [userId]);
+
+  const saveDraft = useCallback(
+    (draft: PrescriptionDraft) => {
+      if (userId) draftStore.save(userId, draft);
+    },
+    [userId]
+  );
+
+  const removeDraft = useCallback(
+    (id: string) => {
+      if (userId) draftStore.remove(userId, id);
+    },
+    [userId]
+  );
+
+  return { drafts, saveDraft, removeDraft };
+}
+
+// Favourite and recently used ICD-10 codes for the logged-in user
+export function useDiagnosisPreferences(userId: string | undefined) {
+  const [preferences, setPreferences] = useState<DiagnosisPreferences>({ favourites: [], recent: [] });
+
+  useEffect(() => {
+    if (!userId) {
+      setPreferences({ favourites: [], recent: [] });
+      return;
+    }
+    const load = () => setPreferences(diagnosisPreferences.get(userId));
+    load();
+    return diagnosisPreferences.subscribe(load);
+  }, [userId]);
+
+  const toggleFavourite = useCallback(
+    (icd10: ICD10Code) => {
+      if (userId) diagnosisPreferences.toggleFavourite(userId, icd10);
+    },
+    [userId]
+  );
+
+  const recordUse = useCallback(
+    (icd10: ICD10Code) => {
+      if (userId) diagnosisPreferences.recordUse(userId, icd10);
+    },
+    [userId]
+  );
+
+  return { ...preferences, toggleFavourite, recordUse };
+}
+
+// Personal and clinic prescription templates for the logged-in user
+export function usePrescriptionTemplates() {
+  const { user } = useAuth();
+  const [templates, setTemplates] = useState<PrescriptionTemplate[]>([]);
+
+  useEffect(() => {
+    if (!user) {
+      setTemplates([]);
+      return;
+    }
+    const load = () => setTemplates(templateStore.list(user));
+    load();
+    return templateStore.subscribe(load);
+  }, [user]);
+
+  const saveTemplate = useCallback(
+    (template: Parameters<typeof templateStore.save>[1]) => {
+      if (!user) throw new Error(translate('errors.signInToSaveTemplates'));
+      return templateStore.save(user, template);
+    },
+    [user]
+  );
+
+  const removeTemplate = useCallback(
+    (template: PrescriptionTemplate) => {
+      if (user) templateStore.remove(user, template);
+    },
+    [user]
+  );
+
+  const importTemplates = useCallback(
+    (data: unknown, scope: TemplateScope) => {
+      if (!user) throw new Error(translate('errors.signInToImportTemplates'));
+      return templateStore.importTemplates(user, data, scope);
+    },
+    [user]
+  );
+
+  return { templates, saveTemplate, removeTemplate, importTemplates };
+}
+
+// Seconds left in the SSO session, ticking every second
+export function useSessionCountdown(): { secondsRemaining: number | null; phase: SessionPhase } {
+  const [secondsRemaining, setSecondsRemaining] = useState(() => sessionService.getSecondsRemaining());
+
+  useEffect(() => {
+    const update = () => setSecondsRemaining(sessionService.getSecondsRemaining());
+    const timer = setInterval(update, 1000);
+    const unsubscribe = sessionService.subscribe(update);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, []);
+
+  return { secondsRemaining, phase: sessionService.getPhase(secondsRemaining) };
+}
+
+// Whether the logged-in user holds a permission
+export function usePermission(permission: Permission): boolean {
+  const { user } = useAuth();
+  return hasPermission(user, permission);
+}
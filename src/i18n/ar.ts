@@ -0,0 +1,735 @@
+import type { MessageKey } from './en';
+
+// ============================================================
+// Arabic interface texts
+// Every English key must be translated (checked by the type).
+// Plural messages may add the Arabic _zero, _two, _few and _many
+// forms; a missing form falls back to _other.
+// ============================================================
+
+const ar: Record<MessageKey, string> & Record<string, string> = {
+  // App shell
+  'app.name': 'HealthFlow',
+  'app.clinicPortal': 'بوابة العيادات',
+  'app.fullName': 'بوابة عيادات HealthFlow',
+  'app.ndpPlatform': 'منصة الوصفة الرقمية',
+  'app.ssoBadge': 'دخول موحد - سجل المهنيين',
+
+  'nav.dashboard': 'لوحة التحكم',
+  'nav.newPrescription': 'وصفة جديدة',
+  'nav.history': 'سجل الوصفات',
+  'nav.analytics': 'التحليلات',
+  'nav.sync': 'المزامنة دون اتصال',
+  'nav.openDrawer': 'فتح القائمة',
+
+  'layout.healthcareProfessional': 'مهني رعاية صحية',
+  'layout.license': 'الترخيص: {license}',
+  'layout.profile': 'الملف الشخصي',
+  'layout.signOut': 'تسجيل الخروج (SSO)',
+
+  'language.menu': 'اللغة',
+  'language.easternDigits': 'الأرقام العربية المشرقية (٠١٢٣)',
+
+  // Shared words
+  'common.cancel': 'إلغاء',
+  'common.close': 'إغلاق',
+  'common.back': 'رجوع',
+  'common.save': 'حفظ',
+  'common.delete': 'حذف',
+  'common.discard': 'تجاهل',
+  'common.edit': 'تعديل',
+  'common.view': 'عرض',
+  'common.retry': 'إعادة المحاولة',
+  'common.refresh': 'تحديث',
+  'common.search': 'بحث',
+  'common.clear': 'مسح',
+  'common.reset': 'إعادة الضبط',
+  'common.apply': 'تطبيق',
+  'common.resume': 'استئناف',
+  'common.remove': 'إزالة',
+  'common.print': 'طباعة',
+  'common.export': 'تصدير',
+  'common.import': 'استيراد',
+  'common.next': 'التالي',
+  'common.viewAll': 'عرض الكل',
+  'common.loading': 'جارٍ التحميل...',
+  'common.none': 'لا يوجد',
+  'common.yes': 'نعم',
+  'common.no': 'لا',
+  'common.or': 'أو',
+  'common.optional': 'اختياري',
+  'common.male': 'ذكر',
+  'common.female': 'أنثى',
+  'common.years_zero': '{count} سنة',
+  'common.years_one': 'سنة واحدة',
+  'common.years_two': 'سنتان',
+  'common.years_few': '{count} سنوات',
+  'common.years_many': '{count} سنة',
+  'common.years_other': '{count} سنة',
+  'common.days_zero': '{count} يوم',
+  'common.days_one': 'يوم واحد',
+  'common.days_two': 'يومان',
+  'common.days_few': '{count} أيام',
+  'common.days_many': '{count} يوماً',
+  'common.days_other': '{count} يوم',
+  'common.medications_zero': 'لا أدوية',
+  'common.medications_one': 'دواء واحد',
+  'common.medications_two': 'دواءان',
+  'common.medications_few': '{count} أدوية',
+  'common.medications_many': '{count} دواءً',
+  'common.medications_other': '{count} دواء',
+  'common.prescriptions_zero': 'لا وصفات',
+  'common.prescriptions_one': 'وصفة واحدة',
+  'common.prescriptions_two': 'وصفتان',
+  'common.prescriptions_few': '{count} وصفات',
+  'common.prescriptions_many': '{count} وصفة',
+  'common.prescriptions_other': '{count} وصفة',
+  'common.listSeparator': '، ',
+
+  // Prescription statuses and user roles
+  'status.draft': 'مسودة',
+  'status.pending_validation': 'بانتظار التحقق',
+  'status.pending': 'قيد الانتظار',
+  'status.active': 'نشطة',
+  'status.approved': 'معتمدة',
+  'status.dispensed': 'تم صرفها',
+  'status.cancelled': 'ملغاة',
+  'status.rejected': 'مرفوضة',
+  'status.expired': 'منتهية',
+
+  'role.doctor': 'طبيب',
+  'role.clinic_staff': 'موظف عيادة',
+
+  'permission.prescription:create': 'إنشاء الوصفات',
+  'permission.prescription:approve': 'اعتماد الوصفات وتوقيعها',
+  'permission.prescription:cancel': 'إلغاء الوصفات',
+  'permission.prescription:view_all': 'عرض جميع وصفات العيادة',
+  'permission.template:share': 'مشاركة قوالب الوصفات مع العيادة',
+  'permission.deniedSignedOut': 'يجب تسجيل الدخول من أجل {action}.',
+  'permission.denied': 'دورك ({role}) لا يسمح لك بـ{action}.',
+
+  // Sign-in, session and access
+  'auth.connecting': 'جارٍ الاتصال بسجل HealthFlow...',
+  'auth.authenticating': 'جارٍ التحقق من الهوية عبر سجل HealthFlow...',
+  'auth.unavailable': 'خدمة التحقق من الهوية غير متاحة. يرجى المحاولة لاحقاً.',
+  'auth.error': 'حدث خطأ أثناء التحقق من الهوية',
+  'login.welcome': 'مرحباً',
+  'login.intro': 'سجّل الدخول ببيانات سجل HealthFlow للوصول إلى منصة الوصفة الطبية الرقمية الوطنية',
+  'login.signIn': 'تسجيل الدخول عبر سجل HealthFlow',
+  'login.ssoTitle': 'تسجيل دخول موحد آمن (SSO)',
+  'login.ssoBody':
+    'سيتم تحويلك إلى صفحة تسجيل الدخول في سجل HealthFlow. استخدم بيانات اعتمادك المسجلة كمهني رعاية صحية للدخول بأمان عبر OpenID Connect.',
+  'login.footerAuthority': 'هيئة الدواء المصرية ووزارة الصحة',
+  'login.footerPlatform': 'المنصة الوطنية للوصفة الطبية الرقمية',
+
+  'session.expiresIn': 'تنتهي جلستك خلال',
+  'session.extend': 'تمديد الجلسة',
+  'session.extending': 'جارٍ التمديد...',
+  'session.expired': 'انتهت الجلسة',
+  'session.expiring': 'الجلسة على وشك الانتهاء',
+  'session.expiredBody': 'انتهت جلستك. سجّل الدخول مرة أخرى للمتابعة؛ الوصفات غير المرسلة محفوظة كمسودات.',
+  'session.countdownBody': 'سيتم تسجيل خروجك عند انتهاء العد التنازلي.',
+  'session.extendFailed': 'تعذر التمديد',
+  'session.extendError': 'تعذر تمديد الجلسة. احفظ عملك وسجّل الدخول مرة أخرى.',
+  'session.logInAgain': 'تسجيل الدخول مرة أخرى',
+
+  'access.denied': 'غير مسموح بالوصول',
+  'access.backToDashboard': 'العودة إلى لوحة التحكم',
+
+  // Errors reported by services
+  'errors.prescriptionNotFound': 'الوصفة غير موجودة',
+  'errors.loadPrescriptions': 'تعذر تحميل الوصفات',
+  'errors.onlyDraftsEditable': 'يمكن تعديل المسودات فقط (حالة هذه الوصفة: {status})',
+  'errors.licenseInvalid': 'ترخيص الطبيب {license} غير صالح في سجل المهنيين الصحيين',
+  'errors.noSignature': 'لم يُرجع سجل المهنيين الصحيين توقيعاً',
+  'errors.hprUnavailable': 'سجل المهنيين الصحيين غير متاح: تعذر توقيع الوصفة',
+  'errors.secureContextRequired': 'لا يمكن توقيع الوصفات أو التحقق منها إلا عند فتح البوابة عبر HTTPS.',
+  'errors.validationReviewNotSaved': 'تعذر حفظ مراجعة التحقق، لذلك لم تُعتمد الوصفة.',
+  'errors.approveBeforeSync':
+    'أُنشئت هذه الوصفة دون اتصال ولم تُزامَن مع النظام الوطني بعد. يمكن اعتمادها بعد حصولها على رقم الوصفة من النظام الوطني.',
+  'errors.createRoundTrip':
+    'تعذر حفظ الوصفة: لن يحفظ النظام الوطني جزءاً منها كما أُدخل تماماً. راجع بنود الأدوية وحاول مرة أخرى.',
+  'errors.signatureRoundTrip':
+    'تعذر توقيع الوصفة: لن يحفظ النظام الوطني جزءاً منها كما أُدخل تماماً. راجع بنود الأدوية وحاول مرة أخرى.',
+  'errors.templateFileInvalid': 'هذا الملف ليس ملف تصدير لقوالب الوصفات',
+  'errors.templateFileNewer': 'تم إنشاء ملف القوالب بإصدار أحدث من البوابة',
+  'errors.templateFileEmpty': 'لا يحتوي الملف على أي قوالب صالحة',
+  'errors.patientNotFound': 'المريض غير موجود في سجل المرضى الرقمي',
+  'errors.patientRegistryUnavailable': 'سجل المرضى غير متاح',
+  'errors.loadAnalytics': 'تعذر تحميل التحليلات',
+  'errors.loadAnalyticsRetry': 'تعذر تحميل التحليلات. يرجى المحاولة مرة أخرى.',
+  'errors.signInToSaveTemplates': 'يجب تسجيل الدخول لحفظ القوالب',
+  'errors.signInToImportTemplates': 'يجب تسجيل الدخول لاستيراد القوالب',
+
+  // Offline sync queue
+  'sync.title': 'المزامنة دون اتصال',
+  'sync.subtitle': 'تغييرات حُفظت على هذا الجهاز أثناء تعذر الوصول إلى منصة الوصفة الرقمية',
+  'sync.syncNow': 'مزامنة الآن',
+  'sync.syncing': 'جارٍ المزامنة...',
+  'sync.syncFailed': 'تعذرت المزامنة',
+  'sync.retryFailed': 'تعذرت إعادة المحاولة',
+  'sync.discardFailed': 'تعذر التجاهل',
+  'sync.opCreate': 'إنشاء وصفة',
+  'sync.opUpdate': 'تعديل مسودة',
+  'sync.opStatus': 'تغيير الحالة إلى {status}',
+  'sync.unknownStatus': 'غير معروفة',
+  'sync.opCancel': 'إلغاء',
+  'sync.opCancelReason': 'إلغاء: {reason}',
+  'sync.opReview': 'حفظ مراجعة التحقق',
+  'sync.confirmDiscardCreate': 'تجاهل {number}؟ سيتم حذف الوصفة وجميع تغييراتها دون اتصال من هذا الجهاز.',
+  'sync.confirmDiscardChange': 'تجاهل هذا التغيير على {number}؟ لن يُرسل إلى منصة الوصفة الرقمية.',
+  'sync.conflicts_one':
+    'رفضت المنصة تغييراً واحداً. التغييرات اللاحقة على الوصفة نفسها معلقة حتى تتم إعادة محاولة كل تعارض أو تجاهله.',
+  'sync.conflicts_two':
+    'رفضت المنصة تغييرين. التغييرات اللاحقة على الوصفة نفسها معلقة حتى تتم إعادة محاولة كل تعارض أو تجاهله.',
+  'sync.conflicts_few':
+    'رفضت المنصة {count} تغييرات. التغييرات اللاحقة على الوصفة نفسها معلقة حتى تتم إعادة محاولة كل تعارض أو تجاهله.',
+  'sync.conflicts_other':
+    'رفضت المنصة {count} تغييراً. التغييرات اللاحقة على الوصفة نفسها معلقة حتى تتم إعادة محاولة كل تعارض أو تجاهله.',
+  'sync.emptyTitle': 'كل شيء متزامن',
+  'sync.emptyBody': 'لا توجد تغييرات دون اتصال بانتظار الإرسال إلى المنصة.',
+  'sync.colPrescription': 'الوصفة',
+  'sync.colChange': 'التغيير',
+  'sync.colQueued': 'وقت الإضافة',
+  'sync.colStatus': 'الحالة',
+  'sync.colActions': 'الإجراءات',
+  'sync.retryAt': 'إعادة المحاولة {when}',
+  'sync.conflictHint': 'رفضت المنصة تغييراً أُجري دون اتصال. افتح قائمة المزامنة لحله.',
+  'sync.pendingHint': 'محفوظ على هذا الجهاز. سيُرسل إلى المنصة عند عودة الاتصال.',
+  'sync.conflictChip': 'تعارض في المزامنة',
+  'sync.pendingChip': 'بانتظار المزامنة',
+
+  // Digital signatures
+  'signature.valid': 'التوقيع صالح',
+  'signature.invalid': 'التوقيع غير صالح',
+  'signature.tampered': 'تم العبث بالتوقيع',
+  'signature.unverifiable': 'لم يتم التحقق من التوقيع',
+  'signature.unsigned': 'غير موقعة',
+  'signature.verifying': 'جارٍ التحقق من التوقيع',
+  'signature.verificationFailed': 'تعذر التحقق',
+  'signature.checkedAt': 'تم التحقق {when}',
+  'signature.legacyFormat': 'التوقيع بصيغة قديمة',
+  'signature.contentChanged': 'تغير محتوى الوصفة بعد توقيعها',
+  'signature.certificateMismatch': 'التوقيع لا يطابق شهادة الطبيب',
+  'signature.hprUnavailable': 'سجل المهنيين الصحيين غير متاح',
+
+  // Fields shared by prescription tables and forms
+  'prescription.rxNumber': 'رقم الوصفة',
+  'prescription.patient': 'المريض',
+  'prescription.diagnosis': 'التشخيص',
+  'prescription.status': 'الحالة',
+  'prescription.date': 'التاريخ',
+  'prescription.medications': 'الأدوية',
+  'prescription.nationalId': 'الرقم القومي',
+  'prescription.age': 'العمر',
+  'prescription.gender': 'النوع',
+  'prescription.prescriber': 'الطبيب المعالج',
+  'prescription.actions': 'الإجراءات',
+
+  // Dashboard
+  'dashboard.subtitle': 'نظرة عامة على نشاط الوصفات',
+  'dashboard.subtitleSince': 'نظرة عامة على نشاط الوصفات منذ {date}',
+  'dashboard.loadFailed': 'تعذر تحميل بيانات لوحة التحكم. يرجى المحاولة مرة أخرى.',
+  'dashboard.totalPrescriptions': 'إجمالي الوصفات',
+  'dashboard.recalls': 'سحب الأدوية',
+  'dashboard.noRecalls': 'لا توجد عمليات سحب نشطة',
+  'dashboard.recallClass': 'الفئة {recallClass}',
+  'dashboard.batches': 'التشغيلات: {batches}',
+  'dashboard.unsentDrafts': 'مسودات غير مرسلة',
+  'dashboard.noDiagnosisYet': 'لا يوجد تشخيص بعد',
+  'dashboard.savedAgo': 'حُفظت {when}',
+  'dashboard.deleteDraft': 'حذف المسودة',
+  'dashboard.dueForRenewal': 'وصفات مستحقة التجديد',
+  'dashboard.overdueBy': 'متأخرة {days}',
+  'dashboard.dueToday': 'مستحقة اليوم',
+  'dashboard.dueIn': 'مستحقة خلال {days}',
+  'dashboard.renew': 'تجديد',
+  'dashboard.recentPrescriptions': 'أحدث الوصفات',
+  'dashboard.noPrescriptions': 'لا توجد وصفات بعد',
+  'dashboard.createFirst': 'إنشاء أول وصفة',
+
+  // Analytics
+  'analytics.subtitle': 'نشاط الوصف من {from} إلى {to}',
+  'analytics.period': 'الفترة',
+  'analytics.last7Days': 'آخر 7 أيام',
+  'analytics.last30Days': 'آخر 30 يوماً',
+  'analytics.thisMonth': 'هذا الشهر',
+  'analytics.lastMonth': 'الشهر الماضي',
+  'analytics.last90Days': 'آخر 90 يوماً',
+  'analytics.customRange': 'فترة مخصصة',
+  'analytics.from': 'من',
+  'analytics.to': 'إلى',
+  'analytics.daily': 'يومي',
+  'analytics.weekly': 'أسبوعي',
+  'analytics.sourceServer': 'إحصاءات المنصة',
+  'analytics.sourceDevice': 'محسوبة على هذا الجهاز',
+  'analytics.sourceDeviceHint':
+    'خدمة إحصاءات المنصة غير متاحة، لذا حُسبت هذه الأرقام من الوصفات المخزنة على هذا الجهاز.',
+  'analytics.updated': 'آخر تحديث {when}',
+  'analytics.prescriptions': 'الوصفات',
+  'analytics.approvalRate': 'نسبة الاعتماد',
+  'analytics.approvalRateCaption': 'معتمدة أو مصروفة أو منتهية لاحقاً',
+  'analytics.cancellationRate': 'نسبة الإلغاء',
+  'analytics.medicationsPerPrescription': 'الأدوية لكل وصفة',
+  'analytics.averageLines': 'متوسط عدد البنود',
+  'analytics.perDay': 'الوصفات يومياً',
+  'analytics.perWeek': 'الوصفات أسبوعياً',
+  'analytics.emptyRange': 'الفترة المحددة فارغة.',
+  'analytics.barTooltip': '{period}: {prescriptions} · {approved} معتمدة · {cancelled} ملغاة',
+  'analytics.legendCancelled': 'ملغاة أو مرفوضة',
+  'analytics.legendOther': 'مسودة أو قيد الانتظار أو غير ذلك',
+  'analytics.topMedicines': 'الأدوية الأكثر وصفاً',
+  'analytics.topGenerics': 'المواد الفعالة الأكثر وصفاً',
+  'analytics.topDiagnoses': 'التشخيصات الأكثر شيوعاً',
+  'analytics.noPrescriptions': 'لا توجد وصفات في هذه الفترة',
+  'analytics.lines_zero': 'لا بنود',
+  'analytics.lines_one': 'بند واحد',
+  'analytics.lines_two': 'بندان',
+  'analytics.lines_few': '{count} بنود',
+  'analytics.lines_many': '{count} بنداً',
+  'analytics.lines_other': '{count} بند',
+
+  // Prescription exports
+  'export.title': 'تصدير الوصفات',
+  'export.format': 'الصيغة',
+  'export.csv': 'CSV',
+  'export.csvDescription': 'صف لكل وصفة، يُفتح في Excel مع الحفاظ على الأسماء العربية',
+  'export.xlsx': 'Excel',
+  'export.xlsxDescription': 'صف لكل بند دواء، مع ورقة للوصفات',
+  'export.pdf': 'تقرير PDF',
+  'export.pdfDescription': 'ملخص A4 قابل للطباعة، يُحفظ بصيغة PDF من نافذة الطباعة',
+  'export.matching': 'الوصفات المطابقة',
+  'export.maskNationalIds': 'إخفاء الأرقام القومية (إظهار آخر 4 أرقام فقط)',
+  'export.loaded': 'تم تحميل {loaded} وصفة…',
+  'export.loadedOf': 'تم تحميل {loaded} من {total} وصفة…',
+  'export.buildReport': 'إنشاء التقرير',
+  'export.failed': 'تعذر التصدير',
+  'export.failedWithReason': 'تعذر التصدير: {reason}',
+  'export.reportTitle': 'تقرير الوصفات',
+  'export.printOrSave': 'طباعة / حفظ PDF',
+  'export.generatedAt': 'أُنشئ في {when}',
+  'export.generatedBy': 'بواسطة {name}',
+  'export.medicationLines_zero': 'لا بنود أدوية',
+  'export.medicationLines_one': 'بند دواء واحد',
+  'export.medicationLines_two': 'بندا دواء',
+  'export.medicationLines_few': '{count} بنود أدوية',
+  'export.medicationLines_many': '{count} بند دواء',
+  'export.medicationLines_other': '{count} بند دواء',
+  'export.filterStatus': 'الحالة: {statuses}',
+  'export.filterFrom': 'من {date}',
+  'export.filterTo': 'إلى {date}',
+  'export.filterNationalId': 'الرقم القومي: {nationalId}',
+  'export.filterSearch': 'بحث: "{text}"',
+  'export.allPrescriptions': 'جميع الوصفات',
+
+  // Medication lines
+  'medication.emptyTitle': 'لم تتم إضافة أدوية بعد',
+  'medication.emptyHint': 'استخدم البحث أعلاه لإضافة أدوية إلى هذه الوصفة',
+  'medication.unknown': 'دواء غير معروف',
+  'medication.weightDoseTooltip': 'جرعة محسوبة من وزن المريض',
+  'medication.swap': 'استبدال ببديل',
+  'medication.remove': 'حذف الدواء',
+  'medication.interactionWith': 'تداخل {severity} مع {name}',
+  'medication.duplicateTherapy': 'علاج مكرر',
+  'medication.structuredDosing': 'جرعات منظمة',
+  'medication.weightBasedDose': 'جرعة حسب الوزن',
+  'medication.dosage': 'الجرعة',
+  'medication.dosagePlaceholder': 'مثال: 100 مجم',
+  'medication.frequency': 'عدد المرات',
+  'medication.selectFrequency': 'اختر عدد المرات',
+  'medication.duration': 'المدة',
+  'medication.selectDuration': 'اختر المدة',
+  'medication.quantity': 'الكمية',
+  'medication.quantityFromSchedule': 'محسوبة تلقائياً من الجدول الكامل',
+  'medication.quantityEnter': 'أدخل الكمية المطلوب صرفها',
+  'medication.quantityCalculated': 'محسوبة تلقائياً: {perDay} × {days} يوم',
+  'medication.quantityHint': 'حدد عدد المرات والمدة للحساب التلقائي',
+  'medication.quantityFromScheduleTooltip': 'محسوبة تلقائياً من جدول الجرعات',
+  'medication.quantityCalculatedTooltip': 'محسوبة تلقائياً من عدد المرات × المدة',
+  'medication.refills': 'مرات إعادة الصرف',
+  'medication.refillsHint': 'عدد مرات إعادة الصرف المسموح بها',
+  'medication.chronicTherapy': 'علاج مزمن',
+  'medication.refillEvery': 'إعادة الصرف كل',
+  'medication.refillEveryPlaceholder': 'عند نفاد الكمية',
+  'medication.refillEveryHint': 'الأيام بين كل صرف',
+  'medication.daysUnit': 'يوم',
+  'medication.indication': 'دواعي الاستعمال',
+  'medication.indicationHint': 'التشخيص الذي يعالجه هذا الدواء، ويُرسل كرمز سبب ICD-10',
+  'medication.indicationPrimary': 'رئيسي: {diagnosis}',
+  'medication.indicationSecondary': 'ثانوي: {diagnosis}',
+  'medication.untitledDiagnosis': 'تشخيص بدون عنوان',
+  'medication.instructions': 'تعليمات خاصة (اختياري)',
+  'medication.instructionsPlaceholder': 'مثال: يؤخذ مع الطعام، تجنب الكحول...',
+
+  // Interaction severities
+  'interaction.low': 'منخفض',
+  'interaction.moderate': 'متوسط',
+  'interaction.high': 'مرتفع',
+  'interaction.critical': 'حرج',
+
+  // Structured dosing
+  'sig.doseUnit': 'وحدة الجرعة',
+  'sig.route': 'طريقة الإعطاء',
+  'sig.timing': 'التوقيت',
+  'sig.anyTime': 'أي وقت',
+  'sig.step': 'المرحلة {step}',
+  'sig.dose': 'الجرعة',
+  'sig.amount': 'الكمية ({unit})',
+  'sig.for': 'لمدة',
+  'sig.ongoing': 'مستمر',
+  'sig.setDays': 'تحديد عدد الأيام',
+  'sig.forDays': 'لمدة (أيام)',
+  'sig.makeOngoing': 'جعله مستمراً',
+  'sig.removeStep': 'حذف المرحلة',
+  'sig.addTaperStep': 'إضافة مرحلة تخفيض',
+  'sig.taperDose': 'تخفيض تدريجي للجرعة',
+  'sig.asNeeded': 'عند اللزوم',
+  'sig.asNeededFor': 'عند اللزوم لـ',
+  'sig.asNeededForPlaceholder': 'مثال: ألم، حمى',
+  'sig.maxDaily': 'الحد الأقصى خلال 24 ساعة ({unit})',
+
+  // Prescription history
+  'history.subtitle': 'عرض جميع الوصفات وإدارتها',
+  'history.searchPlaceholder': 'ابحث برقم الوصفة أو اسم المريض أو الرقم القومي أو التشخيص...',
+  'history.allStatuses': 'جميع الحالات',
+  'history.sortNewest': 'الأحدث أولاً',
+  'history.sortOldest': 'الأقدم أولاً',
+  'history.sortPatientAsc': 'المريض (أ–ي)',
+  'history.sortPatientDesc': 'المريض (ي–أ)',
+  'history.loadFailed': 'تعذر تحميل الوصفات. يرجى المحاولة مرة أخرى.',
+  'history.validationFailed': 'فشل التحقق بالذكاء الاصطناعي',
+  'history.approvedSuccess': 'تم توقيع الوصفة واعتمادها بنجاح',
+  'history.cancelledSuccess': 'تم إلغاء الوصفة بنجاح',
+  'history.approveFailed': 'تعذر اعتماد الوصفة',
+  'history.approveFailedWithReason': 'تعذر اعتماد الوصفة: {reason}',
+  'history.statusUpdateFailed': 'تعذر تحديث حالة الوصفة. يرجى المحاولة مرة أخرى.',
+  'history.cancelFailedWithReason': 'تعذر إلغاء الوصفة: {reason}',
+  'history.noMatches': 'لا توجد وصفات مطابقة لعوامل التصفية',
+  'history.noPrescriptions': 'لا توجد وصفات',
+  'history.recallTooltip': 'تواصل مع المريض: {recalls}',
+  'history.recalledDrug': 'دواء مسحوب',
+  'history.viewDetails': 'عرض التفاصيل',
+  'history.editDraft': 'تعديل المسودة',
+  'history.approve': 'اعتماد',
+
+  // Prescription detail
+  'detail.loadFailed': 'تعذر تحميل تفاصيل الوصفة.',
+  'detail.approved': 'تم توقيع الوصفة واعتمادها',
+  'detail.cancelled': 'تم إلغاء الوصفة',
+  'detail.cancelFailed': 'تعذر إلغاء الوصفة',
+  'detail.cancelFailedWithReason': 'تعذر إلغاء الوصفة: {reason}',
+  'detail.fhirNotBundle': 'الملف ليس حزمة FHIR تحتوي على MedicationRequest',
+  'detail.fhirImported': 'وصفة مستوردة',
+  'detail.fhirDraftName': '{name} (استيراد FHIR)',
+  'detail.fhirImportFailed': 'تعذر استيراد حزمة FHIR',
+  'detail.fhirImportFailedWithReason': 'تعذر استيراد حزمة FHIR: {reason}',
+  'detail.fhirExport': 'تصدير الحزمة',
+  'detail.fhirImport': 'استيراد حزمة',
+  'detail.fhirImportHint': 'تُفتح كمسودة جديدة',
+  'detail.goBack': 'رجوع',
+  'detail.createdOn': 'أُنشئت في {date}',
+  'detail.renewalDue': 'التجديد مستحق في {date}',
+  'detail.renewalOf': 'تجديد للوصفة {rxNumber}',
+  'detail.saveAsTemplate': 'حفظ كقالب',
+  'detail.previewSheet': 'معاينة الورقة',
+  'detail.resolve': 'حل',
+  'detail.syncConflict': 'رفضت المنصة الوطنية تغييراً أُجري دون اتصال: {reason}',
+  'detail.noReasonGiven': 'لم يُذكر سبب',
+  'detail.patientInformation': 'بيانات المريض',
+  'detail.fullName': 'الاسم الكامل',
+  'detail.weightHeight': 'الوزن / الطول',
+  'detail.kg': '{value} كجم',
+  'detail.cm': '{value} سم',
+  'detail.primary': 'رئيسي',
+  'detail.secondary': 'ثانوي',
+  'detail.clinicalNotes': 'ملاحظات سريرية',
+  'detail.medicine': 'الدواء',
+  'detail.qty': 'الكمية',
+  'detail.notSpecified': 'غير محدد',
+  'detail.everyDays_one': 'كل يوم',
+  'detail.everyDays_two': 'كل يومين',
+  'detail.everyDays_few': 'كل {count} أيام',
+  'detail.everyDays_many': 'كل {count} يوماً',
+  'detail.everyDays_other': 'كل {count} يوم',
+  'detail.prescribingDoctor': 'الطبيب الواصف',
+  'detail.aiValidation': 'التحقق بالذكاء الاصطناعي',
+  'detail.validationPassed': 'ناجح',
+  'detail.notValidated': 'لم يتم التحقق بعد',
+  'detail.checkedAt': 'تم التحقق في {date}',
+  'detail.overriddenBy': 'تم التجاوز: {reason} بواسطة {name}، {date}',
+  'detail.acknowledgedBy': 'تم الإقرار بواسطة {name}، {date}',
+  'detail.activityHistory': 'سجل النشاط',
+  'detail.noHistory': 'لا يوجد سجل',
+  'detail.coverageSuspendedTitle': 'التغطية التأمينية موقوفة',
+  'detail.coverageSuspendedBody':
+    'تغطية التأمين الصحي الشامل لهذا المريض موقوفة، لذا ستحتسب الصيدلية السعر كاملاً. تأكد مع المريض قبل الاعتماد.',
+  'detail.approveAnyway': 'اعتماد على أي حال',
+  'detail.overrides': 'التجاوزات',
+  'detail.identityOverride': 'تم تأكيد هوية المريض يدوياً (دون التحقق من سجل المرضى)',
+  'detail.interactionOverride': 'تجاوز تداخل دوائي حرج: {reason}',
+  'detail.templateSaved': 'تم حفظ القالب "{name}"',
+  'detail.cancelTitle': 'إلغاء الوصفة',
+  'detail.cancelBody': 'هل أنت متأكد من إلغاء هذه الوصفة؟ لا يمكن التراجع عن هذا الإجراء.',
+  'detail.cancelReason': 'سبب الإلغاء (اختياري)',
+  'detail.cancelReasonPlaceholder': 'أدخل السبب...',
+  'detail.keepPrescription': 'الإبقاء على الوصفة',
+
+  // AI validation
+  'validation.warnings_zero': 'لا تحذيرات',
+  'validation.warnings_one': 'تحذير واحد',
+  'validation.warnings_two': 'تحذيران',
+  'validation.warnings_few': '{count} تحذيرات',
+  'validation.warnings_many': '{count} تحذيراً',
+  'validation.warnings_other': '{count} تحذير',
+
+  // New and edited prescriptions
+  'create.subtitle': 'إنشاء وصفة إلكترونية جديدة',
+  'create.editTitle': 'تعديل المسودة {rxNumber}',
+  'create.editSubtitle': 'تحديث مسودة وصفة وإعادة إرسالها',
+  'create.stepPatientHint': 'أدخل بيانات المريض',
+  'create.stepDiagnosisHint': 'أضف بيانات التشخيص',
+  'create.stepMedicationsHint': 'أضف الأدوية',
+  'create.draftName': 'اسم المسودة',
+  'create.untitled': 'وصفة بدون عنوان',
+  'create.savedAt': 'حُفظت على هذا الجهاز الساعة {time}',
+  'create.viewPrescription': 'عرض الوصفة',
+  'create.viewOriginal': 'عرض الأصل',
+  'create.renewalNotice': 'تجديد للوصفة {rxNumber}. راجع الجرعات والكميات ومرات إعادة الصرف قبل الإرسال.',
+  'create.searchIcd10': 'البحث في تشخيصات ICD-10',
+  'create.searchIcd10Hint': 'ابحث باسم التشخيص أو رمز ICD-10 (اختياري)',
+  'create.primaryDiagnosis': 'التشخيص الرئيسي',
+  'create.primaryDiagnosisPlaceholder': 'أدخل التشخيص الرئيسي أو اختره من ICD-10 أعلاه...',
+  'create.icd10Code': 'رمز ICD-10: {code}',
+  'create.clinicalNotes': 'ملاحظات سريرية (اختياري)',
+  'create.clinicalNotesPlaceholder': 'ملاحظات سريرية إضافية...',
+  'create.searchMedicine': 'البحث عن دواء وإضافته',
+  'create.criticalInteractions_one': 'تم رصد تداخل حرج. يتطلب الاعتماد ذكر سبب التجاوز.',
+  'create.criticalInteractions_two': 'تم رصد تداخلين حرجين. يتطلب الاعتماد ذكر سبب التجاوز.',
+  'create.criticalInteractions_few': 'تم رصد {count} تداخلات حرجة. يتطلب الاعتماد ذكر سبب التجاوز.',
+  'create.criticalInteractions_many': 'تم رصد {count} تداخلاً حرجاً. يتطلب الاعتماد ذكر سبب التجاوز.',
+  'create.criticalInteractions_other': 'تم رصد {count} تداخل حرج. يتطلب الاعتماد ذكر سبب التجاوز.',
+  'create.overrideReason': 'سبب التجاوز',
+  'create.overrideReasonPlaceholder': 'المبرر السريري لوصف الدواء رغم التداخل...',
+  'create.saveDraft': 'حفظ كمسودة',
+  'create.submitApprove': 'إرسال واعتماد',
+  'create.resumeTitle': 'استئناف مسودة محفوظة؟',
+  'create.resumeBody': 'لديك وصفات غير مرسلة محفوظة على هذا الجهاز.',
+  'create.startNew': 'بدء وصفة جديدة',
+  'create.duplicateActive': 'يتناول المريض بالفعل {medicine} ضمن الوصفة {rxNumber} (متبقٍ {count} يوم).',
+  'create.duplicateActiveOngoing': 'يتناول المريض بالفعل {medicine} ضمن الوصفة {rxNumber} (مستمر).',
+  'create.duplicateLine': 'نفس المادة الفعالة في البند رقم {line} من هذه الوصفة.',
+  'create.onlyDrafts': 'يمكن تعديل المسودات فقط. حالة الوصفة {rxNumber}: {status}.',
+  'create.loadFailed': 'تعذر تحميل الوصفة للتعديل.',
+  'create.draftUnavailable': 'هذه المسودة لم تعد متاحة على هذا الجهاز.',
+  'create.nameRequired': 'اسم المريض مطلوب',
+  'create.nationalIdInvalid': 'يجب أن يتكون الرقم القومي من 14 رقماً',
+  'create.ageRequired': 'يلزم إدخال عمر صحيح',
+  'create.genderRequired': 'النوع مطلوب',
+  'create.diagnosisRequired': 'التشخيص مطلوب',
+  'create.secondaryRequired': 'صف التشخيص أو احذفه',
+  'create.medicationRequired': 'يلزم إضافة دواء واحد على الأقل',
+  'create.enterDose': 'أدخل الجرعة',
+  'create.enterDays': 'أدخل عدد الأيام',
+  'create.asNeededForRequired': 'مطلوب للجرعات عند اللزوم',
+  'create.required': 'مطلوب',
+  'create.atMost': 'بحد أقصى {max}',
+  'create.weightDoseStale': 'الجرعة المحسوبة حسب الوزن لم تعد محدّثة. طبّقها مرة أخرى أو أوقفها.',
+  'create.fixErrors': 'يرجى تصحيح الأخطاء في النموذج',
+  'create.identityRequired': 'يجب التحقق من هوية المريض عبر سجل المرضى أو تأكيدها يدوياً قبل الاعتماد',
+  'create.overrideRequired': 'تتطلب التداخلات الدوائية الحرجة ذكر سبب التجاوز قبل الاعتماد',
+  'create.interactionsChecking': 'جارٍ فحص التداخلات الدوائية...',
+  'create.interactionCheckFailed': 'تعذر فحص التداخلات الدوائية. أعد المحاولة، أو اذكر سبب التجاوز للاعتماد دون الفحص.',
+  'create.retryInteractionCheck': 'إعادة المحاولة',
+  'create.interactionCheckPending': 'انتظر حتى يكتمل فحص التداخلات الدوائية قبل الاعتماد',
+  'create.interactionCheckOverrideRequired': 'تعذر فحص التداخلات الدوائية؛ اذكر سبب التجاوز قبل الاعتماد',
+  'create.createFailed': 'تعذر إنشاء الوصفة',
+  'create.updateFailed': 'تعذر تحديث الوصفة',
+  'create.createFailedRetry': 'تعذر إنشاء الوصفة. يرجى المحاولة مرة أخرى.',
+  'create.savedValidationFailed': 'حُفظت الوصفة كمسودة، لكن فشل التحقق بالذكاء الاصطناعي: {reason}',
+  'create.savedApprovalFailed': 'حُفظت الوصفة كمسودة، لكن تعذر اعتمادها: {reason}',
+  'create.unknownError': 'خطأ غير معروف',
+  'create.signingError': 'خطأ في التوقيع',
+  'create.created': 'تم إنشاء الوصفة بنجاح!',
+  'create.updated': 'تم تحديث الوصفة بنجاح!',
+  'create.createdApproved': 'تم إنشاء الوصفة واعتمادها بنجاح!',
+  'create.updatedApproved': 'تم تحديث الوصفة واعتمادها بنجاح!',
+  'create.savedForReview': 'حُفظت الوصفة كمسودة. اعتمدها بعد مراجعة تحذيرات التحقق.',
+
+  // Patient details form
+  'patientForm.patientName': 'اسم المريض',
+  'patientForm.patientNamePlaceholder': 'أدخل الاسم الكامل',
+  'patientForm.nationalIdPlaceholder': 'الرقم القومي المكون من 14 رقماً',
+  'patientForm.nationalIdHint': 'الرقم القومي المصري (14 رقماً)',
+  'patientForm.nationalIdBadDate': 'رقم قومي غير صالح: تاريخ الميلاد المضمن غير صحيح',
+  'patientForm.nationalIdBadChecksum': 'رقم التحقق في الرقم القومي غير مطابق',
+  'patientForm.born': 'تاريخ الميلاد {date}',
+  'patientForm.governorate': 'محافظة {code}',
+  'patientForm.dateOfBirthLabel': 'تاريخ الميلاد',
+  'patientForm.years': 'سنوات',
+  'patientForm.selectGender': 'اختر النوع',
+  'patientForm.weight': 'الوزن (اختياري)',
+  'patientForm.weightHint': 'مطلوب لجرعات مجم/كجم',
+  'patientForm.kg': 'كجم',
+  'patientForm.height': 'الطول (اختياري)',
+  'patientForm.heightHint': 'مطلوب لجرعات مجم/م²',
+  'patientForm.bsa': 'مساحة سطح الجسم {bsa} م²',
+  'patientForm.cm': 'سم',
+  'patientForm.verified': 'تم التحقق',
+  'patientForm.unverified': 'لم يتم التحقق',
+  'patientForm.useDpr': 'استخدام بيانات سجل المرضى',
+  'patientForm.mismatchTitle': 'البيانات المدخلة لا تطابق سجلات هوية المريض',
+  'patientForm.mismatch': '{field}: المدخل "{entered}"، و{source} يذكر "{expected}"',
+  'patientForm.name': 'الاسم',
+  'patientForm.dateOfBirth': 'تاريخ الميلاد',
+  'patientForm.sourceDpr': 'سجل المرضى',
+  'patientForm.notVerified': 'تعذر التحقق من المريض عبر سجل المرضى',
+  'patientForm.approvalBlocked': 'الاعتماد محظور للمرضى غير المتحقق منهم ما لم تؤكد هويتهم يدوياً.',
+  'patientForm.manualConfirm': 'لقد تحققت من هوية هذا المريض يدوياً',
+
+  // Search fields
+  'search.searching': 'جارٍ البحث...',
+  'search.minLength': 'اكتب حرفين على الأقل للبحث...',
+
+  // Diagnosis search and secondary diagnoses
+  'diagnosis.label': 'التشخيص (ICD-10)',
+  'diagnosis.placeholder': 'ابحث برمز ICD-10 أو اسم التشخيص...',
+  'diagnosis.helper': 'ابحث في رموز ICD-10 بالعربية أو الإنجليزية (مثال: E11، سكر، diabetes)',
+  'diagnosis.favourites': 'المفضلة',
+  'diagnosis.recentlyUsed': 'المستخدمة مؤخراً',
+  'diagnosis.browseHint': 'اكتب حرفين على الأقل للبحث في رموز ICD-10. ضع نجمة على تشخيص لإبقائه هنا.',
+  'diagnosis.noMatches': 'لا يوجد تشخيص مطابق',
+  'diagnosis.searchingCodes': 'جارٍ البحث في رموز ICD-10...',
+  'diagnosis.showSubcodes': 'عرض الرموز الفرعية',
+  'diagnosis.addFavourite': 'إضافة إلى المفضلة',
+  'diagnosis.removeFavourite': 'إزالة من المفضلة',
+  'diagnosis.secondaryTitle': 'التشخيصات الثانوية',
+  'diagnosis.add': 'إضافة تشخيص',
+  'diagnosis.secondaryHint': 'أضف الأمراض المصاحبة التي تعالجها هذه الوصفة ليُربط كل دواء بدواعي استعماله.',
+  'diagnosis.secondaryNumber': 'ثانوي رقم {number}',
+  'diagnosis.remove': 'حذف التشخيص',
+  'diagnosis.searchIcd10': 'البحث في ICD-10',
+  'diagnosis.searchHint': 'ابحث باسم التشخيص أو رمز ICD-10',
+  'diagnosis.description': 'الوصف',
+
+  // Medicine search
+  'medicineSearch.label': 'البحث عن دواء',
+  'medicineSearch.placeholder': 'اكتب اسم الدواء للبحث...',
+  'medicineSearch.helper': 'ابحث عن دواء واختره لإضافته. يمكنك إضافة عدة أدوية.',
+  'medicineSearch.noMatches': 'لا توجد أدوية',
+  'medicineSearch.recalled': 'مسحوب',
+  'medicineSearch.recallTitle': 'قرار سحب دواء سارٍ',
+  'medicineSearch.recallNotice': '{medicine} خاضع لقرار سحب من الفئة {recallClass} صادر في {date}.',
+  'medicineSearch.recallNoticeBy': '{medicine} خاضع لقرار سحب من الفئة {recallClass} صادر في {date} عن {issuedBy}.',
+  'medicineSearch.affectedBatches': 'التشغيلات المتأثرة: {batches}',
+  'medicineSearch.classIBlocked': 'لا يمكن وصف الأدوية المسحوبة من الفئة الأولى. يرجى اختيار بديل.',
+  'medicineSearch.chooseAnother': 'اختيار دواء آخر',
+  'medicineSearch.addAnyway': 'إضافة على أي حال',
+
+  // Templates
+  'templates.personal': 'قوالبي',
+  'templates.clinic': 'قوالب العيادة',
+  'templates.suggestedFor': 'مقترحة لـ {code}',
+  'templates.imported_zero': 'لم يُستورد أي قالب إلى {group}',
+  'templates.imported_one': 'تم استيراد قالب واحد إلى {group}',
+  'templates.imported_two': 'تم استيراد قالبين إلى {group}',
+  'templates.imported_few': 'تم استيراد {count} قوالب إلى {group}',
+  'templates.imported_other': 'تم استيراد {count} قالب إلى {group}',
+  'templates.importFailed': 'تعذّر استيراد القوالب',
+  'templates.importFailedWith': 'تعذّر استيراد القوالب: {message}',
+  'templates.noneYet': 'لا توجد قوالب بعد. احفظ وصفة كقالب لإعادة استخدامها.',
+  'templates.noMatches': 'لا يوجد قالب مطابق',
+  'templates.byOwner': 'بواسطة {name}',
+  'templates.delete': 'حذف القالب',
+  'templates.apply': 'تطبيق قالب',
+  'templates.searchPlaceholder': 'ابحث في مجموعات الأوامر المحفوظة...',
+  'templates.manage': 'استيراد القوالب أو تصديرها',
+  'templates.importPersonal': 'استيراد إلى قوالبي…',
+  'templates.importClinic': 'استيراد إلى قوالب العيادة…',
+  'templates.exportPersonal': 'تصدير قوالبي',
+  'templates.exportClinic': 'تصدير قوالب العيادة',
+  'templates.saveFailed': 'تعذّر حفظ القالب',
+  'templates.saveTitle': 'حفظ كقالب',
+  'templates.name': 'اسم القالب',
+  'templates.namePlaceholder': 'مثال: ارتفاع ضغط الدم - الخط الأول',
+  'templates.shareWith': 'المشاركة مع',
+  'templates.onlyMe': 'أنا فقط',
+  'templates.wholeClinic': 'العيادة بأكملها',
+  'templates.cannotShare': 'لا يسمح دورك بمشاركة القوالب مع العيادة.',
+  'templates.noDiagnosis': 'لا يوجد تشخيص',
+  'templates.save': 'حفظ القالب',
+
+  // Medication history panel
+  'patientHistory.medicationHistory': 'السجل الدوائي',
+  'patientHistory.noPrevious': 'لا توجد وصفات سابقة لهذا المريض',
+  'patientHistory.ongoing': 'مستمر',
+  'patientHistory.daysLeft_zero': 'لم يتبقَّ أي يوم',
+  'patientHistory.daysLeft_one': 'يتبقى يوم واحد',
+  'patientHistory.daysLeft_two': 'يتبقى يومان',
+  'patientHistory.daysLeft_few': 'تتبقى {count} أيام',
+  'patientHistory.daysLeft_many': 'يتبقى {count} يوماً',
+  'patientHistory.daysLeft_other': 'يتبقى {count} يوم',
+  'patientHistory.reAdd': 'إعادة الإضافة إلى هذه الوصفة',
+
+  // Validation review
+  'validation.reviewTitle': 'مراجعة تحذيرات التحقق',
+  'validation.raised_one': 'أصدر التحقق الآلي تحذيراً واحداً.',
+  'validation.raised_two': 'أصدر التحقق الآلي تحذيرين.',
+  'validation.raised_few': 'أصدر التحقق الآلي {count} تحذيرات.',
+  'validation.raised_other': 'أصدر التحقق الآلي {count} تحذيراً.',
+  'validation.raisedAt_one': 'أصدر التحقق الآلي تحذيراً واحداً الساعة {time}.',
+  'validation.raisedAt_two': 'أصدر التحقق الآلي تحذيرين الساعة {time}.',
+  'validation.raisedAt_few': 'أصدر التحقق الآلي {count} تحذيرات الساعة {time}.',
+  'validation.raisedAt_other': 'أصدر التحقق الآلي {count} تحذيراً الساعة {time}.',
+  'validation.reviewHint': 'أقرّ بكل تحذير أو تجاوزه مع ذكر سبب سريري للاعتماد.',
+  'validation.acknowledge': 'إقرار',
+  'validation.override': 'تجاوز',
+  'validation.overrideReason': 'سبب التجاوز',
+  'validation.overridePlaceholder': 'المبرر السريري...',
+  'validation.goBack': 'رجوع',
+  'validation.confirmApprove': 'تأكيد واعتماد',
+
+  // Alternatives
+  'alternatives.title': 'الاستبدال ببديل',
+  'alternatives.replacing': 'استبدال {medicine}',
+  'alternatives.loadFailed': 'تعذّر تحميل البدائل. يرجى المحاولة مرة أخرى.',
+  'alternatives.noneFound': 'لا توجد بدائل علاجية',
+
+  // Insurance coverage
+  'insurance.title': 'التغطية التأمينية',
+  'insurance.tier': 'التأمين الصحي الشامل - الفئة {tier}',
+  'insurance.active': 'سارية',
+  'insurance.suspended': 'موقوفة',
+  'insurance.inactive': 'غير سارية',
+  'insurance.notEnrolled': 'غير مشترك',
+  'insurance.suspendedNotice': 'التغطية موقوفة. ستحصّل الصيدلية السعر الكامل من المريض.',
+  'insurance.copay': 'نسبة تحمّل المريض: {percentage} من سعر الدواء',
+  'insurance.noCoverage': 'لا توجد تغطية سارية: يدفع المريض {percentage} من سعر الدواء',
+  'insurance.medicine': 'الدواء',
+  'insurance.quantity': 'الكمية',
+  'insurance.estimatedCopay': 'التحمّل التقديري',
+  'insurance.priceUnavailable': 'السعر غير متوفر',
+  'insurance.estimatedTotal': 'الإجمالي التقديري',
+
+  // Weight-based dose calculator
+  'weightDose.needWeight': 'أدخل وزن المريض لحساب الجرعة.',
+  'weightDose.needHeight': 'أدخل طول المريض لحساب مساحة سطح الجسم.',
+  'weightDose.needFrequency': 'حدد عدد المرات لتقسيم الجرعة اليومية.',
+  'weightDose.needRate': 'أدخل الجرعة لكل {unit}.',
+  'weightDose.dose': 'الجرعة',
+  'weightDose.perDay': 'في اليوم',
+  'weightDose.perDose': 'في الجرعة',
+  'weightDose.maxSingle': 'أقصى جرعة مفردة',
+  'weightDose.maxDaily': 'أقصى جرعة يومية',
+  'weightDose.give': 'أعطِ {amount} في كل جرعة',
+  'weightDose.update': 'تحديث الجرعة',
+  'weightDose.apply': 'تطبيق الجرعة',
+  'weightDose.stale':
+    'حُسبت الجرعة في هذا السطر لوزن {weight} كجم. تغيّر حجم المريض أو عدد المرات أو الدواء منذ ذلك الحين، لذا يجب تطبيقها مجدداً.',
+
+  // Print preview
+  'print.title': 'ورقة الوصفة',
+  'print.notPrintable': 'لا يمكن طباعة الوصفة للمريض إلا إذا كانت معتمدة أو سارية.',
+  'print.print': 'طباعة / حفظ PDF',
+};
+
+export default ar;
@@ -0,0 +1,689 @@
+// ============================================================
+// English interface texts
+// The reference catalog: every key used in the portal is defined
+// here, and the Arabic catalog must translate each one.
+// ============================================================
+
+const en = {
+  // App shell
+  'app.name': 'HealthFlow',
+  'app.clinicPortal': 'Clinic Portal',
+  'app.fullName': 'HealthFlow Clinic Portal',
+  'app.ndpPlatform': 'NDP Platform',
+  'app.ssoBadge': 'HCP Registry SSO',
+
+  'nav.dashboard': 'Dashboard',
+  'nav.newPrescription': 'New Prescription',
+  'nav.history': 'Prescription History',
+  'nav.analytics': 'Analytics',
+  'nav.sync': 'Offline Sync',
+  'nav.openDrawer': 'open drawer',
+
+  'layout.healthcareProfessional': 'Healthcare Professional',
+  'layout.license': 'License: {license}',
+  'layout.profile': 'Profile',
+  'layout.signOut': 'Sign Out (SSO)',
+
+  'language.menu': 'Language',
+  'language.easternDigits': 'Eastern Arabic numerals (٠١٢٣)',
+
+  // Shared words
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.back': 'Back',
+  'common.save': 'Save',
+  'common.delete': 'Delete',
+  'common.discard': 'Discard',
+  'common.edit': 'Edit',
+  'common.view': 'View',
+  'common.retry': 'Retry',
+  'common.refresh': 'Refresh',
+  'common.search': 'Search',
+  'common.clear': 'Clear',
+  'common.reset': 'Reset',
+  'common.apply': 'Apply',
+  'common.resume': 'Resume',
+  'common.remove': 'Remove',
+  'common.print': 'Print',
+  'common.export': 'Export',
+  'common.import': 'Import',
+  'common.next': 'Next',
+  'common.viewAll': 'View All',
+  'common.loading': 'Loading...',
+  'common.none': 'None',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.or': 'or',
+  'common.optional': 'Optional',
+  'common.male': 'Male',
+  'common.female': 'Female',
+  'common.years_one': '{count} year',
+  'common.years_other': '{count} years',
+  'common.days_one': '{count} day',
+  'common.days_other': '{count} days',
+  'common.medications_one': '{count} medication',
+  'common.medications_other': '{count} medications',
+  'common.prescriptions_one': '{count} prescription',
+  'common.prescriptions_other': '{count} prescriptions',
+  'common.listSeparator': ', ',
+
+  // Prescription statuses and user roles
+  'status.draft': 'Draft',
+  'status.pending_validation': 'Pending Validation',
+  'status.pending': 'Pending',
+  'status.active': 'Active',
+  'status.approved': 'Approved',
+  'status.dispensed': 'Dispensed',
+  'status.cancelled': 'Cancelled',
+  'status.rejected': 'Rejected',
+  'status.expired': 'Expired',
+
+  'role.doctor': 'Doctor',
+  'role.clinic_staff': 'Clinic Staff',
+
+  'permission.prescription:create': 'create prescriptions',
+  'permission.prescription:approve': 'approve and sign prescriptions',
+  'permission.prescription:cancel': 'cancel prescriptions',
+  'permission.prescription:view_all': 'view all clinic prescriptions',
+  'permission.template:share': 'share prescription templates with the clinic',
+  'permission.deniedSignedOut': 'You must be logged in to {action}.',
+  'permission.denied': 'Your role ({role}) is not permitted to {action}.',
+
+  // Sign-in, session and access
+  'auth.connecting': 'Connecting to HealthFlow Registry...',
+  'auth.authenticating': 'Authenticating with HealthFlow Registry...',
+  'auth.unavailable': 'Authentication service unavailable. Please try again later.',
+  'auth.error': 'Authentication error occurred',
+  'login.welcome': 'Welcome',
+  'login.intro':
+    'Sign in with your HealthFlow Registry credentials to access the National Digital Prescription platform',
+  'login.signIn': 'Sign in with HealthFlow Registry',
+  'login.ssoTitle': 'Secure Single Sign-On (SSO)',
+  'login.ssoBody':
+    'You will be redirected to the HealthFlow Registry Keycloak login page. Use your registered HCP credentials to authenticate securely via OpenID Connect.',
+  'login.footerAuthority': 'Egyptian Drug Authority (EDA) & Ministry of Health',
+  'login.footerPlatform': 'National Digital Prescription Platform',
+
+  'session.expiresIn': 'Your session expires in',
+  'session.extend': 'Extend Session',
+  'session.extending': 'Extending...',
+  'session.expired': 'Session Expired',
+  'session.expiring': 'Session Expiring',
+  'session.expiredBody': 'Your session has ended. Log in again to continue; unsent prescriptions are kept as drafts.',
+  'session.countdownBody': 'You will be logged out when the countdown ends.',
+  'session.extendFailed': 'Extension failed',
+  'session.extendError': 'Could not extend the session. Save your work and log in again.',
+  'session.logInAgain': 'Log In Again',
+
+  'access.denied': 'Access Denied',
+  'access.backToDashboard': 'Back to Dashboard',
+
+  // Errors reported by services
+  'errors.prescriptionNotFound': 'Prescription not found',
+  'errors.loadPrescriptions': 'Failed to load prescriptions',
+  'errors.onlyDraftsEditable': 'Only draft prescriptions can be edited (this one is {status})',
+  'errors.licenseInvalid': 'Prescriber license {license} is not valid in the HPR registry',
+  'errors.noSignature': 'HPR did not return a signature',
+  'errors.hprUnavailable': 'HPR registry unavailable: the prescription could not be signed',
+  'errors.secureContextRequired':
+    'Prescriptions can only be signed and verified when the portal is opened over HTTPS.',
+  'errors.validationReviewNotSaved': 'The validation review could not be saved, so the prescription was not approved.',
+  'errors.approveBeforeSync':
+    'This prescription was created offline and has not synced to NDP yet. It can be approved once it has its NDP Rx number.',
+  'errors.createRoundTrip':
+    'The prescription could not be saved: part of it would not be stored by NDP exactly as entered. Review the medication lines and try again.',
+  'errors.signatureRoundTrip':
+    'The prescription could not be signed: part of it would not be stored by NDP exactly as entered. Review the medication lines and try again.',
+  'errors.templateFileInvalid': 'This file is not a prescription template export',
+  'errors.templateFileNewer': 'This template file was made by a newer version of the portal',
+  'errors.templateFileEmpty': 'The file does not contain any valid templates',
+  'errors.patientNotFound': 'Patient not found in DPR',
+  'errors.patientRegistryUnavailable': 'Patient registry unavailable',
+  'errors.loadAnalytics': 'Failed to load analytics',
+  'errors.loadAnalyticsRetry': 'Failed to load analytics. Please try again.',
+  'errors.signInToSaveTemplates': 'You must be logged in to save templates',
+  'errors.signInToImportTemplates': 'You must be logged in to import templates',
+
+  // Offline sync queue
+  'sync.title': 'Offline Sync',
+  'sync.subtitle': 'Changes saved on this device while NDP was unreachable',
+  'sync.syncNow': 'Sync Now',
+  'sync.syncing': 'Syncing...',
+  'sync.syncFailed': 'Sync failed',
+  'sync.retryFailed': 'Retry failed',
+  'sync.discardFailed': 'Discard failed',
+  'sync.opCreate': 'Create prescription',
+  'sync.opUpdate': 'Edit draft',
+  'sync.opStatus': 'Set status to {status}',
+  'sync.unknownStatus': 'unknown',
+  'sync.opCancel': 'Cancel',
+  'sync.opCancelReason': 'Cancel: {reason}',
+  'sync.opReview': 'Save validation review',
+  'sync.confirmDiscardCreate':
+    'Discard {number}? The prescription and all its offline changes will be deleted from this device.',
+  'sync.confirmDiscardChange': 'Discard this change to {number}? It will not be sent to NDP.',
+  'sync.conflicts_one':
+    'NDP rejected {count} change. Later changes to the same prescription are on hold until each conflict is retried or discarded.',
+  'sync.conflicts_other':
+    'NDP rejected {count} changes. Later changes to the same prescription are on hold until each conflict is retried or discarded.',
+  'sync.emptyTitle': 'Everything is synced',
+  'sync.emptyBody': 'No offline changes are waiting to be sent to NDP.',
+  'sync.colPrescription': 'Prescription',
+  'sync.colChange': 'Change',
+  'sync.colQueued': 'Queued',
+  'sync.colStatus': 'Status',
+  'sync.colActions': 'Actions',
+  'sync.retryAt': 'Retry {when}',
+  'sync.conflictHint': 'NDP rejected a change made offline. Open the sync queue to resolve it.',
+  'sync.pendingHint': 'Saved on this device. It will be sent to NDP when the connection returns.',
+  'sync.conflictChip': 'Sync conflict',
+  'sync.pendingChip': 'Pending sync',
+
+  // Digital signatures
+  'signature.valid': 'Signature valid',
+  'signature.invalid': 'Signature invalid',
+  'signature.tampered': 'Signature tampered',
+  'signature.unverifiable': 'Signature not verified',
+  'signature.unsigned': 'Unsigned',
+  'signature.verifying': 'Verifying signature',
+  'signature.verificationFailed': 'Verification failed',
+  'signature.checkedAt': 'Checked {when}',
+  'signature.legacyFormat': 'Signature is in a legacy format',
+  'signature.contentChanged': 'Prescription content changed after signing',
+  'signature.certificateMismatch': 'Signature does not match the prescriber certificate',
+  'signature.hprUnavailable': 'HPR registry unavailable',
+
+  // Fields shared by prescription tables and forms
+  'prescription.rxNumber': 'Rx Number',
+  'prescription.patient': 'Patient',
+  'prescription.diagnosis': 'Diagnosis',
+  'prescription.status': 'Status',
+  'prescription.date': 'Date',
+  'prescription.medications': 'Medications',
+  'prescription.nationalId': 'National ID',
+  'prescription.age': 'Age',
+  'prescription.gender': 'Gender',
+  'prescription.prescriber': 'Prescriber',
+  'prescription.actions': 'Actions',
+
+  // Dashboard
+  'dashboard.subtitle': 'Overview of your prescription activity',
+  'dashboard.subtitleSince': 'Overview of your prescription activity since {date}',
+  'dashboard.loadFailed': 'Failed to load dashboard data. Please try again.',
+  'dashboard.totalPrescriptions': 'Total Prescriptions',
+  'dashboard.recalls': 'Drug Recalls',
+  'dashboard.noRecalls': 'No active recalls',
+  'dashboard.recallClass': 'Class {recallClass}',
+  'dashboard.batches': 'Batches: {batches}',
+  'dashboard.unsentDrafts': 'Unsent Drafts',
+  'dashboard.noDiagnosisYet': 'No diagnosis yet',
+  'dashboard.savedAgo': 'saved {when}',
+  'dashboard.deleteDraft': 'Delete draft',
+  'dashboard.dueForRenewal': 'Due for Renewal',
+  'dashboard.overdueBy': 'Overdue by {days}',
+  'dashboard.dueToday': 'Due today',
+  'dashboard.dueIn': 'Due in {days}',
+  'dashboard.renew': 'Renew',
+  'dashboard.recentPrescriptions': 'Recent Prescriptions',
+  'dashboard.noPrescriptions': 'No prescriptions yet',
+  'dashboard.createFirst': 'Create First Prescription',
+
+  // Analytics
+  'analytics.subtitle': 'Prescribing activity from {from} to {to}',
+  'analytics.period': 'Period',
+  'analytics.last7Days': 'Last 7 days',
+  'analytics.last30Days': 'Last 30 days',
+  'analytics.thisMonth': 'This month',
+  'analytics.lastMonth': 'Last month',
+  'analytics.last90Days': 'Last 90 days',
+  'analytics.customRange': 'Custom range',
+  'analytics.from': 'From',
+  'analytics.to': 'To',
+  'analytics.daily': 'Daily',
+  'analytics.weekly': 'Weekly',
+  'analytics.sourceServer': 'NDP statistics',
+  'analytics.sourceDevice': 'Aggregated on this device',
+  'analytics.sourceDeviceHint':
+    'The NDP statistics service is unavailable, so these figures were worked out from prescriptions cached on this device.',
+  'analytics.updated': 'Updated {when}',
+  'analytics.prescriptions': 'Prescriptions',
+  'analytics.approvalRate': 'Approval Rate',
+  'analytics.approvalRateCaption': 'Approved, dispensed or since expired',
+  'analytics.cancellationRate': 'Cancellation Rate',
+  'analytics.medicationsPerPrescription': 'Medications per Prescription',
+  'analytics.averageLines': 'Average number of lines',
+  'analytics.perDay': 'Prescriptions per Day',
+  'analytics.perWeek': 'Prescriptions per Week',
+  'analytics.emptyRange': 'The selected range is empty.',
+  'analytics.barTooltip': '{period}: {prescriptions} · {approved} approved · {cancelled} cancelled',
+  'analytics.legendCancelled': 'Cancelled or rejected',
+  'analytics.legendOther': 'Draft, pending or other',
+  'analytics.topMedicines': 'Top Medicines',
+  'analytics.topGenerics': 'Top Generics',
+  'analytics.topDiagnoses': 'Top Diagnoses',
+  'analytics.noPrescriptions': 'No prescriptions in this range',
+  'analytics.lines_one': '{count} line',
+  'analytics.lines_other': '{count} lines',
+
+  // Prescription exports
+  'export.title': 'Export Prescriptions',
+  'export.format': 'Format',
+  'export.csv': 'CSV',
+  'export.csvDescription': 'One row per prescription, opens in Excel with Arabic names intact',
+  'export.xlsx': 'Excel',
+  'export.xlsxDescription': 'One row per medication line, with a prescriptions sheet',
+  'export.pdf': 'PDF report',
+  'export.pdfDescription': 'Printable A4 summary, saved as PDF from the print dialog',
+  'export.matching': 'Matching prescriptions',
+  'export.maskNationalIds': 'Mask National IDs (show only the last 4 digits)',
+  'export.loaded': 'Loaded {loaded} prescriptions…',
+  'export.loadedOf': 'Loaded {loaded} of {total} prescriptions…',
+  'export.buildReport': 'Build Report',
+  'export.failed': 'Export failed',
+  'export.failedWithReason': 'Export failed: {reason}',
+  'export.reportTitle': 'Prescription Report',
+  'export.printOrSave': 'Print / Save PDF',
+  'export.generatedAt': 'Generated {when}',
+  'export.generatedBy': 'by {name}',
+  'export.medicationLines_one': '{count} medication line',
+  'export.medicationLines_other': '{count} medication lines',
+  'export.filterStatus': 'Status: {statuses}',
+  'export.filterFrom': 'From {date}',
+  'export.filterTo': 'To {date}',
+  'export.filterNationalId': 'National ID: {nationalId}',
+  'export.filterSearch': 'Search: "{text}"',
+  'export.allPrescriptions': 'All prescriptions',
+
+  // Medication lines
+  'medication.emptyTitle': 'No medications added yet',
+  'medication.emptyHint': 'Use the search above to add medications to this prescription',
+  'medication.unknown': 'Unknown Medicine',
+  'medication.weightDoseTooltip': "Dose calculated from the patient's weight",
+  'medication.swap': 'Swap for alternative',
+  'medication.remove': 'Remove medication',
+  'medication.interactionWith': '{severity} interaction with {name}',
+  'medication.duplicateTherapy': 'Duplicate therapy',
+  'medication.structuredDosing': 'Structured dosing',
+  'medication.weightBasedDose': 'Weight-based dose',
+  'medication.dosage': 'Dosage',
+  'medication.dosagePlaceholder': 'e.g., 100mg',
+  'medication.frequency': 'Frequency',
+  'medication.selectFrequency': 'Select frequency',
+  'medication.duration': 'Duration',
+  'medication.selectDuration': 'Select duration',
+  'medication.quantity': 'Quantity',
+  'medication.quantityFromSchedule': 'Auto-calculated from the full schedule',
+  'medication.quantityEnter': 'Enter the quantity to dispense',
+  'medication.quantityCalculated': 'Auto-calculated: {perDay} × {days} days',
+  'medication.quantityHint': 'Set frequency & duration to auto-calculate',
+  'medication.quantityFromScheduleTooltip': 'Auto-calculated from the dosing schedule',
+  'medication.quantityCalculatedTooltip': 'Auto-calculated from frequency × duration',
+  'medication.refills': 'Refills',
+  'medication.refillsHint': 'Times it may be refilled',
+  'medication.chronicTherapy': 'Chronic therapy',
+  'medication.refillEvery': 'Refill Every',
+  'medication.refillEveryPlaceholder': 'When supply runs out',
+  'medication.refillEveryHint': 'Days between fills',
+  'medication.daysUnit': 'days',
+  'medication.indication': 'Indication',
+  'medication.indicationHint': 'Diagnosis this medication treats, sent as its ICD-10 reason code',
+  'medication.indicationPrimary': 'Primary: {diagnosis}',
+  'medication.indicationSecondary': 'Secondary: {diagnosis}',
+  'medication.untitledDiagnosis': 'Untitled diagnosis',
+  'medication.instructions': 'Special Instructions (Optional)',
+  'medication.instructionsPlaceholder': 'e.g., Take with food, avoid alcohol...',
+
+  // Interaction severities
+  'interaction.low': 'LOW',
+  'interaction.moderate': 'MODERATE',
+  'interaction.high': 'HIGH',
+  'interaction.critical': 'CRITICAL',
+
+  // Structured dosing
+  'sig.doseUnit': 'Dose Unit',
+  'sig.route': 'Route',
+  'sig.timing': 'Timing',
+  'sig.anyTime': 'Any time',
+  'sig.step': 'Step {step}',
+  'sig.dose': 'Dose',
+  'sig.amount': 'Amount ({unit})',
+  'sig.for': 'For',
+  'sig.ongoing': 'Ongoing',
+  'sig.setDays': 'Set number of days',
+  'sig.forDays': 'For (days)',
+  'sig.makeOngoing': 'Make ongoing',
+  'sig.removeStep': 'Remove step',
+  'sig.addTaperStep': 'Add taper step',
+  'sig.taperDose': 'Taper dose',
+  'sig.asNeeded': 'As needed (PRN)',
+  'sig.asNeededFor': 'As needed for',
+  'sig.asNeededForPlaceholder': 'e.g., pain, fever',
+  'sig.maxDaily': 'Max per 24 h ({unit})',
+
+  // Prescription history
+  'history.subtitle': 'View and manage all prescriptions',
+  'history.searchPlaceholder': 'Search by Rx#, patient name, National ID, or diagnosis...',
+  'history.allStatuses': 'All Statuses',
+  'history.sortNewest': 'Newest first',
+  'history.sortOldest': 'Oldest first',
+  'history.sortPatientAsc': 'Patient A–Z',
+  'history.sortPatientDesc': 'Patient Z–A',
+  'history.loadFailed': 'Failed to load prescriptions. Please try again.',
+  'history.validationFailed': 'AI validation failed',
+  'history.approvedSuccess': 'Prescription signed and approved successfully',
+  'history.cancelledSuccess': 'Prescription cancelled successfully',
+  'history.approveFailed': 'Failed to approve prescription',
+  'history.approveFailedWithReason': 'Failed to approve prescription: {reason}',
+  'history.statusUpdateFailed': 'Failed to update prescription status. Please try again.',
+  'history.cancelFailedWithReason': 'Failed to cancel prescription: {reason}',
+  'history.noMatches': 'No prescriptions match your filters',
+  'history.noPrescriptions': 'No prescriptions found',
+  'history.recallTooltip': 'Contact patient: {recalls}',
+  'history.recalledDrug': 'Recalled drug',
+  'history.viewDetails': 'View Details',
+  'history.editDraft': 'Edit Draft',
+  'history.approve': 'Approve',
+
+  // Prescription detail
+  'detail.loadFailed': 'Failed to load prescription details.',
+  'detail.approved': 'Prescription signed and approved',
+  'detail.cancelled': 'Prescription cancelled',
+  'detail.cancelFailed': 'Failed to cancel prescription',
+  'detail.cancelFailedWithReason': 'Failed to cancel prescription: {reason}',
+  'detail.fhirNotBundle': 'The file is not a FHIR bundle with a MedicationRequest',
+  'detail.fhirImported': 'Imported prescription',
+  'detail.fhirDraftName': '{name} (FHIR import)',
+  'detail.fhirImportFailed': 'Failed to import FHIR bundle',
+  'detail.fhirImportFailedWithReason': 'Failed to import FHIR bundle: {reason}',
+  'detail.fhirExport': 'Export bundle',
+  'detail.fhirImport': 'Import bundle',
+  'detail.fhirImportHint': 'Opens as a new draft',
+  'detail.goBack': 'Go Back',
+  'detail.createdOn': 'Created on {date}',
+  'detail.renewalDue': 'Renewal due {date}',
+  'detail.renewalOf': 'Renewal of {rxNumber}',
+  'detail.saveAsTemplate': 'Save as Template',
+  'detail.previewSheet': 'Preview Sheet',
+  'detail.resolve': 'Resolve',
+  'detail.syncConflict': 'NDP rejected a change made while offline: {reason}',
+  'detail.noReasonGiven': 'no reason given',
+  'detail.patientInformation': 'Patient Information',
+  'detail.fullName': 'Full Name',
+  'detail.weightHeight': 'Weight / Height',
+  'detail.kg': '{value} kg',
+  'detail.cm': '{value} cm',
+  'detail.primary': 'Primary',
+  'detail.secondary': 'Secondary',
+  'detail.clinicalNotes': 'Clinical Notes',
+  'detail.medicine': 'Medicine',
+  'detail.qty': 'Qty',
+  'detail.notSpecified': 'Not specified',
+  'detail.everyDays_one': 'every {count} day',
+  'detail.everyDays_other': 'every {count} days',
+  'detail.prescribingDoctor': 'Prescribing Doctor',
+  'detail.aiValidation': 'AI Validation',
+  'detail.validationPassed': 'Passed',
+  'detail.notValidated': 'Not yet validated',
+  'detail.checkedAt': 'Checked {date}',
+  'detail.overriddenBy': 'Overridden: {reason} by {name}, {date}',
+  'detail.acknowledgedBy': 'Acknowledged by {name}, {date}',
+  'detail.activityHistory': 'Activity History',
+  'detail.noHistory': 'No history available',
+  'detail.coverageSuspendedTitle': 'Insurance Coverage Suspended',
+  'detail.coverageSuspendedBody':
+    "This patient's UHI coverage is suspended, so the pharmacy will charge full price. Confirm with the patient before approving.",
+  'detail.approveAnyway': 'Approve Anyway',
+  'detail.overrides': 'Overrides',
+  'detail.identityOverride': 'Patient identity confirmed manually (not verified with DPR)',
+  'detail.interactionOverride': 'Critical interaction override: {reason}',
+  'detail.templateSaved': 'Saved template "{name}"',
+  'detail.cancelTitle': 'Cancel Prescription',
+  'detail.cancelBody': 'Are you sure you want to cancel this prescription? This action cannot be undone.',
+  'detail.cancelReason': 'Reason for Cancellation (Optional)',
+  'detail.cancelReasonPlaceholder': 'Enter reason...',
+  'detail.keepPrescription': 'Keep Prescription',
+
+  // AI validation
+  'validation.warnings_one': '{count} warning',
+  'validation.warnings_other': '{count} warnings',
+
+  // New and edited prescriptions
+  'create.subtitle': 'Create a new electronic prescription',
+  'create.editTitle': 'Edit Draft {rxNumber}',
+  'create.editSubtitle': 'Update and resubmit a draft prescription',
+  'create.stepPatientHint': 'Enter patient details',
+  'create.stepDiagnosisHint': 'Add diagnosis information',
+  'create.stepMedicationsHint': 'Add medications',
+  'create.draftName': 'Draft name',
+  'create.untitled': 'Untitled prescription',
+  'create.savedAt': 'Saved on this device at {time}',
+  'create.viewPrescription': 'View Prescription',
+  'create.viewOriginal': 'View Original',
+  'create.renewalNotice': 'Renewal of {rxNumber}. Review the doses, quantities and refills before sending.',
+  'create.searchIcd10': 'Search ICD-10 Diagnosis',
+  'create.searchIcd10Hint': 'Search by diagnosis name or ICD-10 code (optional)',
+  'create.primaryDiagnosis': 'Primary Diagnosis',
+  'create.primaryDiagnosisPlaceholder': 'Enter primary diagnosis or select from ICD-10 above...',
+  'create.icd10Code': 'ICD-10 Code: {code}',
+  'create.clinicalNotes': 'Clinical Notes (Optional)',
+  'create.clinicalNotesPlaceholder': 'Additional clinical observations...',
+  'create.searchMedicine': 'Search and Add Medicine',
+  'create.criticalInteractions_one': '{count} critical interaction detected. Approval requires an override reason.',
+  'create.criticalInteractions_other': '{count} critical interactions detected. Approval requires an override reason.',
+  'create.overrideReason': 'Override Reason',
+  'create.overrideReasonPlaceholder': 'Clinical justification for prescribing despite the interaction...',
+  'create.saveDraft': 'Save as Draft',
+  'create.submitApprove': 'Submit & Approve',
+  'create.resumeTitle': 'Resume a Saved Draft?',
+  'create.resumeBody': 'You have unsent prescriptions saved on this device.',
+  'create.startNew': 'Start New Prescription',
+  'create.duplicateActive': 'Patient already has active {medicine} on {rxNumber} ({count} days left).',
+  'create.duplicateActiveOngoing': 'Patient already has active {medicine} on {rxNumber} (ongoing).',
+  'create.duplicateLine': 'Same generic as line #{line} on this prescription.',
+  'create.onlyDrafts': 'Only draft prescriptions can be edited. {rxNumber} is {status}.',
+  'create.loadFailed': 'Failed to load the prescription for editing.',
+  'create.draftUnavailable': 'That draft is no longer available on this device.',
+  'create.nameRequired': 'Patient name is required',
+  'create.nationalIdInvalid': 'National ID must be 14 digits',
+  'create.ageRequired': 'Valid age is required',
+  'create.genderRequired': 'Gender is required',
+  'create.diagnosisRequired': 'Diagnosis is required',
+  'create.secondaryRequired': 'Describe the diagnosis or remove it',
+  'create.medicationRequired': 'At least one medication is required',
+  'create.enterDose': 'Enter a dose',
+  'create.enterDays': 'Enter the number of days',
+  'create.asNeededForRequired': 'Required for as-needed dosing',
+  'create.required': 'Required',
+  'create.atMost': 'At most {max}',
+  'create.weightDoseStale': 'The weight-based dose is out of date. Apply it again or turn it off.',
+  'create.fixErrors': 'Please correct the errors in the form',
+  'create.identityRequired': 'Patient identity must be verified with DPR or confirmed manually before approval',
+  'create.overrideRequired': 'Critical drug interactions require an override reason before approval',
+  'create.interactionsChecking': 'Checking drug interactions...',
+  'create.interactionCheckFailed': 'Drug interactions could not be checked. Retry, or give an override reason to approve without the check.',
+  'create.retryInteractionCheck': 'Retry',
+  'create.interactionCheckPending': 'Wait for the drug interaction check to finish before approving',
+  'create.interactionCheckOverrideRequired': 'Drug interactions could not be checked; give an override reason before approval',
+  'create.createFailed': 'Failed to create prescription',
+  'create.updateFailed': 'Failed to update prescription',
+  'create.createFailedRetry': 'Failed to create prescription. Please try again.',
+  'create.savedValidationFailed': 'Prescription saved as draft, but AI validation failed: {reason}',
+  'create.savedApprovalFailed': 'Prescription saved as draft, but approval failed: {reason}',
+  'create.unknownError': 'unknown error',
+  'create.signingError': 'signing error',
+  'create.created': 'Prescription created successfully!',
+  'create.updated': 'Prescription updated successfully!',
+  'create.createdApproved': 'Prescription created and approved successfully!',
+  'create.updatedApproved': 'Prescription updated and approved successfully!',
+  'create.savedForReview': 'Prescription saved as draft. Approve it once the validation warnings are reviewed.',
+
+  // Patient details form
+  'patientForm.patientName': 'Patient Name',
+  'patientForm.patientNamePlaceholder': 'Enter full name',
+  'patientForm.nationalIdPlaceholder': '14-digit National ID',
+  'patientForm.nationalIdHint': 'Egyptian National ID (14 digits)',
+  'patientForm.nationalIdBadDate': 'Invalid National ID: embedded birth date is not valid',
+  'patientForm.nationalIdBadChecksum': 'National ID check digit does not match',
+  'patientForm.born': 'Born {date}',
+  'patientForm.governorate': 'Governorate {code}',
+  'patientForm.dateOfBirthLabel': 'Date of Birth',
+  'patientForm.years': 'Years',
+  'patientForm.selectGender': 'Select gender',
+  'patientForm.weight': 'Weight (Optional)',
+  'patientForm.weightHint': 'Needed for mg/kg doses',
+  'patientForm.kg': 'kg',
+  'patientForm.height': 'Height (Optional)',
+  'patientForm.heightHint': 'Needed for mg/m² doses',
+  'patientForm.bsa': 'Body surface area {bsa} m²',
+  'patientForm.cm': 'cm',
+  'patientForm.verified': 'Verified',
+  'patientForm.unverified': 'Unverified',
+  'patientForm.useDpr': 'Use DPR details',
+  'patientForm.mismatchTitle': "Entered details do not match the patient's identity records",
+  'patientForm.mismatch': '{field}: entered "{entered}", {source} says "{expected}"',
+  'patientForm.name': 'Name',
+  'patientForm.dateOfBirth': 'Date of birth',
+  'patientForm.sourceDpr': 'DPR',
+  'patientForm.notVerified': 'Patient could not be verified with DPR',
+  'patientForm.approvalBlocked': 'Approval is blocked for unverified patients unless you confirm their identity manually.',
+  'patientForm.manualConfirm': "I have verified this patient's identity manually",
+
+  // Search fields
+  'search.searching': 'Searching...',
+  'search.minLength': 'Type at least 2 characters to search...',
+
+  // Diagnosis search and secondary diagnoses
+  'diagnosis.label': 'Diagnosis (ICD-10)',
+  'diagnosis.placeholder': 'Search by ICD-10 code or diagnosis name...',
+  'diagnosis.helper': 'Search ICD-10 codes in English or Arabic (e.g., E11, diabetes, سكر)',
+  'diagnosis.favourites': 'Favourites',
+  'diagnosis.recentlyUsed': 'Recently used',
+  'diagnosis.browseHint': 'Type at least 2 characters to search ICD-10 codes. Star a diagnosis to keep it here.',
+  'diagnosis.noMatches': 'No matching diagnosis found',
+  'diagnosis.searchingCodes': 'Searching ICD-10 codes...',
+  'diagnosis.showSubcodes': 'Show subcodes',
+  'diagnosis.addFavourite': 'Add to favourites',
+  'diagnosis.removeFavourite': 'Remove from favourites',
+  'diagnosis.secondaryTitle': 'Secondary Diagnoses',
+  'diagnosis.add': 'Add Diagnosis',
+  'diagnosis.secondaryHint':
+    'Add comorbidities treated on this prescription so each medication can be linked to its own indication.',
+  'diagnosis.secondaryNumber': 'Secondary #{number}',
+  'diagnosis.remove': 'Remove diagnosis',
+  'diagnosis.searchIcd10': 'Search ICD-10',
+  'diagnosis.searchHint': 'Search by diagnosis name or ICD-10 code',
+  'diagnosis.description': 'Description',
+
+  // Medicine search
+  'medicineSearch.label': 'Search Medicine',
+  'medicineSearch.placeholder': 'Type medicine name to search...',
+  'medicineSearch.helper': 'Search and select a medicine to add. You can add multiple medications.',
+  'medicineSearch.noMatches': 'No medicines found',
+  'medicineSearch.recalled': 'Recalled',
+  'medicineSearch.recallTitle': 'Active Drug Recall',
+  'medicineSearch.recallNotice': '{medicine} is subject to a Class {recallClass} recall issued {date}.',
+  'medicineSearch.recallNoticeBy': '{medicine} is subject to a Class {recallClass} recall issued {date} by {issuedBy}.',
+  'medicineSearch.affectedBatches': 'Affected batches: {batches}',
+  'medicineSearch.classIBlocked': 'Class I recalls cannot be prescribed. Please choose an alternative.',
+  'medicineSearch.chooseAnother': 'Choose Another Medicine',
+  'medicineSearch.addAnyway': 'Add Anyway',
+
+  // Templates
+  'templates.personal': 'My templates',
+  'templates.clinic': 'Clinic templates',
+  'templates.suggestedFor': 'Suggested for {code}',
+  'templates.imported_one': 'Imported {count} template into {group}',
+  'templates.imported_other': 'Imported {count} templates into {group}',
+  'templates.importFailed': 'Failed to import templates',
+  'templates.importFailedWith': 'Failed to import templates: {message}',
+  'templates.noneYet': 'No templates yet. Save a prescription as a template to reuse it.',
+  'templates.noMatches': 'No matching template',
+  'templates.byOwner': 'by {name}',
+  'templates.delete': 'Delete template',
+  'templates.apply': 'Apply a template',
+  'templates.searchPlaceholder': 'Search saved order sets...',
+  'templates.manage': 'Import or export templates',
+  'templates.importPersonal': 'Import into my templates…',
+  'templates.importClinic': 'Import into clinic templates…',
+  'templates.exportPersonal': 'Export my templates',
+  'templates.exportClinic': 'Export clinic templates',
+  'templates.saveFailed': 'Failed to save template',
+  'templates.saveTitle': 'Save as Template',
+  'templates.name': 'Template name',
+  'templates.namePlaceholder': 'e.g., Hypertension - first line',
+  'templates.shareWith': 'Share with',
+  'templates.onlyMe': 'Only me',
+  'templates.wholeClinic': 'Whole clinic',
+  'templates.cannotShare': 'Your role cannot share templates with the clinic.',
+  'templates.noDiagnosis': 'No diagnosis',
+  'templates.save': 'Save Template',
+
+  // Medication history panel
+  'patientHistory.medicationHistory': 'Medication History',
+  'patientHistory.noPrevious': 'No previous prescriptions for this patient',
+  'patientHistory.ongoing': 'Ongoing',
+  'patientHistory.daysLeft_one': '{count} day left',
+  'patientHistory.daysLeft_other': '{count} days left',
+  'patientHistory.reAdd': 'Re-add to this prescription',
+
+  // Validation review
+  'validation.reviewTitle': 'Review Validation Warnings',
+  'validation.raised_one': 'AI validation raised {count} warning.',
+  'validation.raised_other': 'AI validation raised {count} warnings.',
+  'validation.raisedAt_one': 'AI validation raised {count} warning at {time}.',
+  'validation.raisedAt_other': 'AI validation raised {count} warnings at {time}.',
+  'validation.reviewHint': 'Acknowledge each one, or override it with a clinical reason, to approve.',
+  'validation.acknowledge': 'Acknowledge',
+  'validation.override': 'Override',
+  'validation.overrideReason': 'Override reason',
+  'validation.overridePlaceholder': 'Clinical justification...',
+  'validation.goBack': 'Go Back',
+  'validation.confirmApprove': 'Confirm & Approve',
+
+  // Alternatives
+  'alternatives.title': 'Swap for Alternative',
+  'alternatives.replacing': 'Replacing {medicine}',
+  'alternatives.loadFailed': 'Failed to load alternatives. Please try again.',
+  'alternatives.noneFound': 'No therapeutic alternatives found',
+
+  // Insurance coverage
+  'insurance.title': 'Insurance Coverage',
+  'insurance.tier': 'UHI Tier {tier}',
+  'insurance.active': 'Active',
+  'insurance.suspended': 'Suspended',
+  'insurance.inactive': 'Inactive',
+  'insurance.notEnrolled': 'Not enrolled',
+  'insurance.suspendedNotice': 'Coverage is suspended. The pharmacy will charge the patient full price.',
+  'insurance.copay': 'Patient copay: {percentage} of medicine price',
+  'insurance.noCoverage': 'No active coverage: patient pays {percentage} of medicine price',
+  'insurance.medicine': 'Medicine',
+  'insurance.quantity': 'Qty',
+  'insurance.estimatedCopay': 'Est. Copay',
+  'insurance.priceUnavailable': 'Price unavailable',
+  'insurance.estimatedTotal': 'Estimated total',
+
+  // Weight-based dose calculator
+  'weightDose.needWeight': "Enter the patient's weight to calculate a dose.",
+  'weightDose.needHeight': "Enter the patient's height to calculate the body surface area.",
+  'weightDose.needFrequency': 'Set a frequency to divide the daily dose.',
+  'weightDose.needRate': 'Enter the dose per {unit}.',
+  'weightDose.dose': 'Dose',
+  'weightDose.perDay': 'Per day',
+  'weightDose.perDose': 'Per dose',
+  'weightDose.maxSingle': 'Max single dose',
+  'weightDose.maxDaily': 'Max daily dose',
+  'weightDose.give': 'Give {amount} per dose',
+  'weightDose.update': 'Update Dose',
+  'weightDose.apply': 'Apply Dose',
+  'weightDose.stale':
+    "The dose on this line was calculated for {weight} kg. The patient's size, the frequency or the medicine has changed since, so it needs to be applied again.",
+
+  // Print preview
+  'print.title': 'Prescription Sheet',
+  'print.notPrintable': 'Only approved or active prescriptions can be printed for the patient.',
+  'print.print': 'Print / Save PDF',
+} as const;
+
+export type MessageKey = keyof typeof en;
+
+export default en;
@@ -0,0 +1,155 @@
+import { format, formatDistanceToNow } from 'date-fns';
+import { ar as arLocale, enUS } from 'date-fns/locale';
+import en from './en';
+import ar from './ar';
+import type { MessageKey } from './en';
+import type { Language, NumeralSystem, Permission, UserRole } from '../types';
+
+// ============================================================
+// Interface translations
+// Flat English and Arabic catalogs keyed by "area.message", with
+// {name} placeholders and plural forms chosen by Intl.PluralRules,
+// plus date and number formatting for the active language.
+// ============================================================
+
+export type { MessageKey } from './en';
+
+/** Keys with plural forms, used without their _one/_other suffix. */
+export type PluralKey = MessageKey extends infer K ? (K extends `${infer Base}_other` ? Base : never) : never;
+
+export type TranslationKey = MessageKey | PluralKey;
+
+export type MessageParams = Record<string, string | number>;
+
+type PluralForm = Intl.LDMLPluralRule;
+
+const CATALOGS: Record<Language, Partial<Record<string, string>>> = { en, ar };
+
+const DATE_LOCALES = { en: enUS, ar: arLocale };
+
+const EASTERN_ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+let activeLanguage: Language = 'en';
+let activeNumerals: NumeralSystem = 'latn';
+
+/**
+ * Language and digits used by code outside React (services, error
+ * messages). Kept in step with the locale context.
+ */
+export function setActiveLocale(language: Language, numerals: NumeralSystem): void {
+  activeLanguage = language;
+  activeNumerals = numerals;
+}
+
+export function getActiveLanguage(): Language {
+  return activeLanguage;
+}
+
+export function getDirection(language: Language): 'ltr' | 'rtl' {
+  return language === 'ar' ? 'rtl' : 'ltr';
+}
+
+/** Eastern Arabic numerals are offered for the Arabic interface only. */
+function effectiveNumerals(language: Language, numerals: NumeralSystem): NumeralSystem {
+  return language === 'ar' ? numerals : 'latn';
+}
+
+/** BCP 47 tag with the numbering system, e.g. ar-EG-u-nu-arab */
+export function getLocaleTag(language: Language, numerals: NumeralSystem = activeNumerals): string {
+  const base = language === 'ar' ? 'ar-EG' : 'en-US';
+  return `${base}-u-nu-${effectiveNumerals(language, numerals)}`;
+}
+
+/** Swap Western digits for Eastern Arabic ones: 2026 -> ٢٠٢٦ */
+export function toArabicDigits(text: string): string {
+  return text.replace(/[0-9]/g, (digit) => EASTERN_ARABIC_DIGITS[Number(digit)]);
+}
+
+function localizeDigits(text: string, language: Language, numerals: NumeralSystem): string {
+  return effectiveNumerals(language, numerals) === 'arab' ? toArabicDigits(text) : text;
+}
+
+const pluralRules = new Map<Language, Intl.PluralRules>();
+
+function getPluralForm(language: Language, count: number): PluralForm {
+  let rules = pluralRules.get(language);
+  if (!rules) {
+    rules = new Intl.PluralRules(language);
+    pluralRules.set(language, rules);
+  }
+  return rules.select(count);
+}
+
+function lookup(language: Language, key: string, count: unknown): string | undefined {
+  const catalog = CATALOGS[language];
+  if (typeof count === 'number') {
+    const plural = catalog[`${key}_${getPluralForm(language, count)}`] ?? catalog[`${key}_other`];
+    if (plural !== undefined) return plural;
+  }
+  return catalog[key];
+}
+
+export function formatNumber(
+  value: number,
+  options?: Intl.NumberFormatOptions,
+  language: Language = activeLanguage,
+  numerals: NumeralSystem = activeNumerals
+): string {
+  return new Intl.NumberFormat(getLocaleTag(language, numerals), options).format(value);
+}
+
+/** date-fns format with month and day names in the language, e.g. "d MMM yyyy". */
+export function formatDate(
+  value: Date | string | number,
+  pattern: string,
+  language: Language = activeLanguage,
+  numerals: NumeralSystem = activeNumerals
+): string {
+  const date = value instanceof Date ? value : new Date(value);
+  return localizeDigits(format(date, pattern, { locale: DATE_LOCALES[language] }), language, numerals);
+}
+
+/** "5 minutes ago" / "منذ 5 دقائق" */
+export function formatRelative(
+  value: Date | string | number,
+  language: Language = activeLanguage,
+  numerals: NumeralSystem = activeNumerals
+): string {
+  const date = value instanceof Date ? value : new Date(value);
+  return localizeDigits(
+    formatDistanceToNow(date, { addSuffix: true, locale: DATE_LOCALES[language] }),
+    language,
+    numerals
+  );
+}
+
+/**
+ * The message for a key in the given language, falling back to English
+ * and then to the key itself. Numbers in params are formatted for the
+ * language, and a numeric `count` picks the plural form, e.g.
+ * "history.results_one" / "history.results_other".
+ */
+export function translate(key: TranslationKey, params?: MessageParams, language: Language = activeLanguage): string {
+  const message = lookup(language, key, params?.count) ?? lookup('en', key, params?.count) ?? key;
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name: string) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    return typeof value === 'number' ? formatNumber(value, undefined, language) : value;
+  });
+}
+
+/** Label of a prescription status; statuses the portal does not know are shown as sent. */
+export function getStatusLabel(status: string, language: Language = activeLanguage): string {
+  const key = `status.${status}`;
+  return key in en ? translate(key as MessageKey, undefined, language) : status;
+}
+
+export function getRoleLabel(role: UserRole, language: Language = activeLanguage): string {
+  return translate(`role.${role}`, undefined, language);
+}
+
+/** What a permission allows, phrased to follow "not permitted to". */
+export function getPermissionLabel(permission: Permission, language: Language = activeLanguage): string {
+  return translate(`permission.${permission}`, undefined, language);
+}
@@ -0,0 +1,466 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  Skeleton,
+  LinearProgress,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  Description as PrescriptionIcon,
+  CheckCircle as ApprovedIcon,
+  Cancel as CancelledIcon,
+  Medication as MedicationIcon,
+  MedicationLiquid as MedicineIcon,
+  Science as GenericIcon,
+  MedicalServices as DiagnosisIcon,
+  Timeline as TrendIcon,
+  CloudDone as ServerIcon,
+  PhoneAndroid as DeviceIcon,
+} from '@mui/icons-material';
+import { usePrescriptionAnalytics } from '../hooks';
+import { useLocale } from '../contexts/LocaleContext';
+import { ANALYTICS_RANGE_OPTIONS } from '../config/constants';
+import { formatAnalyticsPeriod, getAnalyticsRange } from '../utils/analytics';
+import { getStatusLabel } from '../i18n';
+import type { PluralKey } from '../i18n';
+import type {
+  AnalyticsCount,
+  AnalyticsGranularity,
+  AnalyticsRangePreset,
+  PrescriptionAnalytics,
+  PrescriptionStatus,
+} from '../types';
+
+const CHART_HEIGHT = 200;
+const MAX_AXIS_LABELS = 8;
+
+interface KpiCardProps {
+  title: string;
+  value: string;
+  caption?: string;
+  icon: React.ReactNode;
+  color: string;
+  loading: boolean;
+}
+
+function KpiCard({ title, value, caption, icon, color, loading }: KpiCardProps) {
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: 3, border: '1px solid', borderColor: 'grey.200', borderRadius: 2, height: '100%' }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between' }}>
+        <Box>
+          <Typography variant="body2" color="text.secondary" fontWeight={500} sx={{ mb: 1 }}>
+            {title}
+          </Typography>
+          {loading ? (
+            <Skeleton width={80} height={40} />
+          ) : (
+            <Typography variant="h4" fontWeight={700} sx={{ color }}>
+              {value}
+            </Typography>
+          )}
+          {caption && !loading && (
+            <Typography variant="caption" color="text.secondary">
+              {caption}
+            </Typography>
+          )}
+        </Box>
+        <Box sx={{ color, display: 'flex' }}>{icon}</Box>
+      </Box>
+    </Paper>
+  );
+}
+
+// Stacked bars per day or week: approved, cancelled, and everything else
+function TrendChart({ analytics }: { analytics: PrescriptionAnalytics }) {
+  const { series, granularity } = analytics;
+  const { t } = useLocale();
+  const max = Math.max(1, ...series.map((period) => period.total));
+  const labelEvery = Math.ceil(series.length / MAX_AXIS_LABELS);
+
+  if (series.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+        {t('analytics.emptyRange')}
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 0.5, height: CHART_HEIGHT }}>
+        {series.map((period) => {
+          const other = period.total - period.approved - period.cancelled;
+          return (
+            <Tooltip
+              key={period.period}
+              title={t('analytics.barTooltip', {
+                period: formatAnalyticsPeriod(period.period, granularity),
+                prescriptions: t('common.prescriptions', { count: period.total }),
+                approved: period.approved,
+                cancelled: period.cancelled,
+              })}
+            >
+              <Box
+                sx={{
+                  flex: 1,
+                  minWidth: 2,
+                  height: `${(period.total / max) * 100}%`,
+                  display: 'flex',
+                  flexDirection: 'column-reverse',
+                  borderRadius: '4px 4px 0 0',
+                  overflow: 'hidden',
+                  bgcolor: period.total ? undefined : 'grey.100',
+                  minHeight: 2,
+                }}
+              >
+                <Box sx={{ flex: period.approved, bgcolor: 'success.main' }} />
+                <Box sx={{ flex: period.cancelled, bgcolor: 'error.light' }} />
+                <Box sx={{ flex: other, bgcolor: 'primary.light' }} />
+              </Box>
+            </Tooltip>
+          );
+        })}
+      </Box>
+      <Box sx={{ display: 'flex', gap: 0.5, mt: 1, borderTop: '1px solid', borderColor: 'grey.200', pt: 0.5 }}>
+        {series.map((period, index) => (
+          <Box key={period.period} sx={{ flex: 1, minWidth: 2, overflow: 'visible', whiteSpace: 'nowrap' }}>
+            {index % labelEvery === 0 && (
+              <Typography variant="caption" color="text.secondary">
+                {formatAnalyticsPeriod(period.period, 'day')}
+              </Typography>
+            )}
+          </Box>
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+        {[
+          { label: t('status.approved'), color: 'success.main' },
+          { label: t('analytics.legendCancelled'), color: 'error.light' },
+          { label: t('analytics.legendOther'), color: 'primary.light' },
+        ].map((item) => (
+          <Box key={item.label} sx={{ display: 'flex', alignItems: 'center', gap: 0.75 }}>
+            <Box sx={{ width: 10, height: 10, borderRadius: 0.5, bgcolor: item.color }} />
+            <Typography variant="caption" color="text.secondary">
+              {item.label}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+interface TopListProps {
+  title: string;
+  icon: React.ReactNode;
+  items: AnalyticsCount[];
+  unit: PluralKey;
+  loading: boolean;
+}
+
+function TopList({ title, icon, items, unit, loading }: TopListProps) {
+  const { t, formatNumber } = useLocale();
+  const max = Math.max(1, ...items.map((item) => item.count));
+  return (
+    <Paper elevation={0} sx={{ border: '1px solid', borderColor: 'grey.200', borderRadius: 2, height: '100%' }}>
+      <Box
+        sx={{
+          px: 3,
+          py: 2,
+          borderBottom: '1px solid',
+          borderColor: 'grey.200',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1.5,
+        }}
+      >
+        {icon}
+        <Typography variant="subtitle1" fontWeight={600}>
+          {title}
+        </Typography>
+      </Box>
+      <Box sx={{ p: 2 }}>
+        {loading ? (
+          [...Array(5)].map((_, index) => <Skeleton key={index} height={32} />)
+        ) : items.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            {t('analytics.noPrescriptions')}
+          </Typography>
+        ) : (
+          items.map((item, index) => (
+            <Box key={item.key} sx={{ mb: 1.5 }}>
+              <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 1 }}>
+                <Typography variant="caption" color="text.secondary" sx={{ width: 20 }}>
+                  {formatNumber(index + 1)}
+                </Typography>
+                <Typography variant="body2" fontWeight={500} noWrap sx={{ flex: 1 }}>
+                  {item.label}
+                </Typography>
+                <Typography variant="body2" fontWeight={600}>
+                  {formatNumber(item.count)}
+                </Typography>
+              </Box>
+              <Tooltip title={t(unit, { count: item.count })}>
+                <LinearProgress
+                  variant="determinate"
+                  value={(item.count / max) * 100}
+                  sx={{ ml: 3.5, mt: 0.5, height: 6, borderRadius: 3, bgcolor: 'grey.100' }}
+                />
+              </Tooltip>
+            </Box>
+          ))
+        )}
+      </Box>
+    </Paper>
+  );
+}
+
+/**
+ * Prescribing activity over a date range: prescriptions per day or week,
+ * approval and cancellation rates, and the most prescribed medicines,
+ * generics and diagnoses. Figures come from the NDP stats endpoint, or
+ * are aggregated on this device when it is unavailable.
+ */
+export default function Analytics() {
+  const [preset, setPreset] = useState<AnalyticsRangePreset>('last_30_days');
+  const [granularity, setGranularity] = useState<AnalyticsGranularity>('day');
+  const [custom, setCustom] = useState(() => getAnalyticsRange('last_30_days'));
+
+  const range = preset === 'custom' ? custom : getAnalyticsRange(preset);
+  const { analytics, loading, error, refresh } = usePrescriptionAnalytics({ ...range, granularity });
+  const { t, formatDate, formatNumber, formatRelative } = useLocale();
+
+  const formatPercent = (rate: number): string =>
+    formatNumber(rate, { style: 'percent', maximumFractionDigits: 1 });
+
+  const handlePresetChange = (value: AnalyticsRangePreset) => {
+    // Custom starts from the range being shown
+    if (value === 'custom') setCustom(range);
+    setPreset(value);
+    if (value === 'last_90_days') setGranularity('week');
+  };
+
+  const statusCounts = Object.entries(analytics?.byStatus || {}) as [PrescriptionStatus, number][];
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          mb: 4,
+          flexWrap: 'wrap',
+          gap: 2,
+        }}
+      >
+        <Box>
+          <Typography variant="h4" fontWeight={700} sx={{ mb: 0.5 }}>
+            {t('nav.analytics')}
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            {t('analytics.subtitle', {
+              from: formatDate(`${range.dateFrom}T00:00:00`, 'MMM dd, yyyy'),
+              to: formatDate(`${range.dateTo}T00:00:00`, 'MMM dd, yyyy'),
+            })}
+          </Typography>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+          <TextField
+            select
+            size="small"
+            label={t('analytics.period')}
+            value={preset}
+            onChange={(e) => handlePresetChange(e.target.value as AnalyticsRangePreset)}
+            sx={{ minWidth: 160 }}
+          >
+            {ANALYTICS_RANGE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {t(option.label)}
+              </MenuItem>
+            ))}
+          </TextField>
+          {preset === 'custom' && (
+            <>
+              <TextField
+                size="small"
+                type="date"
+                label={t('analytics.from')}
+                value={custom.dateFrom}
+                onChange={(e) => e.target.value && setCustom((c) => ({ ...c, dateFrom: e.target.value }))}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ max: custom.dateTo }}
+              />
+              <TextField
+                size="small"
+                type="date"
+                label={t('analytics.to')}
+                value={custom.dateTo}
+                onChange={(e) => e.target.value && setCustom((c) => ({ ...c, dateTo: e.target.value }))}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ min: custom.dateFrom }}
+              />
+            </>
+          )}
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={granularity}
+            onChange={(_, value: AnalyticsGranularity | null) => value && setGranularity(value)}
+          >
+            <ToggleButton value="day">{t('analytics.daily')}</ToggleButton>
+            <ToggleButton value="week">{t('analytics.weekly')}</ToggleButton>
+          </ToggleButtonGroup>
+          <Tooltip title={t('common.refresh')}>
+            <span>
+              <IconButton onClick={refresh} disabled={loading}>
+                <RefreshIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {analytics && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3, flexWrap: 'wrap' }}>
+          {analytics.source === 'server' ? (
+            <Chip icon={<ServerIcon />} label={t('analytics.sourceServer')} size="small" color="success" variant="outlined" />
+          ) : (
+            <Tooltip title={t('analytics.sourceDeviceHint')}>
+              <Chip
+                icon={<DeviceIcon />}
+                label={t('analytics.sourceDevice')}
+                size="small"
+                color="warning"
+                variant="outlined"
+              />
+            </Tooltip>
+          )}
+          <Typography variant="caption" color="text.secondary">
+            {t('analytics.updated', { when: formatRelative(analytics.generatedAt) })}
+          </Typography>
+        </Box>
+      )}
+
+      {/* KPIs */}
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={6} lg={3}>
+          <KpiCard
+            title={t('analytics.prescriptions')}
+            value={formatNumber(analytics?.total ?? 0)}
+            icon={<PrescriptionIcon />}
+            color="#0d7fa0"
+            loading={loading}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} lg={3}>
+          <KpiCard
+            title={t('analytics.approvalRate')}
+            value={formatPercent(analytics?.approvalRate ?? 0)}
+            caption={t('analytics.approvalRateCaption')}
+            icon={<ApprovedIcon />}
+            color="#10b981"
+            loading={loading}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} lg={3}>
+          <KpiCard
+            title={t('analytics.cancellationRate')}
+            value={formatPercent(analytics?.cancellationRate ?? 0)}
+            caption={t('analytics.legendCancelled')}
+            icon={<CancelledIcon />}
+            color="#ef4444"
+            loading={loading}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} lg={3}>
+          <KpiCard
+            title={t('analytics.medicationsPerPrescription')}
+            value={formatNumber(analytics?.averageMedications ?? 0, {
+              minimumFractionDigits: 1,
+              maximumFractionDigits: 1,
+            })}
+            caption={t('analytics.averageLines')}
+            icon={<MedicationIcon />}
+            color="#3b82f6"
+            loading={loading}
+          />
+        </Grid>
+      </Grid>
+
+      {/* Trend */}
+      <Paper elevation={0} sx={{ border: '1px solid', borderColor: 'grey.200', borderRadius: 2, p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3, flexWrap: 'wrap' }}>
+          <TrendIcon sx={{ color: 'primary.main' }} />
+          <Typography variant="h6" fontWeight={600}>
+            {granularity === 'day' ? t('analytics.perDay') : t('analytics.perWeek')}
+          </Typography>
+          <Box sx={{ ml: 'auto', display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {statusCounts.map(([status, count]) => (
+              <Chip
+                key={status}
+                label={`${getStatusLabel(status)}: ${formatNumber(count)}`}
+                size="small"
+                variant="outlined"
+              />
+            ))}
+          </Box>
+        </Box>
+        {loading || !analytics ? <Skeleton variant="rounded" height={CHART_HEIGHT} /> : <TrendChart analytics={analytics} />}
+      </Paper>
+
+      {/* Top-N breakdowns */}
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <TopList
+            title={t('analytics.topMedicines')}
+            icon={<MedicineIcon sx={{ color: 'success.600' }} />}
+            items={analytics?.topMedicines || []}
+            unit="analytics.lines"
+            loading={loading}
+          />
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <TopList
+            title={t('analytics.topGenerics')}
+            icon={<GenericIcon sx={{ color: 'secondary.main' }} />}
+            items={analytics?.topGenerics || []}
+            unit="analytics.lines"
+            loading={loading}
+          />
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <TopList
+            title={t('analytics.topDiagnoses')}
+            icon={<DiagnosisIcon sx={{ color: 'warning.main' }} />}
+            items={analytics?.topDiagnoses || []}
+            unit="common.prescriptions"
+            loading={loading}
+          />
+        </Grid>
+      </Grid>
+    </Box>
+  );
+}
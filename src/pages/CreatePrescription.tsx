@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Paper,
@@ -14,6 +14,13 @@ import {
   Step,
   StepLabel,
   StepContent,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemText,
 } from '@mui/material';
 import {
   Save as SaveIcon,
@@ -22,21 +29,67 @@ import {
   MedicalServices as DiagnosisIcon,
   MedicationLiquid as MedicineIcon,
   ArrowBack as BackIcon,
+  DeleteOutline as DiscardIcon,
+  BookmarkAdd as SaveTemplateIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import { useLocale } from '../contexts/LocaleContext';
 import { apiService } from '../services/api';
+import { draftStore } from '../services/draftStore';
 import {
   PatientForm,
   MedicineSearch,
   MedicationList,
   DiagnosisSearch,
+  SecondaryDiagnosisList,
+  InsuranceCoverageCard,
+  PatientHistoryPanel,
+  ValidationReviewDialog,
+  TemplatePicker,
+  SaveTemplateDialog,
 } from '../components/prescription';
+import { getInteractionCode } from '../data/mockInteractions';
+import {
+  usePatientVerification,
+  useInsuranceCoverage,
+  usePatientPrescriptions,
+  usePrescriptionDrafts,
+  usePermission,
+} from '../hooks';
+import { DRAFT_SAVE_DEBOUNCE_MS, MAX_REFILLS } from '../config/constants';
+import { calculateAge } from '../utils/nationalId';
+import {
+  getRemainingDays,
+  toMedicationFormData,
+  fromMedicationFormData,
+  applySig,
+  createDefaultSig,
+  toSigTimingFields,
+  applyWeightDose,
+  recalculateWeightDose,
+  isWeightDoseStale,
+  getWeightDoseWarnings,
+} from '../utils/medication';
+import { PRIMARY_DIAGNOSIS_ID, toDiagnosisFormData, findDiagnosisId } from '../utils/diagnosis';
+import { translate } from '../i18n';
+import type { MessageKey, MessageParams } from '../i18n';
 import type {
   PatientFormData,
   MedicationFormData,
   Medicine,
   PrescriptionCreatePayload,
   ICD10Code,
+  DrugInteractionResult,
+  Prescription,
+  AIValidationResult,
+  ValidationAcknowledgement,
+  Medication,
+  PrescriptionDraft,
+  DiagnosisFormData,
+  StructuredSig,
+  PrescriptionTemplate,
+  WeightBasedDose,
+  PrescriptionLink,
 } from '../types';
 
 // Simple UUID generator fallback
@@ -48,15 +101,23 @@ function generateUUID(): string {
   });
 }
 
-const steps = [
-  { label: 'Patient Information', icon: <PersonIcon /> },
-  { label: 'Diagnosis', icon: <DiagnosisIcon /> },
-  { label: 'Medications', icon: <MedicineIcon /> },
+const steps: { label: MessageKey; hint: MessageKey; icon: JSX.Element }[] = [
+  { label: 'detail.patientInformation', hint: 'create.stepPatientHint', icon: <PersonIcon /> },
+  { label: 'prescription.diagnosis', hint: 'create.stepDiagnosisHint', icon: <DiagnosisIcon /> },
+  { label: 'prescription.medications', hint: 'create.stepMedicationsHint', icon: <MedicineIcon /> },
 ];
 
 export default function CreatePrescription() {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { t, formatDate, formatRelative } = useLocale();
+  const mayApprove = usePermission('prescription:approve');
+  // Set when editing an existing draft via prescriptions/:id/edit
+  const { id: editId } = useParams<{ id: string }>();
+  const isEditing = !!editId;
+  // Set when resuming a saved draft from the Dashboard
+  const [searchParams] = useSearchParams();
+  const resumeDraftId = searchParams.get('draft');
 
   // Form state
   const [patient, setPatient] = useState<PatientFormData>({
@@ -67,8 +128,39 @@ export default function CreatePrescription() {
   });
   const [diagnosis, setDiagnosis] = useState('');
   const [selectedICD10, setSelectedICD10] = useState<ICD10Code | null>(null);
+  const [secondaryDiagnoses, setSecondaryDiagnoses] = useState<DiagnosisFormData[]>([]);
   const [clinicalNotes, setClinicalNotes] = useState('');
   const [medications, setMedications] = useState<MedicationFormData[]>([]);
+  // Set when this prescription renews an earlier chronic one
+  const [renewalOf, setRenewalOf] = useState<PrescriptionLink | undefined>(undefined);
+  const [interactions, setInteractions] = useState<DrugInteractionResult[]>([]);
+  // Medication codes the interactions were last checked for, and whether the latest check failed
+  const [interactionsCheckedFor, setInteractionsCheckedFor] = useState('');
+  const [interactionCheckFailed, setInteractionCheckFailed] = useState(false);
+  const [interactionRetry, setInteractionRetry] = useState(0);
+  const [interactionOverride, setInteractionOverride] = useState('');
+  const [identityOverride, setIdentityOverride] = useState(false);
+  const [coverageConfirmOpen, setCoverageConfirmOpen] = useState(false);
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+  // Saved draft whose AI validation warnings are awaiting review
+  const [reviewTarget, setReviewTarget] = useState<{
+    prescription: Prescription;
+    validation: AIValidationResult;
+  } | null>(null);
+
+  // Draft being edited, and why it cannot be edited if so
+  const [original, setOriginal] = useState<Prescription | null>(null);
+  const [draftLoading, setDraftLoading] = useState(isEditing);
+  const [editBlocked, setEditBlocked] = useState('');
+
+  // Auto-saved local draft for new prescriptions
+  const { saveDraft, removeDraft } = usePrescriptionDrafts(isEditing ? undefined : user?.id);
+  const [draftMeta, setDraftMeta] = useState<{ id: string; createdAt: string } | null>(null);
+  const [draftName, setDraftName] = useState('');
+  const [draftSavedAt, setDraftSavedAt] = useState<string | null>(null);
+  const [restoreCandidates, setRestoreCandidates] = useState<PrescriptionDraft[]>([]);
+  const draftPromptChecked = useRef(false);
+  const submitted = useRef(false);
 
   // UI state
   const [activeStep, setActiveStep] = useState(0);
@@ -77,11 +169,332 @@ export default function CreatePrescription() {
   const [errors, setErrors] = useState<{
     patient?: Record<string, string>;
     diagnosis?: string;
+    secondaryDiagnoses?: Record<string, string>;
     medications?: Record<number, Record<string, string>>;
   }>({});
 
+  // DPR identity verification for the entered National ID
+  const verification = usePatientVerification(patient.nationalId);
+  const patientVerified = verification.status === 'verified';
+  const identityBlocked = !patientVerified && !identityOverride;
+
+  const { coverage, loading: coverageLoading } = useInsuranceCoverage(patient.nationalId);
+  const { prescriptions: patientPrescriptions, loading: historyLoading } = usePatientPrescriptions(patient.nationalId);
+  // The draft being edited is not part of the patient's history
+  const patientHistory = patientPrescriptions.filter((prescription) => prescription.id !== editId);
+
+  // Generics the patient is still taking, from previous prescriptions
+  const activeTherapies = patientHistory.flatMap((prescription) =>
+    prescription.medications
+      .map((med) => ({ med, prescription, remaining: getRemainingDays(prescription, med) }))
+      .filter(({ remaining }) => remaining === null || remaining > 0)
+  );
+
+  const getGenericKey = (name?: string) => (name || '').trim().toLowerCase();
+
+  // Duplicate-therapy warnings for lines repeating an active or earlier generic.
+  // Kept as message keys: shown in the interface language, sent to NDP in English.
+  const duplicateNotes: Record<number, { key: MessageKey; params: MessageParams }> = {};
+  medications.forEach((med, index) => {
+    const generic = getGenericKey(med.medicine?.genericName || med.medicine?.commercialName);
+    if (!generic) return;
+
+    const active = activeTherapies.find(
+      ({ med: previous }) => getGenericKey(previous.medicineGenericName || previous.medicineName) === generic
+    );
+    if (active) {
+      const params = { medicine: active.med.medicineName, rxNumber: active.prescription.prescriptionNumber };
+      duplicateNotes[index] =
+        active.remaining === null
+          ? { key: 'create.duplicateActiveOngoing', params }
+          : { key: 'create.duplicateActive', params: { ...params, count: active.remaining } };
+      return;
+    }
+
+    const earlier = medications.findIndex(
+      (other, i) => i < index && getGenericKey(other.medicine?.genericName || other.medicine?.commercialName) === generic
+    );
+    if (earlier !== -1) {
+      duplicateNotes[index] = { key: 'create.duplicateLine', params: { line: earlier + 1 } };
+    }
+  });
+  const duplicates: Record<number, string> = Object.fromEntries(
+    Object.entries(duplicateNotes).map(([index, note]) => [index, t(note.key, note.params)])
+  );
+
+  // Pre-populate the wizard from the draft being edited
+  useEffect(() => {
+    if (!editId) return;
+
+    let cancelled = false;
+    setDraftLoading(true);
+    apiService
+      .getPrescription(editId)
+      .then((response) => {
+        if (cancelled) return;
+        if (!response.success) {
+          setEditBlocked(response.error || t('errors.prescriptionNotFound'));
+          return;
+        }
+        const draft = response.data;
+        if (draft.status !== 'draft') {
+          setEditBlocked(t('create.onlyDrafts', { rxNumber: draft.prescriptionNumber, status: t(`status.${draft.status}`) }));
+          return;
+        }
+        setOriginal(draft);
+        setPatient({
+          name: draft.patient.name,
+          age: draft.patient.age,
+          gender: draft.patient.gender,
+          nationalId: draft.patient.nationalId,
+          dateOfBirth: draft.patient.dateOfBirth?.slice(0, 10),
+          weightKg: draft.patient.weightKg,
+          heightCm: draft.patient.heightCm,
+        });
+        const primary = toDiagnosisFormData({ code: draft.icdCode, description: draft.diagnosis }, PRIMARY_DIAGNOSIS_ID);
+        const secondary = (draft.secondaryDiagnoses || []).map((d) => toDiagnosisFormData(d, generateUUID()));
+        setDiagnosis(primary.description);
+        setSelectedICD10(primary.icd10);
+        setSecondaryDiagnoses(secondary);
+        setClinicalNotes(draft.clinicalNotes || '');
+        setIdentityOverride(!!draft.identityOverride);
+        setInteractionOverride(draft.interactionOverride || '');
+        setRenewalOf(draft.renewalOf);
+        setMedications(
+          draft.medications.map((med) => ({
+            ...toMedicationFormData(med),
+            diagnosisId: findDiagnosisId([primary, ...secondary], med),
+          }))
+        );
+      })
+      .catch((err) => {
+        console.error('Failed to load draft prescription:', err);
+        if (!cancelled) setEditBlocked(t('create.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setDraftLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [editId]);
+
+  const applyDraft = (draft: PrescriptionDraft) => {
+    setPatient(draft.patient);
+    setDiagnosis(draft.diagnosis);
+    setSelectedICD10(draft.icd10);
+    setSecondaryDiagnoses(draft.secondaryDiagnoses || []);
+    setClinicalNotes(draft.clinicalNotes || '');
+    setMedications(draft.medications);
+    setRenewalOf(draft.renewalOf);
+    setActiveStep(draft.activeStep);
+    setDraftMeta({ id: draft.id, createdAt: draft.createdAt });
+    setDraftName(draft.name);
+    setDraftSavedAt(draft.updatedAt);
+  };
+
+  // On entry, resume the draft named in ?draft= or offer to restore a saved one
+  useEffect(() => {
+    if (isEditing || !user || draftPromptChecked.current) return;
+    draftPromptChecked.current = true;
+
+    const saved = draftStore.list(user.id);
+    if (resumeDraftId) {
+      const draft = saved.find((d) => d.id === resumeDraftId);
+      if (draft) {
+        applyDraft(draft);
+      } else {
+        setError(t('create.draftUnavailable'));
+      }
+      return;
+    }
+    setRestoreCandidates(saved);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isEditing, user, resumeDraftId]);
+
+  const hasDraftContent = !!(
+    patient.name.trim() ||
+    patient.nationalId ||
+    diagnosis.trim() ||
+    secondaryDiagnoses.length > 0 ||
+    clinicalNotes.trim() ||
+    medications.length > 0
+  );
+  const restorePromptOpen = restoreCandidates.length > 0;
+
+  // Save the form as a draft shortly after each change
+  useEffect(() => {
+    if (isEditing || !user || restorePromptOpen || !hasDraftContent) return;
+
+    const timer = setTimeout(() => {
+      if (submitted.current) return;
+      const now = new Date().toISOString();
+      const meta = draftMeta || { id: generateUUID(), createdAt: now };
+      saveDraft({
+        ...meta,
+        name: draftName.trim() || patient.name.trim() || t('create.untitled'),
+        patient,
+        diagnosis,
+        icd10: selectedICD10,
+        secondaryDiagnoses,
+        clinicalNotes,
+        medications,
+        activeStep,
+        renewalOf,
+        updatedAt: now,
+      });
+      if (!draftMeta) setDraftMeta(meta);
+      setDraftSavedAt(now);
+    }, DRAFT_SAVE_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [
+    patient,
+    diagnosis,
+    selectedICD10,
+    secondaryDiagnoses,
+    clinicalNotes,
+    medications,
+    activeStep,
+    draftName,
+    restorePromptOpen,
+  ]);
+
+  const handleRestoreDraft = (draft: PrescriptionDraft) => {
+    applyDraft(draft);
+    setRestoreCandidates([]);
+  };
+
+  // Clear the form and forget its saved draft
+  const handleDiscardDraft = () => {
+    if (draftMeta) removeDraft(draftMeta.id);
+    setPatient({ name: '', age: 0, gender: '' as 'male' | 'female', nationalId: '' });
+    setDiagnosis('');
+    setSelectedICD10(null);
+    setSecondaryDiagnoses([]);
+    setClinicalNotes('');
+    setMedications([]);
+    setRenewalOf(undefined);
+    setActiveStep(0);
+    setDraftMeta(null);
+    setDraftName('');
+    setDraftSavedAt(null);
+  };
+
+  // Auto-fill any patient fields the doctor has not typed yet
+  useEffect(() => {
+    const demographics = verification.demographics;
+    if (verification.status !== 'verified' || !demographics) return;
+    setPatient((prev) => ({
+      ...prev,
+      name: prev.name.trim() ? prev.name : demographics.name,
+      dateOfBirth: prev.dateOfBirth || demographics.dateOfBirth?.slice(0, 10) || undefined,
+      age: prev.age > 0
+        ? prev.age
+        : demographics.age ?? (demographics.dateOfBirth ? calculateAge(demographics.dateOfBirth) : 0),
+      gender: prev.gender || demographics.gender,
+    }));
+  }, [verification]);
+
+  const handleApplyRegistry = () => {
+    const demographics = verification.demographics;
+    if (!demographics) return;
+    setPatient((prev) => ({
+      ...prev,
+      name: demographics.name || prev.name,
+      dateOfBirth: demographics.dateOfBirth?.slice(0, 10) || prev.dateOfBirth,
+      age: demographics.age ?? (demographics.dateOfBirth ? calculateAge(demographics.dateOfBirth) : prev.age),
+      gender: demographics.gender || prev.gender,
+    }));
+  };
+
+  // Re-check drug interactions whenever a medication is added or removed
+  const medicationCodes = medications
+    .map((med) => (med.medicine ? getInteractionCode(med.medicine) : ''))
+    .join(',');
+
+  useEffect(() => {
+    const selected = medications
+      .map((med) => med.medicine)
+      .filter((medicine): medicine is Medicine => !!medicine);
+
+    setInteractions([]);
+    setInteractionCheckFailed(false);
+    if (selected.length < 2) {
+      setInteractionsCheckedFor(medicationCodes);
+      return;
+    }
+
+    let cancelled = false;
+    const failed = (err: unknown) => {
+      console.error('Failed to check drug interactions:', err);
+      if (!cancelled) setInteractionCheckFailed(true);
+    };
+    apiService
+      .checkDrugInteractions(selected)
+      .then((response) => {
+        if (cancelled) return;
+        if (!response.success) {
+          failed(response.error);
+          return;
+        }
+        setInteractions(response.data || []);
+        setInteractionsCheckedFor(medicationCodes);
+      })
+      .catch(failed);
+
+    return () => {
+      cancelled = true;
+    };
+    // Only re-check when the set of selected medicines changes, or on retry
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [medicationCodes, interactionRetry]);
+
+  // Approval waits for a successful check of the current medicines; a failed check needs an override
+  const checkingInteractions = interactionsCheckedFor !== medicationCodes && !interactionCheckFailed;
+  const criticalInteractions = interactions.filter((i) => i.severity === 'critical');
+  const overrideNeeded = criticalInteractions.length > 0 || interactionCheckFailed;
+  const approvalBlocked = checkingInteractions || (overrideNeeded && !interactionOverride.trim());
+
+  // Summarise the interactions affecting one medication for its warnings field
+  const getMedicationWarnings = (medicine: Medicine | null, index: number): string | undefined => {
+    if (!medicine) return undefined;
+    const code = getInteractionCode(medicine);
+    const related = interactions.filter((i) => i.drug1 === code || i.drug2 === code);
+    const weightDose = medications[index]?.weightDose;
+    const doseWarnings = weightDose ? getWeightDoseWarnings(weightDose) : [];
+    if (related.length === 0 && !duplicates[index] && doseWarnings.length === 0) return undefined;
+
+    const warnings = related.map((i) => {
+      const otherCode = i.drug1 === code ? i.drug2 : i.drug1;
+      const other = medications.find((m) => m.medicine && getInteractionCode(m.medicine) === otherCode);
+      return `${i.severity} interaction with ${other?.medicine?.commercialName || otherCode}: ${i.description}`;
+    });
+    if (related.some((i) => i.severity === 'critical') && interactionOverride.trim()) {
+      warnings.push(`Override reason: ${interactionOverride.trim()}`);
+    }
+    const duplicate = duplicateNotes[index];
+    if (duplicate) {
+      warnings.push(`Duplicate therapy: ${translate(duplicate.key, duplicate.params, 'en')}`);
+    }
+    warnings.push(...doseWarnings);
+    return warnings.join('; ');
+  };
+
   const handlePatientChange = (field: keyof PatientFormData, value: string | number) => {
-    setPatient((prev) => ({ ...prev, [field]: value }));
+    setPatient((prev) => {
+      const next = { ...prev, [field]: value };
+      // Keep age in step with the date of birth
+      if (field === 'dateOfBirth' && value) {
+        next.age = calculateAge(String(value));
+      }
+      return next;
+    });
+    if (field === 'nationalId') {
+      setIdentityOverride(false);
+    }
     // Clear field error
     if (errors.patient?.[field]) {
       const newPatientErrors = { ...errors.patient };
@@ -93,18 +506,83 @@ export default function CreatePrescription() {
     }
   };
 
+  // New lines start with structured dosing; the doctor can switch back to free fields
   const handleMedicineSelect = (medicine: Medicine) => {
-    setMedications((prev) => [
-      ...prev,
-      {
-        medicine,
-        dosage: '',
-        frequency: '',
-        duration: '',
-        quantity: 0,
-        instructions: '',
-      },
-    ]);
+    const line: MedicationFormData = {
+      medicine,
+      dosage: '',
+      frequency: '',
+      duration: '',
+      quantity: 0,
+      instructions: '',
+      diagnosisId: PRIMARY_DIAGNOSIS_ID,
+    };
+    setMedications((prev) => [...prev, applySig(line, createDefaultSig(medicine))]);
+  };
+
+  // Primary diagnosis followed by comorbidities, as offered for each line's indication
+  const allDiagnoses: DiagnosisFormData[] = [
+    { id: PRIMARY_DIAGNOSIS_ID, description: diagnosis, icd10: selectedICD10 },
+    ...secondaryDiagnoses,
+  ];
+
+  const handleSecondaryDiagnosisAdd = () => {
+    setSecondaryDiagnoses((prev) => [...prev, { id: generateUUID(), description: '', icd10: null }]);
+  };
+
+  const handleSecondaryDiagnosisUpdate = (id: string, changes: Partial<DiagnosisFormData>) => {
+    setSecondaryDiagnoses((prev) => prev.map((d) => (d.id === id ? { ...d, ...changes } : d)));
+    if (errors.secondaryDiagnoses?.[id]) {
+      const remaining = { ...errors.secondaryDiagnoses };
+      delete remaining[id];
+      setErrors((prev) => ({
+        ...prev,
+        secondaryDiagnoses: Object.keys(remaining).length > 0 ? remaining : undefined,
+      }));
+    }
+  };
+
+  // Lines treating a removed diagnosis go back to the primary one
+  const handleSecondaryDiagnosisRemove = (id: string) => {
+    setSecondaryDiagnoses((prev) => prev.filter((d) => d.id !== id));
+    setMedications((prev) =>
+      prev.map((med) => (med.diagnosisId === id ? { ...med, diagnosisId: PRIMARY_DIAGNOSIS_ID } : med))
+    );
+  };
+
+  // Fill an empty diagnosis from the template, or add it as a comorbidity,
+  // then append the template's lines linked to that diagnosis
+  const handleApplyTemplate = (template: PrescriptionTemplate) => {
+    const templateCode = template.icd10?.code;
+    const matches = (d: DiagnosisFormData) =>
+      templateCode ? d.icd10?.code === templateCode : d.description.trim() === template.diagnosis.trim();
+
+    let diagnosisId = PRIMARY_DIAGNOSIS_ID;
+    if (!diagnosis.trim()) {
+      setDiagnosis(template.diagnosis);
+      setSelectedICD10(template.icd10);
+      if (errors.diagnosis) {
+        setErrors((prev) => ({ ...prev, diagnosis: undefined }));
+      }
+    } else if (!matches(allDiagnoses[0])) {
+      const existing = secondaryDiagnoses.find(matches);
+      diagnosisId = existing?.id || generateUUID();
+      if (!existing) {
+        setSecondaryDiagnoses((prev) => [
+          ...prev,
+          { id: diagnosisId, description: template.diagnosis, icd10: template.icd10 },
+        ]);
+      }
+    }
+
+    // Medicines already on the prescription are not added twice
+    setMedications((prev) => {
+      const present = new Set(prev.map((med) => med.medicine?.drugId || med.medicine?.id));
+      const lines = template.medications
+        .map((med) => ({ ...toMedicationFormData(med), diagnosisId }))
+        .filter((line) => !present.has(line.medicine?.drugId || line.medicine?.id));
+      return [...prev, ...lines];
+    });
   };
 
   const handleMedicationUpdate = (
@@ -132,6 +610,71 @@ export default function CreatePrescription() {
     }
   };
 
+  // Dosage, frequency, duration and quantity follow the sig while one is set
+  const handleMedicationSigChange = (index: number, sig: StructuredSig | undefined) => {
+    setMedications((prev) =>
+      prev.map((med, i) => {
+        if (i !== index) return med;
+        if (sig) return applySig(med, sig);
+        const { sig: _removed, ...free } = med;
+        return free;
+      })
+    );
+    if (errors.medications?.[index]) {
+      const newMedErrors = { ...errors.medications };
+      delete newMedErrors[index];
+      setErrors((prev) => ({
+        ...prev,
+        medications: Object.keys(newMedErrors).length > 0 ? newMedErrors : undefined,
+      }));
+    }
+  };
+
+  const handleMedicationReAdd = (medication: Medication) => {
+    setMedications((prev) => [
+      ...prev,
+      { ...toMedicationFormData(medication), diagnosisId: findDiagnosisId(allDiagnoses, medication) },
+    ]);
+  };
+
+  // Swap the medicine on a line, keeping its dosage, frequency and duration
+  const handleMedicationReplace = (index: number, medicine: Medicine) => {
+    setMedications((prev) =>
+      prev.map((med, i) => {
+        if (i !== index) return med;
+        // A different strength changes how many units the schedule needs
+        const replaced = med.sig ? applySig({ ...med, medicine }, med.sig) : { ...med, medicine };
+        // and a weight-based dose is reworked in the new medicine's units
+        const dose = recalculateWeightDose(replaced, patient);
+        return dose ? applyWeightDose(replaced, dose) : replaced;
+      })
+    );
+  };
+
+  const handleMedicationWeightDose = (index: number, dose: WeightBasedDose | undefined) => {
+    setMedications((prev) =>
+      prev.map((med, i) => {
+        if (i !== index) return med;
+        if (dose) return applyWeightDose(med, dose);
+        const { weightDose: _removed, ...rest } = med;
+        return rest;
+      })
+    );
+    if (errors.medications?.[index]?.weightDose) {
+      const newMedErrors = { ...errors.medications };
+      const { weightDose: _cleared, ...indexErrors } = newMedErrors[index];
+      if (Object.keys(indexErrors).length > 0) {
+        newMedErrors[index] = indexErrors;
+      } else {
+        delete newMedErrors[index];
+      }
+      setErrors((prev) => ({
+        ...prev,
+        medications: Object.keys(newMedErrors).length > 0 ? newMedErrors : undefined,
+      }));
+    }
+  };
+
   const handleMedicationRemove = (index: number) => {
     setMedications((prev) => prev.filter((_, i) => i !== index));
   };
@@ -141,12 +684,12 @@ export default function CreatePrescription() {
 
     // Validate patient
     const patientErrors: Record<string, string> = {};
-    if (!patient.name.trim()) patientErrors.name = 'Patient name is required';
+    if (!patient.name.trim()) patientErrors.name = t('create.nameRequired');
     if (!patient.nationalId || patient.nationalId.length !== 14) {
-      patientErrors.nationalId = 'National ID must be 14 digits';
+      patientErrors.nationalId = t('create.nationalIdInvalid');
     }
-    if (!patient.age || patient.age <= 0) patientErrors.age = 'Valid age is required';
-    if (!patient.gender) patientErrors.gender = 'Gender is required';
+    if (!patient.age || patient.age <= 0) patientErrors.age = t('create.ageRequired');
+    if (!patient.gender) patientErrors.gender = t('create.genderRequired');
 
     if (Object.keys(patientErrors).length > 0) {
       newErrors.patient = patientErrors;
@@ -154,12 +697,19 @@ export default function CreatePrescription() {
 
     // Validate diagnosis
     if (!diagnosis.trim()) {
-      newErrors.diagnosis = 'Diagnosis is required';
+      newErrors.diagnosis = t('create.diagnosisRequired');
+    }
+    const secondaryErrors: Record<string, string> = {};
+    secondaryDiagnoses.forEach((d) => {
+      if (!d.description.trim()) secondaryErrors[d.id] = t('create.secondaryRequired');
+    });
+    if (Object.keys(secondaryErrors).length > 0) {
+      newErrors.secondaryDiagnoses = secondaryErrors;
     }
 
     // Validate medications
     if (medications.length === 0) {
-      setError('At least one medication is required');
+      setError(t('create.medicationRequired'));
       setErrors(newErrors);
       return false;
     }
@@ -167,10 +717,28 @@ export default function CreatePrescription() {
     const medicationErrors: Record<number, Record<string, string>> = {};
     medications.forEach((med, index) => {
       const medErrors: Record<string, string> = {};
-      if (!med.dosage.trim()) medErrors.dosage = 'Required';
-      if (!med.frequency) medErrors.frequency = 'Required';
-      if (!med.duration) medErrors.duration = 'Required';
-      if (!med.quantity || med.quantity <= 0) medErrors.quantity = 'Required';
+      if (med.sig) {
+        const lastPhase = med.sig.phases.length - 1;
+        med.sig.phases.forEach((phase, phaseIndex) => {
+          if (!(phase.doseAmount > 0)) medErrors[`sig.phase${phaseIndex}`] = t('create.enterDose');
+          else if (!phase.frequency) medErrors[`sig.phase${phaseIndex}`] = t('medication.selectFrequency');
+          else if (phase.durationDays === null ? phaseIndex !== lastPhase : !(phase.durationDays > 0)) {
+            medErrors[`sig.phase${phaseIndex}`] = t('create.enterDays');
+          }
+        });
+        if (med.sig.asNeeded && !med.sig.asNeededFor?.trim()) {
+          medErrors['sig.asNeededFor'] = t('create.asNeededForRequired');
+        }
+      } else {
+        if (!med.dosage.trim()) medErrors.dosage = t('create.required');
+        if (!med.frequency) medErrors.frequency = t('create.required');
+        if (!med.duration) medErrors.duration = t('create.required');
+      }
+      if (!med.quantity || med.quantity <= 0) medErrors.quantity = t('create.required');
+      if ((med.refills ?? 0) > MAX_REFILLS) medErrors.refills = t('create.atMost', { max: MAX_REFILLS });
+      if (isWeightDoseStale(med, patient)) {
+        medErrors.weightDose = t('create.weightDoseStale');
+      }
 
       if (Object.keys(medErrors).length > 0) {
         medicationErrors[index] = medErrors;
@@ -185,11 +753,34 @@ export default function CreatePrescription() {
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (approve: boolean) => {
+  const handleSubmit = async (approve: boolean, coverageConfirmed = false) => {
     setError('');
 
     if (!validateForm()) {
-      setError('Please correct the errors in the form');
+      setError(t('create.fixErrors'));
+      return;
+    }
+
+    if (approve && identityBlocked) {
+      setError(t('create.identityRequired'));
+      return;
+    }
+
+    if (approve && approvalBlocked) {
+      setError(
+        t(
+          checkingInteractions
+            ? 'create.interactionCheckPending'
+            : interactionCheckFailed
+              ? 'create.interactionCheckOverrideRequired'
+              : 'create.overrideRequired'
+        )
+      );
+      return;
+    }
+
+    if (approve && coverage?.status === 'suspended' && !coverageConfirmed) {
+      setCoverageConfirmOpen(true);
       return;
     }
 
@@ -205,61 +796,136 @@ export default function CreatePrescription() {
           specialty: user?.specialty || 'General Medicine',
         },
         patient: {
-          id: generateUUID(),
+          id: original?.patient.id || generateUUID(),
           name: patient.name,
           age: patient.age,
           gender: patient.gender,
           nationalId: patient.nationalId,
+          dateOfBirth: patient.dateOfBirth || undefined,
+          verified: patientVerified,
+          weightKg: patient.weightKg || undefined,
+          heightCm: patient.heightCm || undefined,
         },
         diagnosis,
         icdCode: selectedICD10?.code,
-        clinicalNotes: clinicalNotes || undefined,
-        medications: medications.map((med) => ({
-          medicineId: med.medicine?.drugId || med.medicine?.id || generateUUID(),
-          medicineName: med.medicine?.commercialName || '',
-          drugId: med.medicine?.drugId,
-          medicineGenericName: med.medicine?.genericName,
-          medicineStrength: med.medicine?.strength,
-          medicineForm: med.medicine?.form,
-          dosage: med.dosage,
-          frequency: med.frequency,
-          duration: med.duration,
-          quantity: med.quantity,
-          instructions: med.instructions,
-          icd: selectedICD10?.code, // Include ICD code in each medication
+        secondaryDiagnoses: secondaryDiagnoses.map((d) => ({
+          code: d.icd10?.code,
+          description: d.description.trim(),
         })),
+        clinicalNotes: clinicalNotes.trim() || undefined,
+        identityOverride: !patientVerified && identityOverride ? true : undefined,
+        interactionOverride: overrideNeeded && interactionOverride.trim() ? interactionOverride.trim() : undefined,
+        medications: medications.map((med, index) => {
+          const indication = allDiagnoses.find((d) => d.id === med.diagnosisId) || allDiagnoses[0];
+          return {
+            medicineId: med.medicine?.drugId || med.medicine?.id || generateUUID(),
+            medicineName: med.medicine?.commercialName || '',
+            drugId: med.medicine?.drugId,
+            medicineGenericName: med.medicine?.genericName,
+            medicineStrength: med.medicine?.strength,
+            medicineForm: med.medicine?.form,
+            unitPrice: med.medicine?.price,
+            dosage: med.dosage,
+            frequency: med.frequency,
+            duration: med.duration,
+            quantity: med.quantity,
+            refills: med.refills || undefined,
+            refillIntervalDays: med.refills ? med.refillIntervalDays : undefined,
+            instructions: med.instructions,
+            ...(med.sig ? { sig: med.sig, ...toSigTimingFields(med.sig) } : {}),
+            weightDose: med.weightDose,
+            warnings: getMedicationWarnings(med.medicine, index),
+            // Reason code for this line: the diagnosis it was linked to
+            icd: indication.icd10?.code,
+            indication: indication.description.trim(),
+          };
+        }),
+        renewalOf,
       };
 
-      // Create prescription
-      const response = await apiService.createPrescription(payload);
+      // Create the prescription, or update the draft being edited
+      const response = editId
+        ? await apiService.updatePrescription(editId, payload)
+        : await apiService.createPrescription(payload);
 
       if (!response.success) {
-        throw new Error(response.error || 'Failed to create prescription');
+        throw new Error(response.error || t(isEditing ? 'create.updateFailed' : 'create.createFailed'));
       }
 
-      const prescriptionId = response.data.id;
+      // The prescription is saved, so its local draft is no longer needed
+      submitted.current = true;
+      if (draftMeta) removeDraft(draftMeta.id);
 
-      // If approve is requested, update status
+      // If approve is requested, validate the saved draft before signing it
       if (approve) {
-        await apiService.updatePrescriptionStatus(prescriptionId, 'approved');
+        const validation = await apiService.validatePrescription(response.data);
+        if (!validation.success) {
+          navigate('/prescriptions', {
+            state: {
+              error: t('create.savedValidationFailed', { reason: validation.error || t('create.unknownError') }),
+            },
+          });
+          return;
+        }
+        if (validation.data.warnings.length > 0) {
+          setReviewTarget({ prescription: response.data, validation: validation.data });
+          return;
+        }
+        await finishApproval(response.data, validation.data);
+        return;
       }
 
       // Navigate to the prescription detail or history
       navigate('/prescriptions', {
-        state: { success: `Prescription created${approve ? ' and approved' : ''} successfully!` },
+        state: { success: t(isEditing ? 'create.updated' : 'create.created') },
       });
     } catch (err: unknown) {
       console.error('Failed to create prescription:', err);
       const errorMessage =
         (err as { response?: { data?: { error?: string } } })?.response?.data?.error ||
         (err as Error)?.message ||
-        'Failed to create prescription. Please try again.';
+        t('create.createFailedRetry');
       setError(errorMessage);
     } finally {
       setLoading(false);
     }
   };
 
+  // Persist the validation review, sign via HPR and leave the page
+  const finishApproval = async (created: Prescription, validation: AIValidationResult) => {
+    try {
+      await apiService.saveValidationReview(created.id, validation);
+      await apiService.approvePrescription(created);
+    } catch (signErr) {
+      console.error('Failed to approve prescription:', signErr);
+      navigate('/prescriptions', {
+        state: {
+          error: t('create.savedApprovalFailed', {
+            reason: signErr instanceof Error ? signErr.message : t('create.signingError'),
+          }),
+        },
+      });
+      return;
+    }
+    navigate('/prescriptions', {
+      state: { success: t(isEditing ? 'create.updatedApproved' : 'create.createdApproved') },
+    });
+  };
+
+  const handleValidationConfirm = async (acknowledgements: ValidationAcknowledgement[]) => {
+    if (!reviewTarget) return;
+    setLoading(true);
+    await finishApproval(reviewTarget.prescription, { ...reviewTarget.validation, acknowledgements });
+  };
+
+  // The draft is already saved; leaving review keeps it unapproved
+  const handleValidationCancel = () => {
+    setReviewTarget(null);
+    navigate('/prescriptions', {
+      state: { success: t('create.savedForReview') },
+    });
+  };
+
   const isStepValid = (step: number): boolean => {
     switch (step) {
       case 0:
@@ -270,7 +936,7 @@ export default function CreatePrescription() {
           patient.gender
         );
       case 1:
-        return !!diagnosis.trim();
+        return !!diagnosis.trim() && secondaryDiagnoses.every((d) => d.description.trim());
       case 2:
         return medications.length > 0 &&
           medications.every(
@@ -298,254 +964,492 @@ export default function CreatePrescription() {
           onClick={() => navigate(-1)}
           sx={{ borderRadius: 2 }}
         >
-          Back
+          {t('common.back')}
         </Button>
         <Box>
           <Typography variant="h4" fontWeight={700}>
-            New Prescription
+            {isEditing ? t('create.editTitle', { rxNumber: original?.prescriptionNumber || '' }) : t('nav.newPrescription')}
           </Typography>
           <Typography variant="body2" color="text.secondary">
-            Create a new electronic prescription
+            {isEditing ? t('create.editSubtitle') : t('create.subtitle')}
           </Typography>
         </Box>
-      </Box>
 
-      {error && (
-        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }} onClose={() => setError('')}>
-          {error}
-        </Alert>
-      )}
+        {!isEditing && (
+          <Box sx={{ ml: 'auto', display: 'flex', alignItems: 'center', gap: 1.5 }}>
+            <TextField
+              size="small"
+              label={t('create.draftName')}
+              placeholder={patient.name.trim() || t('create.untitled')}
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              helperText={draftSavedAt ? t('create.savedAt', { time: formatDate(draftSavedAt, 'HH:mm') }) : ' '}
+              sx={{ width: 240 }}
+            />
+            <Button
+              color="error"
+              startIcon={<DiscardIcon />}
+              onClick={handleDiscardDraft}
+              disabled={!hasDraftContent || loading}
+              sx={{ mb: 2.5 }}
+            >
+              {t('common.discard')}
+            </Button>
+          </Box>
+        )}
+      </Box>
 
-      <Grid container spacing={3}>
-        {/* Stepper */}
-        <Grid item xs={12} lg={3}>
-          <Paper
-            elevation={0}
-            sx={{
-              border: '1px solid',
-              borderColor: 'grey.200',
-              borderRadius: 2,
-              p: 3,
-              position: 'sticky',
-              top: 80,
-            }}
-          >
-            <Stepper activeStep={activeStep} orientation="vertical">
-              {steps.map((step, index) => (
-                <Step key={step.label} completed={isStepValid(index)}>
-                  <StepLabel
-                    onClick={() => setActiveStep(index)}
-                    sx={{ cursor: 'pointer' }}
-                  >
-                    <Typography fontWeight={activeStep === index ? 600 : 400}>
-                      {step.label}
-                    </Typography>
-                  </StepLabel>
-                  <StepContent>
-                    <Typography variant="caption" color="text.secondary">
-                      {index === 0 && 'Enter patient details'}
-                      {index === 1 && 'Add diagnosis information'}
-                      {index === 2 && 'Add medications'}
-                    </Typography>
-                  </StepContent>
-                </Step>
-              ))}
-            </Stepper>
-          </Paper>
-        </Grid>
-
-        {/* Form Content */}
-        <Grid item xs={12} lg={9}>
-          <Paper
-            elevation={0}
-            sx={{
-              border: '1px solid',
-              borderColor: 'grey.200',
-              borderRadius: 2,
-              overflow: 'hidden',
-            }}
+      {isEditing && (draftLoading || editBlocked) ? (
+        draftLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Alert
+            severity="error"
+            sx={{ borderRadius: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={() => navigate(`/prescriptions/${editId}`)}>
+                {t('create.viewPrescription')}
+              </Button>
+            }
           >
-            {/* Section 1: Patient Information */}
-            <Box sx={{ p: 3 }}>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3 }}>
-                <Box
-                  sx={{
-                    width: 40,
-                    height: 40,
-                    borderRadius: 2,
-                    bgcolor: 'primary.100',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                  }}
-                >
-                  <PersonIcon sx={{ color: 'primary.600' }} />
-                </Box>
-                <Typography variant="h6" fontWeight={600}>
-                  Patient Information
-                </Typography>
-              </Box>
-              <PatientForm
-                data={patient}
-                onChange={handlePatientChange}
-                errors={errors.patient}
-                disabled={loading}
-              />
-            </Box>
-
-            <Divider />
-
-            {/* Section 2: Diagnosis */}
-            <Box sx={{ p: 3 }}>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3 }}>
-                <Box
+            {editBlocked}
+          </Alert>
+        )
+      ) : (
+        <>
+          {error && (
+            <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }} onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+
+          {renewalOf && (
+            <Alert
+              severity="info"
+              sx={{ mb: 3, borderRadius: 2 }}
+              action={
+                <Button color="inherit" size="small" onClick={() => navigate(`/prescriptions/${renewalOf.id}`)}>
+                  {t('create.viewOriginal')}
+                </Button>
+              }
+            >
+              {t('create.renewalNotice', { rxNumber: renewalOf.prescriptionNumber })}
+            </Alert>
+          )}
+
+          <Grid container spacing={3}>
+            {/* Stepper */}
+            <Grid item xs={12} lg={3}>
+              <Box
+                sx={{
+                  position: 'sticky',
+                  top: 80,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: 3,
+                  maxHeight: { lg: 'calc(100vh - 96px)' },
+                  overflowY: { lg: 'auto' },
+                }}
+              >
+                <Paper
+                  elevation={0}
                   sx={{
-                    width: 40,
-                    height: 40,
+                    border: '1px solid',
+                    borderColor: 'grey.200',
                     borderRadius: 2,
-                    bgcolor: 'warning.100',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
+                    p: 3,
                   }}
                 >
-                  <DiagnosisIcon sx={{ color: 'warning.700' }} />
-                </Box>
-                <Typography variant="h6" fontWeight={600}>
-                  Diagnosis
-                </Typography>
-              </Box>
-              <Grid container spacing={2}>
-                <Grid item xs={12}>
-                  <DiagnosisSearch
-                    label="Search ICD-10 Diagnosis"
-                    value={diagnosis}
-                    onSelect={(icd10) => {
-                      setSelectedICD10(icd10);
-                      // Auto-fill diagnosis with ICD-10 description
-                      setDiagnosis(`${icd10.code} - ${icd10.description}`);
-                      if (errors.diagnosis) {
-                        setErrors((prev) => ({ ...prev, diagnosis: undefined }));
-                      }
-                    }}
-                    disabled={loading}
-                    helperText="Search by diagnosis name or ICD-10 code (optional)"
+                  <Stepper activeStep={activeStep} orientation="vertical">
+                    {steps.map((step, index) => (
+                      <Step key={step.label} completed={isStepValid(index)}>
+                        <StepLabel
+                          onClick={() => setActiveStep(index)}
+                          sx={{ cursor: 'pointer' }}
+                        >
+                          <Typography fontWeight={activeStep === index ? 600 : 400}>
+                            {t(step.label)}
+                          </Typography>
+                        </StepLabel>
+                        <StepContent>
+                          <Typography variant="caption" color="text.secondary">
+                            {t(step.hint)}
+                          </Typography>
+                        </StepContent>
+                      </Step>
+                    ))}
+                  </Stepper>
+                </Paper>
+
+                {/* Patient Medication History */}
+                {patient.nationalId.length === 14 && (
+                  <PatientHistoryPanel
+                    prescriptions={patientHistory}
+                    loading={historyLoading}
+                    onReAdd={handleMedicationReAdd}
                   />
-                </Grid>
-                <Grid item xs={12}>
-                  <TextField
-                    fullWidth
-                    label="Diagnosis Description"
-                    placeholder="Enter primary diagnosis or select from ICD-10 above..."
-                    value={diagnosis}
-                    onChange={(e) => {
-                      setDiagnosis(e.target.value);
-                      if (errors.diagnosis) {
-                        setErrors((prev) => ({ ...prev, diagnosis: undefined }));
-                      }
-                    }}
-                    error={!!errors.diagnosis}
-                    helperText={errors.diagnosis || (selectedICD10 ? `ICD-10 Code: ${selectedICD10.code}` : '')}
+                )}
+              </Box>
+            </Grid>
+
+            {/* Form Content */}
+            <Grid item xs={12} lg={9}>
+              <Paper
+                elevation={0}
+                sx={{
+                  border: '1px solid',
+                  borderColor: 'grey.200',
+                  borderRadius: 2,
+                  overflow: 'hidden',
+                }}
+              >
+                {/* Section 1: Patient Information */}
+                <Box sx={{ p: 3 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3 }}>
+                    <Box
+                      sx={{
+                        width: 40,
+                        height: 40,
+                        borderRadius: 2,
+                        bgcolor: 'primary.100',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                      }}
+                    >
+                      <PersonIcon sx={{ color: 'primary.600' }} />
+                    </Box>
+                    <Typography variant="h6" fontWeight={600}>
+                      {t('detail.patientInformation')}
+                    </Typography>
+                  </Box>
+                  <PatientForm
+                    data={patient}
+                    onChange={handlePatientChange}
+                    errors={errors.patient}
                     disabled={loading}
-                    required
+                    verification={verification}
+                    manualOverride={identityOverride}
+                    onManualOverrideChange={setIdentityOverride}
+                    onApplyRegistry={handleApplyRegistry}
                   />
-                </Grid>
-                <Grid item xs={12}>
-                  <TextField
-                    fullWidth
-                    label="Clinical Notes (Optional)"
-                    placeholder="Additional clinical observations..."
-                    value={clinicalNotes}
-                    onChange={(e) => setClinicalNotes(e.target.value)}
-                    disabled={loading}
-                    multiline
-                    rows={3}
+                  {(coverage || coverageLoading) && (
+                    <Box sx={{ mt: 2.5 }}>
+                      <InsuranceCoverageCard
+                        coverage={coverage}
+                        loading={coverageLoading}
+                        lines={medications.map((med) => ({
+                          name: med.medicine?.commercialName || t('medication.unknown'),
+                          quantity: med.quantity,
+                          unitPrice: med.medicine?.price,
+                        }))}
+                      />
+                    </Box>
+                  )}
+                </Box>
+
+                <Divider />
+
+                {/* Section 2: Diagnosis */}
+                <Box sx={{ p: 3 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3 }}>
+                    <Box
+                      sx={{
+                        width: 40,
+                        height: 40,
+                        borderRadius: 2,
+                        bgcolor: 'warning.100',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                      }}
+                    >
+                      <DiagnosisIcon sx={{ color: 'warning.700' }} />
+                    </Box>
+                    <Typography variant="h6" fontWeight={600}>
+                      {t('prescription.diagnosis')}
+                    </Typography>
+                  </Box>
+                  <Grid container spacing={2}>
+                    <Grid item xs={12}>
+                      <TemplatePicker
+                        onApply={handleApplyTemplate}
+                        icdCode={selectedICD10?.code}
+                        disabled={loading}
+                      />
+                    </Grid>
+                    <Grid item xs={12}>
+                      <DiagnosisSearch
+                        label={t('create.searchIcd10')}
+                        value={diagnosis}
+                        onSelect={(icd10) => {
+                          setSelectedICD10(icd10);
+                          // Auto-fill diagnosis with ICD-10 description
+                          setDiagnosis(`${icd10.code} - ${icd10.description}`);
+                          if (errors.diagnosis) {
+                            setErrors((prev) => ({ ...prev, diagnosis: undefined }));
+                          }
+                        }}
+                        disabled={loading}
+                        helperText={t('create.searchIcd10Hint')}
+                      />
+                    </Grid>
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        label={t('create.primaryDiagnosis')}
+                        placeholder={t('create.primaryDiagnosisPlaceholder')}
+                        value={diagnosis}
+                        onChange={(e) => {
+                          setDiagnosis(e.target.value);
+                          if (errors.diagnosis) {
+                            setErrors((prev) => ({ ...prev, diagnosis: undefined }));
+                          }
+                        }}
+                        error={!!errors.diagnosis}
+                        helperText={errors.diagnosis || (selectedICD10 ? t('create.icd10Code', { code: selectedICD10.code }) : '')}
+                        disabled={loading}
+                        required
+                      />
+                    </Grid>
+                    <Grid item xs={12}>
+                      <SecondaryDiagnosisList
+                        diagnoses={secondaryDiagnoses}
+                        onAdd={handleSecondaryDiagnosisAdd}
+                        onUpdate={handleSecondaryDiagnosisUpdate}
+                        onRemove={handleSecondaryDiagnosisRemove}
+                        errors={errors.secondaryDiagnoses}
+                        disabled={loading}
+                      />
+                    </Grid>
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        label={t('create.clinicalNotes')}
+                        placeholder={t('create.clinicalNotesPlaceholder')}
+                        value={clinicalNotes}
+                        onChange={(e) => setClinicalNotes(e.target.value)}
+                        disabled={loading}
+                        multiline
+                        rows={3}
+                      />
+                    </Grid>
+                  </Grid>
+                </Box>
+
+                <Divider />
+
+                {/* Section 3: Medications */}
+                <Box sx={{ p: 3 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3 }}>
+                    <Box
+                      sx={{
+                        width: 40,
+                        height: 40,
+                        borderRadius: 2,
+                        bgcolor: 'success.100',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                      }}
+                    >
+                      <MedicineIcon sx={{ color: 'success.700' }} />
+                    </Box>
+                    <Typography variant="h6" fontWeight={600} sx={{ flex: 1 }}>
+                      {t('prescription.medications')}
+                    </Typography>
+                    <Button
+                      size="small"
+                      startIcon={<SaveTemplateIcon />}
+                      onClick={() => setSaveTemplateOpen(true)}
+                      disabled={loading || medications.every((med) => !med.medicine)}
+                    >
+                      {t('detail.saveAsTemplate')}
+                    </Button>
+                  </Box>
+
+                  <Box sx={{ mb: 3 }}>
+                    <MedicineSearch
+                      onSelect={handleMedicineSelect}
+                      label={t('create.searchMedicine')}
+                      disabled={loading}
+                    />
+                  </Box>
+
+                  <MedicationList
+                    medications={medications}
+                    onUpdate={handleMedicationUpdate}
+                    onRemove={handleMedicationRemove}
+                    onReplace={handleMedicationReplace}
+                    onSigChange={handleMedicationSigChange}
+                    onWeightDoseChange={handleMedicationWeightDose}
+                    patient={patient}
+                    errors={errors.medications}
+                    interactions={interactions}
+                    duplicates={duplicates}
+                    diagnoses={allDiagnoses}
                   />
-                </Grid>
-              </Grid>
-            </Box>
 
-            <Divider />
+                  {checkingInteractions && medications.filter((med) => med.medicine).length >= 2 && (
+                    <Alert severity="info" icon={<CircularProgress size={20} />} sx={{ mt: 3, borderRadius: 2 }}>
+                      {t('create.interactionsChecking')}
+                    </Alert>
+                  )}
 
-            {/* Section 3: Medications */}
-            <Box sx={{ p: 3 }}>
-              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 3 }}>
+                  {overrideNeeded && (
+                    <Alert
+                      severity={interactionCheckFailed ? 'warning' : 'error'}
+                      sx={{ mt: 3, borderRadius: 2 }}
+                      action={
+                        interactionCheckFailed ? (
+                          <Button color="inherit" size="small" onClick={() => setInteractionRetry((n) => n + 1)}>
+                            {t('create.retryInteractionCheck')}
+                          </Button>
+                        ) : undefined
+                      }
+                    >
+                      <Typography variant="body2" fontWeight={600} sx={{ mb: 1.5 }}>
+                        {interactionCheckFailed
+                          ? t('create.interactionCheckFailed')
+                          : t('create.criticalInteractions', { count: criticalInteractions.length })}
+                      </Typography>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label={t('create.overrideReason')}
+                        placeholder={t('create.overrideReasonPlaceholder')}
+                        value={interactionOverride}
+                        onChange={(e) => setInteractionOverride(e.target.value)}
+                        disabled={loading}
+                        multiline
+                        rows={2}
+                        sx={{ bgcolor: 'white' }}
+                      />
+                    </Alert>
+                  )}
+                </Box>
+
+                <Divider />
+
+                {/* Actions */}
                 <Box
                   sx={{
-                    width: 40,
-                    height: 40,
-                    borderRadius: 2,
-                    bgcolor: 'success.100',
+                    p: 3,
+                    bgcolor: 'grey.50',
                     display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
+                    justifyContent: 'flex-end',
+                    gap: 2,
+                    flexWrap: 'wrap',
                   }}
                 >
-                  <MedicineIcon sx={{ color: 'success.700' }} />
+                  <Button
+                    variant="outlined"
+                    startIcon={loading ? <CircularProgress size={18} /> : <SaveIcon />}
+                    onClick={() => handleSubmit(false)}
+                    disabled={loading}
+                    sx={{ borderRadius: 2, px: 3 }}
+                  >
+                    {t('create.saveDraft')}
+                  </Button>
+                  {mayApprove && (
+                    <Button
+                      variant="contained"
+                      startIcon={loading ? <CircularProgress size={18} color="inherit" /> : <CheckIcon />}
+                      onClick={() => handleSubmit(true)}
+                      disabled={loading || approvalBlocked || identityBlocked}
+                      sx={{
+                        borderRadius: 2,
+                        px: 3,
+                        background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+                        '&:hover': {
+                          background: 'linear-gradient(135deg, #059669 0%, #047857 100%)',
+                        },
+                      }}
+                    >
+                      {t('create.submitApprove')}
+                    </Button>
+                  )}
                 </Box>
-                <Typography variant="h6" fontWeight={600}>
-                  Medications
-                </Typography>
-              </Box>
+              </Paper>
+            </Grid>
+          </Grid>
+        </>
+      )}
 
-              <Box sx={{ mb: 3 }}>
-                <MedicineSearch
-                  onSelect={handleMedicineSelect}
-                  label="Search and Add Medicine"
-                  disabled={loading}
-                />
-              </Box>
+      {/* Suspended Coverage Confirmation */}
+      <Dialog open={coverageConfirmOpen} onClose={() => setCoverageConfirmOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('detail.coverageSuspendedTitle')}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            {t('detail.coverageSuspendedBody')}
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button onClick={() => setCoverageConfirmOpen(false)}>{t('detail.goBack')}</Button>
+          <Button
+            variant="contained"
+            color="warning"
+            onClick={() => {
+              setCoverageConfirmOpen(false);
+              handleSubmit(true, true);
+            }}
+          >
+            {t('detail.approveAnyway')}
+          </Button>
+        </DialogActions>
+      </Dialog>
 
-              <MedicationList
-                medications={medications}
-                onUpdate={handleMedicationUpdate}
-                onRemove={handleMedicationRemove}
-                errors={errors.medications}
-              />
-            </Box>
-
-            <Divider />
-
-            {/* Actions */}
-            <Box
-              sx={{
-                p: 3,
-                bgcolor: 'grey.50',
-                display: 'flex',
-                justifyContent: 'flex-end',
-                gap: 2,
-                flexWrap: 'wrap',
-              }}
-            >
-              <Button
-                variant="outlined"
-                startIcon={loading ? <CircularProgress size={18} /> : <SaveIcon />}
-                onClick={() => handleSubmit(false)}
-                disabled={loading}
-                sx={{ borderRadius: 2, px: 3 }}
-              >
-                Save as Draft
-              </Button>
-              <Button
-                variant="contained"
-                startIcon={loading ? <CircularProgress size={18} color="inherit" /> : <CheckIcon />}
-                onClick={() => handleSubmit(true)}
-                disabled={loading}
-                sx={{
-                  borderRadius: 2,
-                  px: 3,
-                  background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
-                  '&:hover': {
-                    background: 'linear-gradient(135deg, #059669 0%, #047857 100%)',
-                  },
-                }}
+      {/* Restore Saved Draft */}
+      <Dialog open={restorePromptOpen} onClose={() => setRestoreCandidates([])} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('create.resumeTitle')}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {t('create.resumeBody')}
+          </Typography>
+          <List disablePadding>
+            {restoreCandidates.map((draft) => (
+              <ListItemButton
+                key={draft.id}
+                onClick={() => handleRestoreDraft(draft)}
+                sx={{ border: '1px solid', borderColor: 'grey.200', borderRadius: 2, mb: 1 }}
               >
-                Submit & Approve
-              </Button>
-            </Box>
-          </Paper>
-        </Grid>
-      </Grid>
+                <ListItemText
+                  primary={draft.name}
+                  secondary={`${t('common.medications', { count: draft.medications.length })} · ${t('dashboard.savedAgo', {
+                    when: formatRelative(draft.updatedAt),
+                  })}`}
+                  primaryTypographyProps={{ fontWeight: 600 }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button variant="contained" onClick={() => setRestoreCandidates([])}>
+            {t('create.startNew')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* AI Validation Review */}
+      <ValidationReviewDialog
+        open={!!reviewTarget}
+        validation={reviewTarget?.validation || null}
+        reviewer={user?.name || t('role.doctor')}
+        loading={loading}
+        onCancel={handleValidationCancel}
+        onConfirm={handleValidationConfirm}
+      />
+
+      <SaveTemplateDialog
+        open={saveTemplateOpen}
+        diagnosis={diagnosis}
+        icd10={selectedICD10}
+        medications={medications.filter((med) => med.medicine).map(fromMedicationFormData)}
+        onClose={() => setSaveTemplateOpen(false)}
+      />
     </Box>
   );
 }
@@ -14,6 +14,9 @@ import {
   TableRow,
   Skeleton,
   Alert,
+  Chip,
+  IconButton,
+  Tooltip,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -22,10 +25,19 @@ import {
   Pending as PendingIcon,
   LocalShipping as DispensedIcon,
   TrendingUp as TrendingIcon,
+  ReportProblem as RecallIcon,
+  EditNote as DraftIcon,
+  DeleteOutline as DeleteIcon,
+  Autorenew as RenewIcon,
 } from '@mui/icons-material';
-import { format } from 'date-fns';
+import { differenceInCalendarDays, parseISO } from 'date-fns';
 import { apiService } from '../services/api';
 import { StatusChip } from '../components/prescription';
+import { useAuth } from '../contexts/AuthContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { useDrugRecalls, usePrescriptionDrafts, usePermission, useRenewalsDue } from '../hooks';
+import { renewalToDraft } from '../services/draftStore';
+import { translate } from '../i18n';
 import type { Prescription, DashboardStats } from '../types';
 
 interface StatCardProps {
@@ -38,6 +50,7 @@ interface StatCardProps {
 }
 
 function StatCard({ title, value, icon, color, bgColor, loading }: StatCardProps) {
+  const { formatNumber } = useLocale();
   return (
     <Paper
       elevation={0}
@@ -63,7 +76,7 @@ function StatCard({ title, value, icon, color, bgColor, loading }: StatCardProps
             <Skeleton width={60} height={40} />
           ) : (
             <Typography variant="h3" fontWeight={700} sx={{ color }}>
-              {value}
+              {formatNumber(value)}
             </Typography>
           )}
         </Box>
@@ -87,8 +100,280 @@ function StatCard({ title, value, icon, color, bgColor, loading }: StatCardProps
   );
 }
 
+function RecallFeed() {
+  const { recalls, loading } = useDrugRecalls();
+  const { t, formatDate, formatNumber } = useLocale();
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        border: '1px solid',
+        borderColor: 'grey.200',
+        borderRadius: 2,
+        overflow: 'hidden',
+        height: '100%',
+      }}
+    >
+      <Box
+        sx={{
+          px: 3,
+          py: 2.5,
+          borderBottom: '1px solid',
+          borderColor: 'grey.200',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1.5,
+        }}
+      >
+        <RecallIcon sx={{ color: 'error.main' }} />
+        <Typography variant="h6" fontWeight={600}>
+          {t('dashboard.recalls')}
+        </Typography>
+        {!loading && recalls.length > 0 && (
+          <Chip label={formatNumber(recalls.length)} size="small" color="error" sx={{ ml: 'auto' }} />
+        )}
+      </Box>
+      <Box sx={{ p: 2, maxHeight: 420, overflowY: 'auto' }}>
+        {loading ? (
+          Array.from({ length: 3 }).map((_, index) => (
+            <Skeleton key={index} height={64} sx={{ mb: 1 }} />
+          ))
+        ) : recalls.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+            {t('dashboard.noRecalls')}
+          </Typography>
+        ) : (
+          recalls.map((recall, index) => (
+            <Box
+              key={recall.id}
+              sx={{
+                py: 1.5,
+                borderBottom: index < recalls.length - 1 ? '1px solid' : 'none',
+                borderColor: 'grey.100',
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                <Chip
+                  label={t('dashboard.recallClass', { recallClass: recall.recallClass })}
+                  size="small"
+                  color={recall.recallClass === 'I' ? 'error' : 'warning'}
+                  sx={{ height: 20, fontSize: '0.7rem' }}
+                />
+                <Typography variant="body2" fontWeight={600} noWrap>
+                  {recall.medicineName}
+                </Typography>
+              </Box>
+              <Typography variant="body2" color="text.secondary">
+                {recall.reason}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {formatDate(recall.recallDate, 'MMM dd, yyyy')}
+                {recall.batchNumbers?.length
+                  ? ` · ${t('dashboard.batches', { batches: recall.batchNumbers.join(t('common.listSeparator')) })}`
+                  : ''}
+              </Typography>
+            </Box>
+          ))
+        )}
+      </Box>
+    </Paper>
+  );
+}
+
+// Unsent prescriptions auto-saved on this device, resumable in the wizard
+function SavedDrafts() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { drafts, removeDraft } = usePrescriptionDrafts(user?.id);
+  const { t, formatNumber, formatRelative } = useLocale();
+
+  if (drafts.length === 0) return null;
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        border: '1px solid',
+        borderColor: 'grey.200',
+        borderRadius: 2,
+        overflow: 'hidden',
+        mb: 4,
+      }}
+    >
+      <Box
+        sx={{
+          px: 3,
+          py: 2.5,
+          borderBottom: '1px solid',
+          borderColor: 'grey.200',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1.5,
+        }}
+      >
+        <DraftIcon sx={{ color: 'warning.main' }} />
+        <Typography variant="h6" fontWeight={600}>
+          {t('dashboard.unsentDrafts')}
+        </Typography>
+        <Chip label={formatNumber(drafts.length)} size="small" color="warning" sx={{ ml: 'auto' }} />
+      </Box>
+      <Box sx={{ p: 2, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        {drafts.map((draft) => (
+          <Box
+            key={draft.id}
+            onClick={() => navigate(`/prescriptions/new?draft=${draft.id}`)}
+            sx={{
+              flex: '1 1 240px',
+              maxWidth: 360,
+              p: 2,
+              border: '1px solid',
+              borderColor: 'grey.200',
+              borderRadius: 2,
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'flex-start',
+              gap: 1,
+              '&:hover': { borderColor: 'primary.main', bgcolor: 'grey.50' },
+            }}
+          >
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+              <Typography variant="body2" fontWeight={600} noWrap>
+                {draft.name}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }} noWrap>
+                {draft.icd10 ? `${draft.icd10.code} · ` : ''}
+                {draft.diagnosis || t('dashboard.noDiagnosisYet')}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {t('common.medications', { count: draft.medications.length })} ·{' '}
+                {t('dashboard.savedAgo', { when: formatRelative(draft.updatedAt) })}
+              </Typography>
+            </Box>
+            <Tooltip title={t('dashboard.deleteDraft')}>
+              <IconButton
+                size="small"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeDraft(draft.id);
+                }}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+      </Box>
+    </Paper>
+  );
+}
+
+// Chronic prescriptions running out within the next week
+function RenewalsDue() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { saveDraft } = usePrescriptionDrafts(user?.id);
+  const { renewals } = useRenewalsDue();
+  const { t, formatDate, formatNumber } = useLocale();
+
+  if (renewals.length === 0) return null;
+
+  const handleRenew = (prescription: Prescription) => {
+    const draftId = `renew-${Date.now().toString(36)}`;
+    saveDraft(renewalToDraft(prescription, draftId));
+    navigate(`/prescriptions/new?draft=${draftId}`);
+  };
+
+  const describeDue = (dueDate: Date): string => {
+    const days = differenceInCalendarDays(dueDate, new Date());
+    if (days < 0) return t('dashboard.overdueBy', { days: t('common.days', { count: -days }) });
+    if (days === 0) return t('dashboard.dueToday');
+    return t('dashboard.dueIn', { days: t('common.days', { count: days }) });
+  };
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        border: '1px solid',
+        borderColor: 'grey.200',
+        borderRadius: 2,
+        overflow: 'hidden',
+        mb: 4,
+      }}
+    >
+      <Box
+        sx={{
+          px: 3,
+          py: 2.5,
+          borderBottom: '1px solid',
+          borderColor: 'grey.200',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1.5,
+        }}
+      >
+        <RenewIcon sx={{ color: 'primary.main' }} />
+        <Typography variant="h6" fontWeight={600}>
+          {t('dashboard.dueForRenewal')}
+        </Typography>
+        <Chip label={formatNumber(renewals.length)} size="small" color="primary" sx={{ ml: 'auto' }} />
+      </Box>
+      <Box sx={{ p: 2, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        {renewals.map(({ prescription, dueDate }) => {
+          const overdue = differenceInCalendarDays(dueDate, new Date()) < 0;
+          return (
+            <Box
+              key={prescription.id}
+              onClick={() => navigate(`/prescriptions/${prescription.id}`)}
+              sx={{
+                flex: '1 1 240px',
+                maxWidth: 360,
+                p: 2,
+                border: '1px solid',
+                borderColor: overdue ? 'error.light' : 'grey.200',
+                borderRadius: 2,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: 1,
+                '&:hover': { borderColor: 'primary.main', bgcolor: 'grey.50' },
+              }}
+            >
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="body2" fontWeight={600} noWrap>
+                  {prescription.patient.name}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }} noWrap>
+                  {prescription.prescriptionNumber} ·{' '}
+                  {prescription.medications.map((m) => m.medicineName).join(t('common.listSeparator'))}
+                </Typography>
+                <Typography variant="caption" color={overdue ? 'error.main' : 'text.secondary'}>
+                  {describeDue(dueDate)} · {formatDate(dueDate, 'MMM dd')}
+                </Typography>
+              </Box>
+              <Button
+                size="small"
+                startIcon={<RenewIcon />}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleRenew(prescription);
+                }}
+              >
+                {t('dashboard.renew')}
+              </Button>
+            </Box>
+          );
+        })}
+      </Box>
+    </Paper>
+  );
+}
+
 export default function Dashboard() {
   const navigate = useNavigate();
+  const mayCreate = usePermission('prescription:create');
+  const { t, formatDate } = useLocale();
   const [stats, setStats] = useState<DashboardStats>({
     total: 0,
     approved: 0,
@@ -109,7 +394,7 @@ export default function Dashboard() {
         // Fetch stats and recent prescriptions in parallel
         const [statsData, prescriptionsResponse] = await Promise.all([
           apiService.getDashboardStats(),
-          apiService.listPrescriptions({ limit: 10 }),
+          apiService.listPrescriptions({ limit: 10, sort: 'date', order: 'desc' }),
         ]);
 
         setStats(statsData);
@@ -119,7 +404,7 @@ export default function Dashboard() {
         }
       } catch (err) {
         console.error('Failed to fetch dashboard data:', err);
-        setError('Failed to load dashboard data. Please try again.');
+        setError(translate('dashboard.loadFailed'));
       } finally {
         setLoading(false);
       }
@@ -130,28 +415,28 @@ export default function Dashboard() {
 
   const statCards = [
     {
-      title: 'Total Prescriptions',
+      title: t('dashboard.totalPrescriptions'),
       value: stats.total,
       icon: <PrescriptionIcon />,
       color: '#0d7fa0',
       bgColor: 'rgba(13, 127, 160, 0.1)',
     },
     {
-      title: 'Approved',
+      title: t('status.approved'),
       value: stats.approved,
       icon: <ApprovedIcon />,
       color: '#10b981',
       bgColor: 'rgba(16, 185, 129, 0.1)',
     },
     {
-      title: 'Pending',
+      title: t('status.pending'),
       value: stats.pending,
       icon: <PendingIcon />,
       color: '#f59e0b',
       bgColor: 'rgba(245, 158, 11, 0.1)',
     },
     {
-      title: 'Dispensed',
+      title: t('status.dispensed'),
       value: stats.dispensed,
       icon: <DispensedIcon />,
       color: '#3b82f6',
@@ -174,31 +459,35 @@ export default function Dashboard() {
       >
         <Box>
           <Typography variant="h4" fontWeight={700} sx={{ mb: 0.5 }}>
-            Dashboard
+            {t('nav.dashboard')}
           </Typography>
           <Typography variant="body1" color="text.secondary">
-            Overview of your prescription activity
+            {stats.since
+              ? t('dashboard.subtitleSince', { date: formatDate(parseISO(stats.since), 'MMM dd, yyyy') })
+              : t('dashboard.subtitle')}
           </Typography>
         </Box>
         
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={() => navigate('/prescriptions/new')}
-          sx={{
-            px: 3,
-            py: 1.25,
-            borderRadius: 2,
-            fontWeight: 600,
-            background: 'linear-gradient(135deg, #0d7fa0 0%, #084c60 100%)',
-            boxShadow: '0 4px 14px rgba(13, 127, 160, 0.3)',
-            '&:hover': {
-              background: 'linear-gradient(135deg, #0a6680 0%, #053340 100%)',
-            },
-          }}
-        >
-          New Prescription
-        </Button>
+        {mayCreate && (
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => navigate('/prescriptions/new')}
+            sx={{
+              px: 3,
+              py: 1.25,
+              borderRadius: 2,
+              fontWeight: 600,
+              background: 'linear-gradient(135deg, #0d7fa0 0%, #084c60 100%)',
+              boxShadow: '0 4px 14px rgba(13, 127, 160, 0.3)',
+              '&:hover': {
+                background: 'linear-gradient(135deg, #0a6680 0%, #053340 100%)',
+              },
+            }}
+          >
+            {t('nav.newPrescription')}
+          </Button>
+        )}
       </Box>
 
       {error && (
@@ -216,125 +505,139 @@ export default function Dashboard() {
         ))}
       </Grid>
 
-      {/* Recent Prescriptions */}
-      <Paper
-        elevation={0}
-        sx={{
-          border: '1px solid',
-          borderColor: 'grey.200',
-          borderRadius: 2,
-          overflow: 'hidden',
-        }}
-      >
-        <Box
-          sx={{
-            px: 3,
-            py: 2.5,
-            borderBottom: '1px solid',
-            borderColor: 'grey.200',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'space-between',
-          }}
-        >
-          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
-            <TrendingIcon sx={{ color: 'primary.500' }} />
-            <Typography variant="h6" fontWeight={600}>
-              Recent Prescriptions
-            </Typography>
-          </Box>
-          <Button
-            size="small"
-            onClick={() => navigate('/prescriptions')}
-            sx={{ fontWeight: 600 }}
+      <SavedDrafts />
+      {mayCreate && <RenewalsDue />}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} lg={8}>
+          {/* Recent Prescriptions */}
+          <Paper
+            elevation={0}
+            sx={{
+              border: '1px solid',
+              borderColor: 'grey.200',
+              borderRadius: 2,
+              overflow: 'hidden',
+            }}
           >
-            View All
-          </Button>
-        </Box>
+            <Box
+              sx={{
+                px: 3,
+                py: 2.5,
+                borderBottom: '1px solid',
+                borderColor: 'grey.200',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                <TrendingIcon sx={{ color: 'primary.500' }} />
+                <Typography variant="h6" fontWeight={600}>
+                  {t('dashboard.recentPrescriptions')}
+                </Typography>
+              </Box>
+              <Button
+                size="small"
+                onClick={() => navigate('/prescriptions')}
+                sx={{ fontWeight: 600 }}
+              >
+                {t('common.viewAll')}
+              </Button>
+            </Box>
 
-        <TableContainer>
-          <Table>
-            <TableHead>
-              <TableRow>
-                <TableCell sx={{ fontWeight: 600 }}>Rx Number</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Patient</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Diagnosis</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Date</TableCell>
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {loading ? (
-                // Loading skeletons
-                Array.from({ length: 5 }).map((_, index) => (
-                  <TableRow key={index}>
-                    <TableCell><Skeleton width={100} /></TableCell>
-                    <TableCell><Skeleton width={120} /></TableCell>
-                    <TableCell><Skeleton width={150} /></TableCell>
-                    <TableCell><Skeleton width={80} /></TableCell>
-                    <TableCell><Skeleton width={90} /></TableCell>
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('prescription.rxNumber')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('prescription.patient')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('prescription.diagnosis')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('prescription.status')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('prescription.date')}</TableCell>
                   </TableRow>
-                ))
-              ) : recentPrescriptions.length === 0 ? (
-                <TableRow>
-                  <TableCell colSpan={5} align="center" sx={{ py: 8 }}>
-                    <PrescriptionIcon sx={{ fontSize: 48, color: 'grey.300', mb: 1 }} />
-                    <Typography color="text.secondary">
-                      No prescriptions yet
-                    </Typography>
-                    <Button
-                      variant="outlined"
-                      size="small"
-                      startIcon={<AddIcon />}
-                      onClick={() => navigate('/prescriptions/new')}
-                      sx={{ mt: 2 }}
-                    >
-                      Create First Prescription
-                    </Button>
-                  </TableCell>
-                </TableRow>
-              ) : (
-                recentPrescriptions.map((prescription) => (
-                  <TableRow
-                    key={prescription.id}
-                    hover
-                    sx={{ cursor: 'pointer' }}
-                    onClick={() => navigate(`/prescriptions/${prescription.id}`)}
-                  >
-                    <TableCell>
-                      <Typography variant="body2" fontWeight={600} sx={{ color: 'primary.600' }}>
-                        {prescription.prescriptionNumber}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>{prescription.patient.name}</TableCell>
-                    <TableCell>
-                      <Typography
-                        variant="body2"
-                        sx={{
-                          maxWidth: 200,
-                          overflow: 'hidden',
-                          textOverflow: 'ellipsis',
-                          whiteSpace: 'nowrap',
-                        }}
+                </TableHead>
+                <TableBody>
+                  {loading ? (
+                    // Loading skeletons
+                    Array.from({ length: 5 }).map((_, index) => (
+                      <TableRow key={index}>
+                        <TableCell><Skeleton width={100} /></TableCell>
+                        <TableCell><Skeleton width={120} /></TableCell>
+                        <TableCell><Skeleton width={150} /></TableCell>
+                        <TableCell><Skeleton width={80} /></TableCell>
+                        <TableCell><Skeleton width={90} /></TableCell>
+                      </TableRow>
+                    ))
+                  ) : recentPrescriptions.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={5} align="center" sx={{ py: 8 }}>
+                        <PrescriptionIcon sx={{ fontSize: 48, color: 'grey.300', mb: 1 }} />
+                        <Typography color="text.secondary">
+                          {t('dashboard.noPrescriptions')}
+                        </Typography>
+                        {mayCreate && (
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            startIcon={<AddIcon />}
+                            onClick={() => navigate('/prescriptions/new')}
+                            sx={{ mt: 2 }}
+                          >
+                            {t('dashboard.createFirst')}
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    recentPrescriptions.map((prescription) => (
+                      <TableRow
+                        key={prescription.id}
+                        hover
+                        sx={{ cursor: 'pointer' }}
+                        onClick={() => navigate(`/prescriptions/${prescription.id}`)}
                       >
-                        {prescription.diagnosis}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <StatusChip status={prescription.status} />
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2" color="text.secondary">
-                        {format(new Date(prescription.createdAt), 'MMM dd, yyyy')}
-                      </Typography>
-                    </TableCell>
-                  </TableRow>
-                ))
-              )}
-            </TableBody>
-          </Table>
-        </TableContainer>
-      </Paper>
+                        <TableCell>
+                          <Typography variant="body2" fontWeight={600} sx={{ color: 'primary.600' }}>
+                            {prescription.prescriptionNumber}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>{prescription.patient.name}</TableCell>
+                        <TableCell>
+                          <Typography
+                            variant="body2"
+                            sx={{
+                              maxWidth: 200,
+                              overflow: 'hidden',
+                              textOverflow: 'ellipsis',
+                              whiteSpace: 'nowrap',
+                            }}
+                          >
+                            {prescription.diagnosis}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <StatusChip status={prescription.status} />
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2" color="text.secondary">
+                            {formatDate(prescription.createdAt, 'MMM dd, yyyy')}
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </Grid>
+
+        {/* Recall Feed */}
+        <Grid item xs={12} lg={4}>
+          <RecallFeed />
+        </Grid>
+      </Grid>
     </Box>
   );
 }
@@ -15,6 +15,8 @@ import {
   Security as SecurityIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { LanguageSwitcher } from '../components/common';
 
 /**
  * Login page - now uses Keycloak SSO from the HCP Registry.
@@ -25,6 +27,7 @@ import { useAuth } from '../contexts/AuthContext';
 export default function Login() {
   const navigate = useNavigate();
   const { login, isAuthenticated, loading, error: authError, clearError } = useAuth();
+  const { t } = useLocale();
 
   // If already authenticated, redirect to dashboard
   useEffect(() => {
@@ -53,7 +56,7 @@ export default function Login() {
         <Box sx={{ textAlign: 'center' }}>
           <CircularProgress size={48} sx={{ color: 'white', mb: 2 }} />
           <Typography variant="body1" sx={{ color: 'rgba(255,255,255,0.9)' }}>
-            Connecting to HealthFlow Registry...
+            {t('auth.connecting')}
           </Typography>
         </Box>
       </Box>
@@ -155,10 +158,10 @@ export default function Login() {
               mb: 0.5,
             }}
           >
-            HealthFlow
+            {t('app.name')}
           </Typography>
           <Typography variant="body2" color="text.secondary" fontWeight={500}>
-            Clinic Portal
+            {t('app.clinicPortal')}
           </Typography>
         </Box>
 
@@ -167,10 +170,10 @@ export default function Login() {
         {/* SSO Login Section */}
         <Box sx={{ p: 4 }}>
           <Typography variant="h6" fontWeight={600} sx={{ mb: 0.5 }}>
-            Welcome
+            {t('login.welcome')}
           </Typography>
           <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
-            Sign in with your HealthFlow Registry credentials to access the National Digital Prescription platform
+            {t('login.intro')}
           </Typography>
 
           {authError && (
@@ -202,7 +205,7 @@ export default function Login() {
               },
             }}
           >
-            Sign in with HealthFlow Registry
+            {t('login.signIn')}
           </Button>
 
           {/* SSO Info */}
@@ -222,11 +225,10 @@ export default function Login() {
             <SecurityIcon sx={{ color: 'primary.main', fontSize: 20, mt: 0.25 }} />
             <Box>
               <Typography variant="caption" fontWeight={600} color="text.primary">
-                Secure Single Sign-On (SSO)
+                {t('login.ssoTitle')}
               </Typography>
               <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.25 }}>
-                You will be redirected to the HealthFlow Registry Keycloak login page. 
-                Use your registered HCP credentials to authenticate securely via OpenID Connect.
+                {t('login.ssoBody')}
               </Typography>
             </Box>
           </Box>
@@ -244,11 +246,14 @@ export default function Login() {
           }}
         >
           <Typography variant="caption" color="text.secondary">
-            Egyptian Drug Authority (EDA) & Ministry of Health
+            {t('login.footerAuthority')}
           </Typography>
           <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
-            National Digital Prescription Platform
+            {t('login.footerPlatform')}
           </Typography>
+          <Box sx={{ mt: 1 }}>
+            <LanguageSwitcher />
+          </Box>
         </Box>
       </Paper>
     </Box>
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -20,6 +20,10 @@ import {
   DialogContent,
   DialogActions,
   TextField,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
 } from '@mui/material';
 import {
   ArrowBack as BackIcon,
@@ -30,15 +34,58 @@ import {
   MedicalServices as DiagnosisIcon,
   MedicationLiquid as MedicineIcon,
   History as HistoryIcon,
+  Psychology as ValidationIcon,
+  Edit as EditIcon,
+  DataObject as FhirIcon,
+  FileDownload as ExportIcon,
+  FileUpload as ImportIcon,
+  BookmarkAdd as SaveTemplateIcon,
+  Autorenew as RenewIcon,
 } from '@mui/icons-material';
-import { format } from 'date-fns';
 import { apiService } from '../services/api';
-import { StatusChip } from '../components/prescription';
-import type { Prescription, PrescriptionHistoryItem, PrescriptionStatus } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+import { useLocale } from '../contexts/LocaleContext';
+import {
+  StatusChip,
+  InsuranceCoverageCard,
+  SignatureBadge,
+  SyncStatusChip,
+  ValidationReviewDialog,
+  PrintPreviewDialog,
+  SaveTemplateDialog,
+} from '../components/prescription';
+import { PRINTABLE_STATUSES } from '../config/constants';
+import { useInsuranceCoverage, useOutbox, usePermission, usePrescriptionDrafts } from '../hooks';
+import { prescriptionToDraft, renewalToDraft } from '../services/draftStore';
+import { toFhirBundle, fromFhirBundle, isFhirBundle } from '../utils/fhir';
+import { formatDiagnosis, getMedicationIndication } from '../utils/diagnosis';
+import {
+  describeSig,
+  describeWeightDose,
+  getWeightDoseWarnings,
+  getRenewalDueDate,
+  getFrequencyLabel,
+  getDurationLabel,
+  isRenewable,
+} from '../utils/medication';
+import type {
+  Prescription,
+  PrescriptionHistoryItem,
+  PrescriptionStatus,
+  AIValidationResult,
+  ValidationAcknowledgement,
+} from '../types';
 
 export default function PrescriptionDetail() {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const { t, language, formatNumber, formatDate } = useLocale();
+  const { getSyncState, conflicts } = useOutbox();
+  const mayApprove = usePermission('prescription:approve');
+  const mayCancel = usePermission('prescription:cancel');
+  const mayEdit = usePermission('prescription:create');
+  const { saveDraft } = usePrescriptionDrafts(user?.id);
 
   const [prescription, setPrescription] = useState<Prescription | null>(null);
   const [history, setHistory] = useState<PrescriptionHistoryItem[]>([]);
@@ -50,6 +97,16 @@ export default function PrescriptionDetail() {
   // Cancel dialog state
   const [cancelDialogOpen, setCancelDialogOpen] = useState(false);
   const [cancelReason, setCancelReason] = useState('');
+  const [coverageConfirmOpen, setCoverageConfirmOpen] = useState(false);
+  const [printOpen, setPrintOpen] = useState(false);
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+  const [fhirMenuAnchor, setFhirMenuAnchor] = useState<HTMLElement | null>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  // AI validation review state
+  const [pendingValidation, setPendingValidation] = useState<AIValidationResult | null>(null);
+
+  const { coverage, loading: coverageLoading } = useInsuranceCoverage(prescription?.patient.nationalId || '');
 
   useEffect(() => {
     const fetchData = async () => {
@@ -67,7 +124,7 @@ export default function PrescriptionDetail() {
         if (prescriptionResponse.success) {
           setPrescription(prescriptionResponse.data);
         } else {
-          throw new Error('Prescription not found');
+          throw new Error(t('errors.prescriptionNotFound'));
         }
 
         if (historyResponse.success) {
@@ -75,7 +132,7 @@ export default function PrescriptionDetail() {
         }
       } catch (err) {
         console.error('Failed to fetch prescription:', err);
-        setError('Failed to load prescription details.');
+        setError(t('detail.loadFailed'));
       } finally {
         setLoading(false);
       }
@@ -84,32 +141,69 @@ export default function PrescriptionDetail() {
     fetchData();
   }, [id]);
 
-  const handleApprove = async () => {
+  const handleApprove = async (coverageConfirmed = false) => {
     if (!prescription) return;
 
+    if (coverage?.status === 'suspended' && !coverageConfirmed) {
+      setCoverageConfirmOpen(true);
+      return;
+    }
+
     setActionLoading(true);
     try {
-      await apiService.updatePrescriptionStatus(prescription.id, 'approved');
-      setSuccessMessage('Prescription approved successfully');
-      // Refresh data
-      const response = await apiService.getPrescription(prescription.id);
-      if (response.success) {
-        setPrescription(response.data);
+      const validation = await apiService.validatePrescription(prescription);
+      if (!validation.success) {
+        throw new Error(validation.error || t('history.validationFailed'));
       }
+      // Warnings must be reviewed before the prescription can be signed
+      if (validation.data.warnings.length > 0) {
+        setPendingValidation(validation.data);
+        return;
+      }
+      await completeApproval(prescription, validation.data);
     } catch (err) {
-      setError('Failed to approve prescription');
+      setError(
+        err instanceof Error ? t('history.approveFailedWithReason', { reason: err.message }) : t('history.approveFailed')
+      );
     } finally {
       setActionLoading(false);
     }
   };
 
+  const completeApproval = async (current: Prescription, validation: AIValidationResult) => {
+    await apiService.saveValidationReview(current.id, validation);
+    await apiService.approvePrescription(current);
+    setSuccessMessage(t('detail.approved'));
+    // Refresh data
+    const response = await apiService.getPrescription(current.id);
+    if (response.success) {
+      setPrescription(response.data);
+    }
+  };
+
+  const handleValidationConfirm = async (acknowledgements: ValidationAcknowledgement[]) => {
+    if (!prescription || !pendingValidation) return;
+
+    setActionLoading(true);
+    try {
+      await completeApproval(prescription, { ...pendingValidation, acknowledgements });
+    } catch (err) {
+      setError(
+        err instanceof Error ? t('history.approveFailedWithReason', { reason: err.message }) : t('history.approveFailed')
+      );
+    } finally {
+      setPendingValidation(null);
+      setActionLoading(false);
+    }
+  };
+
   const handleCancel = async () => {
     if (!prescription) return;
 
     setActionLoading(true);
     try {
       await apiService.updatePrescriptionStatus(prescription.id, 'cancelled', cancelReason);
-      setSuccessMessage('Prescription cancelled');
+      setSuccessMessage(t('detail.cancelled'));
       setCancelDialogOpen(false);
       setCancelReason('');
       // Refresh data
@@ -118,18 +212,64 @@ export default function PrescriptionDetail() {
         setPrescription(response.data);
       }
     } catch (err) {
-      setError('Failed to cancel prescription');
+      // Refusals from NDP carry a reason; queued cancellations do not end up here
+      setError(err instanceof Error ? t('detail.cancelFailedWithReason', { reason: err.message }) : t('detail.cancelFailed'));
     } finally {
       setActionLoading(false);
     }
   };
 
+  // Download the prescription as a FHIR R4 collection Bundle
+  const handleFhirExport = () => {
+    setFhirMenuAnchor(null);
+    if (!prescription) return;
+    const blob = new Blob([JSON.stringify(toFhirBundle(prescription), null, 2)], { type: 'application/fhir+json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${prescription.prescriptionNumber || prescription.id}.fhir.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Open a FHIR bundle from another system as a new draft
+  const handleFhirImport = async (file: File) => {
+    try {
+      const bundle: unknown = JSON.parse(await file.text());
+      const imported = isFhirBundle(bundle) ? fromFhirBundle(bundle)[0] : undefined;
+      if (!imported) {
+        throw new Error(t('detail.fhirNotBundle'));
+      }
+      const draftId = `fhir-${Date.now().toString(36)}`;
+      const name = t('detail.fhirDraftName', { name: imported.patient.name || t('detail.fhirImported') });
+      saveDraft(prescriptionToDraft(imported, draftId, name));
+      navigate(`/prescriptions/new?draft=${draftId}`);
+    } catch (err) {
+      console.error('FHIR import failed:', err);
+      setError(
+        err instanceof Error ? t('detail.fhirImportFailedWithReason', { reason: err.message }) : t('detail.fhirImportFailed')
+      );
+    }
+  };
+
+  // Clone into a new draft linked to this prescription
+  const handleRenew = () => {
+    if (!prescription) return;
+    const draftId = `renew-${Date.now().toString(36)}`;
+    saveDraft(renewalToDraft(prescription, draftId));
+    navigate(`/prescriptions/new?draft=${draftId}`);
+  };
+
   const canApprove = (status: PrescriptionStatus): boolean => {
-    return status === 'draft' || status === 'pending_validation';
+    return mayApprove && (status === 'draft' || status === 'pending_validation');
   };
 
   const canCancel = (status: PrescriptionStatus): boolean => {
-    return status === 'draft' || status === 'approved';
+    return mayCancel && (status === 'draft' || status === 'approved');
+  };
+
+  const canEdit = (status: PrescriptionStatus): boolean => {
+    return mayEdit && status === 'draft';
   };
 
   if (loading) {
@@ -150,14 +290,18 @@ export default function PrescriptionDetail() {
   if (!prescription) {
     return (
       <Box>
-        <Alert severity="error">Prescription not found</Alert>
+        <Alert severity="error">{t('errors.prescriptionNotFound')}</Alert>
         <Button startIcon={<BackIcon />} onClick={() => navigate(-1)} sx={{ mt: 2 }}>
-          Go Back
+          {t('detail.goBack')}
         </Button>
       </Box>
     );
   }
 
+  const syncState = getSyncState(prescription.id);
+  const renewalDueDate = isRenewable(prescription) ? getRenewalDueDate(prescription) : null;
+  const syncConflict = conflicts.find((op) => op.prescriptionId === prescription.id);
+
   return (
     <Box>
       {/* Header */}
@@ -178,7 +322,7 @@ export default function PrescriptionDetail() {
             onClick={() => navigate(-1)}
             sx={{ borderRadius: 2 }}
           >
-            Back
+            {t('common.back')}
           </Button>
           <Box>
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
@@ -186,33 +330,118 @@ export default function PrescriptionDetail() {
                 {prescription.prescriptionNumber}
               </Typography>
               <StatusChip status={prescription.status} size="medium" />
+              <SignatureBadge prescription={prescription} />
+              <SyncStatusChip state={syncState} onClick={() => navigate('/sync')} />
             </Box>
             <Typography variant="body2" color="text.secondary">
-              Created on {format(new Date(prescription.createdAt), 'MMMM dd, yyyy at HH:mm')}
+              {t('detail.createdOn', { date: formatDate(prescription.createdAt, 'PPp') })}
+              {renewalDueDate && ` · ${t('detail.renewalDue', { date: formatDate(renewalDueDate, 'MMM dd, yyyy') })}`}
             </Typography>
+            {prescription.renewalOf && (
+              <Chip
+                icon={<RenewIcon />}
+                label={t('detail.renewalOf', { rxNumber: prescription.renewalOf.prescriptionNumber })}
+                size="small"
+                variant="outlined"
+                onClick={() => navigate(`/prescriptions/${prescription.renewalOf?.id}`)}
+                sx={{ mt: 0.5 }}
+              />
+            )}
           </Box>
         </Box>
 
         <Box sx={{ display: 'flex', gap: 1.5 }}>
+          {mayEdit && isRenewable(prescription) && (
+            <Button
+              variant="outlined"
+              startIcon={<RenewIcon />}
+              sx={{ borderRadius: 2 }}
+              onClick={handleRenew}
+            >
+              {t('dashboard.renew')}
+            </Button>
+          )}
+          {mayEdit && (
+            <Button
+              variant="outlined"
+              startIcon={<SaveTemplateIcon />}
+              sx={{ borderRadius: 2 }}
+              onClick={() => setSaveTemplateOpen(true)}
+            >
+              {t('detail.saveAsTemplate')}
+            </Button>
+          )}
+          <Button
+            variant="outlined"
+            startIcon={<FhirIcon />}
+            sx={{ borderRadius: 2 }}
+            onClick={(e) => setFhirMenuAnchor(e.currentTarget)}
+          >
+            FHIR
+          </Button>
+          <Menu anchorEl={fhirMenuAnchor} open={!!fhirMenuAnchor} onClose={() => setFhirMenuAnchor(null)}>
+            <MenuItem onClick={handleFhirExport}>
+              <ListItemIcon>
+                <ExportIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText primary={t('detail.fhirExport')} secondary="FHIR R4 JSON" />
+            </MenuItem>
+            {mayEdit && (
+              <MenuItem
+                onClick={() => {
+                  setFhirMenuAnchor(null);
+                  importInputRef.current?.click();
+                }}
+              >
+                <ListItemIcon>
+                  <ImportIcon fontSize="small" />
+                </ListItemIcon>
+                <ListItemText primary={t('detail.fhirImport')} secondary={t('detail.fhirImportHint')} />
+              </MenuItem>
+            )}
+          </Menu>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json,application/fhir+json"
+            hidden
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) handleFhirImport(file);
+            }}
+          />
           <Button
             variant="outlined"
             startIcon={<PrintIcon />}
             sx={{ borderRadius: 2 }}
-            onClick={() => window.print()}
+            onClick={() => setPrintOpen(true)}
           >
-            Print
+            {PRINTABLE_STATUSES.includes(prescription.status) ? t('common.print') : t('detail.previewSheet')}
           </Button>
           
+          {canEdit(prescription.status) && (
+            <Button
+              variant="outlined"
+              startIcon={<EditIcon />}
+              onClick={() => navigate(`/prescriptions/${prescription.id}/edit`)}
+              disabled={actionLoading}
+              sx={{ borderRadius: 2 }}
+            >
+              {t('common.edit')}
+            </Button>
+          )}
+
           {canApprove(prescription.status) && (
             <Button
               variant="contained"
               color="success"
               startIcon={<ApproveIcon />}
-              onClick={handleApprove}
+              onClick={() => handleApprove()}
               disabled={actionLoading}
               sx={{ borderRadius: 2 }}
             >
-              Approve
+              {t('history.approve')}
             </Button>
           )}
           
@@ -225,7 +454,7 @@ export default function PrescriptionDetail() {
               disabled={actionLoading}
               sx={{ borderRadius: 2 }}
             >
-              Cancel
+              {t('common.cancel')}
             </Button>
           )}
         </Box>
@@ -242,6 +471,19 @@ export default function PrescriptionDetail() {
           {error}
         </Alert>
       )}
+      {syncConflict && (
+        <Alert
+          severity="error"
+          sx={{ mb: 3 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => navigate('/sync')}>
+              {t('detail.resolve')}
+            </Button>
+          }
+        >
+          {t('detail.syncConflict', { reason: syncConflict.lastError || t('detail.noReasonGiven') })}
+        </Alert>
+      )}
 
       <Grid container spacing={3}>
         {/* Main Content */}
@@ -271,14 +513,14 @@ export default function PrescriptionDetail() {
             >
               <PersonIcon sx={{ color: 'primary.500' }} />
               <Typography variant="h6" fontWeight={600}>
-                Patient Information
+                {t('detail.patientInformation')}
               </Typography>
             </Box>
             <Box sx={{ p: 3 }}>
               <Grid container spacing={3}>
                 <Grid item xs={12} sm={6}>
                   <Typography variant="caption" color="text.secondary">
-                    Full Name
+                    {t('detail.fullName')}
                   </Typography>
                   <Typography variant="body1" fontWeight={500}>
                     {prescription.patient.name}
@@ -286,7 +528,7 @@ export default function PrescriptionDetail() {
                 </Grid>
                 <Grid item xs={12} sm={6}>
                   <Typography variant="caption" color="text.secondary">
-                    National ID
+                    {t('prescription.nationalId')}
                   </Typography>
                   <Typography variant="body1" fontWeight={500}>
                     {prescription.patient.nationalId}
@@ -294,20 +536,32 @@ export default function PrescriptionDetail() {
                 </Grid>
                 <Grid item xs={6} sm={3}>
                   <Typography variant="caption" color="text.secondary">
-                    Age
+                    {t('prescription.age')}
                   </Typography>
                   <Typography variant="body1" fontWeight={500}>
-                    {prescription.patient.age} years
+                    {t('common.years', { count: prescription.patient.age })}
                   </Typography>
                 </Grid>
                 <Grid item xs={6} sm={3}>
                   <Typography variant="caption" color="text.secondary">
-                    Gender
+                    {t('prescription.gender')}
                   </Typography>
-                  <Typography variant="body1" fontWeight={500} sx={{ textTransform: 'capitalize' }}>
-                    {prescription.patient.gender}
+                  <Typography variant="body1" fontWeight={500}>
+                    {t(prescription.patient.gender === 'female' ? 'common.female' : 'common.male')}
                   </Typography>
                 </Grid>
+                {(prescription.patient.weightKg || prescription.patient.heightCm) && (
+                  <Grid item xs={12} sm={6}>
+                    <Typography variant="caption" color="text.secondary">
+                      {t('detail.weightHeight')}
+                    </Typography>
+                    <Typography variant="body1" fontWeight={500}>
+                      {prescription.patient.weightKg ? t('detail.kg', { value: prescription.patient.weightKg }) : '—'}
+                      {' / '}
+                      {prescription.patient.heightCm ? t('detail.cm', { value: prescription.patient.heightCm }) : '—'}
+                    </Typography>
+                  </Grid>
+                )}
               </Grid>
             </Box>
           </Paper>
@@ -337,23 +591,55 @@ export default function PrescriptionDetail() {
             >
               <DiagnosisIcon sx={{ color: 'warning.600' }} />
               <Typography variant="h6" fontWeight={600}>
-                Diagnosis
+                {t('prescription.diagnosis')}
               </Typography>
             </Box>
             <Box sx={{ p: 3 }}>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+                {t('detail.primary')}
+              </Typography>
               <Typography variant="body1" fontWeight={500} sx={{ mb: 2 }}>
-                {prescription.diagnosis}
+                {formatDiagnosis({ code: prescription.icdCode, description: prescription.diagnosis })}
               </Typography>
+              {prescription.secondaryDiagnoses && prescription.secondaryDiagnoses.length > 0 && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+                    {t('detail.secondary')}
+                  </Typography>
+                  {prescription.secondaryDiagnoses.map((diagnosis, index) => (
+                    <Typography key={index} variant="body2" fontWeight={500}>
+                      {formatDiagnosis(diagnosis)}
+                    </Typography>
+                  ))}
+                </Box>
+              )}
               {prescription.clinicalNotes && (
                 <>
                   <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
-                    Clinical Notes
+                    {t('detail.clinicalNotes')}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
                     {prescription.clinicalNotes}
                   </Typography>
                 </>
               )}
+              {(prescription.identityOverride || prescription.interactionOverride) && (
+                <Box sx={{ mt: prescription.clinicalNotes ? 2 : 0 }}>
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+                    {t('detail.overrides')}
+                  </Typography>
+                  {prescription.identityOverride && (
+                    <Typography variant="body2" color="warning.dark">
+                      {t('detail.identityOverride')}
+                    </Typography>
+                  )}
+                  {prescription.interactionOverride && (
+                    <Typography variant="body2" color="warning.dark">
+                      {t('detail.interactionOverride', { reason: prescription.interactionOverride })}
+                    </Typography>
+                  )}
+                </Box>
+              )}
             </Box>
           </Paper>
 
@@ -381,10 +667,10 @@ export default function PrescriptionDetail() {
             >
               <MedicineIcon sx={{ color: 'success.600' }} />
               <Typography variant="h6" fontWeight={600}>
-                Medications
+                {t('prescription.medications')}
               </Typography>
               <Chip
-                label={prescription.medications.length}
+                label={formatNumber(prescription.medications.length)}
                 size="small"
                 sx={{ ml: 1, bgcolor: 'success.100', color: 'success.700' }}
               />
@@ -393,32 +679,74 @@ export default function PrescriptionDetail() {
               <Table>
                 <TableHead>
                   <TableRow>
-                    <TableCell sx={{ fontWeight: 600 }}>Medicine</TableCell>
-                    <TableCell sx={{ fontWeight: 600 }}>Dosage</TableCell>
-                    <TableCell sx={{ fontWeight: 600 }}>Frequency</TableCell>
-                    <TableCell sx={{ fontWeight: 600 }}>Duration</TableCell>
-                    <TableCell sx={{ fontWeight: 600 }}>Qty</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('detail.medicine')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('medication.indication')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('medication.dosage')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('medication.frequency')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('medication.duration')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('detail.qty')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('medication.refills')}</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {prescription.medications.map((med, index) => (
-                    <TableRow key={index}>
-                      <TableCell>
-                        <Typography variant="body2" fontWeight={500}>
-                          {med.medicineName}
-                        </Typography>
-                        {med.medicineGenericName && (
-                          <Typography variant="caption" color="text.secondary">
-                            {med.medicineGenericName}
+                  {prescription.medications.map((med, index) => {
+                    const indication = getMedicationIndication(prescription, med);
+                    return (
+                      <TableRow key={index}>
+                        <TableCell>
+                          <Typography variant="body2" fontWeight={500}>
+                            {med.medicineName}
                           </Typography>
-                        )}
-                      </TableCell>
-                      <TableCell>{med.dosage}</TableCell>
-                      <TableCell>{med.frequency?.replace(/_/g, ' ')}</TableCell>
-                      <TableCell>{med.duration?.replace(/_/g, ' ')}</TableCell>
-                      <TableCell>{med.quantity}</TableCell>
-                    </TableRow>
-                  ))}
+                          {med.medicineGenericName && (
+                            <Typography variant="caption" color="text.secondary">
+                              {med.medicineGenericName}
+                            </Typography>
+                          )}
+                          {med.sig && (
+                            <Typography variant="caption" color="primary.700" sx={{ display: 'block', mt: 0.5 }}>
+                              {describeSig(med.sig, language)}
+                            </Typography>
+                          )}
+                          {med.weightDose && (
+                            <Typography
+                              variant="caption"
+                              color={getWeightDoseWarnings(med.weightDose).length > 0 ? 'error.main' : 'text.secondary'}
+                              sx={{ display: 'block', mt: 0.5 }}
+                            >
+                              {describeWeightDose(med.weightDose)}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {indication ? (
+                            <Typography variant="body2">{formatDiagnosis(indication)}</Typography>
+                          ) : (
+                            <Typography variant="body2" color="text.secondary">
+                              {t('detail.notSpecified')}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{med.dosage}</TableCell>
+                        <TableCell>{getFrequencyLabel(med.frequency, language)}</TableCell>
+                        <TableCell>{getDurationLabel(med.duration, language)}</TableCell>
+                        <TableCell>{formatNumber(med.quantity)}</TableCell>
+                        <TableCell>
+                          {med.refills ? (
+                            <>
+                              <Typography variant="body2">{formatNumber(med.refills)}</Typography>
+                              {med.refillIntervalDays && (
+                                <Typography variant="caption" color="text.secondary">
+                                  {t('detail.everyDays', { count: med.refillIntervalDays })}
+                                </Typography>
+                              )}
+                            </>
+                          ) : (
+                            '—'
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
                 </TableBody>
               </Table>
             </TableContainer>
@@ -439,7 +767,7 @@ export default function PrescriptionDetail() {
             }}
           >
             <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 2 }}>
-              Prescribing Doctor
+              {t('detail.prescribingDoctor')}
             </Typography>
             <Typography variant="body1" fontWeight={600}>
               {prescription.doctor.name}
@@ -448,10 +776,97 @@ export default function PrescriptionDetail() {
               {prescription.doctor.specialty}
             </Typography>
             <Typography variant="caption" color="text.secondary">
-              License: {prescription.doctor.license}
+              {t('layout.license', { license: prescription.doctor.license })}
             </Typography>
           </Paper>
 
+          {/* AI Validation */}
+          <Paper
+            elevation={0}
+            sx={{
+              border: '1px solid',
+              borderColor: 'grey.200',
+              borderRadius: 2,
+              mb: 3,
+              overflow: 'hidden',
+            }}
+          >
+            <Box
+              sx={{
+                px: 3,
+                py: 2,
+                bgcolor: 'grey.50',
+                borderBottom: '1px solid',
+                borderColor: 'grey.200',
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1.5,
+              }}
+            >
+              <ValidationIcon sx={{ color: 'primary.500' }} />
+              <Typography variant="subtitle1" fontWeight={600} sx={{ mr: 'auto' }}>
+                {t('detail.aiValidation')}
+              </Typography>
+              {prescription.aiValidation && (
+                <Chip
+                  label={
+                    prescription.aiValidation.warnings.length === 0
+                      ? t('detail.validationPassed')
+                      : t('validation.warnings', { count: prescription.aiValidation.warnings.length })
+                  }
+                  size="small"
+                  color={prescription.aiValidation.warnings.length === 0 ? 'success' : 'warning'}
+                  sx={{ fontWeight: 600 }}
+                />
+              )}
+            </Box>
+            <Box sx={{ p: 2 }}>
+              {!prescription.aiValidation ? (
+                <Typography variant="body2" color="text.secondary" sx={{ py: 1, textAlign: 'center' }}>
+                  {t('detail.notValidated')}
+                </Typography>
+              ) : (
+                <>
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+                    {t('detail.checkedAt', { date: formatDate(prescription.aiValidation.checkedAt, 'MMM dd, yyyy HH:mm') })}
+                  </Typography>
+                  {prescription.aiValidation.warnings.map((warning, index) => {
+                    const ack = prescription.aiValidation?.acknowledgements?.find((a) => a.warning === warning);
+                    return (
+                      <Alert key={index} severity="warning" sx={{ mb: 1, borderRadius: 2 }}>
+                        <Typography variant="body2">{warning}</Typography>
+                        {ack && (
+                          <Typography variant="caption" color="text.secondary">
+                            {t(ack.action === 'overridden' ? 'detail.overriddenBy' : 'detail.acknowledgedBy', {
+                              reason: ack.reason || '',
+                              name: ack.acknowledgedBy,
+                              date: formatDate(ack.acknowledgedAt, 'MMM dd HH:mm'),
+                            })}
+                          </Typography>
+                        )}
+                      </Alert>
+                    );
+                  })}
+                </>
+              )}
+            </Box>
+          </Paper>
+
+          {/* Insurance Coverage */}
+          {(coverage || coverageLoading) && (
+            <Box sx={{ mb: 3 }}>
+              <InsuranceCoverageCard
+                coverage={coverage}
+                loading={coverageLoading}
+                lines={prescription.medications.map((med) => ({
+                  name: med.medicineName,
+                  quantity: med.quantity,
+                  unitPrice: med.unitPrice,
+                }))}
+              />
+            </Box>
+          )}
+
           {/* History */}
           <Paper
             elevation={0}
@@ -476,13 +891,13 @@ export default function PrescriptionDetail() {
             >
               <HistoryIcon sx={{ color: 'grey.600' }} />
               <Typography variant="subtitle1" fontWeight={600}>
-                Activity History
+                {t('detail.activityHistory')}
               </Typography>
             </Box>
             <Box sx={{ p: 2 }}>
               {history.length === 0 ? (
                 <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
-                  No history available
+                  {t('detail.noHistory')}
                 </Typography>
               ) : (
                 history.map((item, index) => (
@@ -497,8 +912,14 @@ export default function PrescriptionDetail() {
                     <Typography variant="body2" fontWeight={500}>
                       {item.action}
                     </Typography>
+                    {item.details && (
+                      <Typography variant="body2" color="text.secondary">
+                        {item.details}
+                      </Typography>
+                    )}
                     <Typography variant="caption" color="text.secondary">
-                      {format(new Date(item.timestamp), 'MMM dd, yyyy HH:mm')}
+                      {formatDate(item.timestamp, 'MMM dd, yyyy HH:mm')}
+                      {item.performedBy && ` · ${item.performedBy}`}
                     </Typography>
                   </Box>
                 ))
@@ -508,17 +929,67 @@ export default function PrescriptionDetail() {
         </Grid>
       </Grid>
 
+      {/* Suspended Coverage Confirmation */}
+      <Dialog open={coverageConfirmOpen} onClose={() => setCoverageConfirmOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('detail.coverageSuspendedTitle')}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            {t('detail.coverageSuspendedBody')}
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button onClick={() => setCoverageConfirmOpen(false)}>{t('detail.goBack')}</Button>
+          <Button
+            variant="contained"
+            color="warning"
+            onClick={() => {
+              setCoverageConfirmOpen(false);
+              handleApprove(true);
+            }}
+          >
+            {t('detail.approveAnyway')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Printable Prescription Sheet */}
+      <PrintPreviewDialog
+        open={printOpen}
+        prescription={prescription}
+        clinicName={user?.clinicName}
+        onClose={() => setPrintOpen(false)}
+      />
+
+      <SaveTemplateDialog
+        open={saveTemplateOpen}
+        diagnosis={prescription.diagnosis}
+        icd10={prescription.icdCode ? { code: prescription.icdCode, description: prescription.diagnosis } : null}
+        medications={prescription.medications}
+        onClose={() => setSaveTemplateOpen(false)}
+        onSaved={(template) => setSuccessMessage(t('detail.templateSaved', { name: template.name }))}
+      />
+
+      {/* AI Validation Review */}
+      <ValidationReviewDialog
+        open={!!pendingValidation}
+        validation={pendingValidation}
+        reviewer={user?.name || prescription.doctor.name}
+        loading={actionLoading}
+        onCancel={() => setPendingValidation(null)}
+        onConfirm={handleValidationConfirm}
+      />
+
       {/* Cancel Dialog */}
       <Dialog open={cancelDialogOpen} onClose={() => setCancelDialogOpen(false)} maxWidth="sm" fullWidth>
-        <DialogTitle>Cancel Prescription</DialogTitle>
+        <DialogTitle>{t('detail.cancelTitle')}</DialogTitle>
         <DialogContent>
           <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-            Are you sure you want to cancel this prescription? This action cannot be undone.
+            {t('detail.cancelBody')}
           </Typography>
           <TextField
             fullWidth
-            label="Reason for Cancellation (Optional)"
-            placeholder="Enter reason..."
+            label={t('detail.cancelReason')}
+            placeholder={t('detail.cancelReasonPlaceholder')}
             value={cancelReason}
             onChange={(e) => setCancelReason(e.target.value)}
             multiline
@@ -527,7 +998,7 @@ export default function PrescriptionDetail() {
         </DialogContent>
         <DialogActions sx={{ p: 2 }}>
           <Button onClick={() => setCancelDialogOpen(false)}>
-            Keep Prescription
+            {t('detail.keepPrescription')}
           </Button>
           <Button
             variant="contained"
@@ -535,7 +1006,7 @@ export default function PrescriptionDetail() {
             onClick={handleCancel}
             disabled={actionLoading}
           >
-            Cancel Prescription
+            {t('detail.cancelTitle')}
           </Button>
         </DialogActions>
       </Dialog>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import {
   Box,
@@ -36,28 +36,77 @@ import {
   Cancel as CancelIcon,
   FilterList as FilterIcon,
   Refresh as RefreshIcon,
+  ReportProblem as RecallIcon,
+  Edit as EditIcon,
+  Sort as SortIcon,
+  Autorenew as RenewIcon,
+  FileDownload as ExportIcon,
 } from '@mui/icons-material';
-import { format } from 'date-fns';
 import { apiService } from '../services/api';
-import { StatusChip } from '../components/prescription';
-import { useDebounce } from '../hooks';
+import { useAuth } from '../contexts/AuthContext';
+import { useLocale } from '../contexts/LocaleContext';
+import {
+  StatusChip,
+  SyncStatusChip,
+  ValidationReviewDialog,
+  ExportPrescriptionsDialog,
+} from '../components/prescription';
+import {
+  useDebounce,
+  useDrugRecalls,
+  useOutbox,
+  usePrevious,
+  usePermission,
+  usePrescriptionDrafts,
+} from '../hooks';
+import { renewalToDraft } from '../services/draftStore';
+import { isRenewable } from '../utils/medication';
 import { SEARCH_DEBOUNCE_MS, DEFAULT_PAGE_SIZE } from '../config/constants';
-import type { Prescription, PrescriptionStatus } from '../types';
-
-const statusOptions: { value: string; label: string }[] = [
-  { value: 'all', label: 'All Statuses' },
-  { value: 'draft', label: 'Draft' },
-  { value: 'pending_validation', label: 'Pending Validation' },
-  { value: 'approved', label: 'Approved' },
-  { value: 'dispensed', label: 'Dispensed' },
-  { value: 'cancelled', label: 'Cancelled' },
-  { value: 'rejected', label: 'Rejected' },
-  { value: 'expired', label: 'Expired' },
+import type { MessageKey } from '../i18n';
+import type {
+  Prescription,
+  PrescriptionStatus,
+  DrugRecall,
+  AIValidationResult,
+  ValidationAcknowledgement,
+  PrescriptionSearchParams,
+  PrescriptionSortField,
+} from '../types';
+
+// Statuses where the patient may already hold the medicine
+const RECALL_FLAG_STATUSES: PrescriptionStatus[] = ['approved', 'active', 'dispensed'];
+
+const statusOptions: { value: string; label: MessageKey }[] = [
+  { value: 'all', label: 'history.allStatuses' },
+  { value: 'draft', label: 'status.draft' },
+  { value: 'pending_validation', label: 'status.pending_validation' },
+  { value: 'approved', label: 'status.approved' },
+  { value: 'dispensed', label: 'status.dispensed' },
+  { value: 'cancelled', label: 'status.cancelled' },
+  { value: 'rejected', label: 'status.rejected' },
+  { value: 'expired', label: 'status.expired' },
+];
+
+const sortOptions: { value: string; label: MessageKey }[] = [
+  { value: 'date:desc', label: 'history.sortNewest' },
+  { value: 'date:asc', label: 'history.sortOldest' },
+  { value: 'patient:asc', label: 'history.sortPatientAsc' },
+  { value: 'patient:desc', label: 'history.sortPatientDesc' },
+  { value: 'status:asc', label: 'prescription.status' },
+  { value: 'prescriptionNumber:desc', label: 'prescription.rxNumber' },
 ];
 
 export default function PrescriptionHistory() {
   const navigate = useNavigate();
   const location = useLocation();
+  const { user } = useAuth();
+  const { t, direction, formatNumber, formatDate } = useLocale();
+  const menuSide = direction === 'rtl' ? 'left' : 'right';
+  const { operations: queuedOperations, getSyncState } = useOutbox();
+  const mayApprove = usePermission('prescription:approve');
+  const mayCancel = usePermission('prescription:cancel');
+  const mayCreate = usePermission('prescription:create');
+  const { saveDraft } = usePrescriptionDrafts(user?.id);
 
   // Data state
   const [prescriptions, setPrescriptions] = useState<Prescription[]>([]);
@@ -67,6 +116,9 @@ export default function PrescriptionHistory() {
   // Filter state
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [sortBy, setSortBy] = useState('date:desc');
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(DEFAULT_PAGE_SIZE);
 
@@ -76,62 +128,87 @@ export default function PrescriptionHistory() {
   const [actionMenuAnchor, setActionMenuAnchor] = useState<null | HTMLElement>(null);
   const [selectedPrescription, setSelectedPrescription] = useState<Prescription | null>(null);
   const [actionLoading, setActionLoading] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  // Prescription whose AI validation warnings are awaiting review
+  const [reviewTarget, setReviewTarget] = useState<{
+    prescription: Prescription;
+    validation: AIValidationResult;
+  } | null>(null);
 
   const debouncedSearch = useDebounce(searchQuery, SEARCH_DEBOUNCE_MS);
+  const { findRecall } = useDrugRecalls();
+
+  const getPrescriptionRecalls = (prescription: Prescription): DrugRecall[] => {
+    if (!RECALL_FLAG_STATUSES.includes(prescription.status)) return [];
+    return prescription.medications
+      .map((med) => findRecall(med))
+      .filter((recall): recall is DrugRecall => !!recall);
+  };
 
-  // Check for success message from navigation state
+  // Check for success or error message from navigation state
   useEffect(() => {
-    const state = location.state as { success?: string } | null;
-    if (state?.success) {
-      setSuccessMessage(state.success);
+    const state = location.state as { success?: string; error?: string } | null;
+    if (state?.success || state?.error) {
+      if (state.success) setSuccessMessage(state.success);
+      if (state.error) setError(state.error);
       // Clear the state
       window.history.replaceState({}, document.title);
     }
   }, [location.state]);
 
+  // Current filters and sort order, shared by the list and exports
+  const searchParams = useMemo<PrescriptionSearchParams>(() => {
+    const [sort, order] = sortBy.split(':') as [PrescriptionSortField, 'asc' | 'desc'];
+    const search = debouncedSearch.trim();
+    return {
+      status: statusFilter !== 'all' ? [statusFilter as PrescriptionStatus] : undefined,
+      dateFrom: dateFrom || undefined,
+      dateTo: dateTo || undefined,
+      // A full National ID searches by patient identifier
+      patientIdentifier: /^\d{14}$/.test(search) ? search : undefined,
+      text: search && !/^\d{14}$/.test(search) ? search : undefined,
+      sort,
+      order,
+    };
+  }, [statusFilter, dateFrom, dateTo, sortBy, debouncedSearch]);
+
   const fetchPrescriptions = useCallback(async () => {
     setLoading(true);
     setError('');
 
     try {
       const response = await apiService.listPrescriptions({
+        ...searchParams,
         limit: rowsPerPage,
         offset: page * rowsPerPage,
       });
 
       if (response.success) {
-        let data = response.data || [];
-
-        // Apply client-side filtering (in production, this should be server-side)
-        if (statusFilter !== 'all') {
-          data = data.filter((p) => p.status === statusFilter);
-        }
-
-        if (debouncedSearch) {
-          const search = debouncedSearch.toLowerCase();
-          data = data.filter(
-            (p) =>
-              p.prescriptionNumber.toLowerCase().includes(search) ||
-              p.patient.name.toLowerCase().includes(search) ||
-              p.diagnosis.toLowerCase().includes(search)
-          );
-        }
-
+        const data = response.data || [];
         setPrescriptions(data);
-        setTotal(response.total || data.length);
+        setTotal(response.total ?? data.length);
       }
     } catch (err) {
       console.error('Failed to fetch prescriptions:', err);
-      setError('Failed to load prescriptions. Please try again.');
+      setError(t('history.loadFailed'));
     } finally {
       setLoading(false);
     }
-  }, [page, rowsPerPage, statusFilter, debouncedSearch]);
+  }, [page, rowsPerPage, searchParams]);
 
   useEffect(() => {
     fetchPrescriptions();
   }, [fetchPrescriptions]);
 
+  // Reload once queued writes sync, so rows pick up their server IDs
+  const queuedCount = queuedOperations.length;
+  const previousQueuedCount = usePrevious(queuedCount);
+  useEffect(() => {
+    if (previousQueuedCount !== undefined && queuedCount < previousQueuedCount) {
+      fetchPrescriptions();
+    }
+  }, [queuedCount, previousQueuedCount, fetchPrescriptions]);
+
   const handleActionMenuOpen = (event: React.MouseEvent<HTMLElement>, prescription: Prescription) => {
     event.stopPropagation();
     setActionMenuAnchor(event.currentTarget);
@@ -150,17 +227,60 @@ export default function PrescriptionHistory() {
     handleActionMenuClose();
 
     try {
-      await apiService.updatePrescriptionStatus(selectedPrescription.id, status);
-      setSuccessMessage(`Prescription ${status === 'approved' ? 'approved' : 'cancelled'} successfully`);
+      if (status === 'approved') {
+        const validation = await apiService.validatePrescription(selectedPrescription);
+        if (!validation.success) {
+          throw new Error(validation.error || t('history.validationFailed'));
+        }
+        // Warnings must be reviewed before the prescription can be signed
+        if (validation.data.warnings.length > 0) {
+          setReviewTarget({ prescription: selectedPrescription, validation: validation.data });
+          return;
+        }
+        await apiService.saveValidationReview(selectedPrescription.id, validation.data);
+        await apiService.approvePrescription(selectedPrescription);
+      } else {
+        await apiService.updatePrescriptionStatus(selectedPrescription.id, status);
+      }
+      setSuccessMessage(t(status === 'approved' ? 'history.approvedSuccess' : 'history.cancelledSuccess'));
       fetchPrescriptions();
     } catch (err) {
       console.error('Failed to update prescription status:', err);
-      setError('Failed to update prescription status. Please try again.');
+      setError(
+        err instanceof Error
+          ? t(status === 'approved' ? 'history.approveFailedWithReason' : 'history.cancelFailedWithReason', {
+              reason: err.message,
+            })
+          : t('history.statusUpdateFailed')
+      );
     } finally {
       setActionLoading(false);
     }
   };
 
+  const handleValidationConfirm = async (acknowledgements: ValidationAcknowledgement[]) => {
+    if (!reviewTarget) return;
+
+    setActionLoading(true);
+    try {
+      await apiService.saveValidationReview(reviewTarget.prescription.id, {
+        ...reviewTarget.validation,
+        acknowledgements,
+      });
+      await apiService.approvePrescription(reviewTarget.prescription);
+      setSuccessMessage(t('history.approvedSuccess'));
+      fetchPrescriptions();
+    } catch (err) {
+      console.error('Failed to approve prescription:', err);
+      setError(
+        err instanceof Error ? t('history.approveFailedWithReason', { reason: err.message }) : t('history.approveFailed')
+      );
+    } finally {
+      setReviewTarget(null);
+      setActionLoading(false);
+    }
+  };
+
   const handleViewDetails = () => {
     if (selectedPrescription) {
       navigate(`/prescriptions/${selectedPrescription.id}`);
@@ -168,6 +288,22 @@ export default function PrescriptionHistory() {
     handleActionMenuClose();
   };
 
+  const handleEditDraft = () => {
+    if (selectedPrescription) {
+      navigate(`/prescriptions/${selectedPrescription.id}/edit`);
+    }
+    handleActionMenuClose();
+  };
+
+  const handleRenew = () => {
+    if (selectedPrescription) {
+      const draftId = `renew-${Date.now().toString(36)}`;
+      saveDraft(renewalToDraft(selectedPrescription, draftId));
+      navigate(`/prescriptions/new?draft=${draftId}`);
+    }
+    handleActionMenuClose();
+  };
+
   const handleChangePage = (_event: unknown, newPage: number) => {
     setPage(newPage);
   };
@@ -182,12 +318,21 @@ export default function PrescriptionHistory() {
     setPage(0);
   };
 
+  const handleSortChange = (event: SelectChangeEvent) => {
+    setSortBy(event.target.value);
+    setPage(0);
+  };
+
   const canApprove = (status: PrescriptionStatus): boolean => {
-    return status === 'draft' || status === 'pending_validation';
+    return mayApprove && (status === 'draft' || status === 'pending_validation');
   };
 
   const canCancel = (status: PrescriptionStatus): boolean => {
-    return status === 'draft' || status === 'approved';
+    return mayCancel && (status === 'draft' || status === 'approved');
+  };
+
+  const canEdit = (status: PrescriptionStatus): boolean => {
+    return mayCreate && status === 'draft';
   };
 
   return (
@@ -205,27 +350,40 @@ export default function PrescriptionHistory() {
       >
         <Box>
           <Typography variant="h4" fontWeight={700}>
-            Prescription History
+            {t('nav.history')}
           </Typography>
           <Typography variant="body2" color="text.secondary">
-            View and manage all prescriptions
+            {t('history.subtitle')}
           </Typography>
         </Box>
 
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={() => navigate('/prescriptions/new')}
-          sx={{
-            px: 3,
-            py: 1.25,
-            borderRadius: 2,
-            fontWeight: 600,
-            background: 'linear-gradient(135deg, #0d7fa0 0%, #084c60 100%)',
-          }}
-        >
-          New Prescription
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1.5 }}>
+          <Button
+            variant="outlined"
+            startIcon={<ExportIcon />}
+            onClick={() => setExportOpen(true)}
+            disabled={loading && total === 0}
+            sx={{ px: 3, py: 1.25, borderRadius: 2, fontWeight: 600 }}
+          >
+            {t('common.export')}
+          </Button>
+          {mayCreate && (
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => navigate('/prescriptions/new')}
+              sx={{
+                px: 3,
+                py: 1.25,
+                borderRadius: 2,
+                fontWeight: 600,
+                background: 'linear-gradient(135deg, #0d7fa0 0%, #084c60 100%)',
+              }}
+            >
+              {t('nav.newPrescription')}
+            </Button>
+          )}
+        </Box>
       </Box>
 
       {/* Alerts */}
@@ -265,9 +423,12 @@ export default function PrescriptionHistory() {
           }}
         >
           <TextField
-            placeholder="Search by Rx#, patient name, or diagnosis..."
+            placeholder={t('history.searchPlaceholder')}
             value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setPage(0);
+            }}
             size="small"
             sx={{ minWidth: 300, flex: 1 }}
             InputProps={{
@@ -292,13 +453,59 @@ export default function PrescriptionHistory() {
             >
               {statusOptions.map((option) => (
                 <MenuItem key={option.value} value={option.value}>
-                  {option.label}
+                  {t(option.label)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <TextField
+            type="date"
+            size="small"
+            label={t('analytics.from')}
+            value={dateFrom}
+            onChange={(e) => {
+              setDateFrom(e.target.value);
+              setPage(0);
+            }}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: dateTo || undefined }}
+            sx={{ width: 160 }}
+          />
+
+          <TextField
+            type="date"
+            size="small"
+            label={t('analytics.to')}
+            value={dateTo}
+            onChange={(e) => {
+              setDateTo(e.target.value);
+              setPage(0);
+            }}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: dateFrom || undefined }}
+            sx={{ width: 160 }}
+          />
+
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <Select
+              value={sortBy}
+              onChange={handleSortChange}
+              startAdornment={
+                <InputAdornment position="start">
+                  <SortIcon sx={{ color: 'grey.500', fontSize: 20 }} />
+                </InputAdornment>
+              }
+            >
+              {sortOptions.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {t(option.label)}
                 </MenuItem>
               ))}
             </Select>
           </FormControl>
 
-          <Tooltip title="Refresh">
+          <Tooltip title={t('common.refresh')}>
             <IconButton onClick={fetchPrescriptions} disabled={loading}>
               <RefreshIcon />
             </IconButton>
@@ -320,14 +527,14 @@ export default function PrescriptionHistory() {
           <Table>
             <TableHead>
               <TableRow sx={{ bgcolor: 'grey.50' }}>
-                <TableCell sx={{ fontWeight: 600 }}>Rx Number</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Patient</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Diagnosis</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Medications</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
-                <TableCell sx={{ fontWeight: 600 }}>Date</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{t('prescription.rxNumber')}</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{t('prescription.patient')}</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{t('prescription.diagnosis')}</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{t('prescription.medications')}</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{t('prescription.status')}</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{t('prescription.date')}</TableCell>
                 <TableCell sx={{ fontWeight: 600, width: 60 }} align="center">
-                  Actions
+                  {t('prescription.actions')}
                 </TableCell>
               </TableRow>
             </TableHead>
@@ -349,87 +556,111 @@ export default function PrescriptionHistory() {
                   <TableCell colSpan={7} align="center" sx={{ py: 8 }}>
                     <Typography color="text.secondary" sx={{ mb: 2 }}>
                       {searchQuery || statusFilter !== 'all'
-                        ? 'No prescriptions match your filters'
-                        : 'No prescriptions found'}
+                        ? t('history.noMatches')
+                        : t('history.noPrescriptions')}
                     </Typography>
-                    {!searchQuery && statusFilter === 'all' && (
+                    {mayCreate && !searchQuery && statusFilter === 'all' && (
                       <Button
                         variant="outlined"
                         startIcon={<AddIcon />}
                         onClick={() => navigate('/prescriptions/new')}
                       >
-                        Create First Prescription
+                        {t('dashboard.createFirst')}
                       </Button>
                     )}
                   </TableCell>
                 </TableRow>
               ) : (
-                prescriptions.map((prescription) => (
-                  <TableRow
-                    key={prescription.id}
-                    hover
-                    sx={{ cursor: 'pointer' }}
-                    onClick={() => navigate(`/prescriptions/${prescription.id}`)}
-                  >
-                    <TableCell>
-                      <Typography variant="body2" fontWeight={600} sx={{ color: 'primary.600' }}>
-                        {prescription.prescriptionNumber}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2" fontWeight={500}>
-                        {prescription.patient.name}
-                      </Typography>
-                      <Typography variant="caption" color="text.secondary">
-                        {prescription.patient.nationalId}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Typography
-                        variant="body2"
-                        sx={{
-                          maxWidth: 200,
-                          overflow: 'hidden',
-                          textOverflow: 'ellipsis',
-                          whiteSpace: 'nowrap',
-                        }}
-                      >
-                        {prescription.diagnosis}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Chip
-                        label={prescription.medications.length}
-                        size="small"
-                        sx={{
-                          minWidth: 32,
-                          bgcolor: 'grey.100',
-                          fontWeight: 600,
-                        }}
-                      />
-                    </TableCell>
-                    <TableCell>
-                      <StatusChip status={prescription.status} />
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2" color="text.secondary">
-                        {format(new Date(prescription.createdAt), 'MMM dd, yyyy')}
-                      </Typography>
-                      <Typography variant="caption" color="text.secondary">
-                        {format(new Date(prescription.createdAt), 'HH:mm')}
-                      </Typography>
-                    </TableCell>
-                    <TableCell align="center">
-                      <IconButton
-                        size="small"
-                        onClick={(e) => handleActionMenuOpen(e, prescription)}
-                        disabled={actionLoading}
-                      >
-                        <MoreIcon />
-                      </IconButton>
-                    </TableCell>
-                  </TableRow>
-                ))
+                prescriptions.map((prescription) => {
+                  const recalls = getPrescriptionRecalls(prescription);
+                  return (
+                    <TableRow
+                      key={prescription.id}
+                      hover
+                      sx={{ cursor: 'pointer' }}
+                      onClick={() => navigate(`/prescriptions/${prescription.id}`)}
+                    >
+                      <TableCell>
+                        <Typography variant="body2" fontWeight={600} sx={{ color: 'primary.600' }}>
+                          {prescription.prescriptionNumber}
+                        </Typography>
+                        {recalls.length > 0 && (
+                          <Tooltip
+                            title={t('history.recallTooltip', {
+                              recalls: recalls
+                                .map((r) => `${r.medicineName} (${t('dashboard.recallClass', { recallClass: r.recallClass })}) - ${r.reason}`)
+                                .join('; '),
+                            })}
+                          >
+                            <Chip
+                              icon={<RecallIcon />}
+                              label={t('history.recalledDrug')}
+                              size="small"
+                              color="error"
+                              variant="outlined"
+                              sx={{ mt: 0.5, height: 22, fontSize: '0.7rem' }}
+                            />
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight={500}>
+                          {prescription.patient.name}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {prescription.patient.nationalId}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Typography
+                          variant="body2"
+                          sx={{
+                            maxWidth: 200,
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap',
+                          }}
+                        >
+                          {prescription.diagnosis}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={formatNumber(prescription.medications.length)}
+                          size="small"
+                          sx={{
+                            minWidth: 32,
+                            bgcolor: 'grey.100',
+                            fontWeight: 600,
+                          }}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: 0.5 }}>
+                          <StatusChip status={prescription.status} />
+                          <SyncStatusChip state={getSyncState(prescription.id)} />
+                        </Box>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="text.secondary">
+                          {formatDate(prescription.createdAt, 'MMM dd, yyyy')}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {formatDate(prescription.createdAt, 'HH:mm')}
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="center">
+                        <IconButton
+                          size="small"
+                          onClick={(e) => handleActionMenuOpen(e, prescription)}
+                          disabled={actionLoading}
+                        >
+                          <MoreIcon />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
               )}
             </TableBody>
           </Table>
@@ -451,22 +682,40 @@ export default function PrescriptionHistory() {
         anchorEl={actionMenuAnchor}
         open={Boolean(actionMenuAnchor)}
         onClose={handleActionMenuClose}
-        transformOrigin={{ horizontal: 'right', vertical: 'top' }}
-        anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
+        transformOrigin={{ horizontal: menuSide, vertical: 'top' }}
+        anchorOrigin={{ horizontal: menuSide, vertical: 'bottom' }}
       >
         <MenuItem onClick={handleViewDetails}>
           <ListItemIcon>
             <ViewIcon fontSize="small" />
           </ListItemIcon>
-          <ListItemText>View Details</ListItemText>
+          <ListItemText>{t('history.viewDetails')}</ListItemText>
         </MenuItem>
 
+        {selectedPrescription && canEdit(selectedPrescription.status) && (
+          <MenuItem onClick={handleEditDraft}>
+            <ListItemIcon>
+              <EditIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>{t('history.editDraft')}</ListItemText>
+          </MenuItem>
+        )}
+
+        {selectedPrescription && mayCreate && isRenewable(selectedPrescription) && (
+          <MenuItem onClick={handleRenew}>
+            <ListItemIcon>
+              <RenewIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>{t('dashboard.renew')}</ListItemText>
+          </MenuItem>
+        )}
+
         {selectedPrescription && canApprove(selectedPrescription.status) && (
           <MenuItem onClick={() => handleStatusUpdate('approved')}>
             <ListItemIcon>
               <ApproveIcon fontSize="small" sx={{ color: 'success.main' }} />
             </ListItemIcon>
-            <ListItemText>Approve</ListItemText>
+            <ListItemText>{t('history.approve')}</ListItemText>
           </MenuItem>
         )}
 
@@ -475,10 +724,29 @@ export default function PrescriptionHistory() {
             <ListItemIcon>
               <CancelIcon fontSize="small" sx={{ color: 'error.main' }} />
             </ListItemIcon>
-            <ListItemText sx={{ color: 'error.main' }}>Cancel</ListItemText>
+            <ListItemText sx={{ color: 'error.main' }}>{t('common.cancel')}</ListItemText>
           </MenuItem>
         )}
       </Menu>
+
+      <ExportPrescriptionsDialog
+        open={exportOpen}
+        params={searchParams}
+        total={loading ? undefined : total}
+        clinicName={user?.clinicName}
+        generatedBy={user?.name}
+        onClose={() => setExportOpen(false)}
+      />
+
+      {/* AI Validation Review */}
+      <ValidationReviewDialog
+        open={!!reviewTarget}
+        validation={reviewTarget?.validation || null}
+        reviewer={user?.name || reviewTarget?.prescription.doctor.name || t('role.doctor')}
+        loading={actionLoading}
+        onCancel={() => setReviewTarget(null)}
+        onConfirm={handleValidationConfirm}
+      />
     </Box>
   );
 }
@@ -0,0 +1,255 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Alert,
+  Chip,
+  Tooltip,
+} from '@mui/material';
+import {
+  Sync as SyncIcon,
+  Replay as RetryIcon,
+  DeleteOutline as DiscardIcon,
+  CloudDone as SyncedIcon,
+} from '@mui/icons-material';
+import { apiService } from '../services/api';
+import { useOutbox } from '../hooks';
+import { useLocale } from '../contexts/LocaleContext';
+import { getStatusLabel, translate } from '../i18n';
+import type { OutboxOperation } from '../types';
+
+function describeOperation(op: OutboxOperation): string {
+  switch (op.type) {
+    case 'create':
+      return translate('sync.opCreate');
+    case 'update':
+      return translate('sync.opUpdate');
+    case 'status':
+      return translate('sync.opStatus', {
+        status: op.status ? getStatusLabel(op.status) : translate('sync.unknownStatus'),
+      });
+    case 'cancel':
+      return op.reason ? translate('sync.opCancelReason', { reason: op.reason }) : translate('sync.opCancel');
+    case 'review':
+      return translate('sync.opReview');
+  }
+}
+
+/**
+ * Prescription writes made while NDP was unreachable, in replay order.
+ * Rejected writes stop later writes for the same prescription until
+ * they are retried or discarded here.
+ */
+export default function SyncQueue() {
+  const navigate = useNavigate();
+  const { operations, conflicts } = useOutbox();
+  const { t, formatDate, formatRelative } = useLocale();
+  const [syncing, setSyncing] = useState(false);
+  const [busySeq, setBusySeq] = useState<number | null>(null);
+  const [error, setError] = useState('');
+
+  const handleSync = async () => {
+    setSyncing(true);
+    setError('');
+    try {
+      await apiService.syncOutbox();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t('sync.syncFailed'));
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleRetry = async (seq: number) => {
+    setBusySeq(seq);
+    setError('');
+    try {
+      await apiService.retryOutboxOperation(seq);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t('sync.retryFailed'));
+    } finally {
+      setBusySeq(null);
+    }
+  };
+
+  const handleDiscard = async (op: OutboxOperation) => {
+    const message =
+      op.type === 'create'
+        ? t('sync.confirmDiscardCreate', { number: op.prescriptionNumber })
+        : t('sync.confirmDiscardChange', { number: op.prescriptionNumber });
+    if (!window.confirm(message)) return;
+
+    setBusySeq(op.seq!);
+    setError('');
+    try {
+      await apiService.discardOutboxOperation(op.seq!);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t('sync.discardFailed'));
+    } finally {
+      setBusySeq(null);
+    }
+  };
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          mb: 4,
+          flexWrap: 'wrap',
+          gap: 2,
+        }}
+      >
+        <Box>
+          <Typography variant="h4" fontWeight={700}>
+            {t('sync.title')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t('sync.subtitle')}
+          </Typography>
+        </Box>
+
+        <Button
+          variant="contained"
+          startIcon={<SyncIcon />}
+          onClick={handleSync}
+          disabled={syncing || operations.length === 0}
+          sx={{ borderRadius: 2 }}
+        >
+          {syncing ? t('sync.syncing') : t('sync.syncNow')}
+        </Button>
+      </Box>
+
+      {/* Alerts */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {conflicts.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 3, borderRadius: 2 }}>
+          {t('sync.conflicts', { count: conflicts.length })}
+        </Alert>
+      )}
+
+      <Paper
+        elevation={0}
+        sx={{
+          border: '1px solid',
+          borderColor: 'grey.200',
+          borderRadius: 2,
+          overflow: 'hidden',
+        }}
+      >
+        {operations.length === 0 ? (
+          <Box sx={{ p: 6, textAlign: 'center' }}>
+            <SyncedIcon sx={{ fontSize: 48, color: 'success.main', mb: 1 }} />
+            <Typography variant="h6" fontWeight={600}>
+              {t('sync.emptyTitle')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {t('sync.emptyBody')}
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('sync.colPrescription')}</TableCell>
+                  <TableCell>{t('sync.colChange')}</TableCell>
+                  <TableCell>{t('sync.colQueued')}</TableCell>
+                  <TableCell>{t('sync.colStatus')}</TableCell>
+                  <TableCell align="right">{t('sync.colActions')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {operations.map((op) => {
+                  const conflict = op.state === 'conflict';
+                  const statusLabel = conflict
+                    ? t('status.rejected')
+                    : op.attempts > 0
+                      ? t('sync.retryAt', { when: formatRelative(op.nextAttemptAt) })
+                      : t('status.pending');
+                  return (
+                    <TableRow key={op.seq} hover>
+                      <TableCell>
+                        <Typography
+                          variant="body2"
+                          fontWeight={600}
+                          color="primary.main"
+                          sx={{ cursor: 'pointer' }}
+                          onClick={() => navigate(`/prescriptions/${op.prescriptionId}`)}
+                        >
+                          {op.prescriptionNumber}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{describeOperation(op)}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="text.secondary">
+                          {formatDate(op.queuedAt, 'MMM dd, yyyy HH:mm')}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={op.lastError || ''}>
+                          <Chip
+                            label={statusLabel}
+                            size="small"
+                            color={conflict ? 'error' : 'warning'}
+                            variant={conflict ? 'filled' : 'outlined'}
+                            sx={{ fontWeight: 600 }}
+                          />
+                        </Tooltip>
+                        {conflict && op.lastError && (
+                          <Typography variant="caption" color="error.main" sx={{ display: 'block', mt: 0.5 }}>
+                            {op.lastError}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                          <Button
+                            size="small"
+                            startIcon={<RetryIcon />}
+                            onClick={() => handleRetry(op.seq!)}
+                            disabled={busySeq === op.seq || syncing}
+                          >
+                            {t('common.retry')}
+                          </Button>
+                          <Button
+                            size="small"
+                            color="error"
+                            startIcon={<DiscardIcon />}
+                            onClick={() => handleDiscard(op)}
+                            disabled={busySeq === op.seq || syncing}
+                          >
+                            {t('common.discard')}
+                          </Button>
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+    </Box>
+  );
+}
@@ -3,3 +3,5 @@ export { default as Dashboard } from './Dashboard';
 export { default as CreatePrescription } from './CreatePrescription';
 export { default as PrescriptionHistory } from './PrescriptionHistory';
 export { default as PrescriptionDetail } from './PrescriptionDetail';
+export { default as SyncQueue } from './SyncQueue';
+export { default as Analytics } from './Analytics';
@@ -0,0 +1,114 @@
+import { format, parseISO, subDays } from 'date-fns';
+import {
+  ANALYTICS_CACHE_KEY_PREFIX,
+  ANALYTICS_CACHE_VERSION,
+  ANALYTICS_CACHE_TTL_MS,
+  ANALYTICS_RESYNC_DAYS,
+} from '../config/constants';
+import type { AnalyticsFact, AnalyticsQuery } from '../types';
+
+// ============================================================
+// Analytics cache
+// When the stats endpoint is unavailable, analytics are aggregated
+// on the device from compact facts about each prescription. The
+// facts are kept per user with the date from which they are complete,
+// so later queries only fetch older days the cache does not cover yet
+// and the recent days whose prescriptions can still change status.
+// ============================================================
+
+const DATE_FORMAT = 'yyyy-MM-dd';
+
+type DateRange = Pick<AnalyticsQuery, 'dateFrom' | 'dateTo'>;
+
+interface AnalyticsCacheEntry {
+  version: number;
+  coveredFrom: string; // every prescription dated from here up to syncedAt is cached
+  syncedAt: string;
+  facts: AnalyticsFact[];
+}
+
+function storageKey(userId: string): string {
+  return `${ANALYTICS_CACHE_KEY_PREFIX}_${userId}`;
+}
+
+class AnalyticsCache {
+  private read(userId: string): AnalyticsCacheEntry | null {
+    try {
+      const raw = window.localStorage.getItem(storageKey(userId));
+      const entry = raw ? (JSON.parse(raw) as AnalyticsCacheEntry) : null;
+      return entry?.version === ANALYTICS_CACHE_VERSION ? entry : null;
+    } catch (error) {
+      console.warn('Error reading analytics cache:', error);
+      return null;
+    }
+  }
+
+  private write(userId: string, entry: AnalyticsCacheEntry): void {
+    try {
+      window.localStorage.setItem(storageKey(userId), JSON.stringify(entry));
+    } catch (error) {
+      console.warn('Error saving analytics cache:', error);
+    }
+  }
+
+  facts(userId: string): AnalyticsFact[] {
+    return this.read(userId)?.facts || [];
+  }
+
+  /** Cached facts with the date from which they are complete, or null before the first sync. */
+  coverage(userId: string): { coveredFrom: string; facts: AnalyticsFact[] } | null {
+    const entry = this.read(userId);
+    return entry ? { coveredFrom: entry.coveredFrom, facts: entry.facts } : null;
+  }
+
+  /**
+   * Date ranges to fetch before the query can be answered from the
+   * cache: days before the cached range, and the last
+   * ANALYTICS_RESYNC_DAYS before the previous sync once it is older
+   * than the TTL. Refreshing refetches everything cached as well.
+   */
+  getStaleRanges(userId: string, query: AnalyticsQuery, refresh = false, now: Date = new Date()): DateRange[] {
+    const today = format(now, DATE_FORMAT);
+    const entry = this.read(userId);
+    if (!entry) return [{ dateFrom: query.dateFrom, dateTo: today }];
+    if (refresh) {
+      return [{ dateFrom: query.dateFrom < entry.coveredFrom ? query.dateFrom : entry.coveredFrom, dateTo: today }];
+    }
+
+    const ranges: DateRange[] = [];
+    if (query.dateFrom < entry.coveredFrom) {
+      ranges.push({
+        dateFrom: query.dateFrom,
+        dateTo: format(subDays(parseISO(entry.coveredFrom), 1), DATE_FORMAT),
+      });
+    }
+    if (now.getTime() - new Date(entry.syncedAt).getTime() > ANALYTICS_CACHE_TTL_MS) {
+      const resyncFrom = format(subDays(new Date(entry.syncedAt), ANALYTICS_RESYNC_DAYS), DATE_FORMAT);
+      ranges.push({ dateFrom: resyncFrom > entry.coveredFrom ? resyncFrom : entry.coveredFrom, dateTo: today });
+    }
+    return ranges;
+  }
+
+  /** Replace the cached facts dated within the fetched ranges with the ones just fetched. */
+  merge(userId: string, ranges: DateRange[], fetched: AnalyticsFact[], now: Date = new Date()): void {
+    if (ranges.length === 0) return;
+    const entry = this.read(userId);
+    const today = format(now, DATE_FORMAT);
+    const fetchedIds = new Set(fetched.map((fact) => fact.id));
+    const kept = (entry?.facts || []).filter(
+      (fact) => !fetchedIds.has(fact.id) && !ranges.some((r) => fact.date >= r.dateFrom && fact.date <= r.dateTo)
+    );
+    const coveredFrom = [entry?.coveredFrom, ...ranges.map((r) => r.dateFrom)]
+      .filter((date): date is string => !!date)
+      .sort()[0];
+    this.write(userId, {
+      version: ANALYTICS_CACHE_VERSION,
+      coveredFrom,
+      syncedAt: !entry || ranges.some((r) => r.dateTo >= today) ? now.toISOString() : entry.syncedAt,
+      facts: [...kept, ...fetched],
+    });
+  }
+}
+
+export const analyticsCache = new AnalyticsCache();
+export default analyticsCache;
@@ -1,5 +1,6 @@
 import axios, { AxiosInstance, AxiosError, InternalAxiosRequestConfig } from 'axios';
 import keycloak from '../config/keycloak';
+import { sessionService } from './session';
 import type { 
   AuthResponse, 
   User, 
@@ -9,10 +10,22 @@ import type {
   PrescriptionHistoryItem,
   ApiResponse,
   PaginationParams,
+  PrescriptionSearchParams,
+  PrescriptionSortField,
   DashboardStats,
+  AnalyticsFact,
+  AnalyticsQuery,
+  PrescriptionAnalytics,
   PatientDemographics,
   InsuranceCoverage,
   DrugInteractionResult,
+  DrugRecall,
+  SignatureVerification,
+  AIValidationResult,
+  OutboxOperation,
+  Permission,
+  ICD10Code,
+  FhirBundle,
 } from '../types';
 import { 
   PRESCRIPTION_API_URL, 
@@ -20,8 +33,44 @@ import {
   DISPENSE_API_URL,
   HPR_API_URL,
   USER_KEY,
+  TERMINOLOGY_SOURCE,
+  FHIR_SYSTEMS,
+  ANALYTICS_PAGE_SIZE,
+  EXPORT_PAGE_SIZE,
 } from '../config/constants';
-import { MOCK_PRESCRIPTIONS, getMockDashboardStats, getMockPrescription } from '../data/mockPrescriptions';
+import {
+  MOCK_PRESCRIPTIONS,
+  getMockDashboardStats,
+  getMockPrescription,
+  getMockPatientDemographics,
+  getMockPrescriptionHistory,
+  recordMockHistory,
+  searchMockPrescriptions,
+} from '../data/mockPrescriptions';
+import { getMockDrugInteractions, getInteractionCode } from '../data/mockInteractions';
+import { MOCK_DRUG_RECALLS } from '../data/mockRecalls';
+import { getMockInsuranceCoverage } from '../data/mockCoverage';
+import { getMockPrescriptionValidation } from '../data/mockValidation';
+import { offlineOutbox, isLocalId, getRetryDelay, getLocalPrescriptionNumber, LOCAL_ID_PREFIX } from './outbox';
+import { analyticsCache } from './analyticsCache';
+import { hasPermission, getPermissionDeniedMessage } from '../utils/permissions';
+import { getStatusLabel, translate } from '../i18n';
+import { loadICD10Index } from '../utils/icd10Index';
+import { aggregateAnalytics, getDashboardStatsQuery, toAnalyticsFact, toDashboardStats } from '../utils/analytics';
+import {
+  parseFhirSearchBundle,
+  roundTripFhir,
+  toFhirCreateBundle,
+  toFhirStatusCodes,
+  toFhirTransactionBundle,
+} from '../utils/fhir';
+import {
+  canonicalizePrescription,
+  sha256Hex,
+  formatDigitalSignature,
+  parseDigitalSignature,
+  SIGNATURE_ALGORITHM,
+} from '../utils/signature';
 
 /** Generate a local UUID for fallback prescription creation */
 function generateLocalId(): string {
@@ -32,6 +81,92 @@ function generateLocalId(): string {
   });
 }
 
+/** A new draft prescription from the create payload; NDP assigns the Rx number. */
+function toNewPrescription(data: PrescriptionCreatePayload, id: string): Prescription {
+  const now = new Date().toISOString();
+  return {
+    id,
+    prescriptionNumber: '',
+    status: 'draft',
+    prescriptionDate: now,
+    doctor: data.doctor,
+    patient: { ...data.patient, id: data.patient.id || generateLocalId() },
+    diagnosis: data.diagnosis,
+    icdCode: data.icdCode,
+    secondaryDiagnoses: data.secondaryDiagnoses,
+    clinicalNotes: data.clinicalNotes,
+    identityOverride: data.identityOverride,
+    interactionOverride: data.interactionOverride,
+    medications: data.medications,
+    renewalOf: data.renewalOf,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** NDP accepted the request but refused it (success: false). */
+class OutboxRejection extends Error {}
+
+/**
+ * Whether a failed replay was refused by the server, as opposed to the
+ * server being unreachable. Refusals become conflicts instead of retries.
+ */
+function isServerRejection(err: unknown): boolean {
+  if (err instanceof OutboxRejection) return true;
+  const status = err instanceof AxiosError ? err.response?.status : undefined;
+  return status !== undefined && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function getServerErrorMessage(err: unknown): string {
+  if (err instanceof AxiosError) {
+    const data = err.response?.data as { error?: string; message?: string } | undefined;
+    return data?.error || data?.message || err.message;
+  }
+  return err instanceof Error ? err.message : String(err);
+}
+
+/**
+ * Re-throw a failed write unless NDP was unreachable, so refusals
+ * (validation, permissions, invalid state) reach the user instead of
+ * being queued for a sync that can never succeed.
+ */
+function throwUnlessUnreachable(err: unknown): void {
+  if (isServerRejection(err)) {
+    throw new Error(getServerErrorMessage(err));
+  }
+  if (!(err instanceof AxiosError)) throw err;
+}
+
+// FHIR search parameter used for each sort field
+const FHIR_SORT_PARAMS: Record<PrescriptionSortField, string> = {
+  date: 'authoredon',
+  patient: 'patient.name',
+  status: 'status',
+  prescriptionNumber: 'identifier',
+};
+
+/**
+ * Convert typed search parameters to FHIR MedicationRequest query
+ * parameters. Repeated parameters (date bounds) need URLSearchParams.
+ */
+function toFhirSearchParams(params: PrescriptionSearchParams = {}): URLSearchParams {
+  const query = new URLSearchParams();
+  if (params.limit !== undefined) query.append('_count', String(params.limit));
+  if (params.offset !== undefined) query.append('_offset', String(params.offset));
+  if (params.status?.length) query.append('status', toFhirStatusCodes(params.status).join(','));
+  if (params.dateFrom) query.append('authoredon', `ge${params.dateFrom}`);
+  if (params.dateTo) query.append('authoredon', `le${params.dateTo}`);
+  if (params.patientIdentifier) query.append('patient.identifier', params.patientIdentifier);
+  if (params.icdCode) query.append('reason-code', params.icdCode);
+  if (params.medicine) query.append('medication', params.medicine);
+  if (params.text) query.append('_content', params.text);
+  if (params.prescriberId) query.append('requester', `Practitioner/${params.prescriberId}`);
+  if (params.sort) {
+    query.append('_sort', `${params.order === 'asc' ? '' : '-'}${FHIR_SORT_PARAMS[params.sort]}`);
+  }
+  return query;
+}
+
 /**
  * NDP Platform API Service
  * 
@@ -49,6 +184,8 @@ class NDPApiService {
   private medicationClient: AxiosInstance;
   private dispenseClient: AxiosInstance;
   private hprClient: AxiosInstance;
+  private outboxRestored: Promise<void>;
+  private outboxSync: Promise<void> | null = null;
 
   constructor() {
     // Prescription Service client (NDP Gateway → Prescription Service)
@@ -80,6 +217,7 @@ class NDPApiService {
     });
 
     this.setupInterceptors();
+    this.outboxRestored = this.restoreOutbox();
   }
 
   /**
@@ -108,7 +246,7 @@ class NDPApiService {
           if (keycloak.authenticated) {
             // Ensure token is fresh (refresh if expiring within 30s)
             try {
-              await keycloak.updateToken(30);
+              await sessionService.refresh(30);
             } catch {
               console.warn('[API] Token refresh failed during request');
             }
@@ -130,7 +268,7 @@ class NDPApiService {
         async (error: AxiosError) => {
           if (error.response?.status === 401 && !ndpBackendClients.has(client)) {
             try {
-              const refreshed = await keycloak.updateToken(0);
+              const refreshed = await sessionService.refresh(-1);
               if (refreshed && error.config) {
                 // Retry the original request with new token
                 error.config.headers.Authorization = `Bearer ${keycloak.token}`;
@@ -173,6 +311,14 @@ class NDPApiService {
     return !!keycloak.authenticated;
   }
 
+  /** Refuse an action on the client when the current user's role does not allow it. */
+  private requirePermission(permission: Permission): void {
+    const user = this.getCurrentUser();
+    if (!hasPermission(user, permission)) {
+      throw new Error(getPermissionDeniedMessage(user, permission));
+    }
+  }
+
   // ============================================================
   // Authentication (delegated to Keycloak SSO)
   // ============================================================
@@ -207,59 +353,60 @@ class NDPApiService {
 
   /**
    * Create a new prescription
-   * POST /api/v1/prescriptions
-   * Falls back to local mock storage if backend is unavailable.
+   * POST /fhir (transaction Bundle)
+   * Falls back to local mock storage if the backend is unreachable;
+   * prescriptions NDP refuses are reported, not queued.
    */
   async createPrescription(data: PrescriptionCreatePayload): Promise<ApiResponse<Prescription>> {
+    this.requirePermission('prescription:create');
+    const prescription = toNewPrescription(data, generateLocalId());
+    // Content NDP would not store exactly as entered could never be signed
+    if (canonicalizePrescription(roundTripFhir(prescription)) !== canonicalizePrescription(prescription)) {
+      throw new Error(translate('errors.createRoundTrip'));
+    }
     try {
-      const response = await this.prescriptionClient.post<ApiResponse<Prescription>>(
-        '/api/v1/prescriptions',
-        data
-      );
-      return response.data;
+      return await this.createFhirPrescription(prescription, !data.patient.id);
     } catch (err) {
-      console.warn('[API] Backend unavailable for createPrescription, saving locally:', err);
-      // Create a local prescription object so the user gets feedback
-      const now = new Date().toISOString();
-      const rxNum = `NDP-${new Date().getFullYear()}-${String(MOCK_PRESCRIPTIONS.length + 1).padStart(6, '0')}`;
-      const newPrescription: Prescription = {
-        id: generateLocalId(),
-        prescriptionNumber: rxNum,
-        status: 'draft',
-        prescriptionDate: now,
-        doctor: data.doctor,
-        patient: { ...data.patient, id: data.patient.id || generateLocalId() },
-        diagnosis: data.diagnosis,
-        icdCode: data.icdCode,
-        clinicalNotes: data.clinicalNotes,
-        medications: data.medications,
-        createdAt: now,
-        updatedAt: now,
-      };
-      // Add to mock data so it appears in lists
+      throwUnlessUnreachable(err);
+      console.warn('[API] Backend unavailable for createPrescription, queuing for sync:', err);
+      // Keep it locally under the same UUID, which the sync sends it with
+      const localId = `${LOCAL_ID_PREFIX}${prescription.id}`;
+      const rxNum = getLocalPrescriptionNumber(localId);
+      const newPrescription: Prescription = { ...prescription, id: localId, prescriptionNumber: rxNum };
+      // Add to mock data so it appears in lists, and queue it for NDP
       MOCK_PRESCRIPTIONS.unshift(newPrescription);
+      await this.queueOperation({
+        type: 'create',
+        prescriptionId: newPrescription.id,
+        prescriptionNumber: rxNum,
+        data,
+        localPrescription: newPrescription,
+      });
       return { success: true, data: newPrescription };
     }
   }
 
   /**
    * Get prescription by ID
-   * GET /fhir/MedicationRequest/{id}
+   * GET /fhir/MedicationRequest?group-identifier={id}
    */
   async getPrescription(id: string): Promise<ApiResponse<Prescription>> {
+    // Prescriptions created offline keep working under their local ID
+    id = offlineOutbox.getServerId(id);
     try {
-      const response = await this.prescriptionClient.get<ApiResponse<Prescription>>(
-        `/fhir/MedicationRequest/${id}`
-      );
-      return response.data;
+      if (isLocalId(id)) {
+        throw new Error('Prescription has not been synced yet');
+      }
+      return { success: true, data: await this.fetchFhirPrescription(id) };
     } catch {
       // Fallback to mock data
+      await this.outboxRestored;
       console.info('[API] Using mock prescription data for get:', id);
       const prescription = getMockPrescription(id);
       if (prescription) {
         return { success: true, data: prescription };
       }
-      return { success: false, data: {} as Prescription, error: 'Prescription not found' };
+      return { success: false, data: {} as Prescription, error: translate('errors.prescriptionNotFound') };
     }
   }
 
@@ -267,51 +414,235 @@ class NDPApiService {
    * Search/list prescriptions with FHIR parameters
    * GET /fhir/MedicationRequest
    */
-  async listPrescriptions(params?: PaginationParams): Promise<ApiResponse<Prescription[]>> {
+  async listPrescriptions(params?: PrescriptionSearchParams): Promise<ApiResponse<Prescription[]>> {
+    params = this.scopeSearch(params);
     try {
-      const response = await this.prescriptionClient.get<ApiResponse<Prescription[]>>(
-        '/fhir/MedicationRequest',
-        { params: { _count: params?.limit, _offset: params?.offset } }
-      );
-      return response.data;
+      return await this.searchFhirPrescriptions(toFhirSearchParams(params));
     } catch {
       // Fallback to mock data when NDP backend is unavailable
+      await this.outboxRestored;
       console.info('[API] Using mock prescription data for list');
-      const offset = params?.offset || 0;
-      const limit = params?.limit || 10;
-      const sliced = MOCK_PRESCRIPTIONS.slice(offset, offset + limit);
-      return { success: true, data: sliced, total: MOCK_PRESCRIPTIONS.length };
+      const { data, total } = searchMockPrescriptions(params);
+      return { success: true, data, total };
+    }
+  }
+
+  /** Without view-all rights, doctors only see prescriptions they wrote. */
+  private scopeSearch(params?: PrescriptionSearchParams): PrescriptionSearchParams | undefined {
+    const user = this.getCurrentUser();
+    return user && !hasPermission(user, 'prescription:view_all') ? { ...params, prescriberId: user.id } : params;
+  }
+
+  /**
+   * Every prescription matching the search, fetched page by page, for
+   * exports and reports that need more than the page on screen. Each
+   * yielded page carries the total, so callers can show progress.
+   */
+  async *listAllPrescriptions(
+    params: Omit<PrescriptionSearchParams, 'limit' | 'offset'> = {},
+    pageSize: number = EXPORT_PAGE_SIZE
+  ): AsyncGenerator<ApiResponse<Prescription[]>> {
+    yield* this.pagePrescriptions(params, pageSize, (page) => this.listPrescriptions(page));
+  }
+
+  /** Fetch a search page by page until the last page or the total is reached. */
+  private async *pagePrescriptions(
+    params: Omit<PrescriptionSearchParams, 'limit' | 'offset'>,
+    pageSize: number,
+    fetchPage: (params: PrescriptionSearchParams) => Promise<ApiResponse<Prescription[]>>
+  ): AsyncGenerator<ApiResponse<Prescription[]>> {
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await fetchPage({ ...params, limit: pageSize, offset });
+      if (!page.success) {
+        throw new Error(page.error || translate('errors.loadPrescriptions'));
+      }
+      yield page;
+      const count = page.data?.length || 0;
+      if (count < pageSize || (page.total !== undefined && offset + count >= page.total)) return;
     }
   }
 
   /**
    * Update draft prescription
-   * PUT /fhir/MedicationRequest/{id}
+   * POST /fhir (transaction Bundle)
+   * Only drafts can be edited; other statuses are refused before sending.
    */
   async updatePrescription(id: string, data: Partial<PrescriptionCreatePayload>): Promise<ApiResponse<Prescription>> {
-    const response = await this.prescriptionClient.put<ApiResponse<Prescription>>(
-      `/fhir/MedicationRequest/${id}`,
-      data
-    );
-    return response.data;
+    this.requirePermission('prescription:create');
+    const current = await this.getPrescription(id);
+    if (!current.success) {
+      throw new Error(current.error || translate('errors.prescriptionNotFound'));
+    }
+    if (current.data.status !== 'draft') {
+      throw new Error(translate('errors.onlyDraftsEditable', { status: getStatusLabel(current.data.status) }));
+    }
+
+    try {
+      // Behind earlier queued changes the edit has to wait its turn
+      if (!(await this.hasQueuedWrites(current.data.id))) {
+        return await this.saveFhirPrescription(
+          { ...current.data, ...data, updatedAt: new Date().toISOString() },
+          current.data
+        );
+      }
+    } catch (err) {
+      throwUnlessUnreachable(err);
+      console.warn('[API] Backend unavailable for updatePrescription, queuing for sync');
+    }
+
+    // Queued behind earlier changes, or NDP unreachable: update the local copy and queue the edit
+    const prescription = MOCK_PRESCRIPTIONS.find(p => p.id === current.data.id);
+    if (!prescription) {
+      return { success: false, data: {} as Prescription, error: translate('errors.prescriptionNotFound') };
+    }
+    Object.assign(prescription, data, {
+      aiValidation: undefined,
+      updatedAt: new Date().toISOString(),
+    });
+    recordMockHistory(prescription, 'Edited', 'Draft updated by prescriber');
+    await this.queueOperation({
+      type: 'update',
+      prescriptionId: prescription.id,
+      prescriptionNumber: prescription.prescriptionNumber,
+      data,
+    });
+    return { success: true, data: prescription };
   }
 
   /**
    * Digitally sign a prescription via HPR PKI
    * POST /api/prescriptions/{id}/sign
    */
-  async signPrescription(id: string): Promise<ApiResponse<Prescription>> {
+  async signPrescription(id: string, digitalSignature?: string): Promise<ApiResponse<Prescription>> {
+    this.requirePermission('prescription:approve');
     const response = await this.prescriptionClient.post<ApiResponse<Prescription>>(
-      `/api/prescriptions/${id}/sign`
+      `/api/prescriptions/${id}/sign`,
+      digitalSignature ? { digitalSignature } : undefined
     );
     return response.data;
   }
 
+  /**
+   * Approve a prescription with a verified HPR signature:
+   * verify the prescriber license, sign the canonical serialization,
+   * then submit the signature with the sign request.
+   * Signing is never faked locally; only the final status update falls
+   * back to mock storage when the Prescription Service is unavailable.
+   * Prescriptions created offline are signed only once they have synced:
+   * the signature covers the Rx number, which NDP assigns on sync.
+   */
+  async approvePrescription(prescription: Prescription): Promise<ApiResponse<Prescription>> {
+    this.requirePermission('prescription:approve');
+    if (isLocalId(prescription.id)) {
+      throw new Error(translate('errors.approveBeforeSync'));
+    }
+    const license = prescription.doctor.license;
+    const canonical = canonicalizePrescription(prescription);
+    // A signature over content NDP does not store exactly would read back as tampered
+    if (canonicalizePrescription(roundTripFhir(prescription)) !== canonical) {
+      throw new Error(translate('errors.signatureRoundTrip'));
+    }
+    const digest = await sha256Hex(canonical);
+
+    let signature: string;
+    try {
+      const licenseCheck = await this.verifyPractitionerLicense(license);
+      if (!licenseCheck.success || !licenseCheck.data?.valid) {
+        throw new Error(translate('errors.licenseInvalid', { license }));
+      }
+      const signed = await this.generateDigitalSignature({
+        prescriptionNumber: prescription.prescriptionNumber,
+        license,
+        algorithm: SIGNATURE_ALGORITHM,
+        digest,
+      });
+      if (!signed.success || !signed.data?.signature) {
+        throw new Error(signed.error || translate('errors.noSignature'));
+      }
+      signature = signed.data.signature;
+    } catch (err) {
+      if (err instanceof AxiosError) {
+        throw new Error(translate('errors.hprUnavailable'));
+      }
+      throw err;
+    }
+
+    const digitalSignature = formatDigitalSignature(digest, signature);
+    try {
+      // Behind earlier queued changes the signature has to wait its turn
+      if (!(await this.hasQueuedWrites(prescription.id))) {
+        return await this.signPrescription(prescription.id, digitalSignature);
+      }
+    } catch (err) {
+      // NDP refused the signature (invalid state, bad signature, forbidden): nothing to queue
+      throwUnlessUnreachable(err);
+      console.warn('[API] Backend unavailable for signPrescription, queuing for sync');
+    }
+
+    // Queued behind earlier changes, or NDP unreachable: approve locally and replay later
+    const local = MOCK_PRESCRIPTIONS.find(p => p.id === prescription.id);
+    const updated: Prescription = {
+      ...(local || prescription),
+      status: 'approved',
+      digitalSignature,
+      updatedAt: new Date().toISOString(),
+    };
+    if (local) {
+      Object.assign(local, updated);
+      recordMockHistory(local, 'Approved', 'Digitally signed via HPR');
+    }
+    await this.queueOperation({
+      type: 'status',
+      prescriptionId: prescription.id,
+      prescriptionNumber: prescription.prescriptionNumber,
+      status: 'approved',
+      digitalSignature,
+    });
+    return { success: true, data: updated };
+  }
+
+  /**
+   * Re-verify a prescription's stored signature against its current
+   * content and the prescriber's HPR certificate.
+   */
+  async verifyPrescriptionSignature(prescription: Prescription): Promise<SignatureVerification> {
+    const checkedAt = new Date().toISOString();
+    if (!prescription.digitalSignature) {
+      return { status: 'unsigned', checkedAt };
+    }
+
+    const parsed = parseDigitalSignature(prescription.digitalSignature);
+    if (!parsed) {
+      return { status: 'unverifiable', reason: translate('signature.legacyFormat'), checkedAt };
+    }
+
+    const digest = await sha256Hex(canonicalizePrescription(prescription));
+    if (digest !== parsed.digest) {
+      return { status: 'tampered', reason: translate('signature.contentChanged'), checkedAt };
+    }
+
+    try {
+      const certificate = await this.getPractitionerCertificate(prescription.doctor.license);
+      const result = await this.verifyDigitalSignature(parsed.signature, {
+        digest,
+        algorithm: SIGNATURE_ALGORITHM,
+        license: prescription.doctor.license,
+        certificate: certificate.data?.certificate,
+      });
+      return result.success && result.data?.valid
+        ? { status: 'valid', checkedAt }
+        : { status: 'invalid', reason: translate('signature.certificateMismatch'), checkedAt };
+    } catch {
+      return { status: 'unverifiable', reason: translate('signature.hprUnavailable'), checkedAt };
+    }
+  }
+
   /**
    * Cancel a prescription with reason
    * POST /api/prescriptions/{id}/cancel
    */
   async cancelPrescription(id: string, reason: string): Promise<ApiResponse<Prescription>> {
+    this.requirePermission('prescription:cancel');
     const response = await this.prescriptionClient.post<ApiResponse<Prescription>>(
       `/api/prescriptions/${id}/cancel`,
       { reason }
@@ -323,57 +654,155 @@ class NDPApiService {
    * Run AI validation checks on a prescription
    * POST /api/prescriptions/{id}/validate
    */
-  async validatePrescription(id: string): Promise<ApiResponse<{ valid: boolean; warnings: string[] }>> {
-    const response = await this.prescriptionClient.post<ApiResponse<{ valid: boolean; warnings: string[] }>>(
-      `/api/prescriptions/${id}/validate`
+  async validatePrescription(prescription: Prescription): Promise<ApiResponse<AIValidationResult>> {
+    try {
+      const response = await this.prescriptionClient.post<ApiResponse<{ valid: boolean; warnings: string[] }>>(
+        `/api/prescriptions/${prescription.id}/validate`
+      );
+      return {
+        ...response.data,
+        data: { ...response.data.data, checkedAt: new Date().toISOString() },
+      };
+    } catch {
+      console.info('[API] Using local validation rules for prescription:', prescription.id);
+      return {
+        success: true,
+        data: { ...getMockPrescriptionValidation(prescription), checkedAt: new Date().toISOString() },
+      };
+    }
+  }
+
+  /**
+   * Send a validation result with the prescriber's acknowledgement or
+   * override of each warning
+   * POST /api/prescriptions/{id}/validate/acknowledgements
+   */
+  private async postValidationReview(id: string, validation: AIValidationResult): Promise<ApiResponse<Prescription>> {
+    const response = await this.prescriptionClient.post<ApiResponse<Prescription>>(
+      `/api/prescriptions/${id}/validate/acknowledgements`,
+      validation
     );
     return response.data;
   }
 
+  /**
+   * Persist the validation review ahead of approval. Queued like other
+   * writes when NDP is unreachable, so it syncs before the signature;
+   * throws when it cannot be saved, so nothing is approved without it.
+   */
+  async saveValidationReview(id: string, validation: AIValidationResult): Promise<ApiResponse<Prescription>> {
+    id = offlineOutbox.getServerId(id);
+    try {
+      // Behind earlier queued changes the review has to wait its turn
+      if (!(await this.hasQueuedWrites(id))) {
+        const response = await this.postValidationReview(id, validation);
+        if (!response.success) {
+          throw new Error(response.error || translate('errors.validationReviewNotSaved'));
+        }
+        return response;
+      }
+    } catch (err) {
+      throwUnlessUnreachable(err);
+      console.warn('[API] Backend unavailable for saveValidationReview, queuing for sync');
+    }
+
+    // Queued behind earlier changes, or NDP unreachable: keep it on the local copy, if any, and queue it
+    const prescription = MOCK_PRESCRIPTIONS.find(p => p.id === id);
+    if (prescription) {
+      prescription.aiValidation = validation;
+      prescription.updatedAt = new Date().toISOString();
+    }
+    await this.queueOperation({
+      type: 'review',
+      prescriptionId: id,
+      prescriptionNumber: prescription?.prescriptionNumber || id,
+      validation,
+    });
+    return { success: true, data: prescription || ({ id, aiValidation: validation } as Prescription) };
+  }
+
   /**
    * Get complete audit trail for a prescription
    * GET /api/prescriptions/{id}/history
    */
   async getPrescriptionHistory(id: string): Promise<ApiResponse<PrescriptionHistoryItem[]>> {
-    const response = await this.prescriptionClient.get<ApiResponse<PrescriptionHistoryItem[]>>(
-      `/api/prescriptions/${id}/history`
-    );
-    return response.data;
+    try {
+      const response = await this.prescriptionClient.get<ApiResponse<PrescriptionHistoryItem[]>>(
+        `/api/prescriptions/${id}/history`
+      );
+      return response.data;
+    } catch {
+      console.info('[API] Using mock audit trail for prescription:', id);
+      return { success: true, data: getMockPrescriptionHistory(id) };
+    }
   }
 
   /**
    * Update prescription status (backward-compatible wrapper)
-   * Falls back to local mock data update when backend is unavailable.
+   * Queues the change when the backend is unreachable; changes NDP
+   * refuses are reported, not queued.
    */
   async updatePrescriptionStatus(
     id: string, 
     status: string, 
     reason?: string
   ): Promise<ApiResponse<Prescription>> {
-    try {
-      if (status === 'cancelled') {
-        return await this.cancelPrescription(id, reason || 'Cancelled by prescriber');
+    if (status === 'cancelled') {
+      this.requirePermission('prescription:cancel');
+    }
+    // Approval always goes through the signing workflow
+    if (status === 'approved') {
+      const current = await this.getPrescription(id);
+      if (!current.success) {
+        throw new Error(current.error || translate('errors.prescriptionNotFound'));
       }
-      if (status === 'approved') {
-        return await this.signPrescription(id);
+      return this.approvePrescription(current.data);
+    }
+
+    id = offlineOutbox.getServerId(id);
+    try {
+      // Behind earlier queued changes the status change has to wait its turn
+      if (!(await this.hasQueuedWrites(id))) {
+        if (status === 'cancelled') {
+          return await this.cancelPrescription(id, reason || 'Cancelled by prescriber');
+        }
+        // Other statuses are written through a FHIR transaction
+        return await this.patchFhirPrescription(id, { status: status as Prescription['status'] });
       }
-      // Fallback: update via FHIR PUT
-      const response = await this.prescriptionClient.put<ApiResponse<Prescription>>(
-        `/fhir/MedicationRequest/${id}`,
-        { status }
+    } catch (err) {
+      throwUnlessUnreachable(err);
+      console.warn('[API] Backend unavailable for updatePrescriptionStatus, queuing for sync');
+    }
+
+    // Queued behind earlier changes, or NDP unreachable: update the local copy, if any, and queue the change
+    const prescription = MOCK_PRESCRIPTIONS.find(p => p.id === id);
+    if (prescription) {
+      prescription.status = status as Prescription['status'];
+      prescription.updatedAt = new Date().toISOString();
+      recordMockHistory(
+        prescription,
+        getStatusLabel(status, 'en'),
+        reason
       );
-      return response.data;
-    } catch {
-      // Backend unavailable — update the local mock prescription
-      console.warn('[API] Backend unavailable for updatePrescriptionStatus, updating locally');
-      const prescription = MOCK_PRESCRIPTIONS.find(p => p.id === id);
-      if (prescription) {
-        prescription.status = status as Prescription['status'];
-        prescription.updatedAt = new Date().toISOString();
-        return { success: true, data: prescription };
-      }
-      return { success: true, data: { id, status } as Prescription };
     }
+    // Server prescriptions are not kept locally; the ID stands in for the Rx number in the outbox
+    const prescriptionNumber = prescription?.prescriptionNumber || id;
+    await this.queueOperation(
+      status === 'cancelled'
+        ? {
+            type: 'cancel',
+            prescriptionId: id,
+            prescriptionNumber,
+            reason: reason || 'Cancelled by prescriber',
+          }
+        : {
+            type: 'status',
+            prescriptionId: id,
+            prescriptionNumber,
+            status: status as Prescription['status'],
+          }
+    );
+    return { success: true, data: prescription || ({ id, status } as Prescription) };
   }
 
   async deletePrescription(id: string): Promise<ApiResponse<void>> {
@@ -382,35 +811,279 @@ class NDPApiService {
 
   async searchPrescriptionByNumber(rxNumber: string): Promise<ApiResponse<Prescription>> {
     try {
-      const response = await this.prescriptionClient.get<ApiResponse<Prescription>>(
-        '/fhir/MedicationRequest',
-        { params: { identifier: rxNumber } }
+      const response = await this.searchFhirPrescriptions(
+        new URLSearchParams({ identifier: `${FHIR_SYSTEMS.prescriptionNumber}|${rxNumber}` })
       );
-      return response.data;
+      return response.data.length > 0
+        ? { success: true, data: response.data[0] }
+        : { success: false, data: {} as Prescription, error: translate('errors.prescriptionNotFound') };
     } catch {
       // Fallback to mock data
       const found = MOCK_PRESCRIPTIONS.find(p => p.prescriptionNumber === rxNumber);
       if (found) {
         return { success: true, data: found };
       }
-      return { success: false, data: {} as Prescription, error: 'Prescription not found' };
+      return { success: false, data: {} as Prescription, error: translate('errors.prescriptionNotFound') };
     }
   }
 
   async searchPrescriptionsByNationalId(nationalId: string): Promise<ApiResponse<Prescription[]>> {
     try {
-      const response = await this.prescriptionClient.get<ApiResponse<Prescription[]>>(
-        '/fhir/MedicationRequest',
-        { params: { 'patient.identifier': nationalId } }
+      return await this.searchFhirPrescriptions(
+        new URLSearchParams({ 'patient.identifier': `${FHIR_SYSTEMS.nationalId}|${nationalId}` })
       );
-      return response.data;
     } catch {
       // Fallback to mock data
+      await this.outboxRestored;
       const found = MOCK_PRESCRIPTIONS.filter(p => p.patient.nationalId === nationalId);
       return { success: true, data: found, total: found.length };
     }
   }
 
+  // ============================================================
+  // FHIR MedicationRequest transport
+  // Prescriptions are sent and received as FHIR R4 resources;
+  // see utils/fhir for the mapping.
+  // ============================================================
+
+  /**
+   * Run a MedicationRequest search and group the matching lines into
+   * prescriptions, including the referenced Patient and Practitioner.
+   */
+  private async searchFhirPrescriptions(query: URLSearchParams): Promise<ApiResponse<Prescription[]>> {
+    query.append('_include', 'MedicationRequest:subject');
+    query.append('_include', 'MedicationRequest:requester');
+    const response = await this.prescriptionClient.get<FhirBundle>('/fhir/MedicationRequest', { params: query });
+    const { prescriptions, total, links } = parseFhirSearchBundle(response.data);
+    return { success: true, data: prescriptions, total: total ?? prescriptions.length, links };
+  }
+
+  /** Read one prescription from NDP, without the mock fallback. */
+  private async fetchFhirPrescription(id: string): Promise<Prescription> {
+    const response = await this.searchFhirPrescriptions(
+      new URLSearchParams({ 'group-identifier': `${FHIR_SYSTEMS.prescriptionId}|${id}` })
+    );
+    if (response.data.length === 0) {
+      throw new Error(translate('errors.prescriptionNotFound'));
+    }
+    return response.data[0];
+  }
+
+  /**
+   * Store a prescription as a FHIR transaction. The server's
+   * representation is returned when it sends one back.
+   */
+  private async saveFhirPrescription(
+    prescription: Prescription,
+    previous?: Prescription
+  ): Promise<ApiResponse<Prescription>> {
+    return this.postFhirTransaction(toFhirTransactionBundle(prescription, previous), prescription);
+  }
+
+  /** Create a prescription as a FHIR transaction, with its patient when NDP does not know them yet. */
+  private async createFhirPrescription(prescription: Prescription, newPatient: boolean): Promise<ApiResponse<Prescription>> {
+    return this.postFhirTransaction(toFhirCreateBundle(prescription, newPatient), prescription);
+  }
+
+  private async postFhirTransaction(bundle: FhirBundle, prescription: Prescription): Promise<ApiResponse<Prescription>> {
+    const response = await this.prescriptionClient.post<FhirBundle>('/fhir', bundle, {
+      headers: { Prefer: 'return=representation' },
+    });
+    const saved = parseFhirSearchBundle(response.data).prescriptions[0];
+    return { success: true, data: saved || prescription };
+  }
+
+  /** Apply changes to the prescription as currently stored on NDP. */
+  private async patchFhirPrescription(id: string, changes: Partial<Prescription>): Promise<ApiResponse<Prescription>> {
+    const current = await this.fetchFhirPrescription(id);
+    return this.saveFhirPrescription({ ...current, ...changes, updatedAt: new Date().toISOString() }, current);
+  }
+
+  // ============================================================
+  // Offline Outbox
+  // Writes made while NDP is unreachable are queued in IndexedDB
+  // (see services/outbox.ts) and replayed here in order.
+  // ============================================================
+
+  /** Queue a write for later replay. Queue failures are logged, not thrown. */
+  private async queueOperation(
+    operation: Omit<OutboxOperation, 'seq' | 'attempts' | 'nextAttemptAt' | 'state' | 'queuedAt'>
+  ): Promise<void> {
+    try {
+      await offlineOutbox.enqueue(operation);
+    } catch (err) {
+      console.error('[API] Failed to queue offline operation:', err);
+    }
+  }
+
+  /**
+   * Whether a prescription still has queued writes. Later writes for it are
+   * queued behind them instead of being sent directly, so NDP sees them in order.
+   */
+  private async hasQueuedWrites(id: string): Promise<boolean> {
+    if (isLocalId(id)) return true;
+    try {
+      const operations = await offlineOutbox.getAll();
+      return operations.some((op) => op.prescriptionId === id);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Re-apply queued writes to the local prescription list after a reload,
+   * so offline prescriptions and changes stay visible until they sync.
+   */
+  private async restoreOutbox(): Promise<void> {
+    if (typeof indexedDB === 'undefined') return;
+    try {
+      await offlineOutbox.loadIdMap();
+      const operations = await offlineOutbox.getAll();
+      for (const op of operations) {
+        if (op.type === 'create' && op.localPrescription) {
+          if (!MOCK_PRESCRIPTIONS.some((p) => p.id === op.prescriptionId)) {
+            MOCK_PRESCRIPTIONS.unshift({ ...op.localPrescription });
+          }
+          continue;
+        }
+        const prescription = MOCK_PRESCRIPTIONS.find((p) => p.id === op.prescriptionId);
+        if (!prescription) continue;
+        if (op.type === 'update' && op.data) {
+          Object.assign(prescription, op.data, { aiValidation: undefined });
+        } else if (op.type === 'status' && op.status) {
+          prescription.status = op.status;
+          if (op.digitalSignature) prescription.digitalSignature = op.digitalSignature;
+        } else if (op.type === 'cancel') {
+          prescription.status = 'cancelled';
+        } else if (op.type === 'review' && op.validation) {
+          prescription.aiValidation = op.validation;
+        }
+      }
+    } catch (err) {
+      console.error('[API] Failed to restore offline outbox:', err);
+    }
+  }
+
+  /** Send one queued operation to NDP. */
+  private async sendOutboxOperation(op: OutboxOperation): Promise<void> {
+    let response: ApiResponse<Prescription>;
+    switch (op.type) {
+      case 'create': {
+        // Sent under the UUID of its local ID, without the local Rx number, so a
+        // create whose response was lost is not stored twice when replayed
+        const prescription: Prescription = {
+          ...op.localPrescription!,
+          id: op.prescriptionId.slice(LOCAL_ID_PREFIX.length),
+          prescriptionNumber: '',
+        };
+        response = await this.createFhirPrescription(prescription, !op.data?.patient?.id);
+        if (response.success) {
+          await offlineOutbox.resolveId(op.prescriptionId, response.data.id);
+          const local = MOCK_PRESCRIPTIONS.find((p) => p.id === op.prescriptionId);
+          if (local) {
+            local.id = response.data.id;
+            local.prescriptionNumber = response.data.prescriptionNumber || local.prescriptionNumber;
+          }
+        }
+        break;
+      }
+      case 'update':
+        response = await this.patchFhirPrescription(op.prescriptionId, op.data || {});
+        break;
+      case 'status':
+        response = op.status === 'approved'
+          ? await this.signPrescription(op.prescriptionId, op.digitalSignature)
+          : await this.patchFhirPrescription(op.prescriptionId, { status: op.status });
+        break;
+      case 'cancel':
+        response = await this.cancelPrescription(op.prescriptionId, op.reason || 'Cancelled by prescriber');
+        break;
+      case 'review':
+        response = await this.postValidationReview(op.prescriptionId, op.validation!);
+        break;
+    }
+    if (!response.success) {
+      throw new OutboxRejection(response.error || 'Rejected by NDP');
+    }
+  }
+
+  /**
+   * Replay queued writes in order. Operations whose retry time has not
+   * come yet, and everything queued after a failure or conflict for the
+   * same prescription, wait for a later pass.
+   */
+  syncOutbox(): Promise<void> {
+    if (!this.outboxSync) {
+      this.outboxSync = this.runOutboxSync().finally(() => {
+        this.outboxSync = null;
+      });
+    }
+    return this.outboxSync;
+  }
+
+  private async runOutboxSync(): Promise<void> {
+    if (typeof indexedDB === 'undefined') return;
+    await this.outboxRestored;
+    const blocked = new Set<string>();
+    const operations = await offlineOutbox.getAll();
+
+    for (const queued of operations) {
+      // resolveId may have rewritten later operations during this pass
+      const op = { ...queued, prescriptionId: offlineOutbox.getServerId(queued.prescriptionId) };
+      if (blocked.has(op.prescriptionId) || op.state === 'conflict' || op.nextAttemptAt > Date.now()) {
+        blocked.add(op.prescriptionId);
+        continue;
+      }
+      try {
+        await this.sendOutboxOperation(op);
+        await offlineOutbox.remove(op.seq!);
+      } catch (err) {
+        blocked.add(op.prescriptionId);
+        if (isServerRejection(err)) {
+          console.warn('[API] NDP rejected queued operation:', op.type, op.prescriptionNumber);
+          await offlineOutbox.update({ ...op, state: 'conflict', lastError: getServerErrorMessage(err) });
+        } else {
+          const attempts = op.attempts + 1;
+          await offlineOutbox.update({
+            ...op,
+            attempts,
+            nextAttemptAt: Date.now() + getRetryDelay(attempts),
+            lastError: getServerErrorMessage(err),
+          });
+        }
+      }
+    }
+  }
+
+  /** Put a conflicted or waiting operation back in line for the next sync. */
+  async retryOutboxOperation(seq: number): Promise<void> {
+    const op = (await offlineOutbox.getAll()).find((o) => o.seq === seq);
+    if (!op) return;
+    await offlineOutbox.update({ ...op, state: 'pending', nextAttemptAt: Date.now() });
+    await this.syncOutbox();
+  }
+
+  /**
+   * Drop a queued operation. Discarding an unsynced create also drops the
+   * local prescription and every change queued after it.
+   */
+  async discardOutboxOperation(seq: number): Promise<void> {
+    const operations = await offlineOutbox.getAll();
+    const op = operations.find((o) => o.seq === seq);
+    if (!op) return;
+    if (op.type !== 'create') {
+      await offlineOutbox.remove(seq);
+      return;
+    }
+    for (const other of operations) {
+      if (other.prescriptionId === op.prescriptionId) {
+        await offlineOutbox.remove(other.seq!);
+      }
+    }
+    const index = MOCK_PRESCRIPTIONS.findIndex((p) => p.id === op.prescriptionId);
+    if (index !== -1) MOCK_PRESCRIPTIONS.splice(index, 1);
+  }
+
   // ============================================================
   // NDP Medication Directory API (EDA Drug Database)
   // Spec: Section 4.3.4 - Medication Directory API
@@ -454,33 +1127,85 @@ class NDPApiService {
   /**
    * Get therapeutic alternatives for a medication
    * GET /api/medications/{code}/alternatives
+   * Falls back to a directory search by generic name if the endpoint is unavailable.
    */
-  async getMedicationAlternatives(code: string): Promise<ApiResponse<Medicine[]>> {
-    const response = await this.medicationClient.get<ApiResponse<Medicine[]>>(
-      `/api/medications/${code}/alternatives`
-    );
-    return response.data;
+  async getMedicationAlternatives(code: string, genericName?: string): Promise<ApiResponse<Medicine[]>> {
+    try {
+      const response = await this.medicationClient.get<ApiResponse<Medicine[]>>(
+        `/api/medications/${code}/alternatives`
+      );
+      return response.data;
+    } catch (err) {
+      if (!genericName) throw err;
+      console.info('[API] Alternatives endpoint unavailable, searching by generic name:', genericName);
+      const response = await this.searchMedicines(genericName, 25);
+      const found = (response.data || []).filter(
+        (m) => m.edaCode !== code && m.drugId !== code && m.id !== code
+      );
+      return { success: true, data: found, total: found.length };
+    }
   }
 
   /**
    * Check drug-drug interactions
    * POST /api/medications/check-interactions
+   * Falls back to the local interaction table if backend is unavailable.
    */
-  async checkDrugInteractions(drugCodes: string[]): Promise<ApiResponse<DrugInteractionResult[]>> {
-    const response = await this.medicationClient.post<ApiResponse<DrugInteractionResult[]>>(
-      '/api/medications/check-interactions',
-      { medications: drugCodes }
-    );
-    return response.data;
+  async checkDrugInteractions(medicines: Medicine[]): Promise<ApiResponse<DrugInteractionResult[]>> {
+    try {
+      const response = await this.medicationClient.post<ApiResponse<DrugInteractionResult[]>>(
+        '/api/medications/check-interactions',
+        { medications: medicines.map(getInteractionCode) }
+      );
+      return response.data;
+    } catch {
+      console.info('[API] Using local interaction table for check-interactions');
+      const found = getMockDrugInteractions(medicines);
+      return { success: true, data: found, total: found.length };
+    }
   }
 
   /**
    * Get active drug recalls
    * GET /api/recalls
+   * Falls back to mock recall data if backend is unavailable.
    */
-  async getDrugRecalls(): Promise<ApiResponse<unknown[]>> {
-    const response = await this.medicationClient.get<ApiResponse<unknown[]>>('/api/recalls');
-    return response.data;
+  async getDrugRecalls(): Promise<ApiResponse<DrugRecall[]>> {
+    try {
+      const response = await this.medicationClient.get<ApiResponse<DrugRecall[]>>('/api/recalls');
+      return response.data;
+    } catch {
+      console.info('[API] Using mock drug recall data');
+      const active = MOCK_DRUG_RECALLS.filter(r => r.status === 'active');
+      return { success: true, data: active, total: active.length };
+    }
+  }
+
+  // ============================================================
+  // NDP Terminology Service (ICD-10)
+  // ============================================================
+
+  /**
+   * Search ICD-10 diagnoses by code prefix or English/Arabic description
+   * GET /api/v1/terminology/icd10/search?q={query}&limit={limit}
+   * Searches the bundled WHO index unless TERMINOLOGY_SOURCE is 'ndp',
+   * and falls back to it if the terminology service is unavailable.
+   */
+  async searchDiagnoses(query: string, limit: number = 20): Promise<ApiResponse<ICD10Code[]>> {
+    if (TERMINOLOGY_SOURCE === 'ndp') {
+      try {
+        const response = await this.medicationClient.get<ApiResponse<ICD10Code[]>>(
+          '/api/v1/terminology/icd10/search',
+          { params: { q: query, limit } }
+        );
+        return response.data;
+      } catch {
+        console.info('[API] Terminology service unavailable, using bundled ICD-10 index');
+      }
+    }
+    const index = await loadICD10Index();
+    const found = index.search(query, limit);
+    return { success: true, data: found, total: found.length };
   }
 
   // ============================================================
@@ -558,59 +1283,145 @@ class NDPApiService {
   /**
    * Verify patient identity and return demographics
    * GET /api/v1/patients/verify/{nationalId}
+   * Falls back to patients known from mock prescriptions if backend is unavailable.
    */
   async verifyPatient(nationalId: string): Promise<ApiResponse<PatientDemographics>> {
-    const response = await this.prescriptionClient.get<ApiResponse<PatientDemographics>>(
-      `/api/v1/patients/verify/${nationalId}`
-    );
-    return response.data;
+    try {
+      const response = await this.prescriptionClient.get<ApiResponse<PatientDemographics>>(
+        `/api/v1/patients/verify/${nationalId}`
+      );
+      return response.data;
+    } catch {
+      console.info('[API] Using mock patient registry for verify:', nationalId);
+      return getMockPatientDemographics(nationalId);
+    }
   }
 
   /**
    * Return patient demographics for prescription
    * GET /api/v1/patients/{nationalId}/demographics
+   * Falls back to patients known from mock prescriptions if backend is unavailable.
    */
   async getPatientDemographics(nationalId: string): Promise<ApiResponse<PatientDemographics>> {
-    const response = await this.prescriptionClient.get<ApiResponse<PatientDemographics>>(
-      `/api/v1/patients/${nationalId}/demographics`
-    );
-    return response.data;
+    try {
+      const response = await this.prescriptionClient.get<ApiResponse<PatientDemographics>>(
+        `/api/v1/patients/${nationalId}/demographics`
+      );
+      return response.data;
+    } catch {
+      console.info('[API] Using mock patient registry for demographics:', nationalId);
+      return getMockPatientDemographics(nationalId);
+    }
   }
 
   /**
    * Return insurance enrollment status and tier
    * GET /api/v1/coverage/verify/{nationalId}
+   * Falls back to mock coverage data if backend is unavailable.
    */
   async getInsuranceCoverage(nationalId: string): Promise<ApiResponse<InsuranceCoverage>> {
-    const response = await this.prescriptionClient.get<ApiResponse<InsuranceCoverage>>(
-      `/api/v1/coverage/verify/${nationalId}`
-    );
-    return response.data;
+    try {
+      const response = await this.prescriptionClient.get<ApiResponse<InsuranceCoverage>>(
+        `/api/v1/coverage/verify/${nationalId}`
+      );
+      return response.data;
+    } catch {
+      console.info('[API] Using mock insurance coverage for:', nationalId);
+      return getMockInsuranceCoverage(nationalId);
+    }
   }
 
   // ============================================================
   // Dashboard Stats
   // ============================================================
 
+  /**
+   * Status counters for the last DASHBOARD_STATS_DAYS from the stats
+   * endpoint. Without it, counts the prescriptions the analytics cache
+   * already holds instead of paging through the whole year; `since`
+   * tells the dashboard which days that covers.
+   */
   async getDashboardStats(): Promise<DashboardStats> {
+    const query = getDashboardStatsQuery();
     try {
-      const response = await this.listPrescriptions({ limit: 1000 });
-      const prescriptions = response.data || [];
-      
-      return {
-        total: prescriptions.length,
-        approved: prescriptions.filter(p => p.status === 'approved' || p.status === 'active').length,
-        pending: prescriptions.filter(p => p.status === 'draft' || p.status === 'pending_validation').length,
-        dispensed: prescriptions.filter(p => p.status === 'dispensed').length,
-        cancelled: prescriptions.filter(p => p.status === 'cancelled' || p.status === 'rejected').length,
-      };
+      const analytics = await this.fetchServerAnalytics(query);
+      return { ...toDashboardStats(analytics), since: query.dateFrom };
     } catch {
+      const cached = analyticsCache.coverage(this.getCurrentUser()?.id || 'anonymous');
+      if (cached) {
+        const dateFrom = cached.coveredFrom > query.dateFrom ? cached.coveredFrom : query.dateFrom;
+        return { ...toDashboardStats(aggregateAnalytics(cached.facts, { ...query, dateFrom })), since: dateFrom };
+      }
       // Fallback to mock data when NDP backend is unavailable
       console.info('[API] Using mock prescription data for dashboard stats');
       return getMockDashboardStats();
     }
   }
 
+  // ============================================================
+  // Prescription Analytics
+  // ============================================================
+
+  /**
+   * Prescribing trends and top-N breakdowns for a date range
+   * GET /api/v1/prescriptions/analytics?from={date}&to={date}&granularity={day|week}
+   * Without the stats endpoint, aggregates facts cached on the device,
+   * fetching only the prescriptions the cache is missing or may have stale.
+   */
+  async getPrescriptionAnalytics(
+    query: AnalyticsQuery,
+    options: { refresh?: boolean } = {}
+  ): Promise<ApiResponse<PrescriptionAnalytics>> {
+    const user = this.getCurrentUser();
+    try {
+      return { success: true, data: await this.fetchServerAnalytics(query) };
+    } catch {
+      console.info('[API] Stats endpoint unavailable, aggregating cached prescriptions');
+      const facts = await this.syncAnalyticsFacts(user?.id || 'anonymous', query, options.refresh);
+      return { success: true, data: aggregateAnalytics(facts, query) };
+    }
+  }
+
+  /** Analytics from the NDP stats endpoint, without the cache fallback. */
+  private async fetchServerAnalytics(query: AnalyticsQuery): Promise<PrescriptionAnalytics> {
+    const user = this.getCurrentUser();
+    const response = await this.prescriptionClient.get<ApiResponse<PrescriptionAnalytics>>(
+      '/api/v1/prescriptions/analytics',
+      {
+        params: {
+          from: query.dateFrom,
+          to: query.dateTo,
+          granularity: query.granularity,
+          // Without view-all rights the statistics cover the doctor's own prescriptions
+          prescriber: user && !hasPermission(user, 'prescription:view_all') ? user.id : undefined,
+        },
+      }
+    );
+    if (!response.data.success) {
+      throw new Error(response.data.error || translate('errors.loadAnalytics'));
+    }
+    return { ...response.data.data, source: 'server' };
+  }
+
+  /**
+   * Fetch the date ranges the analytics cache is missing, page by page.
+   * Pages come straight from NDP: when it is unreachable this throws
+   * rather than caching the demo prescriptions as real ones.
+   */
+  private async syncAnalyticsFacts(userId: string, query: AnalyticsQuery, refresh = false): Promise<AnalyticsFact[]> {
+    const ranges = analyticsCache.getStaleRanges(userId, query, refresh);
+    const fetched: AnalyticsFact[] = [];
+    const fetchPage = (params: PrescriptionSearchParams) =>
+      this.searchFhirPrescriptions(toFhirSearchParams(this.scopeSearch(params)));
+    for (const range of ranges) {
+      const params = { ...range, sort: 'date' as const, order: 'asc' as const };
+      for await (const page of this.pagePrescriptions(params, ANALYTICS_PAGE_SIZE, fetchPage)) {
+        fetched.push(...(page.data || []).map(toAnalyticsFact));
+      }
+    }
+    analyticsCache.merge(userId, ranges, fetched);
+    return analyticsCache.facts(userId);
+  }
 }
 
 export const apiService = new NDPApiService();
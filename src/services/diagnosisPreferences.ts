@@ -0,0 +1,78 @@
+import { DIAGNOSIS_PREFS_KEY_PREFIX, DIAGNOSIS_RECENT_LIMIT } from '../config/constants';
+import type { DiagnosisPreferences, ICD10Code } from '../types';
+
+// ============================================================
+// Diagnosis preferences
+// Each doctor's favourite and recently used ICD-10 codes, kept in
+// localStorage under a key per user so the diagnosis search can
+// offer them first.
+// ============================================================
+
+const EMPTY_PREFERENCES: DiagnosisPreferences = { favourites: [], recent: [] };
+
+function storageKey(userId: string): string {
+  return `${DIAGNOSIS_PREFS_KEY_PREFIX}_${userId}`;
+}
+
+// Only the fields needed to show and re-select a code are stored
+function toStored({ code, description, category, chapter, parent }: ICD10Code): ICD10Code {
+  return { code, description, category, chapter, parent };
+}
+
+class DiagnosisPreferenceStore {
+  private listeners = new Set<() => void>();
+
+  /** Subscribe to preference changes. Returns an unsubscribe function. */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  get(userId: string): DiagnosisPreferences {
+    try {
+      const raw = window.localStorage.getItem(storageKey(userId));
+      return raw ? { ...EMPTY_PREFERENCES, ...(JSON.parse(raw) as DiagnosisPreferences) } : EMPTY_PREFERENCES;
+    } catch (error) {
+      console.warn('Error reading diagnosis preferences:', error);
+      return EMPTY_PREFERENCES;
+    }
+  }
+
+  private write(userId: string, preferences: DiagnosisPreferences): void {
+    try {
+      window.localStorage.setItem(storageKey(userId), JSON.stringify(preferences));
+    } catch (error) {
+      console.warn('Error saving diagnosis preferences:', error);
+    }
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /** Add a code to the user's favourites, or remove it if already there. */
+  toggleFavourite(userId: string, icd10: ICD10Code): void {
+    const preferences = this.get(userId);
+    const isFavourite = preferences.favourites.some((f) => f.code === icd10.code);
+    this.write(userId, {
+      ...preferences,
+      favourites: isFavourite
+        ? preferences.favourites.filter((f) => f.code !== icd10.code)
+        : [...preferences.favourites, toStored(icd10)],
+    });
+  }
+
+  /** Move a code to the front of the user's recently used list. */
+  recordUse(userId: string, icd10: ICD10Code): void {
+    const preferences = this.get(userId);
+    this.write(userId, {
+      ...preferences,
+      recent: [toStored(icd10), ...preferences.recent.filter((r) => r.code !== icd10.code)].slice(
+        0,
+        DIAGNOSIS_RECENT_LIMIT
+      ),
+    });
+  }
+}
+
+export const diagnosisPreferences = new DiagnosisPreferenceStore();
+export default diagnosisPreferences;
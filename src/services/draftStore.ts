@@ -0,0 +1,130 @@
+import { DRAFTS_KEY_PREFIX, DRAFT_MAX_AGE_DAYS } from '../config/constants';
+import { toMedicationFormData } from '../utils/medication';
+import { PRIMARY_DIAGNOSIS_ID, toDiagnosisFormData, findDiagnosisId } from '../utils/diagnosis';
+import type { Prescription, PrescriptionDraft } from '../types';
+
+// ============================================================
+// Prescription draft store
+// Unsent CreatePrescription forms, kept in localStorage under a
+// key per logged-in user so drafts never leak between doctors
+// sharing a workstation.
+// ============================================================
+
+const MAX_DRAFT_AGE_MS = DRAFT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+function storageKey(userId: string): string {
+  return `${DRAFTS_KEY_PREFIX}_${userId}`;
+}
+
+class DraftStore {
+  private listeners = new Set<() => void>();
+
+  private read(userId: string): PrescriptionDraft[] {
+    try {
+      const raw = window.localStorage.getItem(storageKey(userId));
+      return raw ? (JSON.parse(raw) as PrescriptionDraft[]) : [];
+    } catch (error) {
+      console.warn('Error reading prescription drafts:', error);
+      return [];
+    }
+  }
+
+  private write(userId: string, drafts: PrescriptionDraft[]): void {
+    try {
+      if (drafts.length > 0) {
+        window.localStorage.setItem(storageKey(userId), JSON.stringify(drafts));
+      } else {
+        window.localStorage.removeItem(storageKey(userId));
+      }
+    } catch (error) {
+      console.warn('Error saving prescription drafts:', error);
+    }
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /** Subscribe to draft changes. Returns an unsubscribe function. */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /** A user's drafts, most recently edited first. Expired drafts are dropped. */
+  list(userId: string): PrescriptionDraft[] {
+    const drafts = this.read(userId);
+    const cutoff = Date.now() - MAX_DRAFT_AGE_MS;
+    const fresh = drafts.filter((draft) => new Date(draft.updatedAt).getTime() >= cutoff);
+    if (fresh.length !== drafts.length) {
+      this.write(userId, fresh);
+    }
+    return [...fresh].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  get(userId: string, id: string): PrescriptionDraft | undefined {
+    return this.read(userId).find((draft) => draft.id === id);
+  }
+
+  /** Insert or replace a draft by ID. */
+  save(userId: string, draft: PrescriptionDraft): void {
+    const drafts = this.read(userId).filter((d) => d.id !== draft.id);
+    this.write(userId, [draft, ...drafts]);
+  }
+
+  remove(userId: string, id: string): void {
+    this.write(
+      userId,
+      this.read(userId).filter((draft) => draft.id !== id)
+    );
+  }
+}
+
+/**
+ * A new draft filled in from an existing prescription, such as one
+ * imported from a FHIR bundle. Each line keeps its indication.
+ */
+export function prescriptionToDraft(prescription: Prescription, id: string, name: string): PrescriptionDraft {
+  const now = new Date().toISOString();
+  const primary = toDiagnosisFormData({ code: prescription.icdCode, description: prescription.diagnosis }, PRIMARY_DIAGNOSIS_ID);
+  const secondary = (prescription.secondaryDiagnoses || []).map((d, i) => toDiagnosisFormData(d, `${id}-dx${i + 1}`));
+  return {
+    id,
+    name,
+    patient: {
+      name: prescription.patient.name,
+      age: prescription.patient.age,
+      gender: prescription.patient.gender,
+      nationalId: prescription.patient.nationalId,
+      dateOfBirth: prescription.patient.dateOfBirth?.slice(0, 10),
+      weightKg: prescription.patient.weightKg,
+      heightCm: prescription.patient.heightCm,
+    },
+    diagnosis: primary.description,
+    icd10: primary.icd10,
+    secondaryDiagnoses: secondary,
+    clinicalNotes: prescription.clinicalNotes || '',
+    medications: prescription.medications.map((med) => ({
+      ...toMedicationFormData(med),
+      diagnosisId: findDiagnosisId([primary, ...secondary], med),
+    })),
+    activeStep: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * A renewal of a chronic prescription: the same patient, diagnoses and
+ * lines in a new draft linked to the original. Notes from the earlier
+ * visit are not carried over.
+ */
+export function renewalToDraft(prescription: Prescription, id: string): PrescriptionDraft {
+  return {
+    ...prescriptionToDraft(prescription, id, `${prescription.patient.name} (renewal of ${prescription.prescriptionNumber})`),
+    clinicalNotes: '',
+    renewalOf: { id: prescription.id, prescriptionNumber: prescription.prescriptionNumber },
+  };
+}
+
+export const draftStore = new DraftStore();
+export default draftStore;
@@ -0,0 +1,57 @@
+import { DEFAULT_LOCALE_PREFERENCES, LANGUAGE_OPTIONS, LOCALE_KEY_PREFIX } from '../config/constants';
+import type { LocalePreferences } from '../types';
+
+// ============================================================
+// Locale preferences
+// Interface language and digits, kept in localStorage under a key
+// per user. The last choice made on this device is kept as well,
+// so the login screen opens in it before anyone has signed in.
+// ============================================================
+
+const DEVICE_KEY = `${LOCALE_KEY_PREFIX}_device`;
+
+function storageKey(userId: string): string {
+  return `${LOCALE_KEY_PREFIX}_${userId}`;
+}
+
+function isValid(preferences: Partial<LocalePreferences>): preferences is LocalePreferences {
+  return (
+    LANGUAGE_OPTIONS.some((option) => option.value === preferences.language) &&
+    (preferences.numerals === 'latn' || preferences.numerals === 'arab')
+  );
+}
+
+class LocalePreferenceStore {
+  private read(key: string): LocalePreferences | null {
+    try {
+      const raw = window.localStorage.getItem(key);
+      if (!raw) return null;
+      const preferences = { ...DEFAULT_LOCALE_PREFERENCES, ...(JSON.parse(raw) as Partial<LocalePreferences>) };
+      return isValid(preferences) ? preferences : null;
+    } catch (error) {
+      console.warn('Error reading locale preferences:', error);
+      return null;
+    }
+  }
+
+  private write(key: string, preferences: LocalePreferences): void {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(preferences));
+    } catch (error) {
+      console.warn('Error saving locale preferences:', error);
+    }
+  }
+
+  /** The user's saved choice, else the last one made on this device. */
+  get(userId?: string): LocalePreferences {
+    return (userId && this.read(storageKey(userId))) || this.read(DEVICE_KEY) || DEFAULT_LOCALE_PREFERENCES;
+  }
+
+  set(userId: string | undefined, preferences: LocalePreferences): void {
+    if (userId) this.write(storageKey(userId), preferences);
+    this.write(DEVICE_KEY, preferences);
+  }
+}
+
+export const localePreferences = new LocalePreferenceStore();
+export default localePreferences;
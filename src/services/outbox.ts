@@ -0,0 +1,158 @@
+import type { OutboxOperation } from '../types';
+
+// ============================================================
+// Offline outbox
+// Prescription writes that could not reach NDP are persisted in
+// IndexedDB and replayed in order once connectivity returns.
+// ============================================================
+
+const DB_NAME = 'healthflow-outbox';
+const DB_VERSION = 1;
+const OPERATIONS_STORE = 'operations';
+const ID_MAP_STORE = 'idMap';
+
+// Prefix for prescription IDs assigned locally before sync
+export const LOCAL_ID_PREFIX = 'local-';
+
+// Replay backoff: 5s, 10s, 20s ... capped at 5 minutes
+const BASE_RETRY_MS = 5000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+export function getRetryDelay(attempts: number): number {
+  return Math.min(BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_MS);
+}
+
+export function isLocalId(id: string): boolean {
+  return id.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Temporary Rx number for a prescription created offline, taken from its
+ * random local ID. NDP numbers are all digits, so the two cannot collide;
+ * NDP assigns the real number on sync.
+ */
+export function getLocalPrescriptionNumber(localId: string): string {
+  const suffix = localId.slice(LOCAL_ID_PREFIX.length).replace(/-/g, '').slice(0, 8).toUpperCase();
+  return `NDP-${new Date().getFullYear()}-LOCAL-${suffix}`;
+}
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class OfflineOutbox {
+  private dbPromise: Promise<IDBDatabase> | null = null;
+  private listeners = new Set<() => void>();
+  private idMap = new Map<string, string>();
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(OPERATIONS_STORE)) {
+            db.createObjectStore(OPERATIONS_STORE, { keyPath: 'seq', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains(ID_MAP_STORE)) {
+            db.createObjectStore(ID_MAP_STORE, { keyPath: 'localId' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  private async store(name: string, mode: IDBTransactionMode): Promise<IDBObjectStore> {
+    const db = await this.open();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  private notify(): void {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /** Subscribe to queue changes. Returns an unsubscribe function. */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /** Queued operations in replay order. */
+  async getAll(): Promise<OutboxOperation[]> {
+    const store = await this.store(OPERATIONS_STORE, 'readonly');
+    return requestToPromise(store.getAll() as IDBRequest<OutboxOperation[]>);
+  }
+
+  async enqueue(
+    operation: Omit<OutboxOperation, 'seq' | 'attempts' | 'nextAttemptAt' | 'state' | 'queuedAt'>
+  ): Promise<void> {
+    const store = await this.store(OPERATIONS_STORE, 'readwrite');
+    await requestToPromise(
+      store.add({
+        ...operation,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        state: 'pending',
+        queuedAt: new Date().toISOString(),
+      })
+    );
+    this.notify();
+  }
+
+  async update(operation: OutboxOperation): Promise<void> {
+    const store = await this.store(OPERATIONS_STORE, 'readwrite');
+    await requestToPromise(store.put(operation));
+    this.notify();
+  }
+
+  async remove(seq: number): Promise<void> {
+    const store = await this.store(OPERATIONS_STORE, 'readwrite');
+    await requestToPromise(store.delete(seq));
+    this.notify();
+  }
+
+  /** Load local-to-server ID mappings recorded by earlier syncs. */
+  async loadIdMap(): Promise<void> {
+    const store = await this.store(ID_MAP_STORE, 'readonly');
+    const entries = await requestToPromise(
+      store.getAll() as IDBRequest<{ localId: string; serverId: string }[]>
+    );
+    entries.forEach(({ localId, serverId }) => this.idMap.set(localId, serverId));
+  }
+
+  /**
+   * Record the server ID for a locally created prescription and point
+   * every queued operation for it at the new ID.
+   */
+  async resolveId(localId: string, serverId: string): Promise<void> {
+    this.idMap.set(localId, serverId);
+    const idStore = await this.store(ID_MAP_STORE, 'readwrite');
+    await requestToPromise(idStore.put({ localId, serverId }));
+
+    const operations = await this.getAll();
+    for (const operation of operations) {
+      if (operation.prescriptionId === localId) {
+        await this.update({ ...operation, prescriptionId: serverId });
+      }
+    }
+  }
+
+  /** Server ID for a prescription, following any local-ID mapping. */
+  getServerId(id: string): string {
+    return this.idMap.get(id) || id;
+  }
+}
+
+export const offlineOutbox = new OfflineOutbox();
+export default offlineOutbox;
@@ -0,0 +1,243 @@
+import keycloak from '../config/keycloak';
+import type { KeycloakTokenParsed } from 'keycloak-js';
+import { SESSION_WARNING_SECONDS, SESSION_CRITICAL_SECONDS } from '../config/constants';
+
+// ============================================================
+// Keycloak session service
+// Tracks how long the SSO session has left (the refresh token
+// lifetime) and coordinates token refresh and logout across open
+// tabs over a BroadcastChannel: one tab refreshes and shares the
+// new tokens, and a logout in any tab ends the session in all.
+// ============================================================
+
+const CHANNEL_NAME = 'healthflow-session';
+
+// How long other tabs wait on a refresh claimed by one tab
+const REFRESH_LOCK_MS = 10000;
+// Window in which simultaneous claims are settled (lowest tab ID wins)
+const CLAIM_SETTLE_MS = 150;
+
+export type SessionPhase = 'active' | 'warning' | 'critical' | 'expired';
+
+interface SharedTokens {
+  token: string;
+  refreshToken: string;
+  idToken?: string;
+  timeSkew?: number;
+}
+
+type SessionMessage =
+  | { type: 'refresh-claim'; tabId: string }
+  | { type: 'tokens'; tabId: string; tokens: SharedTokens }
+  | { type: 'refresh-failed'; tabId: string }
+  | { type: 'logout'; tabId: string };
+
+function decodeToken(token?: string): KeycloakTokenParsed | undefined {
+  if (!token) return undefined;
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(
+      atob(payload)
+        .split('')
+        .map((c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`)
+        .join('')
+    );
+    return JSON.parse(json) as KeycloakTokenParsed;
+  } catch {
+    return undefined;
+  }
+}
+
+function wait(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class SessionService {
+  private tabId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  private channel: BroadcastChannel | null =
+    typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  private listeners = new Set<() => void>();
+  private refreshing: Promise<boolean> | null = null;
+  // Refresh claimed by another tab, and claims seen while settling our own
+  private remoteClaim: { tabId: string; until: number } | null = null;
+  private competingClaims: string[] = [];
+  private remoteRefreshWaiters: Array<(adopted: boolean) => void> = [];
+  private lastActivity = Date.now();
+  private lastRefresh = Date.now();
+
+  constructor() {
+    this.channel?.addEventListener('message', (event: MessageEvent<SessionMessage>) =>
+      this.handleMessage(event.data)
+    );
+    if (typeof window !== 'undefined') {
+      const markActive = () => {
+        this.lastActivity = Date.now();
+      };
+      window.addEventListener('pointerdown', markActive, { passive: true });
+      window.addEventListener('keydown', markActive, { passive: true });
+    }
+  }
+
+  private notify(): void {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  private post(message: SessionMessage): void {
+    this.channel?.postMessage(message);
+  }
+
+  private handleMessage(message: SessionMessage): void {
+    if (message.tabId === this.tabId) return;
+    switch (message.type) {
+      case 'refresh-claim':
+        this.remoteClaim = { tabId: message.tabId, until: Date.now() + REFRESH_LOCK_MS };
+        this.competingClaims.push(message.tabId);
+        break;
+      case 'tokens':
+        this.adoptTokens(message.tokens);
+        this.settleRemoteRefresh(true);
+        break;
+      case 'refresh-failed':
+        this.settleRemoteRefresh(false);
+        break;
+      case 'logout':
+        // Another tab logged out; drop our tokens so AuthContext returns to login
+        if (keycloak.authenticated) keycloak.clearToken();
+        break;
+    }
+  }
+
+  private settleRemoteRefresh(adopted: boolean): void {
+    this.remoteClaim = null;
+    const waiters = this.remoteRefreshWaiters;
+    this.remoteRefreshWaiters = [];
+    waiters.forEach((resolve) => resolve(adopted));
+  }
+
+  /** Take over tokens refreshed by another tab instead of refreshing again. */
+  private adoptTokens(tokens: SharedTokens): void {
+    if (!keycloak.authenticated) return;
+    keycloak.token = tokens.token;
+    keycloak.tokenParsed = decodeToken(tokens.token);
+    keycloak.refreshToken = tokens.refreshToken;
+    keycloak.refreshTokenParsed = decodeToken(tokens.refreshToken);
+    if (tokens.idToken) {
+      keycloak.idToken = tokens.idToken;
+      keycloak.idTokenParsed = decodeToken(tokens.idToken);
+    }
+    if (tokens.timeSkew !== undefined) keycloak.timeSkew = tokens.timeSkew;
+    this.lastRefresh = Date.now();
+    this.notify();
+  }
+
+  private waitForRemoteRefresh(): Promise<boolean> {
+    const remaining = (this.remoteClaim?.until ?? Date.now()) - Date.now();
+    return new Promise((resolve) => {
+      this.remoteRefreshWaiters.push(resolve);
+      setTimeout(() => resolve(false), Math.max(remaining, 0));
+    });
+  }
+
+  private async runRefresh(minValidity: number): Promise<boolean> {
+    // Another tab is already refreshing: use its tokens
+    if (this.remoteClaim && this.remoteClaim.until > Date.now()) {
+      if (await this.waitForRemoteRefresh()) return true;
+    }
+
+    this.competingClaims = [];
+    this.post({ type: 'refresh-claim', tabId: this.tabId });
+    await wait(CLAIM_SETTLE_MS);
+    const winner = [this.tabId, ...this.competingClaims].sort()[0];
+    if (winner !== this.tabId && (await this.waitForRemoteRefresh())) {
+      return true;
+    }
+
+    try {
+      const refreshed = await keycloak.updateToken(minValidity);
+      this.lastRefresh = Date.now();
+      if (keycloak.token && keycloak.refreshToken) {
+        this.post({
+          type: 'tokens',
+          tabId: this.tabId,
+          tokens: {
+            token: keycloak.token,
+            refreshToken: keycloak.refreshToken,
+            idToken: keycloak.idToken,
+            timeSkew: keycloak.timeSkew,
+          },
+        });
+      }
+      this.notify();
+      return refreshed;
+    } catch (err) {
+      this.post({ type: 'refresh-failed', tabId: this.tabId });
+      throw err;
+    }
+  }
+
+  /**
+   * Refresh the access token if it expires within `minValidity` seconds
+   * (-1 forces a refresh). Only one tab contacts Keycloak at a time; the
+   * others adopt the tokens it broadcasts.
+   */
+  refresh(minValidity: number = 30): Promise<boolean> {
+    if (minValidity >= 0 && keycloak.tokenParsed && !keycloak.isTokenExpired(minValidity)) {
+      return Promise.resolve(false);
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.runRefresh(minValidity).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /** Extend the SSO session on the user's request. */
+  extend(): Promise<boolean> {
+    this.lastActivity = Date.now();
+    return this.refresh(-1);
+  }
+
+  /**
+   * Called when the access token expires. It is only renewed if the user
+   * has been active since the last refresh, so an idle session still
+   * reaches its warning and expiry.
+   */
+  handleTokenExpired(): Promise<boolean> {
+    if (this.lastActivity <= this.lastRefresh) return Promise.resolve(false);
+    return this.refresh(30);
+  }
+
+  /** End the session here and in every other open tab. */
+  logout(redirectUri: string): Promise<void> {
+    this.post({ type: 'logout', tabId: this.tabId });
+    return keycloak.logout({ redirectUri });
+  }
+
+  /**
+   * Seconds until the SSO session ends: the refresh token's expiry,
+   * or the access token's when there is no refresh token lifetime.
+   */
+  getSecondsRemaining(): number | null {
+    const exp = keycloak.refreshTokenParsed?.exp ?? keycloak.tokenParsed?.exp;
+    if (!keycloak.authenticated || !exp) return null;
+    return Math.floor(exp - Date.now() / 1000 + (keycloak.timeSkew ?? 0));
+  }
+
+  getPhase(secondsRemaining: number | null): SessionPhase {
+    if (secondsRemaining === null || secondsRemaining > SESSION_WARNING_SECONDS) return 'active';
+    if (secondsRemaining <= 0) return 'expired';
+    return secondsRemaining <= SESSION_CRITICAL_SECONDS ? 'critical' : 'warning';
+  }
+
+  /** Subscribe to token changes. Returns an unsubscribe function. */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+}
+
+export const sessionService = new SessionService();
+export default sessionService;
@@ -0,0 +1,183 @@
+import { TEMPLATES_KEY_PREFIX, TEMPLATE_EXPORT_FORMAT, TEMPLATE_EXPORT_VERSION } from '../config/constants';
+import { hasPermission, getPermissionDeniedMessage } from '../utils/permissions';
+import { translate } from '../i18n';
+import type {
+  Medication,
+  PrescriptionTemplate,
+  PrescriptionTemplateExport,
+  TemplateScope,
+  User,
+} from '../types';
+
+// ============================================================
+// Prescription templates
+// Personal order sets are kept per user; clinic templates are kept
+// per clinic on this device and moved between workstations as
+// exported JSON files. Sharing with the clinic needs template:share.
+// ============================================================
+
+// Clinic templates are keyed by the clinic name on the user's profile
+function ownerKey(user: User, scope: TemplateScope): string {
+  if (scope === 'personal') return user.id;
+  return (user.clinicName || 'default').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'default';
+}
+
+function storageKey(user: User, scope: TemplateScope): string {
+  return `${TEMPLATES_KEY_PREFIX}_${scope}_${ownerKey(user, scope)}`;
+}
+
+function generateTemplateId(): string {
+  return `tpl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Template line for a prescription line, without fields that belong to one prescription. */
+export function toTemplateMedication(med: Medication): Medication {
+  const { icd, indication, warnings, refills, refillIntervalDays, ...line } = med;
+  return line;
+}
+
+/** File contents for exporting templates. */
+export function exportTemplates(templates: PrescriptionTemplate[]): PrescriptionTemplateExport {
+  return {
+    format: TEMPLATE_EXPORT_FORMAT,
+    version: TEMPLATE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates,
+  };
+}
+
+function isTemplate(value: unknown): value is PrescriptionTemplate {
+  const template = value as PrescriptionTemplate;
+  return (
+    !!template &&
+    typeof template.name === 'string' &&
+    typeof template.diagnosis === 'string' &&
+    Array.isArray(template.medications) &&
+    template.medications.every((med) => typeof med?.medicineName === 'string' && typeof med.dosage === 'string')
+  );
+}
+
+class TemplateStore {
+  private listeners = new Set<() => void>();
+
+  private read(key: string): PrescriptionTemplate[] {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw ? (JSON.parse(raw) as PrescriptionTemplate[]) : [];
+    } catch (error) {
+      console.warn('Error reading prescription templates:', error);
+      return [];
+    }
+  }
+
+  private write(key: string, templates: PrescriptionTemplate[]): void {
+    try {
+      if (templates.length > 0) {
+        window.localStorage.setItem(key, JSON.stringify(templates));
+      } else {
+        window.localStorage.removeItem(key);
+      }
+    } catch (error) {
+      console.warn('Error saving prescription templates:', error);
+    }
+    this.listeners.forEach((listener) => listener());
+  }
+
+  private requireScope(user: User, scope: TemplateScope): void {
+    if (scope === 'clinic' && !hasPermission(user, 'template:share')) {
+      throw new Error(getPermissionDeniedMessage(user, 'template:share'));
+    }
+  }
+
+  /** Subscribe to template changes. Returns an unsubscribe function. */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /** The user's personal templates followed by their clinic's, each sorted by name. */
+  list(user: User): PrescriptionTemplate[] {
+    const byName = (a: PrescriptionTemplate, b: PrescriptionTemplate) => a.name.localeCompare(b.name);
+    return [
+      ...this.read(storageKey(user, 'personal')).sort(byName),
+      ...this.read(storageKey(user, 'clinic')).sort(byName),
+    ];
+  }
+
+  /**
+   * Insert or replace a template by ID. A new template (no ID) is
+   * created with the user as owner.
+   */
+  save(
+    user: User,
+    template: Omit<PrescriptionTemplate, 'id' | 'ownerId' | 'createdAt' | 'updatedAt'> & Partial<PrescriptionTemplate>
+  ): PrescriptionTemplate {
+    this.requireScope(user, template.scope);
+    const now = new Date().toISOString();
+    const saved: PrescriptionTemplate = {
+      ...template,
+      id: template.id || generateTemplateId(),
+      ownerId: template.ownerId || user.id,
+      ownerName: template.ownerName || user.name,
+      medications: template.medications.map(toTemplateMedication),
+      createdAt: template.createdAt || now,
+      updatedAt: now,
+    };
+    // A template moved between scopes leaves its old list
+    const otherScope: TemplateScope = saved.scope === 'clinic' ? 'personal' : 'clinic';
+    const other = this.read(storageKey(user, otherScope));
+    if (other.some((t) => t.id === saved.id)) {
+      this.write(storageKey(user, otherScope), other.filter((t) => t.id !== saved.id));
+    }
+    const key = storageKey(user, saved.scope);
+    this.write(key, [saved, ...this.read(key).filter((t) => t.id !== saved.id)]);
+    return saved;
+  }
+
+  remove(user: User, template: PrescriptionTemplate): void {
+    this.requireScope(user, template.scope);
+    const key = storageKey(user, template.scope);
+    this.write(key, this.read(key).filter((t) => t.id !== template.id));
+  }
+
+  /**
+   * Add the templates from an exported file to the given scope, as new
+   * templates owned by the importing user. Returns how many were added.
+   */
+  importTemplates(user: User, data: unknown, scope: TemplateScope): number {
+    this.requireScope(user, scope);
+    const file = data as PrescriptionTemplateExport;
+    if (!file || file.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(file.templates)) {
+      throw new Error(translate('errors.templateFileInvalid'));
+    }
+    if (file.version > TEMPLATE_EXPORT_VERSION) {
+      throw new Error(translate('errors.templateFileNewer'));
+    }
+    const templates = file.templates.filter(isTemplate);
+    if (templates.length === 0) {
+      throw new Error(translate('errors.templateFileEmpty'));
+    }
+
+    const now = new Date().toISOString();
+    const key = storageKey(user, scope);
+    const imported: PrescriptionTemplate[] = templates.map((template) => ({
+      id: generateTemplateId(),
+      name: template.name,
+      scope,
+      ownerId: user.id,
+      ownerName: user.name,
+      diagnosis: template.diagnosis,
+      icd10: template.icd10 || null,
+      medications: template.medications.map(toTemplateMedication),
+      createdAt: now,
+      updatedAt: now,
+    }));
+    this.write(key, [...imported, ...this.read(key)]);
+    return imported.length;
+  }
+}
+
+export const templateStore = new TemplateStore();
+export default templateStore;
@@ -1,14 +1,24 @@
 // ============================================================
 // User and Authentication Types (Keycloak SSO)
 // ============================================================
+export type UserRole = 'doctor' | 'clinic_staff';
+
+export type Permission =
+  | 'prescription:create'
+  | 'prescription:approve'
+  | 'prescription:cancel'
+  | 'prescription:view_all'
+  | 'template:share';
+
 export interface User {
   id: string;
   email: string;
-  role: 'doctor' | 'clinic_staff';
+  role: UserRole;
   name: string;
   license?: string;
   specialty?: string;
   clinicName?: string;
+  permissions?: Permission[]; // from Keycloak roles; defaults to the role's permissions
 }
 
 export interface AuthResponse {
@@ -34,6 +44,10 @@ export interface Patient {
   age: number;
   gender: 'male' | 'female';
   nationalId: string;
+  dateOfBirth?: string;
+  verified?: boolean;
+  weightKg?: number;
+  heightCm?: number;
 }
 
 export interface PatientDemographics {
@@ -45,6 +59,14 @@ export interface PatientDemographics {
   verified: boolean;
 }
 
+export type PatientVerificationStatus = 'idle' | 'verifying' | 'verified' | 'not_found' | 'error';
+
+export interface PatientVerification {
+  status: PatientVerificationStatus;
+  demographics?: PatientDemographics;
+  error?: string;
+}
+
 export interface InsuranceCoverage {
   nationalId: string;
   enrolled: boolean;
@@ -77,11 +99,67 @@ export interface Medicine {
   edaCode?: string;
   manufacturer?: string;
   activeIngredient?: string;
+  price?: number;
 }
 
 // ============================================================
 // Medication Types (Prescription Line Items)
 // ============================================================
+export type DoseUnit = 'tablet' | 'capsule' | 'mg' | 'ml' | 'drop' | 'puff' | 'sachet' | 'suppository' | 'unit' | 'application';
+
+export type DoseRoute =
+  | 'oral'
+  | 'sublingual'
+  | 'topical'
+  | 'inhaled'
+  | 'nasal'
+  | 'ophthalmic'
+  | 'otic'
+  | 'rectal'
+  | 'vaginal'
+  | 'subcutaneous'
+  | 'intramuscular'
+  | 'intravenous';
+
+export type DoseTiming = 'any' | 'before_meals' | 'with_meals' | 'after_meals' | 'empty_stomach' | 'morning' | 'bedtime';
+
+// One step of a dosing schedule, e.g. 40 mg once daily for 5 days
+export interface DosePhase {
+  doseAmount: number;
+  frequency: string; // FREQUENCY_OPTIONS value
+  durationDays: number | null; // null: continues until stopped (last phase only)
+}
+
+// Structured dosing instructions (sig); a taper has several phases
+export interface StructuredSig {
+  doseUnit: DoseUnit;
+  route: DoseRoute;
+  timing: DoseTiming;
+  asNeeded: boolean;
+  asNeededFor?: string; // PRN indication, e.g. pain
+  maxDailyDose?: number; // In doseUnit per 24 hours
+  phases: DosePhase[];
+}
+
+// Weight- or body-surface-based dose worked out for one line
+export type WeightDoseBasis = 'mg_per_kg' | 'mg_per_m2';
+
+export interface WeightBasedDose {
+  basis: WeightDoseBasis;
+  rate: number; // mg per kg or per m²
+  perDay: boolean; // rate is a daily total, divided over dosesPerDay
+  dosesPerDay: number;
+  weightKg: number;
+  heightCm?: number;
+  bsaM2?: number;
+  calculatedMg: number; // exact single dose
+  roundedMg: number; // single dose after rounding to a measurable amount
+  doseAmount: number; // roundedMg in doseUnit, e.g. 7.5 ml or 0.5 tablet
+  doseUnit: DoseUnit;
+  maxSingleDoseMg?: number;
+  maxDailyDoseMg?: number;
+}
+
 export interface Medication {
   medicineId: string;
   medicineName: string;
@@ -90,15 +168,20 @@ export interface Medication {
   medicineGenericName?: string;
   medicineStrength?: string;
   medicineForm?: string;
+  unitPrice?: number;
   dosage: string;
   frequency: string;
   duration: string;
   quantity: number;
   refills?: number;
+  refillIntervalDays?: number; // Days between fills; defaults to the days one fill covers
   instructions?: string;
   warnings?: string;
   substitutionAllowed?: boolean;
-  icd?: string;
+  icd?: string; // ICD-10 code of the diagnosis this line treats
+  indication?: string; // Description of that diagnosis
+  sig?: StructuredSig;
+  weightDose?: WeightBasedDose;
   doseQuantity?: number;
   everyDays?: number;
   forDays?: number;
@@ -123,20 +206,55 @@ export interface Prescription {
   prescriptionNumber: string;
   doctor: Doctor;
   patient: Patient;
-  diagnosis: string;
+  diagnosis: string; // Primary diagnosis
   icdCode?: string;
+  secondaryDiagnoses?: PrescriptionDiagnosis[];
   clinicalNotes?: string;
+  identityOverride?: boolean; // Patient identity confirmed manually, not verified with DPR
+  interactionOverride?: string; // Reason for prescribing despite a critical interaction
   medications: Medication[];
   status: PrescriptionStatus;
   prescriptionDate: string;
   createdAt: string;
   updatedAt: string;
   digitalSignature?: string;
-  aiValidation?: {
-    valid: boolean;
-    warnings: string[];
-    checkedAt: string;
-  };
+  aiValidation?: AIValidationResult;
+  renewalOf?: PrescriptionLink; // Earlier prescription this one renews
+}
+
+// Reference to another prescription, by ID and its human-readable number
+export interface PrescriptionLink {
+  id: string;
+  prescriptionNumber: string;
+}
+
+// A diagnosis recorded on a prescription, optionally ICD-10 coded
+export interface PrescriptionDiagnosis {
+  code?: string;
+  description: string;
+}
+
+export interface ValidationAcknowledgement {
+  warning: string;
+  action: 'acknowledged' | 'overridden';
+  reason?: string;
+  acknowledgedBy: string;
+  acknowledgedAt: string;
+}
+
+export interface AIValidationResult {
+  valid: boolean;
+  warnings: string[];
+  checkedAt: string;
+  acknowledgements?: ValidationAcknowledgement[];
+}
+
+export type SignatureStatus = 'valid' | 'invalid' | 'tampered' | 'unverifiable' | 'unsigned';
+
+export interface SignatureVerification {
+  status: SignatureStatus;
+  reason?: string;
+  checkedAt: string;
 }
 
 export interface PrescriptionCreatePayload {
@@ -144,8 +262,35 @@ export interface PrescriptionCreatePayload {
   patient: Patient;
   diagnosis: string;
   icdCode?: string;
+  secondaryDiagnoses?: PrescriptionDiagnosis[];
   clinicalNotes?: string;
+  identityOverride?: boolean;
+  interactionOverride?: string;
   medications: Medication[];
+  renewalOf?: PrescriptionLink;
+}
+
+// ============================================================
+// Offline Outbox Types
+// ============================================================
+export type OutboxOperationType = 'create' | 'update' | 'status' | 'cancel' | 'review';
+
+export interface OutboxOperation {
+  seq?: number;
+  type: OutboxOperationType;
+  prescriptionId: string;
+  prescriptionNumber: string;
+  data?: Partial<PrescriptionCreatePayload>; // create, update
+  localPrescription?: Prescription; // create
+  status?: PrescriptionStatus; // status
+  digitalSignature?: string; // status: approved
+  reason?: string; // cancel
+  validation?: AIValidationResult; // review
+  attempts: number;
+  nextAttemptAt: number;
+  state: 'pending' | 'conflict';
+  lastError?: string;
+  queuedAt: string;
 }
 
 export interface PrescriptionHistoryItem {
@@ -168,6 +313,26 @@ export interface DrugInteractionResult {
   recommendation: string;
 }
 
+// ============================================================
+// Drug Recall Types (NDP Medication Directory - EDA Recalls)
+// ============================================================
+export type DrugRecallClass = 'I' | 'II' | 'III';
+
+export interface DrugRecall {
+  id: string;
+  drugId?: string;
+  edaCode?: string;
+  medicineName: string;
+  genericName?: string;
+  manufacturer?: string;
+  batchNumbers?: string[];
+  recallClass: DrugRecallClass;
+  reason: string;
+  issuedBy?: string;
+  recallDate: string;
+  status: 'active' | 'closed';
+}
+
 // ============================================================
 // API Response Types
 // ============================================================
@@ -175,15 +340,38 @@ export interface ApiResponse<T> {
   success: boolean;
   data: T;
   total?: number;
+  links?: ApiPageLinks; // Paging links of a FHIR search Bundle
   error?: string;
   details?: unknown[];
 }
 
+export interface ApiPageLinks {
+  self?: string;
+  next?: string;
+  previous?: string;
+}
+
 export interface PaginationParams {
   limit?: number;
   offset?: number;
 }
 
+export type PrescriptionSortField = 'date' | 'patient' | 'status' | 'prescriptionNumber';
+
+/** Search parameters for GET /fhir/MedicationRequest */
+export interface PrescriptionSearchParams extends PaginationParams {
+  status?: PrescriptionStatus[];
+  dateFrom?: string; // yyyy-MM-dd, inclusive
+  dateTo?: string; // yyyy-MM-dd, inclusive
+  patientIdentifier?: string; // National ID
+  icdCode?: string;
+  medicine?: string; // medicine name or EDA/drug code
+  text?: string; // Rx number, patient name or diagnosis
+  prescriberId?: string; // only prescriptions written by this doctor
+  sort?: PrescriptionSortField;
+  order?: 'asc' | 'desc';
+}
+
 // ============================================================
 // Dashboard Stats
 // ============================================================
@@ -193,6 +381,84 @@ export interface DashboardStats {
   pending: number;
   dispensed: number;
   cancelled: number;
+  since?: string; // yyyy-MM-dd the counters start from; absent for demo data
+}
+
+// ============================================================
+// Prescription Analytics
+// ============================================================
+export type AnalyticsGranularity = 'day' | 'week';
+
+export type AnalyticsRangePreset =
+  | 'last_7_days'
+  | 'last_30_days'
+  | 'this_month'
+  | 'last_month'
+  | 'last_90_days'
+  | 'custom';
+
+/** Query for GET /api/v1/prescriptions/analytics */
+export interface AnalyticsQuery {
+  dateFrom: string; // yyyy-MM-dd, inclusive
+  dateTo: string; // yyyy-MM-dd, inclusive
+  granularity: AnalyticsGranularity;
+}
+
+/** Prescriptions written in one day or week of the range. */
+export interface AnalyticsPeriod {
+  period: string; // yyyy-MM-dd of the day or first day of the week
+  total: number;
+  approved: number;
+  cancelled: number;
+}
+
+/** One row of a top-N breakdown (medicine, generic or diagnosis). */
+export interface AnalyticsCount {
+  key: string;
+  label: string;
+  count: number;
+}
+
+export interface PrescriptionAnalytics extends AnalyticsQuery {
+  total: number;
+  byStatus: Partial<Record<PrescriptionStatus, number>>;
+  approvalRate: number; // 0-1, share of prescriptions that were approved
+  cancellationRate: number; // 0-1, share cancelled or rejected
+  averageMedications: number;
+  series: AnalyticsPeriod[];
+  topMedicines: AnalyticsCount[];
+  topGenerics: AnalyticsCount[];
+  topDiagnoses: AnalyticsCount[];
+  source: 'server' | 'device';
+  generatedAt: string;
+}
+
+/** What the client-side aggregator keeps of one prescription. */
+export interface AnalyticsFact {
+  id: string;
+  date: string; // yyyy-MM-dd prescription date
+  status: PrescriptionStatus;
+  medicines: string[];
+  generics: string[];
+  diagnoses: PrescriptionDiagnosis[];
+}
+
+// ============================================================
+// Prescription Exports
+// ============================================================
+export type ExportFormat = 'csv' | 'xlsx' | 'pdf';
+
+// ============================================================
+// Localization
+// ============================================================
+export type Language = 'en' | 'ar';
+
+// Digits used in Arabic: Western (0-9) or Eastern Arabic (٠-٩)
+export type NumeralSystem = 'latn' | 'arab';
+
+export interface LocalePreferences {
+  language: Language;
+  numerals: NumeralSystem;
 }
 
 // ============================================================
@@ -201,8 +467,200 @@ export interface DashboardStats {
 export interface ICD10Code {
   code: string;
   description: string;
-  category?: string;
-  chapter?: string;
+  category?: string; // Title of the three-character parent category
+  chapter?: string; // Title of the WHO chapter
+  parent?: string; // Parent category code, e.g. E11 for E11.9
+  synonymsAr?: string[];
+}
+
+export interface ICD10Chapter {
+  id: string; // Roman numeral, e.g. IV
+  start: string; // First category in the chapter, e.g. E00
+  end: string; // Last category in the chapter, e.g. E90
+  title: string;
+  titleAr: string;
+}
+
+export interface DiagnosisPreferences {
+  favourites: ICD10Code[];
+  recent: ICD10Code[];
+}
+
+// ============================================================
+// Prescription Template Types (order sets)
+// ============================================================
+export type TemplateScope = 'personal' | 'clinic';
+
+// A diagnosis and its usual medication lines, applied in one click
+export interface PrescriptionTemplate {
+  id: string;
+  name: string;
+  scope: TemplateScope;
+  ownerId: string;
+  ownerName?: string;
+  diagnosis: string;
+  icd10: ICD10Code | null;
+  medications: Medication[]; // Lines without indication, warnings or refills
+  createdAt: string;
+  updatedAt: string;
+}
+
+// JSON file a clinic uses to distribute its templates
+export interface PrescriptionTemplateExport {
+  format: string; // TEMPLATE_EXPORT_FORMAT
+  version: number;
+  exportedAt: string;
+  templates: PrescriptionTemplate[];
+}
+
+// ============================================================
+// FHIR R4 Types (subset used by the NDP gateway)
+// Spec: https://hl7.org/fhir/R4/
+// ============================================================
+export interface FhirCoding {
+  system?: string;
+  code?: string;
+  display?: string;
+}
+
+export interface FhirCodeableConcept {
+  coding?: FhirCoding[];
+  text?: string;
+}
+
+export interface FhirIdentifier {
+  system?: string;
+  value?: string;
+}
+
+export interface FhirReference {
+  reference?: string; // e.g. Patient/123, or #id for a contained resource
+  identifier?: FhirIdentifier;
+  display?: string;
+}
+
+export interface FhirQuantity {
+  value?: number;
+  unit?: string;
+  system?: string;
+  code?: string;
+}
+
+export interface FhirExtension {
+  url: string;
+  valueString?: string;
+  valueCode?: string;
+  valueInteger?: number;
+  valueDecimal?: number;
+  valueBoolean?: boolean;
+  valueDateTime?: string;
+}
+
+interface FhirResourceBase {
+  id?: string;
+  meta?: { lastUpdated?: string; profile?: string[] };
+  extension?: FhirExtension[];
+}
+
+export interface FhirPatient extends FhirResourceBase {
+  resourceType: 'Patient';
+  identifier?: FhirIdentifier[];
+  name?: { text?: string; family?: string; given?: string[] }[];
+  gender?: 'male' | 'female' | 'other' | 'unknown';
+  birthDate?: string;
+}
+
+export interface FhirPractitioner extends FhirResourceBase {
+  resourceType: 'Practitioner';
+  identifier?: FhirIdentifier[];
+  name?: { text?: string; family?: string; given?: string[] }[];
+  qualification?: { code: FhirCodeableConcept }[];
+}
+
+export interface FhirCondition extends FhirResourceBase {
+  resourceType: 'Condition';
+  clinicalStatus?: FhirCodeableConcept;
+  category?: FhirCodeableConcept[];
+  code?: FhirCodeableConcept;
+  subject: FhirReference;
+  recordedDate?: string;
+}
+
+export interface FhirTimingRepeat {
+  boundsDuration?: FhirQuantity;
+  frequency?: number;
+  period?: number;
+  periodUnit?: 's' | 'min' | 'h' | 'd' | 'wk' | 'mo' | 'a';
+  when?: string[];
+}
+
+export interface FhirDosage {
+  sequence?: number;
+  text?: string;
+  additionalInstruction?: FhirCodeableConcept[];
+  patientInstruction?: string;
+  timing?: { repeat?: FhirTimingRepeat; code?: FhirCodeableConcept };
+  asNeededBoolean?: boolean;
+  asNeededCodeableConcept?: FhirCodeableConcept;
+  route?: FhirCodeableConcept;
+  doseAndRate?: { doseQuantity?: FhirQuantity }[];
+  maxDosePerPeriod?: { numerator: FhirQuantity; denominator: FhirQuantity };
+}
+
+export type FhirMedicationRequestStatus =
+  | 'active'
+  | 'on-hold'
+  | 'cancelled'
+  | 'completed'
+  | 'entered-in-error'
+  | 'stopped'
+  | 'draft'
+  | 'unknown';
+
+export interface FhirMedicationRequest extends FhirResourceBase {
+  resourceType: 'MedicationRequest';
+  identifier?: FhirIdentifier[];
+  groupIdentifier?: FhirIdentifier;
+  contained?: FhirCondition[];
+  status: FhirMedicationRequestStatus;
+  intent: 'order' | 'plan' | 'proposal';
+  medicationCodeableConcept?: FhirCodeableConcept;
+  subject: FhirReference;
+  authoredOn?: string;
+  requester?: FhirReference;
+  reasonCode?: FhirCodeableConcept[];
+  reasonReference?: FhirReference[];
+  supportingInformation?: FhirReference[];
+  priorPrescription?: FhirReference;
+  note?: { text: string }[];
+  dosageInstruction?: FhirDosage[];
+  dispenseRequest?: {
+    dispenseInterval?: FhirQuantity;
+    numberOfRepeatsAllowed?: number;
+    quantity?: FhirQuantity;
+    expectedSupplyDuration?: FhirQuantity;
+  };
+  substitution?: { allowedBoolean: boolean };
+}
+
+export type FhirResource = FhirPatient | FhirPractitioner | FhirCondition | FhirMedicationRequest;
+
+export interface FhirBundleEntry {
+  fullUrl?: string;
+  resource?: FhirResource;
+  search?: { mode?: 'match' | 'include' | 'outcome' };
+  request?: { method: 'GET' | 'POST' | 'PUT' | 'DELETE'; url: string; ifNoneExist?: string };
+  response?: { status: string; location?: string };
+}
+
+export interface FhirBundle {
+  resourceType: 'Bundle';
+  id?: string;
+  type: 'collection' | 'searchset' | 'transaction' | 'transaction-response';
+  timestamp?: string;
+  total?: number;
+  link?: { relation: string; url: string }[];
+  entry?: FhirBundleEntry[];
 }
 
 // ============================================================
@@ -213,6 +671,9 @@ export interface PatientFormData {
   age: number;
   gender: 'male' | 'female';
   nationalId: string;
+  dateOfBirth?: string;
+  weightKg?: number;
+  heightCm?: number;
 }
 
 export interface MedicationFormData {
@@ -222,11 +683,34 @@ export interface MedicationFormData {
   duration: string;
   quantity: number;
   instructions?: string;
+  refills?: number;
+  refillIntervalDays?: number;
+  diagnosisId?: string; // DiagnosisFormData this line treats
+  sig?: StructuredSig; // Structured dosing; dosage, frequency and duration are derived from it
+  weightDose?: WeightBasedDose; // Dose calculated from the patient's weight or BSA
+}
+
+export interface DiagnosisFormData {
+  id: string;
+  description: string;
+  icd10: ICD10Code | null;
 }
 
 export interface PrescriptionFormData {
   patient: PatientFormData;
   diagnosis: string;
+  secondaryDiagnoses?: DiagnosisFormData[];
   clinicalNotes?: string;
   medications: MedicationFormData[];
 }
+
+// Unsent prescription form, auto-saved on this device
+export interface PrescriptionDraft extends PrescriptionFormData {
+  id: string;
+  name: string;
+  icd10: ICD10Code | null;
+  activeStep: number;
+  renewalOf?: PrescriptionLink;
+  createdAt: string;
+  updatedAt: string;
+}
@@ -0,0 +1,203 @@
+import {
+  addDays,
+  addWeeks,
+  eachDayOfInterval,
+  format,
+  parseISO,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  subDays,
+  subMonths,
+} from 'date-fns';
+import {
+  ANALYTICS_APPROVED_STATUSES,
+  ANALYTICS_CANCELLED_STATUSES,
+  ANALYTICS_TOP_N,
+  ANALYTICS_WEEK_STARTS_ON,
+  DASHBOARD_STATS_DAYS,
+} from '../config/constants';
+import { formatDiagnosis, getPrescriptionDiagnoses } from './diagnosis';
+import { formatDate } from '../i18n';
+import type {
+  AnalyticsCount,
+  AnalyticsFact,
+  AnalyticsPeriod,
+  AnalyticsQuery,
+  AnalyticsRangePreset,
+  DashboardStats,
+  Prescription,
+  PrescriptionAnalytics,
+  PrescriptionStatus,
+} from '../types';
+
+const DATE_FORMAT = 'yyyy-MM-dd';
+
+// Date range of a preset, counted in whole days up to and including today
+export function getAnalyticsRange(
+  preset: Exclude<AnalyticsRangePreset, 'custom'>,
+  now: Date = new Date()
+): Pick<AnalyticsQuery, 'dateFrom' | 'dateTo'> {
+  const today = format(now, DATE_FORMAT);
+  switch (preset) {
+    case 'last_7_days':
+      return { dateFrom: format(subDays(now, 6), DATE_FORMAT), dateTo: today };
+    case 'this_month':
+      return { dateFrom: format(startOfMonth(now), DATE_FORMAT), dateTo: today };
+    case 'last_month': {
+      const lastMonth = subMonths(now, 1);
+      return {
+        dateFrom: format(startOfMonth(lastMonth), DATE_FORMAT),
+        dateTo: format(endOfMonth(lastMonth), DATE_FORMAT),
+      };
+    }
+    case 'last_90_days':
+      return { dateFrom: format(subDays(now, 89), DATE_FORMAT), dateTo: today };
+    default:
+      return { dateFrom: format(subDays(now, 29), DATE_FORMAT), dateTo: today };
+  }
+}
+
+// First day of the day or week a date falls in
+export function getAnalyticsPeriod(date: string, granularity: AnalyticsQuery['granularity']): string {
+  if (granularity === 'day') return date;
+  return format(startOfWeek(parseISO(date), { weekStartsOn: ANALYTICS_WEEK_STARTS_ON }), DATE_FORMAT);
+}
+
+// Every period in the range, so days or weeks without prescriptions still show
+function getAnalyticsPeriods(query: AnalyticsQuery): string[] {
+  const start = parseISO(query.dateFrom);
+  const end = parseISO(query.dateTo);
+  if (end < start) return [];
+  if (query.granularity === 'day') {
+    return eachDayOfInterval({ start, end }).map((day) => format(day, DATE_FORMAT));
+  }
+  const periods: string[] = [];
+  for (
+    let week = startOfWeek(start, { weekStartsOn: ANALYTICS_WEEK_STARTS_ON });
+    week <= end;
+    week = addWeeks(week, 1)
+  ) {
+    periods.push(format(week, DATE_FORMAT));
+  }
+  return periods;
+}
+
+/** Label for a period on the trend chart, e.g. "Mar 04" or "Mar 03 – 09". */
+export function formatAnalyticsPeriod(period: string, granularity: AnalyticsQuery['granularity']): string {
+  const start = parseISO(period);
+  if (granularity === 'day') return formatDate(start, 'MMM dd');
+  const end = addDays(start, 6);
+  return `${formatDate(start, 'MMM dd')} – ${formatDate(end, start.getMonth() === end.getMonth() ? 'dd' : 'MMM dd')}`;
+}
+
+/** The parts of a prescription the analytics view counts. */
+export function toAnalyticsFact(prescription: Prescription): AnalyticsFact {
+  return {
+    id: prescription.id,
+    date: prescription.prescriptionDate.slice(0, 10),
+    status: prescription.status,
+    medicines: prescription.medications.map((med) => med.medicineName),
+    generics: prescription.medications.map((med) => med.medicineGenericName || '').filter(Boolean),
+    diagnoses: getPrescriptionDiagnoses(prescription).filter((d) => d.code || d.description.trim()),
+  };
+}
+
+// Highest counts first, ties by label
+function topCounts(counts: Map<string, AnalyticsCount>): AnalyticsCount[] {
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, ANALYTICS_TOP_N);
+}
+
+function increment(counts: Map<string, AnalyticsCount>, key: string, label: string): void {
+  const entry = counts.get(key);
+  if (entry) {
+    entry.count += 1;
+  } else {
+    counts.set(key, { key, label, count: 1 });
+  }
+}
+
+/**
+ * Analytics for the prescriptions dated within the query range, worked
+ * out the same way as the stats endpoint: medicines and generics are
+ * counted per line, diagnoses once per prescription they appear on.
+ */
+export function aggregateAnalytics(facts: AnalyticsFact[], query: AnalyticsQuery): PrescriptionAnalytics {
+  const inRange = facts.filter((fact) => fact.date >= query.dateFrom && fact.date <= query.dateTo);
+  const series = new Map<string, AnalyticsPeriod>(
+    getAnalyticsPeriods(query).map((period) => [period, { period, total: 0, approved: 0, cancelled: 0 }])
+  );
+  const byStatus: Partial<Record<PrescriptionStatus, number>> = {};
+  const medicines = new Map<string, AnalyticsCount>();
+  const generics = new Map<string, AnalyticsCount>();
+  const diagnoses = new Map<string, AnalyticsCount>();
+  let approved = 0;
+  let cancelled = 0;
+  let lines = 0;
+
+  inRange.forEach((fact) => {
+    const isApproved = ANALYTICS_APPROVED_STATUSES.includes(fact.status);
+    const isCancelled = ANALYTICS_CANCELLED_STATUSES.includes(fact.status);
+    byStatus[fact.status] = (byStatus[fact.status] || 0) + 1;
+    if (isApproved) approved += 1;
+    if (isCancelled) cancelled += 1;
+    lines += fact.medicines.length;
+
+    const period = series.get(getAnalyticsPeriod(fact.date, query.granularity));
+    if (period) {
+      period.total += 1;
+      if (isApproved) period.approved += 1;
+      if (isCancelled) period.cancelled += 1;
+    }
+
+    fact.medicines.forEach((name) => increment(medicines, name.trim().toLowerCase(), name.trim()));
+    fact.generics.forEach((name) => increment(generics, name.trim().toLowerCase(), name.trim()));
+    const seen = new Set<string>();
+    fact.diagnoses.forEach((diagnosis) => {
+      const key = diagnosis.code?.toUpperCase() || diagnosis.description.trim().toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      increment(diagnoses, key, formatDiagnosis(diagnosis));
+    });
+  });
+
+  const total = inRange.length;
+  return {
+    ...query,
+    total,
+    byStatus,
+    approvalRate: total ? approved / total : 0,
+    cancellationRate: total ? cancelled / total : 0,
+    averageMedications: total ? lines / total : 0,
+    series: [...series.values()],
+    topMedicines: topCounts(medicines),
+    topGenerics: topCounts(generics),
+    topDiagnoses: topCounts(diagnoses),
+    source: 'device',
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// Weekly analytics query behind the dashboard counters
+export function getDashboardStatsQuery(now: Date = new Date()): AnalyticsQuery {
+  return {
+    dateFrom: format(subDays(now, DASHBOARD_STATS_DAYS - 1), DATE_FORMAT),
+    dateTo: format(now, DATE_FORMAT),
+    granularity: 'week',
+  };
+}
+
+/** Dashboard counters from the per-status totals of an analytics response. */
+export function toDashboardStats(analytics: PrescriptionAnalytics): DashboardStats {
+  const count = (...statuses: PrescriptionStatus[]) =>
+    statuses.reduce((sum, status) => sum + (analytics.byStatus[status] || 0), 0);
+  return {
+    total: analytics.total,
+    approved: count('approved', 'active'),
+    pending: count('draft', 'pending_validation'),
+    dispensed: count('dispensed'),
+    cancelled: count('cancelled', 'rejected'),
+  };
+}
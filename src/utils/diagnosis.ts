@@ -0,0 +1,53 @@
+import type { DiagnosisFormData, Medication, Prescription, PrescriptionDiagnosis } from '../types';
+
+// Form ID of the primary diagnosis; secondary diagnoses get generated IDs
+export const PRIMARY_DIAGNOSIS_ID = 'primary';
+
+// Primary diagnosis first, then secondary diagnoses in the order entered
+export function getPrescriptionDiagnoses(
+  prescription: Pick<Prescription, 'diagnosis' | 'icdCode' | 'secondaryDiagnoses'>
+): PrescriptionDiagnosis[] {
+  return [
+    { code: prescription.icdCode, description: prescription.diagnosis },
+    ...(prescription.secondaryDiagnoses || []),
+  ];
+}
+
+// "I10 · Essential hypertension", without repeating a code the description already starts with
+export function formatDiagnosis(diagnosis: PrescriptionDiagnosis): string {
+  const description = diagnosis.description.trim();
+  if (!diagnosis.code || description.toUpperCase().startsWith(diagnosis.code.toUpperCase())) {
+    return description || diagnosis.code || '';
+  }
+  return description ? `${diagnosis.code} · ${description}` : diagnosis.code;
+}
+
+// The diagnosis a medication line is prescribed for. Lines saved before
+// per-line linking carry the primary code, so they resolve to the primary.
+export function getMedicationIndication(
+  prescription: Pick<Prescription, 'diagnosis' | 'icdCode' | 'secondaryDiagnoses'>,
+  med: Pick<Medication, 'icd' | 'indication'>
+): PrescriptionDiagnosis | null {
+  if (!med.icd && !med.indication) return null;
+  const match = getPrescriptionDiagnoses(prescription).find((diagnosis) =>
+    med.icd ? diagnosis.code === med.icd : diagnosis.description === med.indication
+  );
+  return match || { code: med.icd, description: med.indication || '' };
+}
+
+// Form entry for a saved diagnosis
+export function toDiagnosisFormData(diagnosis: PrescriptionDiagnosis, id: string): DiagnosisFormData {
+  return {
+    id,
+    description: diagnosis.description,
+    icd10: diagnosis.code ? { code: diagnosis.code, description: diagnosis.description } : null,
+  };
+}
+
+// Form ID of the diagnosis a saved medication line is linked to
+export function findDiagnosisId(diagnoses: DiagnosisFormData[], med: Pick<Medication, 'icd' | 'indication'>): string {
+  const match = diagnoses.find((diagnosis) =>
+    med.icd ? diagnosis.icd10?.code === med.icd : !!med.indication && diagnosis.description === med.indication
+  );
+  return match?.id || PRIMARY_DIAGNOSIS_ID;
+}
@@ -0,0 +1,200 @@
+import { format } from 'date-fns';
+import { formatDiagnosis, getMedicationIndication } from './diagnosis';
+import { describeMedicationDirections, getDurationLabel, getFrequencyLabel } from './medication';
+import { maskNationalId } from './nationalId';
+import { buildXlsx } from './xlsx';
+import { getStatusLabel, translate } from '../i18n';
+import type { XlsxCell, XlsxSheet } from './xlsx';
+import type { ExportFormat, Language, Medication, Prescription, PrescriptionSearchParams } from '../types';
+
+// ============================================================
+// Prescription history exports
+// Rows for CSV and Excel files and the PDF summary report, built
+// from the prescriptions matching the history page's filters.
+// CSV and Excel files are always in English so spreadsheets and
+// imports built on them keep working; the report follows the
+// interface language.
+// ============================================================
+
+export interface ExportOptions {
+  maskNationalIds: boolean;
+}
+
+interface ExportColumn<T> {
+  header: string;
+  width?: number;
+  text?: boolean; // identifiers that spreadsheets must not read as numbers
+  value: (row: T, options: ExportOptions) => XlsxCell;
+}
+
+type MedicationRow = { prescription: Prescription; medication: Medication; line: number };
+
+function formatDateTime(value: string | undefined): string {
+  return value ? format(new Date(value), 'yyyy-MM-dd HH:mm') : '';
+}
+
+function formatNationalId(nationalId: string, options: ExportOptions): string {
+  return options.maskNationalIds ? maskNationalId(nationalId) : nationalId;
+}
+
+/** "Amlodipine 5mg Tablets (5mg, once daily, 30 days)" */
+export function describeExportedMedication(med: Medication, language: Language = 'en'): string {
+  const details = [
+    med.dosage,
+    getFrequencyLabel(med.frequency, language),
+    med.duration ? getDurationLabel(med.duration, language) : '',
+  ]
+    .filter(Boolean)
+    .join(translate('common.listSeparator', undefined, language));
+  return details ? `${med.medicineName} (${details})` : med.medicineName;
+}
+
+// Columns shared by both row types, read from the prescription
+const prescriptionColumns: ExportColumn<Prescription>[] = [
+  { header: 'Rx Number', width: 18, value: (p) => p.prescriptionNumber },
+  { header: 'Prescription Date', width: 17, value: (p) => formatDateTime(p.prescriptionDate) },
+  { header: 'Status', width: 16, value: (p) => getStatusLabel(p.status, 'en') },
+  { header: 'Patient', width: 26, value: (p) => p.patient.name },
+  {
+    header: 'National ID',
+    width: 17,
+    text: true,
+    value: (p, options) => formatNationalId(p.patient.nationalId, options),
+  },
+  { header: 'Age', width: 6, value: (p) => p.patient.age },
+  { header: 'Gender', width: 8, value: (p) => p.patient.gender },
+  { header: 'Diagnosis', width: 30, value: (p) => p.diagnosis },
+  { header: 'ICD-10 Code', width: 11, value: (p) => p.icdCode },
+];
+
+const PRESCRIPTION_COLUMNS: ExportColumn<Prescription>[] = [
+  ...prescriptionColumns,
+  {
+    header: 'Secondary Diagnoses',
+    width: 30,
+    value: (p) => (p.secondaryDiagnoses || []).map(formatDiagnosis).join('; '),
+  },
+  {
+    header: 'Medications',
+    width: 60,
+    value: (p) => p.medications.map((med) => describeExportedMedication(med)).join('; '),
+  },
+  { header: 'Medication Count', width: 10, value: (p) => p.medications.length },
+  { header: 'Prescriber', width: 24, value: (p) => p.doctor.name },
+  { header: 'Prescriber License', width: 16, value: (p) => p.doctor.license },
+  { header: 'Created At', width: 17, value: (p) => formatDateTime(p.createdAt) },
+  { header: 'Updated At', width: 17, value: (p) => formatDateTime(p.updatedAt) },
+];
+
+const MEDICATION_COLUMNS: ExportColumn<MedicationRow>[] = [
+  ...prescriptionColumns.map((column) => ({
+    ...column,
+    value: (row: MedicationRow, options: ExportOptions) => column.value(row.prescription, options),
+  })),
+  { header: 'Line', width: 6, value: (row) => row.line },
+  { header: 'Medicine', width: 30, value: (row) => row.medication.medicineName },
+  { header: 'Generic Name', width: 24, value: (row) => row.medication.medicineGenericName },
+  { header: 'EDA Code', width: 12, value: (row) => row.medication.edaCode || row.medication.drugId },
+  { header: 'Dosage', width: 12, value: (row) => row.medication.dosage },
+  { header: 'Frequency', width: 18, value: (row) => getFrequencyLabel(row.medication.frequency) },
+  {
+    header: 'Duration',
+    width: 14,
+    value: (row) => (row.medication.duration ? getDurationLabel(row.medication.duration) : ''),
+  },
+  { header: 'Directions', width: 40, value: (row) => describeMedicationDirections(row.medication).en },
+  { header: 'Quantity', width: 9, value: (row) => row.medication.quantity },
+  { header: 'Refills', width: 8, value: (row) => row.medication.refills || 0 },
+  {
+    header: 'Indication',
+    width: 30,
+    value: (row) => {
+      const indication = getMedicationIndication(row.prescription, row.medication);
+      return indication ? formatDiagnosis(indication) : '';
+    },
+  },
+  { header: 'Prescriber', width: 24, value: (row) => row.prescription.doctor.name },
+];
+
+function toMedicationRows(prescriptions: Prescription[]): MedicationRow[] {
+  return prescriptions.flatMap((prescription) =>
+    prescription.medications.map((medication, index) => ({ prescription, medication, line: index + 1 }))
+  );
+}
+
+function toSheet<T>(name: string, columns: ExportColumn<T>[], rows: T[], options: ExportOptions): XlsxSheet {
+  return {
+    name,
+    columns: columns.map(({ header, width, text }) => ({ header, width, text })),
+    rows: rows.map((row) => columns.map((column) => column.value(row, options))),
+  };
+}
+
+// Quote fields with separators, quotes or line breaks. Text starting with
+// a formula character gets a leading apostrophe so Excel shows it as text.
+// Digits in text columns are written as ="..." so Excel keeps a 14-digit
+// National ID intact instead of rounding it into scientific notation.
+function csvField(value: XlsxCell, asText = false): string {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (asText && /^\d+$/.test(text)) text = `="${text}"`;
+  else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per prescription. Starts with a UTF-8 byte order
+ * mark so Excel reads Arabic patient names correctly.
+ */
+export function buildPrescriptionsCsv(prescriptions: Prescription[], options: ExportOptions): Blob {
+  const sheet = toSheet('Prescriptions', PRESCRIPTION_COLUMNS, prescriptions, options);
+  const lines = [sheet.columns.map((column) => column.header), ...sheet.rows].map((row) =>
+    row.map((value, i) => csvField(value, sheet.columns[i].text)).join(',')
+  );
+  return new Blob(['\uFEFF', lines.join('\r\n'), '\r\n'], { type: 'text/csv;charset=utf-8' });
+}
+
+/** Excel workbook: one row per medication line, and a sheet with one row per prescription. */
+export function buildPrescriptionsXlsx(prescriptions: Prescription[], options: ExportOptions): Blob {
+  return buildXlsx([
+    toSheet('Medication lines', MEDICATION_COLUMNS, toMedicationRows(prescriptions), options),
+    toSheet('Prescriptions', PRESCRIPTION_COLUMNS, prescriptions, options),
+  ]);
+}
+
+/** The filters an export was made with, e.g. "Status: Approved · From 2026-09-01", in the interface language. */
+export function describeExportFilters(params: PrescriptionSearchParams): string {
+  const filters = [
+    params.status?.length
+      ? translate('export.filterStatus', {
+          statuses: params.status.map((s) => getStatusLabel(s)).join(translate('common.listSeparator')),
+        })
+      : '',
+    params.dateFrom ? translate('export.filterFrom', { date: params.dateFrom }) : '',
+    params.dateTo ? translate('export.filterTo', { date: params.dateTo }) : '',
+    params.patientIdentifier
+      ? translate('export.filterNationalId', { nationalId: maskNationalId(params.patientIdentifier) })
+      : '',
+    params.text ? translate('export.filterSearch', { text: params.text }) : '',
+  ].filter(Boolean);
+  return filters.length ? filters.join(' · ') : translate('export.allPrescriptions');
+}
+
+/** e.g. prescriptions_2026-09-01_2026-09-30.xlsx, or dated today without a range. */
+export function getExportFileName(exportFormat: Exclude<ExportFormat, 'pdf'>, params: PrescriptionSearchParams): string {
+  const range =
+    params.dateFrom || params.dateTo
+      ? [params.dateFrom || 'start', params.dateTo || 'today'].join('_')
+      : format(new Date(), 'yyyy-MM-dd');
+  return `prescriptions_${range}.${exportFormat}`;
+}
+
+/** Save a file through a temporary download link. */
+export function downloadBlob(blob: Blob, fileName: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,694 @@
+import {
+  FHIR_SYSTEMS,
+  FHIR_EXTENSIONS,
+  FREQUENCY_OPTIONS,
+  DURATION_OPTIONS,
+  DOSE_UNIT_OPTIONS,
+  DOSE_TIMING_OPTIONS,
+  PRESCRIPTION_API_URL,
+} from '../config/constants';
+import { calculateAge, decodeNationalId } from './nationalId';
+import { getPrescriptionDiagnoses, getMedicationIndication } from './diagnosis';
+import { describeMedicationDirections, describeSig, parseDurationDays, toSigTimingFields } from './medication';
+import type {
+  ApiPageLinks,
+  Doctor,
+  DoseRoute,
+  DoseTiming,
+  DoseUnit,
+  FhirBundle,
+  FhirBundleEntry,
+  FhirCodeableConcept,
+  FhirCondition,
+  FhirDosage,
+  FhirExtension,
+  FhirIdentifier,
+  FhirMedicationRequest,
+  FhirMedicationRequestStatus,
+  FhirPatient,
+  FhirPractitioner,
+  FhirQuantity,
+  FhirReference,
+  FhirResource,
+  FhirTimingRepeat,
+  Medication,
+  Patient,
+  Prescription,
+  PrescriptionDiagnosis,
+  PrescriptionStatus,
+  StructuredSig,
+  WeightBasedDose,
+} from '../types';
+
+// ============================================================
+// FHIR R4 mapping
+// A prescription is one MedicationRequest per line, grouped by
+// groupIdentifier (the prescription ID) and sharing the Rx number
+// as identifier. Diagnoses travel as contained Conditions so a
+// search result carries them without extra includes.
+// ============================================================
+
+// MedicationRequest.status for each portal status; the exact portal
+// status is also kept in an extension because several share one code
+const FHIR_STATUS: Record<PrescriptionStatus, FhirMedicationRequestStatus> = {
+  draft: 'draft',
+  pending_validation: 'on-hold',
+  active: 'active',
+  approved: 'active',
+  dispensed: 'completed',
+  cancelled: 'cancelled',
+  rejected: 'cancelled',
+  expired: 'stopped',
+};
+
+// Portal status for resources written by other systems (no extension)
+const PORTAL_STATUS: Record<FhirMedicationRequestStatus, PrescriptionStatus> = {
+  draft: 'draft',
+  'on-hold': 'pending_validation',
+  active: 'active',
+  completed: 'dispensed',
+  cancelled: 'cancelled',
+  'entered-in-error': 'cancelled',
+  stopped: 'expired',
+  unknown: 'draft',
+};
+
+// Timing.repeat for each FREQUENCY_OPTIONS value
+const FREQUENCY_TIMING: Record<string, FhirTimingRepeat> = {
+  once_daily: { frequency: 1, period: 1, periodUnit: 'd' },
+  twice_daily: { frequency: 2, period: 1, periodUnit: 'd' },
+  three_times_daily: { frequency: 3, period: 1, periodUnit: 'd' },
+  four_times_daily: { frequency: 4, period: 1, periodUnit: 'd' },
+  every_4_hours: { frequency: 1, period: 4, periodUnit: 'h' },
+  every_6_hours: { frequency: 1, period: 6, periodUnit: 'h' },
+  every_8_hours: { frequency: 1, period: 8, periodUnit: 'h' },
+  every_12_hours: { frequency: 1, period: 12, periodUnit: 'h' },
+  before_meals: { frequency: 3, period: 1, periodUnit: 'd', when: ['AC'] },
+  after_meals: { frequency: 3, period: 1, periodUnit: 'd', when: ['PC'] },
+  at_bedtime: { frequency: 1, period: 1, periodUnit: 'd', when: ['HS'] },
+  weekly: { frequency: 1, period: 1, periodUnit: 'wk' },
+};
+
+// Timing.repeat.when event codes for sig timings that have one
+const TIMING_WHEN: Partial<Record<DoseTiming, string>> = {
+  before_meals: 'AC',
+  with_meals: 'C',
+  after_meals: 'PC',
+  morning: 'MORN',
+  bedtime: 'HS',
+};
+
+// SNOMED CT route of administration codes
+const ROUTE_SNOMED: Record<DoseRoute, { code: string; display: string }> = {
+  oral: { code: '26643006', display: 'Oral route' },
+  sublingual: { code: '37839007', display: 'Sublingual route' },
+  topical: { code: '6064005', display: 'Topical route' },
+  inhaled: { code: '447694001', display: 'Respiratory tract route' },
+  nasal: { code: '46713006', display: 'Nasal route' },
+  ophthalmic: { code: '54485002', display: 'Ophthalmic route' },
+  otic: { code: '10547007', display: 'Otic route' },
+  rectal: { code: '37161004', display: 'Rectal route' },
+  vaginal: { code: '16857009', display: 'Vaginal route' },
+  subcutaneous: { code: '34206005', display: 'Subcutaneous route' },
+  intramuscular: { code: '78421000', display: 'Intramuscular route' },
+  intravenous: { code: '47625008', display: 'Intravenous route' },
+};
+
+const DAYS = { unit: 'days', system: FHIR_SYSTEMS.ucum, code: 'd' };
+
+// ------------------------------------------------------------
+// Small helpers
+// ------------------------------------------------------------
+
+function extension(url: string, value: Omit<FhirExtension, 'url'>): FhirExtension[] {
+  return Object.values(value).some((v) => v !== undefined && v !== '') ? [{ url, ...value }] : [];
+}
+
+function getExtension(resource: { extension?: FhirExtension[] }, url: string): FhirExtension | undefined {
+  return resource.extension?.find((ext) => ext.url === url);
+}
+
+function findIdentifier(identifiers: FhirIdentifier[] | undefined, system: string): string | undefined {
+  return identifiers?.find((identifier) => identifier.system === system)?.value;
+}
+
+function findCode(concept: FhirCodeableConcept | undefined, system: string): string | undefined {
+  return concept?.coding?.find((coding) => coding.system === system)?.code;
+}
+
+function conceptText(concept: FhirCodeableConcept | undefined): string {
+  return concept?.text || concept?.coding?.find((coding) => coding.display)?.display || '';
+}
+
+function fullUrl(resource: FhirResource): string {
+  return `${PRESCRIPTION_API_URL}/fhir/${resource.resourceType}/${resource.id}`;
+}
+
+function lineId(prescription: Pick<Prescription, 'id'>, index: number): string {
+  return `${prescription.id}-${index + 1}`;
+}
+
+/** FHIR status codes for a portal status filter, without duplicates. */
+export function toFhirStatusCodes(statuses: PrescriptionStatus[]): FhirMedicationRequestStatus[] {
+  return [...new Set(statuses.map((status) => FHIR_STATUS[status]))];
+}
+
+// ------------------------------------------------------------
+// Portal → FHIR
+// ------------------------------------------------------------
+
+function toFhirPatient(patient: Patient): FhirPatient {
+  return {
+    resourceType: 'Patient',
+    id: patient.id,
+    extension: [
+      ...extension(FHIR_EXTENSIONS.patientAge, { valueInteger: patient.age }),
+      ...extension(FHIR_EXTENSIONS.patientWeight, { valueDecimal: patient.weightKg }),
+      ...extension(FHIR_EXTENSIONS.patientHeight, { valueDecimal: patient.heightCm }),
+    ],
+    identifier: [{ system: FHIR_SYSTEMS.nationalId, value: patient.nationalId }],
+    name: [{ text: patient.name }],
+    gender: patient.gender,
+    birthDate: patient.dateOfBirth?.slice(0, 10),
+  };
+}
+
+function toFhirPractitioner(doctor: Doctor): FhirPractitioner {
+  return {
+    resourceType: 'Practitioner',
+    id: doctor.id,
+    identifier: [{ system: FHIR_SYSTEMS.practitionerLicense, value: doctor.license }],
+    name: [{ text: doctor.name }],
+    qualification: doctor.specialty ? [{ code: { text: doctor.specialty } }] : undefined,
+  };
+}
+
+function toFhirCondition(
+  diagnosis: PrescriptionDiagnosis,
+  index: number,
+  prescription: Prescription
+): FhirCondition {
+  return {
+    resourceType: 'Condition',
+    id: `dx${index}`,
+    clinicalStatus: { coding: [{ system: FHIR_SYSTEMS.conditionClinical, code: 'active' }] },
+    category: [
+      { coding: [{ system: FHIR_SYSTEMS.conditionCategory, code: 'encounter-diagnosis', display: 'Encounter Diagnosis' }] },
+      { coding: [{ system: FHIR_SYSTEMS.diagnosisRole, code: index === 0 ? 'primary' : 'secondary' }] },
+    ],
+    code: {
+      coding: diagnosis.code
+        ? [{ system: FHIR_SYSTEMS.icd10, code: diagnosis.code, display: diagnosis.description }]
+        : undefined,
+      text: diagnosis.description,
+    },
+    subject: { reference: `Patient/${prescription.patient.id}` },
+    recordedDate: prescription.prescriptionDate,
+  };
+}
+
+function toFrequencyCode(frequency: string): FhirCodeableConcept {
+  const option = FREQUENCY_OPTIONS.find((o) => o.value === frequency);
+  return option
+    ? { coding: [{ system: FHIR_SYSTEMS.frequency, code: option.value, display: option.label }], text: option.label }
+    : { text: frequency };
+}
+
+function toSigDosages(sig: StructuredSig, instructions?: string): FhirDosage[] {
+  const unit = DOSE_UNIT_OPTIONS.find((o) => o.value === sig.doseUnit);
+  const route = ROUTE_SNOMED[sig.route];
+  const timing = DOSE_TIMING_OPTIONS.find((o) => o.value === sig.timing && o.value !== 'any');
+  const when = TIMING_WHEN[sig.timing];
+  const quantity = (value: number): FhirQuantity => ({
+    value,
+    unit: unit?.label || sig.doseUnit,
+    system: FHIR_SYSTEMS.doseUnit,
+    code: sig.doseUnit,
+  });
+
+  // Phases have increasing sequence numbers, which FHIR reads as one after another
+  return sig.phases.map((phase, index) => ({
+    sequence: index + 1,
+    text: index === 0 ? describeSig(sig, 'en') : undefined,
+    additionalInstruction: timing
+      ? [{ coding: [{ system: FHIR_SYSTEMS.doseTiming, code: timing.value, display: timing.label }], text: timing.label }]
+      : undefined,
+    patientInstruction: index === 0 ? instructions || undefined : undefined,
+    timing: {
+      code: toFrequencyCode(phase.frequency),
+      repeat: {
+        ...FREQUENCY_TIMING[phase.frequency],
+        ...(when ? { when: [when] } : {}),
+        ...(phase.durationDays !== null ? { boundsDuration: { value: phase.durationDays, ...DAYS } } : {}),
+      },
+    },
+    ...(sig.asNeeded
+      ? sig.asNeededFor?.trim()
+        ? { asNeededCodeableConcept: { text: sig.asNeededFor.trim() } }
+        : { asNeededBoolean: true }
+      : {}),
+    route: { coding: [{ system: FHIR_SYSTEMS.snomed, code: route.code, display: route.display }] },
+    doseAndRate: [{ doseQuantity: quantity(phase.doseAmount) }],
+    maxDosePerPeriod: sig.maxDailyDose
+      ? { numerator: quantity(sig.maxDailyDose), denominator: { value: 1, ...DAYS, unit: 'day' } }
+      : undefined,
+  }));
+}
+
+function toFreeTextDosage(med: Medication): FhirDosage {
+  const days = parseDurationDays(med.duration || '');
+  return {
+    sequence: 1,
+    text: describeMedicationDirections(med).en,
+    patientInstruction: med.instructions || undefined,
+    timing: {
+      code: toFrequencyCode(med.frequency),
+      repeat: {
+        ...FREQUENCY_TIMING[med.frequency],
+        ...(days ? { boundsDuration: { value: days, ...DAYS } } : {}),
+      },
+    },
+    ...(med.frequency === 'as_needed' ? { asNeededBoolean: true } : {}),
+  };
+}
+
+function toFhirMedicationRequest(prescription: Prescription, med: Medication, index: number): FhirMedicationRequest {
+  const diagnoses = getPrescriptionDiagnoses(prescription);
+  const indication = getMedicationIndication(prescription, med);
+  const indicationIndex = indication
+    ? diagnoses.findIndex((d) => d.code === indication.code && d.description === indication.description)
+    : -1;
+  const supplyDays = med.sig ? toSigTimingFields(med.sig).forDays : parseDurationDays(med.duration || '');
+
+  return {
+    resourceType: 'MedicationRequest',
+    id: lineId(prescription, index),
+    meta: { lastUpdated: prescription.updatedAt },
+    extension: [
+      ...extension(FHIR_EXTENSIONS.prescriptionStatus, { valueCode: prescription.status }),
+      ...extension(FHIR_EXTENSIONS.createdAt, { valueDateTime: prescription.createdAt }),
+      ...extension(FHIR_EXTENSIONS.digitalSignature, { valueString: prescription.digitalSignature }),
+      ...extension(FHIR_EXTENSIONS.identityOverride, { valueBoolean: prescription.identityOverride || undefined }),
+      ...extension(FHIR_EXTENSIONS.interactionOverride, { valueString: prescription.interactionOverride }),
+      ...extension(FHIR_EXTENSIONS.genericName, { valueString: med.medicineGenericName }),
+      ...extension(FHIR_EXTENSIONS.strength, { valueString: med.medicineStrength }),
+      ...extension(FHIR_EXTENSIONS.form, { valueString: med.medicineForm }),
+      ...extension(FHIR_EXTENSIONS.unitPrice, { valueDecimal: med.unitPrice }),
+      ...extension(FHIR_EXTENSIONS.dosage, { valueString: med.dosage }),
+      ...extension(FHIR_EXTENSIONS.frequency, { valueString: med.frequency }),
+      ...extension(FHIR_EXTENSIONS.duration, { valueString: med.duration }),
+      ...extension(FHIR_EXTENSIONS.warnings, { valueString: med.warnings }),
+      ...extension(FHIR_EXTENSIONS.weightBasedDose, {
+        valueString: med.weightDose ? JSON.stringify(med.weightDose) : undefined,
+      }),
+    ],
+    // New prescriptions have no Rx number until NDP assigns one
+    identifier: prescription.prescriptionNumber
+      ? [{ system: FHIR_SYSTEMS.prescriptionNumber, value: prescription.prescriptionNumber }]
+      : undefined,
+    groupIdentifier: { system: FHIR_SYSTEMS.prescriptionId, value: prescription.id },
+    contained: diagnoses.map((diagnosis, i) => toFhirCondition(diagnosis, i, prescription)),
+    status: FHIR_STATUS[prescription.status] || 'unknown',
+    intent: 'order',
+    medicationCodeableConcept: {
+      coding: [
+        { system: FHIR_SYSTEMS.medicine, code: med.medicineId, display: med.medicineName },
+        ...(med.drugId ? [{ system: FHIR_SYSTEMS.drugId, code: med.drugId }] : []),
+        ...(med.edaCode ? [{ system: FHIR_SYSTEMS.edaCode, code: med.edaCode }] : []),
+      ],
+      text: med.medicineName,
+    },
+    subject: {
+      reference: `Patient/${prescription.patient.id}`,
+      identifier: { system: FHIR_SYSTEMS.nationalId, value: prescription.patient.nationalId },
+      display: prescription.patient.name,
+    },
+    authoredOn: prescription.prescriptionDate,
+    requester: {
+      reference: `Practitioner/${prescription.doctor.id}`,
+      identifier: { system: FHIR_SYSTEMS.practitionerLicense, value: prescription.doctor.license },
+      display: prescription.doctor.name,
+    },
+    reasonCode: indication
+      ? [
+          {
+            coding: indication.code
+              ? [{ system: FHIR_SYSTEMS.icd10, code: indication.code, display: indication.description }]
+              : undefined,
+            text: indication.description,
+          },
+        ]
+      : undefined,
+    reasonReference: indicationIndex >= 0 ? [{ reference: `#dx${indicationIndex}` }] : undefined,
+    supportingInformation: diagnoses.map((_, i) => ({ reference: `#dx${i}` })),
+    // A renewal points at the first line of the prescription it renews
+    priorPrescription: prescription.renewalOf
+      ? {
+          reference: `MedicationRequest/${lineId(prescription.renewalOf, 0)}`,
+          identifier: { system: FHIR_SYSTEMS.prescriptionNumber, value: prescription.renewalOf.prescriptionNumber },
+        }
+      : undefined,
+    note: prescription.clinicalNotes ? [{ text: prescription.clinicalNotes }] : undefined,
+    dosageInstruction: med.sig ? toSigDosages(med.sig, med.instructions) : [toFreeTextDosage(med)],
+    dispenseRequest: {
+      quantity: { value: med.quantity },
+      numberOfRepeatsAllowed: med.refills,
+      dispenseInterval: med.refillIntervalDays ? { value: med.refillIntervalDays, ...DAYS } : undefined,
+      expectedSupplyDuration: supplyDays ? { value: supplyDays, ...DAYS } : undefined,
+    },
+    substitution: med.substitutionAllowed !== undefined ? { allowedBoolean: med.substitutionAllowed } : undefined,
+  };
+}
+
+/** The FHIR resources of a prescription: Patient, Practitioner and one MedicationRequest per line. */
+export function toFhirResources(prescription: Prescription): FhirResource[] {
+  return [
+    toFhirPatient(prescription.patient),
+    toFhirPractitioner(prescription.doctor),
+    ...prescription.medications.map((med, index) => toFhirMedicationRequest(prescription, med, index)),
+  ];
+}
+
+/** A prescription as a FHIR collection Bundle, e.g. for export. */
+export function toFhirBundle(prescription: Prescription): FhirBundle {
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: toFhirResources(prescription).map((resource) => ({ fullUrl: fullUrl(resource), resource })),
+  };
+}
+
+/**
+ * A transaction Bundle that stores a prescription. Lines the previous
+ * version had beyond the current ones are deleted.
+ */
+export function toFhirTransactionBundle(prescription: Prescription, previous?: Prescription): FhirBundle {
+  const entries: FhirBundleEntry[] = toFhirResources(prescription).map((resource) => ({
+    fullUrl: fullUrl(resource),
+    resource,
+    request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` },
+  }));
+  for (let index = prescription.medications.length; index < (previous?.medications.length || 0); index++) {
+    entries.push({ request: { method: 'DELETE', url: `MedicationRequest/${lineId(prescription, index)}` } });
+  }
+  return { resourceType: 'Bundle', type: 'transaction', entry: entries };
+}
+
+/**
+ * A transaction Bundle that creates a prescription under its
+ * client-assigned ID, so a create that is sent twice stores it once.
+ * A patient without an NDP ID is created only if NDP has no patient
+ * with that National ID yet, and the lines reference whichever it is.
+ */
+export function toFhirCreateBundle(prescription: Prescription, newPatient: boolean): FhirBundle {
+  const bundle = toFhirTransactionBundle(prescription);
+  if (!newPatient) return bundle;
+  const patientUrl = `urn:uuid:${prescription.patient.id}`;
+  const entries = (bundle.entry || []).map((entry): FhirBundleEntry => {
+    const resource = entry.resource;
+    if (resource?.resourceType === 'Patient') {
+      return {
+        fullUrl: patientUrl,
+        resource,
+        request: {
+          method: 'POST',
+          url: 'Patient',
+          ifNoneExist: `identifier=${FHIR_SYSTEMS.nationalId}|${prescription.patient.nationalId}`,
+        },
+      };
+    }
+    if (resource?.resourceType === 'MedicationRequest') {
+      return {
+        ...entry,
+        resource: {
+          ...resource,
+          subject: { ...resource.subject, reference: patientUrl },
+          contained: resource.contained?.map((condition) => ({
+            ...condition,
+            subject: { ...condition.subject, reference: patientUrl },
+          })),
+        },
+      };
+    }
+    return entry;
+  });
+  return { ...bundle, entry: entries };
+}
+
+// ------------------------------------------------------------
+// FHIR → portal
+// ------------------------------------------------------------
+
+function fromFhirPatient(resource: FhirPatient | undefined, reference: FhirReference): Patient {
+  const nationalId = findIdentifier(resource?.identifier, FHIR_SYSTEMS.nationalId) || reference.identifier?.value || '';
+  const decoded = decodeNationalId(nationalId);
+  const name = resource?.name?.[0];
+  const birthDate = resource?.birthDate || decoded?.dateOfBirth;
+  const age = resource ? getExtension(resource, FHIR_EXTENSIONS.patientAge)?.valueInteger : undefined;
+  return {
+    id: resource?.id || reference.reference?.split('/').pop() || '',
+    name: name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' ') || reference.display || '',
+    age: age ?? (birthDate ? calculateAge(birthDate) : 0),
+    gender: resource?.gender === 'male' || resource?.gender === 'female' ? resource.gender : decoded?.gender || 'male',
+    nationalId,
+    dateOfBirth: resource?.birthDate,
+    weightKg: resource ? getExtension(resource, FHIR_EXTENSIONS.patientWeight)?.valueDecimal : undefined,
+    heightCm: resource ? getExtension(resource, FHIR_EXTENSIONS.patientHeight)?.valueDecimal : undefined,
+  };
+}
+
+function fromFhirPractitioner(resource: FhirPractitioner | undefined, reference: FhirReference | undefined): Doctor {
+  const name = resource?.name?.[0];
+  return {
+    id: resource?.id || reference?.reference?.split('/').pop() || '',
+    name: name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' ') || reference?.display || '',
+    license:
+      findIdentifier(resource?.identifier, FHIR_SYSTEMS.practitionerLicense) || reference?.identifier?.value || '',
+    specialty: conceptText(resource?.qualification?.[0]?.code),
+  };
+}
+
+function fromFhirCondition(condition: FhirCondition): PrescriptionDiagnosis {
+  return {
+    code: findCode(condition.code, FHIR_SYSTEMS.icd10),
+    description: conceptText(condition.code),
+  };
+}
+
+// Prescription diagnoses from the contained Conditions, primary first
+function fromFhirDiagnoses(request: FhirMedicationRequest): PrescriptionDiagnosis[] {
+  const conditions = request.contained || [];
+  const isPrimary = (c: FhirCondition) =>
+    c.category?.some((category) => findCode(category, FHIR_SYSTEMS.diagnosisRole) === 'primary');
+  const primary = conditions.find(isPrimary) || conditions[0];
+  if (primary) {
+    return [primary, ...conditions.filter((c) => c !== primary)].map(fromFhirCondition);
+  }
+  // Requests written elsewhere may only carry a reason code
+  const reason = request.reasonCode?.[0];
+  return [{ code: findCode(reason, FHIR_SYSTEMS.icd10), description: conceptText(reason) }];
+}
+
+function fromFrequencyCode(dosage: FhirDosage | undefined): string {
+  const code = findCode(dosage?.timing?.code, FHIR_SYSTEMS.frequency);
+  if (code) return code;
+  const repeat = dosage?.timing?.repeat;
+  const match = Object.entries(FREQUENCY_TIMING).find(
+    ([, timing]) =>
+      timing.frequency === repeat?.frequency &&
+      timing.period === repeat?.period &&
+      timing.periodUnit === repeat?.periodUnit &&
+      (timing.when?.[0] || '') === (repeat?.when?.[0] || '')
+  );
+  if (match) return match[0];
+  if (dosage?.asNeededBoolean || dosage?.asNeededCodeableConcept) return 'as_needed';
+  return dosage?.timing?.code?.text || '';
+}
+
+function toDurationDays(quantity: FhirQuantity | undefined): number | null {
+  if (quantity?.value === undefined) return null;
+  return quantity.code === 'wk' ? quantity.value * 7 : quantity.value;
+}
+
+// Structured sig from dosages written by toSigDosages (dose quantity in the NDP unit system)
+function fromFhirSig(dosages: FhirDosage[]): StructuredSig | undefined {
+  const doses = dosages.map((dosage) => dosage.doseAndRate?.[0]?.doseQuantity);
+  const doseUnit = doses[0]?.system === FHIR_SYSTEMS.doseUnit ? (doses[0].code as DoseUnit) : undefined;
+  if (!doseUnit || !DOSE_UNIT_OPTIONS.some((o) => o.value === doseUnit)) return undefined;
+
+  const first = dosages[0];
+  const routeCode = findCode(first.route, FHIR_SYSTEMS.snomed);
+  const route = (Object.keys(ROUTE_SNOMED) as DoseRoute[]).find((r) => ROUTE_SNOMED[r].code === routeCode);
+  const timingCode = first.additionalInstruction
+    ?.map((instruction) => findCode(instruction, FHIR_SYSTEMS.doseTiming))
+    .find(Boolean) as DoseTiming | undefined;
+  const when = first.timing?.repeat?.when?.[0];
+  const timing =
+    timingCode || (Object.keys(TIMING_WHEN) as DoseTiming[]).find((t) => TIMING_WHEN[t] === when) || 'any';
+  const asNeededFor = first.asNeededCodeableConcept?.text;
+
+  return {
+    doseUnit,
+    route: route || 'oral',
+    timing,
+    asNeeded: !!(first.asNeededBoolean || first.asNeededCodeableConcept),
+    ...(asNeededFor ? { asNeededFor } : {}),
+    ...(first.maxDosePerPeriod?.numerator.value !== undefined
+      ? { maxDailyDose: first.maxDosePerPeriod.numerator.value }
+      : {}),
+    phases: [...dosages]
+      .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+      .map((dosage) => ({
+        doseAmount: dosage.doseAndRate?.[0]?.doseQuantity?.value || 0,
+        frequency: fromFrequencyCode(dosage),
+        durationDays: toDurationDays(dosage.timing?.repeat?.boundsDuration),
+      })),
+  };
+}
+
+// Weight-based dose calculation, carried as JSON since FHIR Dosage has no place for its basis
+function fromFhirWeightDose(value: string | undefined): WeightBasedDose | undefined {
+  if (!value) return undefined;
+  try {
+    const dose = JSON.parse(value) as WeightBasedDose;
+    return typeof dose.rate === 'number' && typeof dose.doseAmount === 'number' ? dose : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function fromFhirMedication(request: FhirMedicationRequest): Medication {
+  const concept = request.medicationCodeableConcept;
+  const dosages = request.dosageInstruction || [];
+  const first = dosages[0];
+  const sig = fromFhirSig(dosages);
+  const reason = request.reasonCode?.[0];
+  const string = (url: string) => getExtension(request, url)?.valueString;
+  const dose = first?.doseAndRate?.[0]?.doseQuantity;
+  const days = toDurationDays(first?.timing?.repeat?.boundsDuration);
+  const durationOption = DURATION_OPTIONS.find((o) => o.value === `${days}_days`);
+
+  return {
+    medicineId: findCode(concept, FHIR_SYSTEMS.medicine) || findCode(concept, FHIR_SYSTEMS.drugId) || '',
+    medicineName: conceptText(concept),
+    drugId: findCode(concept, FHIR_SYSTEMS.drugId),
+    edaCode: findCode(concept, FHIR_SYSTEMS.edaCode),
+    medicineGenericName: string(FHIR_EXTENSIONS.genericName),
+    medicineStrength: string(FHIR_EXTENSIONS.strength),
+    medicineForm: string(FHIR_EXTENSIONS.form),
+    unitPrice: getExtension(request, FHIR_EXTENSIONS.unitPrice)?.valueDecimal,
+    dosage: string(FHIR_EXTENSIONS.dosage) ?? (dose?.value !== undefined ? `${dose.value} ${dose.unit || ''}`.trim() : ''),
+    frequency: string(FHIR_EXTENSIONS.frequency) ?? fromFrequencyCode(first),
+    duration: string(FHIR_EXTENSIONS.duration) ?? (days ? durationOption?.value || `${days} days` : ''),
+    quantity: request.dispenseRequest?.quantity?.value || 0,
+    refills: request.dispenseRequest?.numberOfRepeatsAllowed,
+    refillIntervalDays: toDurationDays(request.dispenseRequest?.dispenseInterval) ?? undefined,
+    instructions: first?.patientInstruction,
+    warnings: string(FHIR_EXTENSIONS.warnings),
+    substitutionAllowed: request.substitution?.allowedBoolean,
+    icd: findCode(reason, FHIR_SYSTEMS.icd10),
+    indication: reason ? conceptText(reason) : undefined,
+    ...(sig ? { sig, ...toSigTimingFields(sig) } : {}),
+    weightDose: fromFhirWeightDose(string(FHIR_EXTENSIONS.weightBasedDose)),
+  };
+}
+
+function fromFhirPrescription(
+  requests: FhirMedicationRequest[],
+  resolve: (ref?: FhirReference) => FhirResource | undefined
+): Prescription {
+  const first = requests[0];
+  const diagnoses = fromFhirDiagnoses(first);
+  const patient = resolve(first.subject);
+  const practitioner = resolve(first.requester);
+  const portalStatus = getExtension(first, FHIR_EXTENSIONS.prescriptionStatus)?.valueCode as PrescriptionStatus | undefined;
+  const authoredOn = first.authoredOn || '';
+
+  return {
+    id: first.groupIdentifier?.value || first.id || '',
+    prescriptionNumber: findIdentifier(first.identifier, FHIR_SYSTEMS.prescriptionNumber) || '',
+    doctor: fromFhirPractitioner(practitioner?.resourceType === 'Practitioner' ? practitioner : undefined, first.requester),
+    patient: fromFhirPatient(patient?.resourceType === 'Patient' ? patient : undefined, first.subject),
+    diagnosis: diagnoses[0]?.description || '',
+    icdCode: diagnoses[0]?.code,
+    secondaryDiagnoses: diagnoses.length > 1 ? diagnoses.slice(1) : undefined,
+    clinicalNotes: first.note?.map((note) => note.text).join('\n\n') || undefined,
+    identityOverride: getExtension(first, FHIR_EXTENSIONS.identityOverride)?.valueBoolean,
+    interactionOverride: getExtension(first, FHIR_EXTENSIONS.interactionOverride)?.valueString,
+    medications: requests.map(fromFhirMedication),
+    status: portalStatus || PORTAL_STATUS[first.status] || 'draft',
+    prescriptionDate: authoredOn,
+    createdAt: getExtension(first, FHIR_EXTENSIONS.createdAt)?.valueDateTime || authoredOn,
+    updatedAt: first.meta?.lastUpdated || authoredOn,
+    digitalSignature: getExtension(first, FHIR_EXTENSIONS.digitalSignature)?.valueString,
+    renewalOf: first.priorPrescription
+      ? {
+          id: first.priorPrescription.reference?.split('/').pop()?.replace(/-\d+$/, '') || '',
+          prescriptionNumber: first.priorPrescription.identifier?.value || '',
+        }
+      : undefined,
+  };
+}
+
+/** Whether a parsed JSON value looks like a FHIR Bundle. */
+export function isFhirBundle(value: unknown): value is FhirBundle {
+  return !!value && typeof value === 'object' && (value as { resourceType?: unknown }).resourceType === 'Bundle';
+}
+
+/**
+ * Prescriptions in a Bundle. MedicationRequests are grouped by
+ * groupIdentifier, in the order their first line appears; Patient and
+ * Practitioner come from the Bundle when included.
+ */
+export function fromFhirBundle(bundle: FhirBundle): Prescription[] {
+  const resources = (bundle.entry || []).map((entry) => entry.resource).filter((r): r is FhirResource => !!r);
+  const byReference = new Map<string, FhirResource>();
+  (bundle.entry || []).forEach((entry) => {
+    if (!entry.resource) return;
+    byReference.set(`${entry.resource.resourceType}/${entry.resource.id}`, entry.resource);
+    if (entry.fullUrl) byReference.set(entry.fullUrl, entry.resource);
+  });
+  const resolve = (ref?: FhirReference) => (ref?.reference ? byReference.get(ref.reference) : undefined);
+
+  const groups = new Map<string, FhirMedicationRequest[]>();
+  resources.forEach((resource) => {
+    if (resource.resourceType !== 'MedicationRequest') return;
+    const key = resource.groupIdentifier?.value || resource.id || '';
+    groups.set(key, [...(groups.get(key) || []), resource]);
+  });
+
+  return [...groups.entries()].map(([groupId, requests]) => {
+    // Lines written here have IDs <prescription>-<n>; keep their order
+    const lineNumber = (r: FhirMedicationRequest) => {
+      const match = r.id?.startsWith(`${groupId}-`) ? Number(r.id.slice(groupId.length + 1)) : NaN;
+      return Number.isFinite(match) ? match : Number.MAX_SAFE_INTEGER;
+    };
+    return fromFhirPrescription([...requests].sort((a, b) => lineNumber(a) - lineNumber(b)), resolve);
+  });
+}
+
+/** A prescription as it reads back after being stored through the FHIR mapping. */
+export function roundTripFhir(prescription: Prescription): Prescription {
+  return fromFhirBundle(toFhirBundle(prescription))[0];
+}
+
+/**
+ * Prescriptions and paging links of a MedicationRequest searchset.
+ * Throws if the response is not a Bundle.
+ */
+export function parseFhirSearchBundle(bundle: unknown): {
+  prescriptions: Prescription[];
+  total?: number;
+  links: ApiPageLinks;
+} {
+  if (!isFhirBundle(bundle)) {
+    throw new Error('Expected a FHIR Bundle from the prescription service');
+  }
+  const link = (relation: string) => bundle.link?.find((l) => l.relation === relation)?.url;
+  return {
+    prescriptions: fromFhirBundle(bundle),
+    total: bundle.total,
+    links: { self: link('self'), next: link('next'), previous: link('previous') || link('prev') },
+  };
+}
@@ -0,0 +1,200 @@
+import type { ICD10Chapter, ICD10Code } from '../types';
+import type { ICD10Entry } from '../data/icd10Who';
+
+// ============================================================
+// Offline ICD-10 search index
+// Built in the browser from the bundled WHO dataset the first
+// time a diagnosis search is opened. Matches code prefixes and
+// English/Arabic words, tolerating small typos.
+// ============================================================
+
+export interface ICD10Index {
+  search(query: string, limit?: number): ICD10Code[];
+  get(code: string): ICD10Code | undefined;
+  getChildren(code: string): ICD10Code[];
+  chapters: ICD10Chapter[];
+}
+
+interface IndexedEntry {
+  item: ICD10Code;
+  codeKey: string;
+  words: string[];
+  titleLength: number;
+}
+
+const CODE_QUERY = /^[a-z]\d/i;
+
+/** Canonical code form for comparison: upper case, no dot (E11.9 → E119). */
+export function normalizeCode(code: string): string {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Fold case, Latin accents and Arabic spelling variants (diacritics,
+ * tatweel, hamza forms of alef, alef maqsura, taa marbuta) so that
+ * everyday spellings match the dataset.
+ */
+export function normalizeText(text: string): string {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي');
+}
+
+function tokenize(text: string): string[] {
+  return normalizeText(text)
+    .split(/[^a-z0-9\u0621-\u064a]+/)
+    .filter(Boolean)
+    // Drop the Arabic definite article so "الضغط" matches "ضغط"
+    .map((word) => (word.length > 4 && word.startsWith('ال') ? word.slice(2) : word));
+}
+
+/** Edit distance, giving up as soon as it exceeds `max`. */
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function allowedTypos(token: string): number {
+  if (token.length >= 7) return 2;
+  return token.length >= 4 ? 1 : 0;
+}
+
+/**
+ * How well one query token matches an entry's words (lower is better):
+ * exact word, word prefix, substring, then typo-tolerant match.
+ * Returns null when nothing matches.
+ */
+function scoreToken(token: string, words: string[]): number | null {
+  let best: number | null = null;
+  const maxTypos = allowedTypos(token);
+  for (const word of words) {
+    let score: number | null = null;
+    if (word === token) score = 0;
+    else if (word.startsWith(token)) score = 1;
+    else if (token.length >= 3 && word.includes(token)) score = 2;
+    else if (maxTypos > 0) {
+      // Compare against the word's prefix too, so "diabet" tolerates "diabtes"
+      const distance = Math.min(
+        editDistance(token, word, maxTypos),
+        editDistance(token, word.slice(0, token.length), maxTypos)
+      );
+      if (distance <= maxTypos) score = 2 + distance;
+    }
+    if (score !== null && (best === null || score < best)) best = score;
+    if (best === 0) break;
+  }
+  return best;
+}
+
+function findChapter(chapters: ICD10Chapter[], code: string): ICD10Chapter | undefined {
+  const category = code.slice(0, 3).toUpperCase();
+  return chapters.find((chapter) => category >= chapter.start && category <= chapter.end);
+}
+
+export function buildICD10Index(chapters: ICD10Chapter[], entries: ICD10Entry[]): ICD10Index {
+  const byCode = new Map<string, ICD10Code>();
+  const children = new Map<string, ICD10Code[]>();
+  const indexed: IndexedEntry[] = [];
+
+  // Categories come before their subcategories, so parents are known first
+  for (const [code, description, synonymsAr] of entries) {
+    const parentCode = code.includes('.') ? code.split('.')[0] : undefined;
+    const parent = parentCode ? byCode.get(parentCode) : undefined;
+    const item: ICD10Code = {
+      code,
+      description,
+      category: parent?.description,
+      chapter: findChapter(chapters, code)?.title,
+      parent: parentCode,
+      synonymsAr,
+    };
+    byCode.set(code, item);
+    if (parentCode) {
+      children.set(parentCode, [...(children.get(parentCode) || []), item]);
+    }
+    indexed.push({
+      item,
+      codeKey: normalizeCode(code),
+      words: Array.from(new Set(tokenize([description, ...(synonymsAr || [])].join(' ')))),
+      titleLength: tokenize(description).length,
+    });
+  }
+
+  const search = (query: string, limit: number = 20): ICD10Code[] => {
+    const trimmed = query.trim();
+    if (!trimmed) return [];
+    const results: Array<{ item: ICD10Code; score: number }> = [];
+
+    if (CODE_QUERY.test(trimmed)) {
+      // Code lookup: E11 lists the category then its subcategories
+      const key = normalizeCode(trimmed);
+      for (const entry of indexed) {
+        if (entry.codeKey.startsWith(key)) {
+          results.push({ item: entry.item, score: entry.codeKey.length - key.length });
+        }
+      }
+    } else {
+      const tokens = tokenize(trimmed);
+      if (tokens.length === 0) return [];
+      for (const entry of indexed) {
+        let total = 0;
+        for (const token of tokens) {
+          const score = scoreToken(token, entry.words);
+          if (score === null) {
+            total = -1;
+            break;
+          }
+          total += score;
+        }
+        // Prefer broader, shorter titles among equal matches
+        if (total >= 0) results.push({ item: entry.item, score: total + entry.titleLength / 100 });
+      }
+    }
+
+    return results
+      .sort((a, b) => a.score - b.score || a.item.code.localeCompare(b.item.code))
+      .slice(0, limit)
+      .map((result) => result.item);
+  };
+
+  return {
+    search,
+    get: (code) => byCode.get(code.toUpperCase()),
+    getChildren: (code) => children.get(code.toUpperCase()) || [],
+    chapters,
+  };
+}
+
+let indexPromise: Promise<ICD10Index> | null = null;
+
+/** Load the bundled WHO dataset and build the index once per session. */
+export function loadICD10Index(): Promise<ICD10Index> {
+  if (!indexPromise) {
+    indexPromise = import('../data/icd10Who')
+      .then(({ ICD10_CHAPTERS, ICD10_ENTRIES }) => buildICD10Index(ICD10_CHAPTERS, ICD10_ENTRIES))
+      .catch((error) => {
+        indexPromise = null;
+        throw error;
+      });
+  }
+  return indexPromise;
+}
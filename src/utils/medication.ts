@@ -0,0 +1,624 @@
+import {
+  FREQUENCY_OPTIONS,
+  DURATION_OPTIONS,
+  DOSE_UNIT_OPTIONS,
+  DOSE_ROUTE_OPTIONS,
+  DOSE_TIMING_OPTIONS,
+  WEIGHT_DOSE_BASIS_OPTIONS,
+  LIQUID_DOSE_STEP_ML,
+  TABLET_DOSE_STEP,
+  RENEWABLE_STATUSES,
+  RENEWAL_LOOKAHEAD_DAYS,
+  RENEWAL_OVERDUE_DAYS,
+} from '../config/constants';
+import type {
+  DosePhase,
+  DoseUnit,
+  Language,
+  Medication,
+  MedicationFormData,
+  Medicine,
+  PatientFormData,
+  Prescription,
+  PrescriptionStatus,
+  StructuredSig,
+  WeightBasedDose,
+} from '../types';
+
+// Days assumed for an "ongoing" line when a finite number is needed
+export const ONGOING_DURATION_DAYS = 30;
+
+// Maps frequency value to doses per day
+export function getFrequencyPerDay(frequency: string): number {
+  const map: Record<string, number> = {
+    once_daily: 1,
+    twice_daily: 2,
+    three_times_daily: 3,
+    four_times_daily: 4,
+    every_4_hours: 6,
+    every_6_hours: 4,
+    every_8_hours: 3,
+    every_12_hours: 2,
+    as_needed: 1, // default to 1 for PRN
+    before_meals: 3,
+    after_meals: 3,
+    at_bedtime: 1,
+    weekly: 1 / 7, // fractional — will be rounded up
+  };
+  return map[frequency] ?? 0;
+}
+
+// Maps duration value to number of days
+export function getDurationDays(duration: string): number {
+  const map: Record<string, number> = {
+    '3_days': 3,
+    '5_days': 5,
+    '7_days': 7,
+    '10_days': 10,
+    '14_days': 14,
+    '21_days': 21,
+    '30_days': 30,
+    '60_days': 60,
+    '90_days': 90,
+    ongoing: ONGOING_DURATION_DAYS,
+  };
+  return map[duration] ?? 0;
+}
+
+// Calculate quantity = doses_per_day × days (rounded up)
+export function calculateQuantity(frequency: string, duration: string): number {
+  const perDay = getFrequencyPerDay(frequency);
+  const days = getDurationDays(duration);
+  if (perDay === 0 || days === 0) return 0;
+  return Math.ceil(perDay * days);
+}
+
+/**
+ * Normalise a stored frequency (option value or free text such as
+ * "Once daily with food") to a FREQUENCY_OPTIONS value, or '' if unknown.
+ */
+export function normalizeFrequency(frequency: string): string {
+  const text = frequency.trim().toLowerCase();
+  if (!text) return '';
+  const exact = FREQUENCY_OPTIONS.find(
+    (o) => o.value === text || o.label.toLowerCase() === text
+  );
+  if (exact) return exact.value;
+  const prefix = FREQUENCY_OPTIONS.find((o) => text.startsWith(o.label.toLowerCase()));
+  return prefix?.value || '';
+}
+
+/**
+ * Normalise a stored duration ("30_days", "30 days", "ongoing") to a
+ * DURATION_OPTIONS value, or '' if it matches none of them.
+ */
+export function normalizeDuration(duration: string): string {
+  const text = duration.trim().toLowerCase();
+  if (DURATION_OPTIONS.some((o) => o.value === text)) return text;
+  if (text.startsWith('ongoing') || text.startsWith('continuous')) return 'ongoing';
+  const days = parseInt(text, 10);
+  const option = DURATION_OPTIONS.find((o) => o.value === `${days}_days`);
+  return option?.value || '';
+}
+
+/**
+ * Number of days a stored duration covers, or null for ongoing therapy.
+ */
+export function parseDurationDays(duration: string): number | null {
+  const normalized = normalizeDuration(duration);
+  if (normalized === 'ongoing') return null;
+  if (normalized) return getDurationDays(normalized);
+  const days = parseInt(duration, 10);
+  return Number.isFinite(days) ? days : 0;
+}
+
+// Statuses under which a patient may be taking the prescribed medicines
+const ACTIVE_THERAPY_STATUSES: PrescriptionStatus[] = ['approved', 'active', 'dispensed'];
+
+/**
+ * Days of therapy left on a prescribed line, counted from the prescription
+ * date. Returns null for ongoing lines and 0 once the course has ended or
+ * the prescription is no longer in effect.
+ */
+export function getRemainingDays(
+  prescription: Pick<Prescription, 'status' | 'prescriptionDate'>,
+  medication: Pick<Medication, 'duration'>,
+  now: Date = new Date()
+): number | null {
+  if (!ACTIVE_THERAPY_STATUSES.includes(prescription.status)) return 0;
+  const days = parseDurationDays(medication.duration);
+  if (days === null) return null;
+  const elapsed = Math.floor((now.getTime() - new Date(prescription.prescriptionDate).getTime()) / 86400000);
+  return Math.max(0, days - elapsed);
+}
+
+/**
+ * Display label for a stored frequency. English keeps free text as
+ * entered; Arabic uses the closest option's translation.
+ */
+export function getFrequencyLabel(frequency: string, lang: Language = 'en'): string {
+  const option = FREQUENCY_OPTIONS.find((o) => o.value === normalizeFrequency(frequency || ''));
+  if (!option) return (frequency || '').replace(/_/g, ' ');
+  if (lang === 'ar') return option.labelAr;
+  return frequency === option.value ? option.label : frequency;
+}
+
+/** Display label for a stored duration, falling back to the stored text. */
+export function getDurationLabel(duration: string, lang: Language = 'en'): string {
+  const option = DURATION_OPTIONS.find((o) => o.value === normalizeDuration(duration || ''));
+  if (!option) return (duration || '').replace(/_/g, ' ');
+  if (lang === 'ar') return option.labelAr;
+  return duration === option.value ? option.label : duration;
+}
+
+// ============================================================
+// Structured dosing (sig)
+// ============================================================
+
+// Frequencies a sig phase can be scheduled at; meal timing and PRN are separate sig fields
+export const SIG_FREQUENCY_OPTIONS = FREQUENCY_OPTIONS.filter(
+  (o) => !['as_needed', 'before_meals', 'after_meals', 'at_bedtime'].includes(o.value)
+);
+
+/** Single-phase sig for a new line, with the unit guessed from the medicine form. */
+export function createDefaultSig(medicine?: Medicine | null): StructuredSig {
+  const form = (medicine?.form || '').toLowerCase();
+  const doseUnit = DOSE_UNIT_OPTIONS.find((o) => o.countable && form.includes(o.value))?.value
+    || (/syrup|suspension|solution/.test(form) ? 'ml' : /drop/.test(form) ? 'drop' : 'tablet');
+  const route = /drop/.test(form) ? 'ophthalmic' : /cream|ointment|gel/.test(form) ? 'topical' : 'oral';
+  return {
+    doseUnit,
+    route,
+    timing: 'any',
+    asNeeded: false,
+    phases: [{ doseAmount: 1, frequency: 'once_daily', durationDays: 7 }],
+  };
+}
+
+/** Milligrams per unit from a strength such as "500mg", "2.5 mg" or "1 g", or 0 if unknown. */
+export function parseStrengthMg(strength?: string): number {
+  const match = (strength || '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*(mg|g|mcg|µg)\b/);
+  if (!match) return 0;
+  const value = parseFloat(match[1]);
+  if (match[2] === 'g') return value * 1000;
+  if (match[2] === 'mcg' || match[2] === 'µg') return value / 1000;
+  return value;
+}
+
+/** Days the whole schedule covers, or null when the last phase is ongoing. */
+export function getSigTotalDays(sig: StructuredSig): number | null {
+  if (sig.phases.some((phase) => phase.durationDays === null)) return null;
+  return sig.phases.reduce((sum, phase) => sum + (phase.durationDays || 0), 0);
+}
+
+// Amount taken per day in a phase; PRN lines are supplied for the maximum daily dose
+function getPhaseDailyAmount(sig: StructuredSig, phase: DosePhase): number {
+  const scheduled = phase.doseAmount * getFrequencyPerDay(phase.frequency);
+  if (sig.asNeeded && sig.maxDailyDose) return sig.maxDailyDose;
+  return sig.maxDailyDose ? Math.min(scheduled, sig.maxDailyDose) : scheduled;
+}
+
+/**
+ * Units to dispense for the full schedule, counting an ongoing phase as
+ * ONGOING_DURATION_DAYS. Doses in mg are converted to units using the
+ * medicine strength. Returns 0 when the quantity cannot be derived
+ * (e.g. ml or drops) and has to be entered by hand.
+ */
+export function calculateSigQuantity(sig: StructuredSig, strength?: string): number {
+  const total = sig.phases.reduce(
+    (sum, phase) => sum + getPhaseDailyAmount(sig, phase) * (phase.durationDays ?? ONGOING_DURATION_DAYS),
+    0
+  );
+  if (total <= 0) return 0;
+  if (DOSE_UNIT_OPTIONS.find((o) => o.value === sig.doseUnit)?.countable) return Math.ceil(total);
+  if (sig.doseUnit === 'mg') {
+    const strengthMg = parseStrengthMg(strength);
+    return strengthMg > 0 ? Math.ceil(total / strengthMg) : 0;
+  }
+  return 0;
+}
+
+function formatDoseAmount(amount: number, unit: StructuredSig['doseUnit'], lang: Language): string {
+  const option = DOSE_UNIT_OPTIONS.find((o) => o.value === unit);
+  if (!option) return String(amount);
+  if (lang === 'ar') return `${amount} ${option.labelAr}`;
+  return `${amount} ${amount <= 1 ? option.label : option.labelPlural}`;
+}
+
+function formatDays(days: number, lang: Language): string {
+  if (lang === 'en') return days === 1 ? '1 day' : `${days} days`;
+  if (days === 1) return 'يوم واحد';
+  if (days === 2) return 'يومين';
+  return days <= 10 ? `${days} أيام` : `${days} يوماً`;
+}
+
+/** Short dose summary for the dosage field, e.g. "2 tablets" or "40 mg → 20 mg" for a taper. */
+export function summarizeSigDose(sig: StructuredSig): string {
+  const amounts = sig.phases.map((phase) => phase.doseAmount);
+  if (amounts.every((amount) => amount === amounts[0])) {
+    return formatDoseAmount(amounts[0] ?? 0, sig.doseUnit, 'en');
+  }
+  return `${formatDoseAmount(amounts[0], sig.doseUnit, 'en')} → ${formatDoseAmount(
+    amounts[amounts.length - 1],
+    sig.doseUnit,
+    'en'
+  )}`;
+}
+
+/**
+ * Human-readable instructions for a structured sig, e.g. "Take 2 tablets
+ * by mouth twice daily after meals for 5 days, then 1 tablet once daily
+ * for 5 days."
+ */
+export function describeSig(sig: StructuredSig, lang: Language = 'en'): string {
+  const route = DOSE_ROUTE_OPTIONS.find((o) => o.value === sig.route);
+  const timing = DOSE_TIMING_OPTIONS.find((o) => o.value === sig.timing && o.value !== 'any');
+  const ar = lang === 'ar';
+
+  const phases = sig.phases.map((phase, index) => {
+    const frequency = FREQUENCY_OPTIONS.find((o) => o.value === phase.frequency);
+    const parts = [formatDoseAmount(phase.doseAmount, sig.doseUnit, lang)];
+    if (index === 0 && route) parts.push(ar ? route.labelAr : route.label);
+    if (frequency) parts.push(ar ? frequency.labelAr : frequency.label.toLowerCase());
+    if (index === 0 && timing) parts.push(ar ? timing.labelAr : timing.label);
+    if (phase.durationDays === null) {
+      if (sig.phases.length > 1) parts.push(ar ? 'بعد ذلك بشكل مستمر' : 'thereafter');
+    } else if (phase.durationDays > 0) {
+      parts.push(ar ? `لمدة ${formatDays(phase.durationDays, 'ar')}` : `for ${formatDays(phase.durationDays, 'en')}`);
+    }
+    return parts.join(' ');
+  });
+
+  const verb = ar ? route?.verbAr || 'تناول' : route?.verb || 'Take';
+  const sentences = [`${verb} ${phases.join(ar ? '، ثم ' : ', then ')}.`];
+  if (sig.asNeeded) {
+    const reason = sig.asNeededFor?.trim();
+    sentences.push(
+      ar
+        ? `عند اللزوم فقط${reason ? ` (${reason})` : ''}.`
+        : `Use only as needed${reason ? ` for ${reason}` : ''}.`
+    );
+  }
+  if (sig.maxDailyDose) {
+    const max = formatDoseAmount(sig.maxDailyDose, sig.doseUnit, lang);
+    sentences.push(ar ? `لا تتجاوز ${max} خلال 24 ساعة.` : `Do not exceed ${max} in 24 hours.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Form line with dosage, frequency, duration and quantity derived from
+ * its sig, so lists, interaction checks and NDP see consistent values.
+ */
+export function applySig(med: MedicationFormData, sig: StructuredSig): MedicationFormData {
+  const totalDays = getSigTotalDays(sig);
+  const durationOption = DURATION_OPTIONS.find((o) => o.value === `${totalDays}_days`);
+  const quantity = calculateSigQuantity(sig, med.medicine?.strength);
+  return {
+    ...med,
+    sig,
+    dosage: summarizeSigDose(sig),
+    frequency: sig.asNeeded ? 'as_needed' : sig.phases[0]?.frequency || '',
+    duration: totalDays === null ? 'ongoing' : durationOption?.value || (totalDays > 0 ? `${totalDays} days` : ''),
+    quantity: quantity || med.quantity,
+  };
+}
+
+/** NDP timing fields for a sig, taken from its first phase. */
+export function toSigTimingFields(
+  sig: StructuredSig
+): Pick<Medication, 'doseQuantity' | 'numberOfTimes' | 'everyDays' | 'forDays'> {
+  const first = sig.phases[0];
+  const weekly = first?.frequency === 'weekly';
+  return {
+    doseQuantity: first?.doseAmount,
+    numberOfTimes: weekly ? 1 : Math.round(getFrequencyPerDay(first?.frequency || '')),
+    everyDays: weekly ? 7 : 1,
+    forDays: sig.phases.reduce((sum, phase) => sum + (phase.durationDays ?? ONGOING_DURATION_DAYS), 0),
+  };
+}
+
+// ============================================================
+// Weight-based dosing
+// ============================================================
+
+/** Body surface area in m² by the Mosteller formula, to two decimals, or 0 if unknown. */
+export function calculateBsa(weightKg: number, heightCm: number): number {
+  if (weightKg <= 0 || heightCm <= 0) return 0;
+  return roundTo(Math.sqrt((weightKg * heightCm) / 3600), 0.01);
+}
+
+/**
+ * Millilitres a liquid strength refers to, e.g. 5 for "250mg/5ml" or 1
+ * for "40 mg/ml", or 0 when the strength is not per volume.
+ */
+export function parseStrengthVolumeMl(strength?: string): number {
+  const match = (strength || '').toLowerCase().match(/(?:\/|per)\s*(\d+(?:\.\d+)?)?\s*ml\b/);
+  if (!match) return 0;
+  return match[1] ? parseFloat(match[1]) : 1;
+}
+
+// Nearest multiple of step, without floating point noise such as 0.30000000000000004
+function roundTo(value: number, step: number): number {
+  return Number((Math.round(value / step) * step).toFixed(2));
+}
+
+// Unit a calculated dose is given in for this medicine, its mg content and the smallest measurable step
+function getMeasurableUnit(medicine?: Medicine | null): { unit: DoseUnit; mgPerUnit: number; step: number } {
+  const strengthMg = parseStrengthMg(medicine?.strength);
+  const unit = createDefaultSig(medicine).doseUnit;
+  if (strengthMg > 0) {
+    const volumeMl = parseStrengthVolumeMl(medicine?.strength);
+    if (unit === 'ml' && volumeMl > 0) {
+      return { unit, mgPerUnit: strengthMg / volumeMl, step: LIQUID_DOSE_STEP_ML };
+    }
+    if (unit === 'tablet') return { unit, mgPerUnit: strengthMg, step: TABLET_DOSE_STEP };
+    if (DOSE_UNIT_OPTIONS.find((o) => o.value === unit)?.countable) return { unit, mgPerUnit: strengthMg, step: 1 };
+  }
+  return { unit: 'mg', mgPerUnit: 1, step: 1 };
+}
+
+/**
+ * Single dose from the patient's weight (mg/kg) or body surface area
+ * (mg/m²), rounded to an amount that can be measured for the medicine:
+ * 0.5 ml of a liquid, half a tablet or a whole capsule, or plain mg when
+ * the strength is unknown. Returns null when the weight, the height (for
+ * mg/m²) or the doses per day (for a daily rate) are missing.
+ */
+export function calculateWeightDose(
+  input: Omit<WeightBasedDose, 'bsaM2' | 'calculatedMg' | 'roundedMg' | 'doseAmount' | 'doseUnit'>,
+  medicine?: Medicine | null
+): WeightBasedDose | null {
+  const bsaM2 = input.basis === 'mg_per_m2' ? calculateBsa(input.weightKg, input.heightCm || 0) : undefined;
+  const size = input.basis === 'mg_per_m2' ? bsaM2 || 0 : input.weightKg;
+  if (input.rate <= 0 || size <= 0 || (input.perDay && input.dosesPerDay <= 0)) return null;
+
+  const calculatedMg = roundTo((input.rate * size) / (input.perDay ? input.dosesPerDay : 1), 0.01);
+  let { unit, mgPerUnit, step } = getMeasurableUnit(medicine);
+  // A dose below the smallest measurable amount is given in mg rather than rounded up
+  if (unit !== 'mg' && roundTo(calculatedMg / mgPerUnit, step) < step) {
+    unit = 'mg';
+    mgPerUnit = 1;
+  }
+  // Small mg doses (e.g. for infants) keep one decimal
+  if (unit === 'mg') step = calculatedMg < 10 ? 0.1 : 1;
+  const doseAmount = Math.max(step, roundTo(calculatedMg / mgPerUnit, step));
+  return {
+    ...input,
+    bsaM2,
+    calculatedMg,
+    roundedMg: roundTo(doseAmount * mgPerUnit, 0.01),
+    doseAmount,
+    doseUnit: unit,
+  };
+}
+
+/** Warnings for a rounded dose over its maximum single or daily dose. */
+export function getWeightDoseWarnings(dose: WeightBasedDose): string[] {
+  const warnings: string[] = [];
+  if (dose.maxSingleDoseMg && dose.roundedMg > dose.maxSingleDoseMg) {
+    warnings.push(`Single dose of ${dose.roundedMg} mg exceeds the maximum of ${dose.maxSingleDoseMg} mg`);
+  }
+  const dailyMg = roundTo(dose.roundedMg * dose.dosesPerDay, 0.01);
+  if (dose.maxDailyDoseMg && dailyMg > dose.maxDailyDoseMg) {
+    warnings.push(`Daily dose of ${dailyMg} mg exceeds the maximum of ${dose.maxDailyDoseMg} mg`);
+  }
+  return warnings;
+}
+
+/** The measured amount to give, e.g. "7.5 ml (150 mg)" or "0.5 tablet (125 mg)". */
+export function formatWeightDoseAmount(dose: WeightBasedDose): string {
+  const amount = formatDoseAmount(dose.doseAmount, dose.doseUnit, 'en');
+  return dose.doseUnit === 'mg' ? amount : `${amount} (${dose.roundedMg} mg)`;
+}
+
+/** How the dose was worked out, e.g. "15 mg/kg/day × 12 kg ÷ 3 doses = 60 mg per dose". */
+export function describeWeightDose(dose: WeightBasedDose): string {
+  const basis = WEIGHT_DOSE_BASIS_OPTIONS.find((o) => o.value === dose.basis)?.label || dose.basis;
+  const size = dose.basis === 'mg_per_m2' ? `${dose.bsaM2} m²` : `${dose.weightKg} kg`;
+  const divided = dose.perDay ? ` ÷ ${dose.dosesPerDay} doses` : '';
+  return `${dose.rate} ${basis}${dose.perDay ? '/day' : ''} × ${size}${divided} = ${dose.calculatedMg} mg per dose`;
+}
+
+/** Doses per day of a line, from its first sig phase when structured. */
+export function getLineDosesPerDay(med: Pick<MedicationFormData, 'frequency' | 'sig'>): number {
+  return getFrequencyPerDay(med.sig?.phases[0]?.frequency || med.frequency);
+}
+
+/**
+ * Recalculate a line's weight-based dose for the current patient size,
+ * frequency and medicine. Returns null when it can no longer be worked out.
+ */
+export function recalculateWeightDose(
+  med: MedicationFormData,
+  patient: Pick<PatientFormData, 'weightKg' | 'heightCm'>
+): WeightBasedDose | null {
+  if (!med.weightDose) return null;
+  return calculateWeightDose(
+    {
+      ...med.weightDose,
+      weightKg: patient.weightKg || 0,
+      heightCm: patient.heightCm || undefined,
+      dosesPerDay: getLineDosesPerDay(med),
+    },
+    med.medicine
+  );
+}
+
+/** Whether a line's weight-based dose no longer matches the patient, frequency or medicine. */
+export function isWeightDoseStale(
+  med: MedicationFormData,
+  patient: Pick<PatientFormData, 'weightKg' | 'heightCm'>
+): boolean {
+  if (!med.weightDose) return false;
+  const current = recalculateWeightDose(med, patient);
+  return !current || current.doseAmount !== med.weightDose.doseAmount || current.doseUnit !== med.weightDose.doseUnit;
+}
+
+/**
+ * Line with its dose taken from a weight-based calculation: the first
+ * sig phase on structured lines, otherwise the dosage field.
+ */
+export function applyWeightDose(med: MedicationFormData, dose: WeightBasedDose): MedicationFormData {
+  if (med.sig) {
+    const [first, ...rest] = med.sig.phases;
+    const sig = { ...med.sig, doseUnit: dose.doseUnit, phases: [{ ...first, doseAmount: dose.doseAmount }, ...rest] };
+    return { ...applySig(med, sig), weightDose: dose };
+  }
+  return { ...med, dosage: formatWeightDoseAmount(dose), weightDose: dose };
+}
+
+/**
+ * Plain-language directions for a prescription line, in English and
+ * Arabic, e.g. "Take 500mg twice daily for 7 days (1 week)". Lines with
+ * a structured sig use its full schedule.
+ */
+export function describeMedicationDirections(
+  med: Pick<Medication, 'dosage' | 'frequency' | 'duration' | 'sig'>
+): { en: string; ar: string } {
+  if (med.sig) {
+    return { en: describeSig(med.sig, 'en'), ar: describeSig(med.sig, 'ar') };
+  }
+  const ongoing = normalizeDuration(med.duration || '') === 'ongoing';
+  const en = [
+    `Take ${med.dosage}`,
+    getFrequencyLabel(med.frequency).replace(/^\w/, (c) => c.toLowerCase()),
+    med.duration ? (ongoing ? 'continuously' : `for ${getDurationLabel(med.duration)}`) : '',
+  ];
+  const ar = [
+    `تناول ${med.dosage}`,
+    getFrequencyLabel(med.frequency, 'ar'),
+    med.duration ? (ongoing ? 'بشكل مستمر' : `لمدة ${getDurationLabel(med.duration, 'ar')}`) : '',
+  ];
+  return {
+    en: en.filter(Boolean).join(' '),
+    ar: ar.filter(Boolean).join(' '),
+  };
+}
+
+/** Rebuild the Medicine a prescription line was written for. */
+export function medicationToMedicine(med: Medication): Medicine {
+  return {
+    id: med.medicineId,
+    commercialName: med.medicineName,
+    genericName: med.medicineGenericName,
+    strength: med.medicineStrength,
+    form: med.medicineForm,
+    drugId: med.drugId,
+    edaCode: med.edaCode,
+    price: med.unitPrice,
+  };
+}
+
+/** Prescription line for an edited form line (the inverse of toMedicationFormData). */
+export function fromMedicationFormData(line: MedicationFormData): Medication {
+  return {
+    medicineId: line.medicine?.drugId || line.medicine?.id || '',
+    medicineName: line.medicine?.commercialName || '',
+    drugId: line.medicine?.drugId,
+    edaCode: line.medicine?.edaCode,
+    medicineGenericName: line.medicine?.genericName,
+    medicineStrength: line.medicine?.strength,
+    medicineForm: line.medicine?.form,
+    unitPrice: line.medicine?.price,
+    dosage: line.dosage,
+    frequency: line.frequency,
+    duration: line.duration,
+    quantity: line.quantity,
+    refills: line.refills,
+    refillIntervalDays: line.refillIntervalDays,
+    instructions: line.instructions,
+    sig: line.sig,
+    weightDose: line.weightDose,
+  };
+}
+
+/** Copy a stored prescription line into an editable form line. */
+export function toMedicationFormData(med: Medication): MedicationFormData {
+  return {
+    medicine: medicationToMedicine(med),
+    dosage: med.dosage || '',
+    frequency: normalizeFrequency(med.frequency || ''),
+    duration: normalizeDuration(med.duration || ''),
+    quantity: med.quantity || 0,
+    refills: med.refills,
+    refillIntervalDays: med.refillIntervalDays,
+    instructions: med.instructions || '',
+    sig: med.sig,
+    weightDose: med.weightDose,
+  };
+}
+
+// ============================================================
+// Refills and renewals
+// ============================================================
+
+const DAY_MS = 86400000;
+
+// Days one fill of a line lasts, counting ongoing therapy as ONGOING_DURATION_DAYS
+function getFillDays(med: Pick<Medication, 'duration' | 'sig'>): number {
+  const days = med.sig ? getSigTotalDays(med.sig) : parseDurationDays(med.duration || '');
+  return days === null ? ONGOING_DURATION_DAYS : days;
+}
+
+/** Whether a line is long-term therapy: ongoing, or written with refills. */
+export function isChronicMedication(med: Pick<Medication, 'duration' | 'sig' | 'refills'>): boolean {
+  const ongoing = med.sig ? getSigTotalDays(med.sig) === null : parseDurationDays(med.duration || '') === null;
+  return ongoing || (med.refills ?? 0) > 0;
+}
+
+/**
+ * Date a line's supply runs out: the first fill plus every refill, each
+ * taken refillIntervalDays apart (by default when the previous fill ends).
+ */
+export function getSupplyEndDate(
+  prescription: Pick<Prescription, 'prescriptionDate'>,
+  med: Pick<Medication, 'duration' | 'sig' | 'refills' | 'refillIntervalDays'>
+): Date {
+  const fillDays = getFillDays(med);
+  const interval = med.refillIntervalDays || fillDays;
+  const days = (med.refills ?? 0) * interval + fillDays;
+  return new Date(new Date(prescription.prescriptionDate).getTime() + days * DAY_MS);
+}
+
+/**
+ * Date a prescription needs renewing: when the first of its chronic lines
+ * runs out. Returns null when it has no chronic lines.
+ */
+export function getRenewalDueDate(prescription: Pick<Prescription, 'prescriptionDate' | 'medications'>): Date | null {
+  const ends = prescription.medications
+    .filter(isChronicMedication)
+    .map((med) => getSupplyEndDate(prescription, med).getTime());
+  return ends.length > 0 ? new Date(Math.min(...ends)) : null;
+}
+
+/** Whether a prescription can be cloned into a renewal. */
+export function isRenewable(prescription: Pick<Prescription, 'status' | 'medications'>): boolean {
+  return RENEWABLE_STATUSES.includes(prescription.status) && prescription.medications.length > 0;
+}
+
+/**
+ * Chronic prescriptions running out within RENEWAL_LOOKAHEAD_DAYS (or
+ * that ran out in the last RENEWAL_OVERDUE_DAYS) and have not been
+ * renewed yet, soonest first.
+ */
+export function getRenewalsDue(
+  prescriptions: Prescription[],
+  now: Date = new Date()
+): { prescription: Prescription; dueDate: Date }[] {
+  const renewed = new Set(
+    prescriptions
+      .filter((p) => p.renewalOf && p.status !== 'cancelled' && p.status !== 'rejected')
+      .map((p) => p.renewalOf?.id)
+  );
+  const from = now.getTime() - RENEWAL_OVERDUE_DAYS * DAY_MS;
+  const until = now.getTime() + RENEWAL_LOOKAHEAD_DAYS * DAY_MS;
+  return prescriptions
+    .filter((prescription) => isRenewable(prescription) && !renewed.has(prescription.id))
+    .map((prescription) => ({ prescription, dueDate: getRenewalDueDate(prescription) }))
+    .filter((item): item is { prescription: Prescription; dueDate: Date } => {
+      const due = item.dueDate?.getTime();
+      return due !== undefined && due >= from && due <= until;
+    })
+    .sort((a, b) => a.dueDate.getTime() - b.dueDate.getTime());
+}
@@ -0,0 +1,116 @@
+// ============================================================
+// Egyptian National ID decoding
+// Layout (14 digits): C YYMMDD GG SSS X K
+//   C      century (2 = 1900s, 3 = 2000s)
+//   YYMMDD date of birth
+//   GG     governorate of birth registration
+//   SSS X  sequence; X is odd for males, even for females
+//   K      check digit
+// ============================================================
+
+export const GOVERNORATES: Record<string, string> = {
+  '01': 'Cairo',
+  '02': 'Alexandria',
+  '03': 'Port Said',
+  '04': 'Suez',
+  '11': 'Damietta',
+  '12': 'Dakahlia',
+  '13': 'Sharqia',
+  '14': 'Qalyubia',
+  '15': 'Kafr El Sheikh',
+  '16': 'Gharbia',
+  '17': 'Monufia',
+  '18': 'Beheira',
+  '19': 'Ismailia',
+  '21': 'Giza',
+  '22': 'Beni Suef',
+  '23': 'Fayoum',
+  '24': 'Minya',
+  '25': 'Asyut',
+  '26': 'Sohag',
+  '27': 'Qena',
+  '28': 'Aswan',
+  '29': 'Luxor',
+  '31': 'Red Sea',
+  '32': 'New Valley',
+  '33': 'Matrouh',
+  '34': 'North Sinai',
+  '35': 'South Sinai',
+  '88': 'Born abroad',
+};
+
+const CHECKSUM_WEIGHTS = [2, 7, 6, 5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+export interface NationalIdInfo {
+  dateOfBirth: string; // yyyy-MM-dd
+  age: number;
+  governorateCode: string;
+  governorate?: string;
+  gender: 'male' | 'female';
+  checksumValid: boolean;
+}
+
+/**
+ * Compute the mod-11 weighted check digit over the first 13 digits.
+ */
+export function computeNationalIdCheckDigit(nationalId: string): number {
+  const sum = CHECKSUM_WEIGHTS.reduce((acc, weight, i) => acc + Number(nationalId[i]) * weight, 0);
+  return (11 - (sum % 11)) % 10;
+}
+
+/** Whole years between a birth date and today. */
+export function calculateAge(dateOfBirth: string, today: Date = new Date()): number {
+  const dob = new Date(dateOfBirth);
+  let age = today.getFullYear() - dob.getFullYear();
+  const monthDiff = today.getMonth() - dob.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Decode the birth date, governorate and gender embedded in a National ID.
+ * Returns null when the ID is not 14 digits or the embedded date is impossible.
+ */
+export function decodeNationalId(nationalId: string): NationalIdInfo | null {
+  if (!/^\d{14}$/.test(nationalId)) return null;
+
+  const centuryDigit = nationalId[0];
+  if (centuryDigit !== '2' && centuryDigit !== '3') return null;
+
+  const year = (centuryDigit === '2' ? 1900 : 2000) + Number(nationalId.slice(1, 3));
+  const month = Number(nationalId.slice(3, 5));
+  const day = Number(nationalId.slice(5, 7));
+  const dob = new Date(Date.UTC(year, month - 1, day));
+  if (
+    dob.getUTCFullYear() !== year ||
+    dob.getUTCMonth() !== month - 1 ||
+    dob.getUTCDate() !== day ||
+    dob.getTime() > Date.now()
+  ) {
+    return null;
+  }
+
+  const dateOfBirth = dob.toISOString().slice(0, 10);
+  const governorateCode = nationalId.slice(7, 9);
+
+  return {
+    dateOfBirth,
+    age: calculateAge(dateOfBirth),
+    governorateCode,
+    governorate: GOVERNORATES[governorateCode],
+    gender: Number(nationalId[12]) % 2 === 1 ? 'male' : 'female',
+    checksumValid: computeNationalIdCheckDigit(nationalId) === Number(nationalId[13]),
+  };
+}
+
+/**
+ * National ID with all but the last four digits hidden, for reports
+ * that leave the clinic (e.g. "**********4567").
+ */
+export function maskNationalId(nationalId: string): string {
+  const id = nationalId.trim();
+  if (id.length <= 4) return id;
+  return '*'.repeat(id.length - 4) + id.slice(-4);
+}
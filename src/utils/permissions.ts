@@ -0,0 +1,20 @@
+import { ROLE_PERMISSIONS } from '../config/constants';
+import { translate, getPermissionLabel, getRoleLabel } from '../i18n';
+import type { User, Permission } from '../types';
+
+/** Permissions held by a user; users stored before permissions existed fall back to their role. */
+export function getPermissions(user: User | null): Permission[] {
+  if (!user) return [];
+  return user.permissions ?? ROLE_PERMISSIONS[user.role] ?? [];
+}
+
+export function hasPermission(user: User | null, permission: Permission): boolean {
+  return getPermissions(user).includes(permission);
+}
+
+/** Message shown when an action is refused for lack of a permission. */
+export function getPermissionDeniedMessage(user: User | null, permission: Permission): string {
+  const action = getPermissionLabel(permission);
+  if (!user) return translate('permission.deniedSignedOut', { action });
+  return translate('permission.denied', { role: getRoleLabel(user.role), action });
+}
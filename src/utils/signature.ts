@@ -0,0 +1,130 @@
+import { getMedicationIndication } from './diagnosis';
+import { translate } from '../i18n';
+import type { Prescription, StructuredSig } from '../types';
+
+// ============================================================
+// Prescription digital signatures
+// A stored signature has the form "sha256:<digest hex>:<signature>",
+// where the digest covers the canonical serialization below and the
+// signature is issued by the HPR signing service over that digest.
+// ============================================================
+
+export const SIGNATURE_ALGORITHM = 'sha256';
+
+// Empty strings and lists are not carried by the FHIR mapping, so a
+// prescription read back from NDP has them absent
+function isAbsent(value: unknown): boolean {
+  return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/** Serialize a value as JSON with object keys sorted and absent values dropped. */
+function stableStringify(value: unknown): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  const entries = Object.entries(value as Record<string, unknown>)
+    .filter(([, v]) => !isAbsent(v))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${stableStringify(v)}`).join(',')}}`;
+}
+
+// The sig as FHIR Dosage keeps it: the PRN reason only when as-needed, trimmed
+function canonicalizeSig(sig: StructuredSig | undefined) {
+  if (!sig) return undefined;
+  return {
+    ...sig,
+    asNeededFor: sig.asNeeded ? sig.asNeededFor?.trim() : undefined,
+    maxDailyDose: sig.maxDailyDose || undefined,
+  };
+}
+
+/**
+ * Canonical serialization of the clinically meaningful parts of a
+ * prescription. Workflow fields (status, timestamps, validation results,
+ * the signature itself) are excluded so signing does not invalidate it.
+ * Values are taken as they come back from the FHIR mapping, so a
+ * prescription read from NDP gives the same string it was signed with.
+ */
+export function canonicalizePrescription(prescription: Prescription): string {
+  return stableStringify({
+    prescriptionNumber: prescription.prescriptionNumber,
+    prescriptionDate: prescription.prescriptionDate,
+    doctor: {
+      id: prescription.doctor.id,
+      name: prescription.doctor.name,
+      license: prescription.doctor.license,
+    },
+    patient: {
+      nationalId: prescription.patient.nationalId,
+      name: prescription.patient.name,
+      age: prescription.patient.age,
+      gender: prescription.patient.gender,
+      weightKg: prescription.patient.weightKg,
+      heightCm: prescription.patient.heightCm,
+    },
+    diagnosis: prescription.diagnosis,
+    icdCode: prescription.icdCode,
+    secondaryDiagnoses: prescription.secondaryDiagnoses,
+    clinicalNotes: prescription.clinicalNotes,
+    identityOverride: prescription.identityOverride || undefined,
+    interactionOverride: prescription.interactionOverride,
+    renewalOf: prescription.renewalOf?.id,
+    medications: prescription.medications.map((med) => {
+      const indication = getMedicationIndication(prescription, med);
+      return {
+        medicineId: med.medicineId,
+        medicineName: med.medicineName,
+        drugId: med.drugId,
+        edaCode: med.edaCode,
+        medicineStrength: med.medicineStrength,
+        medicineForm: med.medicineForm,
+        dosage: med.dosage,
+        frequency: med.frequency,
+        duration: med.duration,
+        quantity: med.quantity,
+        refills: med.refills,
+        refillIntervalDays: med.refillIntervalDays || undefined,
+        instructions: med.instructions,
+        icd: indication?.code,
+        indication: indication?.description,
+        sig: canonicalizeSig(med.sig),
+        weightDose: med.weightDose,
+      };
+    }),
+  });
+}
+
+/**
+ * Hex-encoded SHA-256 digest of a string (Web Crypto). Browsers only
+ * offer Web Crypto on HTTPS (or localhost), so over plain HTTP this
+ * fails with an explanation instead of a TypeError.
+ */
+export async function sha256Hex(data: string): Promise<string> {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error(translate('errors.secureContextRequired'));
+  }
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+  return Array.from(new Uint8Array(buffer))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export function formatDigitalSignature(digest: string, signature: string): string {
+  return `${SIGNATURE_ALGORITHM}:${digest}:${signature}`;
+}
+
+/**
+ * Split a stored signature into its digest and signature parts.
+ * Returns null for legacy values that carry no verifiable signature.
+ */
+export function parseDigitalSignature(value: string): { digest: string; signature: string } | null {
+  const [algorithm, digest, ...rest] = value.split(':');
+  const signature = rest.join(':');
+  if (algorithm !== SIGNATURE_ALGORITHM || !/^[0-9a-f]{64}$/.test(digest || '') || !signature) {
+    return null;
+  }
+  return { digest, signature };
+}
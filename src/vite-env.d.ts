@@ -6,6 +6,7 @@ interface ImportMetaEnv {
   readonly VITE_API_VERSION: string;
   readonly VITE_APP_NAME: string;
   readonly VITE_APP_VERSION: string;
+  readonly VITE_TERMINOLOGY_SOURCE?: 'local' | 'ndp';
 }
 
 interface ImportMeta {